@@ -0,0 +1,15 @@
+// Clinic details printed on invoices and receipts
+const CLINIC_DETAILS = {
+  name: process.env.CLINIC_NAME || "8 Senses Pediatric Therapy Clinic",
+  address: process.env.CLINIC_ADDRESS || "",
+  phone: process.env.CLINIC_PHONE || "",
+  email: process.env.CLINIC_EMAIL || process.env.EMAIL_FROM || "",
+  gstin: process.env.CLINIC_GSTIN || "",
+  // Place of supply; GST is split into CGST and SGST within the state
+  state: process.env.CLINIC_STATE || "",
+};
+
+// SAC for "human health services" used when a service has no code of its own
+const DEFAULT_SAC_CODE = "9993";
+
+module.exports = { CLINIC_DETAILS, DEFAULT_SAC_CODE };
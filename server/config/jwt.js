@@ -1,9 +1,11 @@
 const jwt = require("jsonwebtoken");
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Generate a short-lived access token. `version` must match the user's
+// tokenVersion (bumped to log out everywhere); `sessionId` is the refresh
+// token the access token was issued with.
+const generateToken = (id, { version = 0, sessionId } = {}) => {
+  return jwt.sign({ id, v: version, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || "15m",
   });
 };
 
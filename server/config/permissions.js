@@ -0,0 +1,193 @@
+// Default permission matrix: resource -> action -> roles allowed to perform it.
+// Routes check "<resource>:<action>" with the `can` middleware; admins can
+// change which roles hold a permission at runtime (see models/RolePermission).
+// The admin role always holds every permission so it can never be locked out.
+const PERMISSIONS = {
+  // Clinic appointments. Therapists only see and change their own
+  // appointments; that scoping lives in the controllers.
+  appointments: {
+    read: ["admin", "receptionist", "therapist"],
+    create: ["admin", "receptionist"],
+    update: ["admin", "receptionist"],
+    reschedule: ["admin", "receptionist", "therapist"],
+    updateStatus: ["admin", "receptionist", "therapist"],
+    delete: ["admin", "receptionist"],
+  },
+  availability: {
+    read: ["admin", "receptionist", "therapist", "parent"],
+  },
+  // Booking requests raised by families, converted by the front desk
+  appointmentRequests: {
+    create: ["parent", "member"],
+    manage: ["admin", "receptionist"],
+  },
+  // Parent self-service: their own children's appointments and dues
+  portal: {
+    access: ["parent", "member"],
+  },
+  // Families waiting for an earlier slot; freed slots are offered to them
+  waitlist: {
+    join: ["admin", "receptionist", "parent", "member"],
+    manage: ["admin", "receptionist"],
+  },
+  // Personal calendar feed URLs (ICS) of appointments
+  calendar: {
+    subscribe: ["therapist", "parent", "member"],
+  },
+  // Sessions the attendance sweep flagged as likely no-shows
+  attendance: {
+    review: ["admin", "receptionist"],
+    sweep: ["admin"],
+  },
+  // Late cancellation and no-show fees can only be waived by admins
+  billing: {
+    manage: ["admin", "receptionist"],
+    waiveFees: ["admin"],
+  },
+  // Prepaid session packages; refunds are admin-only
+  packages: {
+    read: ["admin", "receptionist"],
+    manage: ["admin", "receptionist"],
+    refund: ["admin"],
+  },
+  // Merging duplicate patient records re-points their history; admin-only
+  patients: {
+    read: ["admin", "receptionist", "therapist"],
+    create: ["admin", "receptionist", "therapist"],
+    update: ["admin", "receptionist", "therapist"],
+    delete: ["admin", "receptionist", "therapist"],
+    merge: ["admin"],
+  },
+  patientDocuments: {
+    upload: ["admin", "receptionist", "staff"],
+    uploadRecords: ["admin", "receptionist", "staff", "therapist"],
+    delete: ["admin", "receptionist", "staff"],
+  },
+  // Clinical session notes. Only the therapist who ran the session writes
+  // its note; therapists read notes for patients they see.
+  sessionNotes: {
+    read: ["admin", "therapist"],
+    write: ["therapist"],
+    lock: ["admin"],
+  },
+  // Treatment plans and goal progress; parents only read their own children's
+  treatmentPlans: {
+    read: ["admin", "receptionist", "therapist", "parent"],
+    manage: ["admin", "therapist"],
+    recordProgress: ["admin", "therapist"],
+  },
+  leaves: {
+    read: ["admin", "receptionist", "therapist"],
+    resolve: ["admin", "receptionist"],
+    manage: ["admin"],
+  },
+  therapists: {
+    manage: ["admin"],
+  },
+  // Toy library
+  toys: {
+    read: ["admin", "staff"],
+    manage: ["admin", "staff"],
+    delete: ["admin"],
+  },
+  borrowings: {
+    read: ["admin", "staff"],
+    manage: ["admin", "staff"],
+  },
+  borrowers: {
+    read: ["admin", "staff"],
+    manage: ["admin", "staff"],
+    delete: ["admin", "staff"],
+  },
+  // Shop
+  products: {
+    manage: ["admin"],
+  },
+  categories: {
+    manage: ["admin"],
+  },
+  orders: {
+    manage: ["admin"],
+  },
+  discounts: {
+    manage: ["admin"],
+  },
+  transactions: {
+    manage: ["admin"],
+  },
+  // Memberships and member content
+  subscriptions: {
+    manage: ["admin"],
+  },
+  courses: {
+    manage: ["admin"],
+  },
+  webinars: {
+    manage: ["admin"],
+  },
+  workshops: {
+    manage: ["admin"],
+  },
+  recipes: {
+    manage: ["admin"],
+  },
+  detox: {
+    manage: ["admin"],
+  },
+  meetings: {
+    manage: ["admin"],
+  },
+  // Public site content
+  blogs: {
+    manage: ["admin"],
+  },
+  services: {
+    manage: ["admin"],
+  },
+  diseases: {
+    manage: ["admin"],
+  },
+  gallery: {
+    manage: ["admin"],
+  },
+  jobs: {
+    manage: ["admin"],
+  },
+  jobApplications: {
+    manage: ["admin"],
+  },
+  uploads: {
+    sign: ["admin", "receptionist", "therapist", "staff"],
+  },
+  // Administration
+  users: {
+    manage: ["admin"],
+  },
+  emails: {
+    send: ["admin"],
+  },
+  notifications: {
+    manage: ["admin"],
+  },
+  whatsappMessages: {
+    read: ["admin", "receptionist"],
+  },
+  permissions: {
+    manage: ["admin"],
+  },
+};
+
+// Every permission as a "<resource>:<action>" string
+const ALL_PERMISSIONS = Object.entries(PERMISSIONS).flatMap(([resource, actions]) =>
+  Object.keys(actions).map((action) => `${resource}:${action}`)
+);
+
+// Permissions a role holds when no admin override is stored for it
+const getDefaultPermissions = (role) =>
+  Object.entries(PERMISSIONS).flatMap(([resource, actions]) =>
+    Object.entries(actions)
+      .filter(([, roles]) => role === "admin" || roles.includes(role))
+      .map(([action]) => `${resource}:${action}`)
+  );
+
+module.exports = { PERMISSIONS, ALL_PERMISSIONS, getDefaultPermissions };
@@ -0,0 +1,12 @@
+// Numeric settings from config.env, which server.js loads before anything else
+
+/**
+ * Non-negative number from the environment variable `name`, or `fallback`
+ * when it is unset or not a valid number
+ */
+const numberSetting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = { numberSetting };
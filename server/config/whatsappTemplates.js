@@ -0,0 +1,20 @@
+// Heltar template names that WhatsApp has approved. Only the plain reminder,
+// "8sensesmessage", is approved today; set the others in config.env once
+// WhatsApp approves them. Messages whose template is not set fall back to
+// the plain reminder or skip WhatsApp.
+const WHATSAPP_TEMPLATES = {
+  reminder: process.env.WHATSAPP_TEMPLATE_REMINDER || "8sensesmessage",
+  // Reminder with a line about unpaid late cancellation / no-show fees, the
+  // join link of a video consultation, or both
+  reminderFees: process.env.WHATSAPP_TEMPLATE_REMINDER_FEES,
+  reminderVideo: process.env.WHATSAPP_TEMPLATE_REMINDER_VIDEO,
+  reminderFeesVideo: process.env.WHATSAPP_TEMPLATE_REMINDER_FEES_VIDEO,
+  waitlistOffer: process.env.WHATSAPP_TEMPLATE_WAITLIST_OFFER,
+  bookingCode: process.env.WHATSAPP_TEMPLATE_BOOKING_CODE,
+};
+
+// Whether the approved reminder templates carry the confirm / cancel /
+// reschedule quick-reply buttons
+const WHATSAPP_REMINDER_BUTTONS = process.env.WHATSAPP_REMINDER_BUTTONS === "true";
+
+module.exports = { WHATSAPP_TEMPLATES, WHATSAPP_REMINDER_BUTTONS };
@@ -2,6 +2,33 @@ const Toy = require("../models/Toy"); // Import Toy model
 const express = require("express");
 const Borrowing = require("../models/ToyBorrowing"); // Import Borrowing model
 const ToyUnit = require("../models/ToyUnit"); // Import ToyUnit model
+const { notify } = require("../services/notifications");
+
+// Queue a return reminder for a borrowing on the borrower's email and phone
+const sendBorrowingReminder = (borrowing, createdBy) =>
+  notify({
+    recipient: {
+      name: borrowing.borrowerName,
+      email: borrowing.email,
+      phone: borrowing.phone,
+    },
+    template: "toyReturnReminder",
+    data: {
+      name: borrowing.borrowerName,
+      toyName: borrowing.toyId?.name || "Toy",
+      unitNumber: borrowing.toyUnitId?.unitNumber,
+      dueDate: borrowing.dueDate,
+      isOverdue: borrowing.status === "Overdue" || borrowing.dueDate < new Date(),
+    },
+    relatedTo: { kind: "ToyBorrowing", id: borrowing._id },
+    createdBy,
+  });
+
+const reminderResponse = (notifications) => ({
+  success: true,
+  message: "Reminder sent successfully",
+  data: notifications.map((n) => ({ channel: n.channel, status: n.status })),
+});
 
 /**
  * @desc    Get dashboard statistics (available toys, borrowings, due soon, overdue)
@@ -161,14 +188,9 @@ exports.sendRemainder = async (req, res) => {
       });
     }
 
-    console.log(
-      `Sending reminder to ${borrowing.email} for ${borrowing.toyId.name}`
-    );
+    const notifications = await sendBorrowingReminder(borrowing, req.user?._id);
 
-    res.json({
-      success: true,
-      message: "Reminder sent successfully",
-    });
+    res.json(reminderResponse(notifications));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -566,15 +588,9 @@ exports.sendRemainderToEmail = async (req, res) => {
       });
     }
 
-    // Here you would implement actual email sending
-    // console.log(
-    //   `Sending reminder to ${borrowing.email} for ${borrowing.toyId.name}`
-    // );
+    const notifications = await sendBorrowingReminder(borrowing, req.user?._id);
 
-    res.json({
-      success: true,
-      message: "Reminder sent successfully",
-    });
+    res.json(reminderResponse(notifications));
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -703,7 +719,7 @@ exports.getBorrowersById = async (req, res) => {
 };
 
 /**
- * @desc    Send reminder email for a specific borrowing ID (placeholder function)
+ * @desc    Send reminder email for a specific borrowing ID
  * @route   POST /api/borrowers/:borrowerId/send-reminder
  * @access  Private (admin, staff)
  */
@@ -715,13 +731,20 @@ exports.sendRemainderByBororrwerId = async (req, res) => {
         .status(400)
         .json({ success: false, error: "Missing borrower ID" });
     }
-    //Placeholder logic for sending email will come here
-    console.log(`Sending reminder for borrowing ID: ${borrowerId}`);
+    const borrowing = await Borrowing.findById(borrowerId)
+      .populate("toyId", "name")
+      .populate("toyUnitId", "unitNumber");
 
-    res.json({
-      success: true,
-      message: "Reminder sent successfully",
-    });
+    if (!borrowing) {
+      return res.status(404).json({
+        success: false,
+        error: "Borrowing record not found",
+      });
+    }
+
+    const notifications = await sendBorrowingReminder(borrowing, req.user?._id);
+
+    res.json(reminderResponse(notifications));
   } catch (error) {
     console.error("Error sending reminder:", error);
     res.status(500).json({
@@ -3,13 +3,38 @@ const AppointmentForm = require("../models/AppointmentForm");
 const Patient = require("../models/Patient");
 const User = require("../models/User");
 const Service = require("../models/Service");
+const PaymentReceipt = require("../models/PaymentReceipt");
 const { body, validationResult } = require("express-validator");
 const sendEmail = require("../utils/mailer");
-const appointmentConfirmation = require("../emails/appointmentConfirmation");
-const appointmentReschedule = require("../emails/appointmentReschedule");
-const mongoose = require("mongoose");
-const { sendAppointmentReminder } = require("../services/whatsapp");
-// const { sendAppointmentReminder } = require("../services/whatsapp")
+const { checkConflicts } = require("../utils/appointmentConflicts");
+const { getTherapistSlots } = require("../utils/availability");
+const { rescheduleAppointmentRecord } = require("../utils/appointmentActions");
+const { offerFreedSlot } = require("../services/waitlist");
+const { notify } = require("../services/notifications");
+const { familyEvent } = require("../services/calendarFeeds");
+const {
+  createGroupSession,
+  findEnrolledAppointments,
+  syncGroupSession,
+} = require("../services/groupSessions");
+const { ensureVideoRoom } = require("../services/videoRooms");
+const { useSessionForAppointment } = require("../services/sessionPackages");
+const {
+  findOrCreateParent,
+  findOrCreatePatient,
+} = require("../services/patientDuplicates");
+const {
+  applyCancellationFee,
+  waiveCancellationFee,
+} = require("../services/cancellationFees");
+const {
+  appointmentDue,
+  recordPayment,
+  getReceiptTotals,
+  summarizeBalance,
+  getPatientBalance,
+} = require("../services/paymentLedger");
+// const { sendAppointmentReminder } = require("../services/appointmentReminders")
 // =======================
 // VALIDATIONS
 // =======================
@@ -128,9 +153,11 @@ exports.submitAppointmentRequest = async (req, res) => {
 // @access  Private (Receptionist, Admin)
 exports.getPendingAppointmentRequests = async (req, res) => {
   try {
-    const forms = await AppointmentForm.find({ status: "pending" }).sort({
-      createdAt: -1,
-    });
+    // Online requests come with the service, therapist and slot they hold
+    const forms = await AppointmentForm.find({ status: "pending" })
+      .populate("serviceId", "name duration price")
+      .populate("therapistId", "firstName lastName")
+      .sort({ createdAt: -1 });
 
     res.status(200).json({ success: true, count: forms.length, data: forms });
   } catch (err) {
@@ -158,37 +185,86 @@ exports.convertRequestToAppointment = async (req, res) => {
         .status(404)
         .json({ success: false, error: "Appointment request not found!" });
     }
+    // Online requests must have a verified phone, and a request converts once
+    if (form.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        error:
+          form.status === "unverified"
+            ? "This request's phone number has not been verified yet"
+            : `This request is already ${form.status}`,
+      });
+    }
+
+    // Reschedule requests move the appointment they were raised for
+    if (form.appointmentId) {
+      const original = await Appointment.findById(form.appointmentId);
+      if (!original) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Original appointment not found!" });
+      }
+
+      const appointment = await rescheduleAppointmentRecord(original, {
+        date: req.body.date,
+        startTime: req.body.startTime,
+        endTime: req.body.endTime,
+        therapistId: req.body.therapistId,
+        reason:
+          form.source === "portal"
+            ? "Requested by parent via the parent portal"
+            : "Requested by parent via WhatsApp",
+        status: "scheduled",
+        changedBy: req.user._id,
+      });
+
+      form.status = "converted";
+      form.isConverted = true;
+      await form.save({ validateBeforeSave: false });
+
+      return res.status(200).json({
+        success: true,
+        message: "Appointment rescheduled",
+        data: appointment,
+      });
+    }
 
-    //Ensure user exists or create placeholder user
-    let user = await User.findOne({ email: form.email });
-    if (!user) {
-      user = await User.create({
-        email: form.email,
-        password: "temporary",
-        role: "parent",
-        firstName: form.fatherName?.split(" ")[0] || "Parent",
-        lastName:
-          form.fatherName?.split(" ").slice(1).join(" ") ||
-          form.motherName ||
-          "User",
+    // The slot an online request holds does not block its own conversion
+    const { hasConflicts, conflicts } = await checkConflicts(
+      [
+        {
+          therapistId: req.body.therapistId,
+          date: req.body.date,
+          startTime: req.body.startTime,
+          endTime: req.body.endTime,
+        },
+      ],
+      { excludeIds: [form._id] }
+    );
+    if (hasConflicts) {
+      return res.status(400).json({
+        success: false,
+        error: conflicts[0].message,
+        conflicts,
       });
     }
 
-    // Create patient
-    const patient = await Patient.create({
+    // The family's account, created with a setup link if they are new
+    const user = await findOrCreateParent({
+      fatherName: form.fatherName,
+      motherName: form.motherName,
+      phone: form.phone,
+      email: form.email,
+    });
+
+    // Reuse the child's record if the family has been here before
+    const { patient } = await findOrCreatePatient({
+      childName: form.childName,
+      fatherName: form.fatherName,
+      motherName: form.motherName,
+      phone: form.phone,
+      email: form.email,
       parentId: user._id,
-      fullName: form.childName,
-      parentInfo: {
-        name: form.fatherName,
-        phone: form.phone.toString(),
-        email: form.email,
-        relationship: "Father",
-      },
-      emergencyContact: {
-        name: form.motherName || "N/A",
-        relation: "Mother",
-        phone: form.phone.toString(),
-      },
     });
 
     // Create formal appointment
@@ -205,6 +281,7 @@ exports.convertRequestToAppointment = async (req, res) => {
       startTime: req.body.startTime,
       endTime: req.body.endTime,
       type: req.body.type,
+      consultationMode: form.consultationMode,
       status: "scheduled",
       payment: {
         amount: req.body.paymentAmount || 0,
@@ -227,6 +304,13 @@ exports.convertRequestToAppointment = async (req, res) => {
       data: appointment,
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts }),
+      });
+    }
     console.error("Conversion error:", error);
     res.status(500).json({ success: false, error: "Server Error" });
   }
@@ -280,6 +364,18 @@ exports.createAppointment = async (req, res) => {
         .json({ success: false, error: "Therapist not found!" });
     }
 
+    // Reject double-booking of the therapist or the patient
+    const { hasConflicts, conflicts } = await checkConflicts([
+      { therapistId, patientId, date, startTime, endTime },
+    ]);
+    if (hasConflicts) {
+      return res.status(400).json({
+        success: false,
+        error: conflicts[0].message,
+        conflicts,
+      });
+    }
+
     // Determine patient
     let patient;
     if (patientId) {
@@ -290,15 +386,13 @@ exports.createAppointment = async (req, res) => {
           .json({ success: false, error: "Patient not found!" });
       }
     } else {
-      patient = await Patient.create({
-        fullName: patientName,
-        parentInfo: {
-          name: fatherName,
-          phone: phone,
-          email: email,
-          relationship: "Father",
-        },
-      });
+      // Reuse the child's record if the family has been here before
+      ({ patient } = await findOrCreatePatient({
+        childName: patientName,
+        fatherName,
+        phone,
+        email,
+      }));
     }
 
     // Create appointment
@@ -380,7 +474,7 @@ exports.createAppointment = async (req, res) => {
 // =======================
 // @desc    Update appointment
 // @route   PUT /api/appointments/:id
-// @access  Private (Admin, Receptionist, Therapist)
+// @access  Private (Admin, Receptionist)
 exports.updateAppointment = async (req, res) => {
   try {
     console.log("Incoming payment update:", req.body.payment);
@@ -519,11 +613,51 @@ exports.updateAppointment = async (req, res) => {
   }
 };
 
+// Response fields describing the package a completed session was taken from
+const describePackageUsage = (usage) =>
+  usage
+    ? {
+        package: {
+          _id: usage.package._id,
+          name: usage.package.name,
+          sessionsRemaining: usage.sessionsRemaining,
+        },
+        ...(usage.lowBalance && {
+          warning: `Only ${usage.sessionsRemaining} session(s) left in the ${usage.package.name} package`,
+        }),
+      }
+    : {};
+
+// Response fields describing a late cancellation or no-show fee just charged
+const describeCancellationFee = (fee) =>
+  fee
+    ? {
+        cancellationFee: fee,
+        warning: `${fee.label} of ₹${fee.amount} added to the patient's balance`,
+      }
+    : {};
+
+// Therapists only work on their own appointments; every other role the route
+// lets in can act on any appointment
+const isOtherTherapistsAppointment = (user, appointment) =>
+  user.role === "therapist" &&
+  (appointment.therapistId?._id || appointment.therapistId)?.toString() !==
+    user._id.toString();
+
+// Staff cancel on the family's behalf with `chargeFee: true`; only then can a
+// late cancellation fee apply
+const familyCancelled = (chargeFee) => chargeFee === true || chargeFee === "true";
+
 //Update Appointment status
 exports.updateAppointmentStatusAndDetails = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { chargeFee, ...updates } = req.body;
+    const statusChange = {
+      changedBy: req.user._id,
+      source: "staff",
+      reason: updates.reason,
+    };
 
     // Find the appointment
     const appointment = await Appointment.findById(id);
@@ -534,6 +668,13 @@ exports.updateAppointmentStatusAndDetails = async (req, res) => {
       });
     }
 
+    if (isOtherTherapistsAppointment(req.user, appointment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this appointment",
+      });
+    }
+
     // Handle cancellation: Update status to cancelled and handle payment status
     if (updates.status === "cancelled") {
       const paymentUpdates = {};
@@ -561,14 +702,22 @@ exports.updateAppointmentStatusAndDetails = async (req, res) => {
         {
           new: true,
           runValidators: true,
+          statusChange,
         }
       ).populate("userId patientId therapistId serviceId assignedBy");
 
+      // Offer the freed slot to the waitlist without holding up the response
+      offerFreedSlot(updatedAppointment);
+      const fee = await applyCancellationFee(updatedAppointment, {
+        cancelledByFamily: familyCancelled(chargeFee),
+      });
+
       return res.json({
         success: true,
         message:
           "Appointment cancelled successfully. Slot is now available for booking.",
         data: updatedAppointment,
+        ...describeCancellationFee(fee),
       });
     }
 
@@ -610,17 +759,29 @@ exports.updateAppointmentStatusAndDetails = async (req, res) => {
       {
         new: true,
         runValidators: true,
+        statusChange,
       }
     ).populate("userId patientId therapistId serviceId assignedBy");
 
+    const packageUsage =
+      updates.status === "completed"
+        ? await useSessionForAppointment(updatedAppointment)
+        : null;
+    const fee =
+      updates.status === "no-show"
+        ? await applyCancellationFee(updatedAppointment)
+        : null;
+
     res.json({
       success: true,
       message: "Appointment updated successfully",
       data: updatedAppointment,
+      ...describePackageUsage(packageUsage),
+      ...describeCancellationFee(fee),
     });
   } catch (error) {
     console.error("Error updating appointment:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: error.message || "Failed to update appointment",
     });
@@ -656,6 +817,13 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
+    if (isOtherTherapistsAppointment(req.user, appointment)) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to reschedule this appointment",
+      });
+    }
+
     console.log(
       "Original appointment payment status:",
       appointment.payment.status
@@ -670,46 +838,6 @@ exports.rescheduleAppointment = async (req, res) => {
       });
     }
 
-    // Check for conflicts with the new time slot
-    const conflictCheck = await Appointment.findOne({
-      therapistId: therapistId || appointment.therapistId,
-      date: new Date(date),
-      _id: { $ne: appointment._id },
-      status: { $ne: "cancelled" },
-      $or: [
-        {
-          startTime: { $lte: startTime },
-          endTime: { $gt: startTime },
-        },
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gte: endTime },
-        },
-        {
-          startTime: { $gte: startTime },
-          endTime: { $lte: endTime },
-        },
-      ],
-    });
-
-    if (conflictCheck) {
-      return res.status(400).json({
-        success: false,
-        error: "Selected time slot is not available",
-      });
-    }
-
-    // If changing therapist, validate therapist
-    if (therapistId && therapistId !== appointment.therapistId.toString()) {
-      const therapist = await User.findById(therapistId);
-      if (!therapist || therapist.role !== "therapist") {
-        return res.status(404).json({
-          success: false,
-          error: "Therapist not found",
-        });
-      }
-    }
-
     // Determine the new payment status - THIS IS THE KEY FIX
     let newPaymentStatus = "pending"; // Default
     if (paymentStatus) {
@@ -726,82 +854,24 @@ exports.rescheduleAppointment = async (req, res) => {
       console.log("Using fallback payment status:", newPaymentStatus);
     }
 
-    // Update notes with reschedule reason
-    const rescheduleNote = `Rescheduled on ${new Date().toLocaleDateString()}: ${
-      reason || "No reason provided"
-    }`;
-    const updatedNotes = appointment.notes
-      ? `${appointment.notes}\n${rescheduleNote}`
-      : rescheduleNote;
-
-    // Create the update object with explicit payment status
-    const updateData = {
-      date: new Date(date),
-      startTime: startTime,
-      endTime: endTime,
+    const updatedAppointment = await rescheduleAppointmentRecord(appointment, {
+      date,
+      startTime,
+      endTime,
+      therapistId,
+      reason,
       status: "scheduled",
-      therapistId: therapistId || appointment.therapistId,
-      notes: updatedNotes,
-      // CRITICAL: Explicitly set the entire payment object
-      "payment.status": newPaymentStatus,
-      "payment.amount": appointment.payment.amount,
-      "payment.method": appointment.payment.method,
-    };
-
-    console.log("Update data being sent to database:", updateData);
-
-    // Use findByIdAndUpdate with dot notation for nested fields
-    const updatedAppointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true, // Return the updated document
-        runValidators: true,
-      }
-    ).populate("userId patientId therapistId serviceId assignedBy");
-
-    if (!updatedAppointment) {
-      return res.status(404).json({
-        success: false,
-        error: "Failed to update appointment",
-      });
-    }
+      paymentStatus: newPaymentStatus,
+      changedBy: req.user._id,
+      // Cancelled appointments are final everywhere else
+      rebook: true,
+    });
 
     console.log(
       "Updated appointment payment status:",
       updatedAppointment.payment.status
     );
 
-    // Fetch related service and therapist data for email
-    const [service, therapist] = await Promise.all([
-      Service.findById(updatedAppointment.serviceId),
-      User.findById(updatedAppointment.therapistId),
-    ]);
-
-    // Send reschedule email
-    try {
-      await sendEmail({
-        to: updatedAppointment.email,
-        subject: "Your Appointment Has Been Rescheduled",
-        html: appointmentReschedule({
-          name:
-            updatedAppointment.patientName ||
-            updatedAppointment.fatherName ||
-            "User",
-          service: service?.name || "Service",
-          date: updatedAppointment.date,
-          startTime: updatedAppointment.startTime,
-          endTime: updatedAppointment.endTime,
-          therapist: therapist?.fullName || "Therapist",
-          reason,
-          paymentStatus: newPaymentStatus,
-        }),
-      });
-      console.log("Reschedule email sent to:", updatedAppointment.email);
-    } catch (err) {
-      console.error("Failed to send reschedule email:", err.message);
-    }
-
     res.status(200).json({
       success: true,
       message: "Appointment rescheduled successfully",
@@ -809,10 +879,11 @@ exports.rescheduleAppointment = async (req, res) => {
     });
   } catch (err) {
     console.error("Reschedule error:", err);
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       success: false,
-      error: "Server Error",
+      error: err.statusCode ? err.message : "Server Error",
       details: err.message,
+      ...(err.conflicts && { conflicts: err.conflicts }),
     });
   }
 };
@@ -851,84 +922,15 @@ exports.dashboardRescheduleAppointment = async (req, res) => {
       startTime: appointment.startTime,
     });
 
-    // Check for conflicts with the new time slot
-    const conflictCheck = await Appointment.findOne({
-      therapistId: therapistId || appointment.therapistId,
-      date: new Date(date),
-      _id: { $ne: appointment._id },
-      status: { $ne: "cancelled" },
-      $or: [
-        {
-          startTime: { $lte: startTime },
-          endTime: { $gt: startTime },
-        },
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gte: endTime },
-        },
-        {
-          startTime: { $gte: startTime },
-          endTime: { $lte: endTime },
-        },
-      ],
+    // Simple update - just change date/time, keep status and payment status exactly as they were
+    const updatedAppointment = await rescheduleAppointmentRecord(appointment, {
+      date,
+      startTime,
+      endTime,
+      therapistId,
+      reason,
     });
 
-    if (conflictCheck) {
-      return res.status(400).json({
-        success: false,
-        error: "Selected time slot is not available",
-      });
-    }
-
-    // If changing therapist, validate therapist
-    if (therapistId && therapistId !== appointment.therapistId.toString()) {
-      const therapist = await User.findById(therapistId);
-      if (!therapist || therapist.role !== "therapist") {
-        return res.status(404).json({
-          success: false,
-          error: "Therapist not found",
-        });
-      }
-    }
-
-    // Update notes with reschedule reason
-    const rescheduleNote = `Rescheduled on ${new Date().toLocaleDateString()}: ${
-      reason || "No reason provided"
-    }`;
-    const updatedNotes = appointment.notes
-      ? `${appointment.notes}\n${rescheduleNote}`
-      : rescheduleNote;
-
-    // Simple update - just change date/time, keep everything else the same
-    const updateData = {
-      date: new Date(date),
-      startTime: startTime,
-      endTime: endTime,
-      therapistId: therapistId || appointment.therapistId,
-      notes: updatedNotes,
-      // Keep status as is (don't change to scheduled if it was completed, etc.)
-      // Keep payment status exactly as it was
-    };
-
-    console.log("Update data for dashboard reschedule:", updateData);
-
-    // Use findByIdAndUpdate to ensure atomic update
-    const updatedAppointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      {
-        new: true, // Return the updated document
-        runValidators: true,
-      }
-    ).populate("userId patientId therapistId serviceId assignedBy");
-
-    if (!updatedAppointment) {
-      return res.status(404).json({
-        success: false,
-        error: "Failed to update appointment",
-      });
-    }
-
     console.log("Updated appointment:", {
       id: updatedAppointment._id,
       status: updatedAppointment.status,
@@ -937,36 +939,6 @@ exports.dashboardRescheduleAppointment = async (req, res) => {
       paymentStatus: updatedAppointment.payment.status,
     });
 
-    // Fetch related service and therapist data for email
-    const [service, therapist] = await Promise.all([
-      Service.findById(updatedAppointment.serviceId),
-      User.findById(updatedAppointment.therapistId),
-    ]);
-
-    // Send reschedule email
-    try {
-      await sendEmail({
-        to: updatedAppointment.email,
-        subject: "Your Appointment Has Been Rescheduled",
-        html: appointmentReschedule({
-          name:
-            updatedAppointment.patientName ||
-            updatedAppointment.fatherName ||
-            "User",
-          service: service?.name || "Service",
-          date: updatedAppointment.date,
-          startTime: updatedAppointment.startTime,
-          endTime: updatedAppointment.endTime,
-          therapist: therapist?.fullName || "Therapist",
-          reason,
-          paymentStatus: updatedAppointment.payment.status,
-        }),
-      });
-      console.log("Reschedule email sent to:", updatedAppointment.email);
-    } catch (err) {
-      console.error("Failed to send reschedule email:", err.message);
-    }
-
     res.status(200).json({
       success: true,
       message: "Appointment rescheduled successfully",
@@ -974,10 +946,11 @@ exports.dashboardRescheduleAppointment = async (req, res) => {
     });
   } catch (err) {
     console.error("Dashboard reschedule error:", err);
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       success: false,
-      error: "Server Error",
+      error: err.statusCode ? err.message : "Server Error",
       details: err.message,
+      ...(err.conflicts && { conflicts: err.conflicts }),
     });
   }
 };
@@ -994,10 +967,6 @@ exports.deleteAppointment = async (req, res) => {
         .json({ success: false, error: "Appointment not found" });
     }
 
-    if (req.user.role !== "admin" && req.user.role !== "receptionist") {
-      return res.status(403).json({ success: false, error: "Not authorized" });
-    }
-
     await appointment.deleteOne();
     res.status(200).json({ success: true, message: "Appointment deleted" });
   } catch (err) {
@@ -1575,30 +1544,16 @@ exports.getAppointment = async (req, res) => {
       });
     }
 
-    // Access check: admin/receptionist can see all; therapist can see own; parent can see their child's appointment
+    // Parents can only see their own child's appointments
     if (
-      req.user.role !== "admin" &&
-      req.user.role !== "receptionist" &&
-      (!appointment.therapistId ||
-        appointment.therapistId._id.toString() !== req.user._id.toString())
+      isOtherTherapistsAppointment(req.user, appointment) ||
+      (req.user.role === "parent" &&
+        appointment.patientId?.parentId?.toString() !== req.user._id.toString())
     ) {
-      // If patient exists, check parent relationship
-      if (appointment.patientId && appointment.patientId.parentId) {
-        if (
-          appointment.patientId.parentId.toString() !== req.user._id.toString()
-        ) {
-          return res.status(403).json({
-            success: false,
-            error: "Not authorized to view this appointment",
-          });
-        }
-      } else {
-        // If no patient or no parent info, restrict access
-        return res.status(403).json({
-          success: false,
-          error: "Not authorized to view this appointment",
-        });
-      }
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this appointment",
+      });
     }
 
     res.status(200).json({
@@ -1614,19 +1569,72 @@ exports.getAppointment = async (req, res) => {
   }
 };
 
+// @desc    Get the status history of an appointment
+// @route   GET /api/appointments/:id/history
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getAppointmentHistory = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .select("status statusHistory therapistId patientName date startTime")
+      .populate({
+        path: "statusHistory.changedBy",
+        select: "firstName lastName role",
+      });
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found",
+      });
+    }
+
+    if (isOtherTherapistsAppointment(req.user, appointment)) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this appointment",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointmentId: appointment._id,
+        patientName: appointment.patientName,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        status: appointment.status,
+        allowedTransitions: Appointment.STATUS_TRANSITIONS[appointment.status] || [],
+        history: appointment.statusHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Get appointment history error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server Error",
+    });
+  }
+};
+
 // @desc    Update appointment status
 // @route   PUT /api/appointments/:id/status
 // @access  Private (Admin, Therapist, Receptionist)
 exports.updateAppointmentStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ["scheduled", "completed", "cancelled", "no-show"];
+    const { status, reason } = req.body;
+    const validStatuses = [
+      "scheduled",
+      "confirmed",
+      "in-progress",
+      "completed",
+      "cancelled",
+      "no-show",
+    ];
 
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
-        error:
-          "A valid status is required: scheduled, completed, cancelled, or no-show",
+        error: `A valid status is required: ${validStatuses.join(", ")}`,
       });
     }
 
@@ -1638,40 +1646,88 @@ exports.updateAppointmentStatus = async (req, res) => {
       });
     }
 
-    // Permission check
-    if (
-      req.user.role !== "admin" &&
-      req.user.role !== "receptionist" &&
-      (!appointment.therapistId ||
-        appointment.therapistId.toString() !== req.user._id.toString())
-    ) {
+    if (isOtherTherapistsAppointment(req.user, appointment)) {
       return res.status(403).json({
         success: false,
         error: "Not authorized to update this appointment status",
       });
     }
 
-    // If cancelled, delete the appointment
+    const change = { changedBy: req.user._id, source: "staff", reason };
+
+    // Cancelled appointments are kept so their history stays available
     if (status === "cancelled") {
-      console.log("Hello  i am working");
-      await appointment.deleteOne();
-      return res.status(200).json({
-        success: true,
-        message: "Appointment cancelled and deleted successfully",
-      });
+      await appointment.cancel(reason, change);
+      offerFreedSlot(appointment);
+    } else {
+      appointment.transitionTo(status, change);
+      await appointment.save();
     }
 
-    // Otherwise, just update the status
-    appointment.status = status;
-    await appointment.save();
+    const packageUsage =
+      status === "completed" ? await useSessionForAppointment(appointment) : null;
+    const fee = ["cancelled", "no-show"].includes(status)
+      ? await applyCancellationFee(appointment, {
+          cancelledByFamily: familyCancelled(req.body.chargeFee),
+        })
+      : null;
 
     res.status(200).json({
       success: true,
       message: `Appointment status updated to ${status}`,
       data: appointment,
+      ...describePackageUsage(packageUsage),
+      ...describeCancellationFee(fee),
     });
   } catch (err) {
     console.error("Update appointment status error:", err);
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Get the video room of a video-call appointment, opening it if needed
+// @route   GET /api/appointments/:id/video-room
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getAppointmentVideoRoom = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id).select(
+      "+videoRoom.hostUrl"
+    );
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found",
+      });
+    }
+
+    if (isOtherTherapistsAppointment(req.user, appointment)) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this appointment",
+      });
+    }
+
+    const room = await ensureVideoRoom(appointment);
+    if (!room) {
+      return res.status(400).json({
+        success: false,
+        error: "Only upcoming video-call appointments have a video room",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider: room.provider,
+        joinUrl: room.joinUrl,
+        hostUrl: room.hostUrl || room.joinUrl,
+        expiresAt: room.expiresAt,
+      },
+    });
+  } catch (err) {
     res.status(500).json({
       success: false,
       error: "Server Error",
@@ -1679,6 +1735,45 @@ exports.updateAppointmentStatus = async (req, res) => {
   }
 };
 
+// @desc    Waive the late cancellation or no-show fee of an appointment
+// @route   POST /api/appointments/:id/waive-fee
+// @access  Private/Admin
+exports.waiveAppointmentFee = async (req, res) => {
+  try {
+    if (!req.body.reason || !req.body.reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: "Reason is required",
+      });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found",
+      });
+    }
+
+    await waiveCancellationFee(appointment, {
+      reason: req.body.reason.trim(),
+      waivedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Fee waived",
+      data: appointment,
+      balance: await getPatientBalance(appointment.patientId),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
 // Enhanced createMultipleAppointments with proper scheduling flow
 
 // Enhanced createMultipleAppointments with proper scheduling flow
@@ -1708,19 +1803,6 @@ exports.createMultipleAppointments = async (req, res) => {
       totalSessions,
     } = req.body;
 
-
-    // Helper function to convert time string to minutes
-    const timeToMinutes = (timeStr) => {
-      const [time, period] = timeStr.split(" ");
-      const [hours, minutes] = time.split(":").map(Number);
-      let totalMinutes = hours * 60 + minutes;
-
-      if (period === "PM" && hours !== 12) totalMinutes += 12 * 60;
-      if (period === "AM" && hours === 12) totalMinutes -= 12 * 60;
-
-      return totalMinutes;
-    };
-
     // Enhanced appointment data processing
     let appointmentsToCreate = [];
     if (
@@ -1782,6 +1864,27 @@ exports.createMultipleAppointments = async (req, res) => {
         .json({ success: false, error: "Therapist not found!" });
     }
 
+    // Conflict checking, including overlaps between the requested dates
+    const { hasConflicts, conflicts } = await checkConflicts(
+      appointmentsToCreate.map((appointment) => ({
+        therapistId,
+        patientId,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+      }))
+    );
+    if (hasConflicts) {
+      const conflictDetails = conflicts
+        .map((c) => `${c.date} at ${c.startTime}`)
+        .join(", ");
+      return res.status(400).json({
+        success: false,
+        error: `Therapist or patient already has appointments on: ${conflictDetails}`,
+        conflicts,
+      });
+    }
+
     // Determine patient
     let patient;
     if (patientId) {
@@ -1792,66 +1895,13 @@ exports.createMultipleAppointments = async (req, res) => {
           .json({ success: false, error: "Patient not found!" });
       }
     } else {
-      patient = await Patient.create({
-        fullName: patientName,
-        parentInfo: {
-          name: fatherName,
-          phone: phone,
-          email: email,
-          relationship: "Father",
-        },
-      });
-    }
-
-    // Conflict checking
-    const INACTIVE_STATUSES = [
-      "cancelled",
-      "no-show",
-      "completed",
-      "converted",
-    ];
-    const conflictPromises = appointmentsToCreate.map(async (appointment) => {
-      const appointmentDate = new Date(appointment.date);
-      const newStartMinutes = timeToMinutes(appointment.startTime);
-      const newEndMinutes = timeToMinutes(appointment.endTime);
-
-      const activeAppointments = await Appointment.find({
-        therapistId: therapistId,
-        date: appointmentDate,
-        status: { $nin: INACTIVE_STATUSES },
-      }).select("_id startTime endTime status");
-
-      for (const existing of activeAppointments) {
-        const existingStartMinutes = timeToMinutes(existing.startTime);
-        const existingEndMinutes = timeToMinutes(existing.endTime);
-
-        const hasOverlap =
-          newStartMinutes < existingEndMinutes &&
-          newEndMinutes > existingStartMinutes;
-        if (hasOverlap) {
-          return {
-            hasConflict: true,
-            date: appointmentDate.toISOString().split("T")[0],
-            time: appointment.startTime,
-            conflictingAppointment: existing._id,
-          };
-        }
-      }
-
-      return { hasConflict: false };
-    });
-
-    const conflictResults = await Promise.all(conflictPromises);
-    const conflicts = conflictResults.filter((result) => result.hasConflict);
-    if (conflicts.length > 0) {
-      const conflictDetails = conflicts
-        .map((c) => `${c.date} at ${c.time}`)
-        .join(", ");
-      return res.status(400).json({
-        success: false,
-        error: `Therapist already has appointments on: ${conflictDetails}`,
-        conflicts,
-      });
+      // Reuse the child's record if the family has been here before
+      ({ patient } = await findOrCreatePatient({
+        childName: patientName,
+        fatherName,
+        phone,
+        email,
+      }));
     }
 
     // Create appointments
@@ -2114,14 +2164,20 @@ exports.getPaymentSummary = async (req, res) => {
   try {
     const totalPatients = await Patient.countDocuments();
     const appointments = await Appointment.find({}).lean();
+    const [received] = await PaymentReceipt.aggregate([
+      { $match: { status: "active" } },
+      { $group: { _id: null, total: { $sum: "$amount" } } },
+    ]);
 
     const summary = appointments.reduce(
       (acc, apt) => {
         if (apt.payment?.status === "paid") {
-          acc.totalRevenue += apt.payment.amount;
+          // Marked paid by hand, outside the receipt ledger
+          if (!apt.payment.paidAmount && !apt.packageId) {
+            acc.totalRevenue += apt.payment.amount;
+          }
           acc.completedPayments += 1;
         } else if (apt.payment?.status === "partial") {
-          acc.totalRevenue += apt.payment.paidAmount || 0;
           acc.partialPayments += 1;
         } else if (apt.payment?.status === "pending") {
           acc.pendingPayments += 1;
@@ -2130,7 +2186,7 @@ exports.getPaymentSummary = async (req, res) => {
       },
       {
         totalPatients,
-        totalRevenue: 0,
+        totalRevenue: received?.total || 0,
         pendingPayments: 0,
         completedPayments: 0,
         partialPayments: 0,
@@ -2158,6 +2214,9 @@ exports.getPatientsWithAppointments = async (req, res) => {
       .select("+photo +birthCertificate") // Ensure these fields are included
       .lean();
 
+    // Receipt totals and credit for every patient, from the payment ledger
+    const receiptTotals = await getReceiptTotals(patients.map((p) => p._id));
+
     // For each patient, get their appointments with payment details
     const patientsWithAppointments = await Promise.all(
       patients.map(async (patient) => {
@@ -2169,8 +2228,6 @@ exports.getPatientsWithAppointments = async (req, res) => {
           .sort({ date: -1 })
           .lean();
 
-        console.log(appointments);
-
         // Transform appointments to include payment details AND group session info
         const transformedAppointments = appointments.map((apt) => ({
           _id: apt._id,
@@ -2189,7 +2246,10 @@ exports.getPatientsWithAppointments = async (req, res) => {
             status: apt.payment?.status || "pending",
             method: apt.payment?.method || "not_specified",
             paidAmount: apt.payment?.paidAmount || 0,
+            due: appointmentDue(apt),
           },
+          packageId: apt.packageId || null,
+          cancellationFee: apt.cancellationFee?.amount ? apt.cancellationFee : null,
           service: {
             name: apt.serviceId?.name || "Unknown Service",
             price: apt.serviceId?.price || 0,
@@ -2203,33 +2263,32 @@ exports.getPatientsWithAppointments = async (req, res) => {
           sessionsPaid: apt.sessionsPaid || 0,
         }));
 
-        // Calculate payment summary
+        // Payment summary from the receipt ledger
         const totalAppointments = transformedAppointments.length;
         const completedAppointments = transformedAppointments.filter(
           (apt) => apt.status === "completed"
         ).length;
         const pendingPayments = transformedAppointments.filter(
-          (apt) =>
-            apt.payment.status === "pending" || apt.payment.status === "partial"
+          (apt) => apt.payment.due > 0
         ).length;
 
-        const totalOwed = transformedAppointments.reduce((sum, apt) => {
-          if (apt.payment.status === "pending") {
-            return sum + apt.payment.amount;
-          } else if (apt.payment.status === "partial") {
-            return sum + (apt.payment.amount - apt.payment.paidAmount);
-          }
-          return sum;
-        }, 0);
-
-        const totalPaid = transformedAppointments.reduce((sum, apt) => {
-          if (apt.payment.status === "paid") {
-            return sum + apt.payment.amount;
-          } else if (apt.payment.status === "partial") {
-            return sum + apt.payment.paidAmount;
-          }
-          return sum;
-        }, 0);
+        const balance = summarizeBalance(
+          appointments,
+          receiptTotals.get(patient._id.toString())
+        );
+
+        // Appointments marked paid by hand before the ledger existed
+        const paidOutsideLedger = appointments
+          .filter(
+            (apt) =>
+              apt.payment?.status === "paid" &&
+              !apt.payment.paidAmount &&
+              !apt.packageId
+          )
+          .reduce((sum, apt) => sum + (apt.payment.amount || 0), 0);
+
+        const totalOwed = balance.outstanding;
+        const totalPaid = balance.totalReceived + paidOutsideLedger;
 
         return {
           ...patient,
@@ -2252,6 +2311,8 @@ exports.getPatientsWithAppointments = async (req, res) => {
           pendingPayments,
           totalOwed,
           totalPaid,
+          credit: balance.credit,
+          balance: balance.balance,
         };
       })
     );
@@ -2270,29 +2331,31 @@ exports.getPatientsWithAppointments = async (req, res) => {
   }
 };
 
-// Add this new function to process payments
+// @desc    Take a payment for selected appointments and record it in the ledger
+// @route   POST /api/appointments/process-payment
+// @access  Private (Admin, Receptionist)
 exports.processAppointmentPayment = async (req, res) => {
   try {
-    const {
-      patientId,
-      appointmentIds,
-      paymentAmount,
-      paymentMethod,
-      paymentType,
-    } = req.body;
+    const { patientId, appointmentIds, paymentAmount, paymentMethod } = req.body;
 
     // Validate input
-    if (!appointmentIds || appointmentIds.length === 0 || paymentAmount < 0) {
+    if (
+      !patientId ||
+      !appointmentIds ||
+      appointmentIds.length === 0 ||
+      !(paymentAmount > 0) ||
+      !["cash", "upi"].includes(paymentMethod)
+    ) {
       return res.status(400).json({
         success: false,
         message: "Invalid payment data provided",
       });
     }
 
-    // Find the appointments
     const appointments = await Appointment.find({
       _id: { $in: appointmentIds },
-    }).populate("serviceId therapistId patientId");
+      patientId,
+    });
 
     if (appointments.length !== appointmentIds.length) {
       return res.status(404).json({
@@ -2302,11 +2365,10 @@ exports.processAppointmentPayment = async (req, res) => {
     }
 
     // Calculate total owed for selected appointments
-    const totalOwed = appointments.reduce((sum, apt) => {
-      const remaining =
-        (apt.payment?.amount || 0) - (apt.payment?.paidAmount || 0);
-      return sum + Math.max(0, remaining);
-    }, 0);
+    const totalOwed = appointments.reduce(
+      (sum, apt) => sum + appointmentDue(apt),
+      0
+    );
 
     if (paymentAmount > totalOwed) {
       return res.status(400).json({
@@ -2315,64 +2377,36 @@ exports.processAppointmentPayment = async (req, res) => {
       });
     }
 
-    // Process payment distribution
-    let remainingPayment = paymentAmount;
-    const updatedAppointments = [];
-
-    for (const appointment of appointments) {
-      if (remainingPayment < 0) break;
-
-      const currentOwed =
-        (appointment.payment?.amount || 0) -
-        (appointment.payment?.paidAmount || 0);
-
-      if (currentOwed < 0) continue;
-
-      const paymentForThisAppointment = Math.min(remainingPayment, currentOwed);
-      const newPaidAmount =
-        (appointment.payment?.paidAmount || 0) + paymentForThisAppointment;
-
-      // Determine new payment status
-      let newPaymentStatus = "partial";
-      if (newPaidAmount >= (appointment.payment?.amount || 0)) {
-        newPaymentStatus = "paid";
-      } else if (newPaidAmount === 0) {
-        newPaymentStatus = "pending";
-      }
-
-      // Update appointment
-      const updatedAppointment = await Appointment.findByIdAndUpdate(
-        appointment._id,
-        {
-          $set: {
-            "payment.status": newPaymentStatus,
-            "payment.method": paymentMethod,
-            "payment.paidAmount": newPaidAmount,
-            "payment.lastPaymentDate": new Date(),
-          },
-        },
-        { new: true, runValidators: true }
-      ).populate("serviceId therapistId patientId");
+    const receipt = await recordPayment({
+      patientId,
+      amount: paymentAmount,
+      method: paymentMethod,
+      reference: req.body.reference,
+      notes: req.body.notes,
+      appointmentIds,
+      receivedBy: req.user._id,
+    });
 
-      updatedAppointments.push(updatedAppointment);
-      remainingPayment -= paymentForThisAppointment;
-    }
+    const updatedAppointments = await Appointment.find({
+      _id: { $in: receipt.allocations.map((a) => a.appointmentId) },
+    }).populate("serviceId therapistId patientId");
 
     res.json({
       success: true,
-      message: `Payment of $${paymentAmount} processed successfully`,
+      message: `Payment of ₹${paymentAmount} recorded on receipt ${receipt.receiptNumber}`,
       data: {
         processedAmount: paymentAmount,
+        receipt,
         updatedAppointments: updatedAppointments.length,
         appointments: updatedAppointments,
+        balance: await getPatientBalance(patientId),
       },
     });
   } catch (error) {
     console.error("Error processing payment:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: "Failed to process payment",
-      error: error.message,
+      message: error.statusCode ? error.message : "Failed to process payment",
     });
   }
 };
@@ -2416,22 +2450,12 @@ exports.createGroupAppointment = async (req, res) => {
       });
     }
 
-    if (patients.length > (maxCapacity || 10)) {
-      return res.status(400).json({
-        success: false,
-        error: `Maximum ${maxCapacity || 10} patients allowed per group session`,
-      });
-    }
-
     const service = await Service.findById(serviceId);
     if (!service) return res.status(404).json({ success: false, error: "Service not found!" });
 
     const therapist = await User.findById(therapistId);
     if (!therapist || therapist.role !== "therapist") return res.status(404).json({ success: false, error: "Therapist not found!" });
 
-    const groupSessionId = new mongoose.Types.ObjectId();
-    console.log("Generated group session ID:", groupSessionId);
-
     const timeToMinutes = (timeStr) => {
       const [time, period] = timeStr.split(" ");
       const [hours, minutes] = time.split(":").map(Number);
@@ -2465,42 +2489,25 @@ exports.createGroupAppointment = async (req, res) => {
       }
     }
 
-    const patientIds = patients.map((p) => p.patientId).filter(Boolean);
-
-    const appointmentPromises = patients.map((patient) => {
-      return Appointment.create({
-        userId: req.user._id,
-        patientId: patient.patientId,
-        patientName: patient.patientName,
-        fatherName: patient.fatherName || "",
-        email: patient.email || "",
-        phone: patient.phone || "",
-        serviceId,
+    // The session keeps the roster; each child gets their own appointment
+    const { session, appointments: createdAppointments } = await createGroupSession(
+      {
+        name: groupSessionName,
         therapistId,
+        serviceId,
         date: appointmentDate,
         startTime,
         endTime,
-        type: type || "group therapy session",
-        consultationMode: consultationMode || "in-person",
-        notes: `${notes || ""}\n\nGroup Session: ${groupSessionName}\nParticipants: ${patients.length}/${maxCapacity}`,
-        payment: {
-          amount: paymentAmount || 0,
-          method: paymentMethod || "not_specified",
-          status: "pending",
-        },
-        consent: false,
-        totalSessions: 1,
-        status: "scheduled",
-        assignedBy: req.user._id,
-        assignedAt: new Date(),
-        isGroupSession: true,
-        groupSessionId,
-        groupSessionName,
-        maxCapacity: maxCapacity || 6,
-      });
-    });
-
-    const createdAppointments = await Promise.all(appointmentPromises);
+        type,
+        consultationMode,
+        notes,
+        maxCapacity,
+        pricePerChild: paymentAmount || 0,
+      },
+      patients,
+      { paymentMethod, createdBy: req.user._id }
+    );
+    const groupSessionId = session._id;
 
     // Send emails and WhatsApp reminders
     for (const appointment of createdAppointments) {
@@ -2542,7 +2549,11 @@ exports.createGroupAppointment = async (req, res) => {
     });
   } catch (error) {
     console.error("=== CREATE GROUP APPOINTMENT ERROR ===", error);
-    res.status(500).json({ success: false, error: "Server Error", message: error.message });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : "Server Error",
+      message: error.message,
+    });
   }
 };
 
@@ -2643,6 +2654,27 @@ exports.getGroupAppointments = async (req, res) => {
   }
 };
 
+// Reply 400 when some appointments in a group cannot move to `status`;
+// resolves to true when the response has been sent
+const rejectGroupTransition = (res, appointments, status) => {
+  const blocked = appointments.filter(
+    (appointment) =>
+      appointment.status !== status && !appointment.canTransitionTo(status)
+  );
+  if (blocked.length === 0) return false;
+
+  res.status(400).json({
+    success: false,
+    error: `${blocked.length} appointment(s) in this group cannot change to ${status}`,
+    data: blocked.map(({ _id, patientName, status: current }) => ({
+      _id,
+      patientName,
+      status: current,
+    })),
+  });
+  return true;
+};
+
 // @desc    Update group appointment
 // @route   PUT /api/appointments/group/:groupSessionId
 // @access  Private (Admin, Receptionist)
@@ -2651,11 +2683,8 @@ exports.updateGroupAppointment = async (req, res) => {
     const { groupSessionId } = req.params;
     const updates = req.body;
 
-    // Find all appointments in this group session
-    const groupAppointments = await Appointment.find({
-      groupSessionId: groupSessionId,
-      isGroupSession: true,
-    });
+    // Children who left the group keep their cancelled appointments as they are
+    const groupAppointments = await findEnrolledAppointments(groupSessionId);
 
     if (groupAppointments.length === 0) {
       return res.status(404).json({
@@ -2664,6 +2693,10 @@ exports.updateGroupAppointment = async (req, res) => {
       });
     }
 
+    if (updates.status && rejectGroupTransition(res, groupAppointments, updates.status)) {
+      return;
+    }
+
     // Update all appointments in the group
     const updatePromises = groupAppointments.map((appointment) => {
       return Appointment.findByIdAndUpdate(
@@ -2677,11 +2710,21 @@ exports.updateGroupAppointment = async (req, res) => {
             updates.groupSessionName || appointment.groupSessionName,
           maxCapacity: updates.maxCapacity || appointment.maxCapacity,
         },
-        { new: true, runValidators: true }
+        {
+          new: true,
+          runValidators: true,
+          statusChange: { changedBy: req.user._id, source: "staff" },
+        }
       );
     });
 
     const updatedAppointments = await Promise.all(updatePromises);
+    await syncGroupSession(groupSessionId);
+
+    // Completed group sessions each take a session from the patient's package
+    if (updates.status === "completed") {
+      await Promise.all(updatedAppointments.map(useSessionForAppointment));
+    }
 
     res.status(200).json({
       success: true,
@@ -2717,8 +2760,11 @@ exports.cancelGroupAppointment = async (req, res) => {
       });
     }
 
-    // Cancel all appointments in the group
-    const cancelPromises = groupAppointments.map((appointment) => {
+    // Cancel every appointment in the group that is still open
+    const cancellable = groupAppointments.filter((appointment) =>
+      appointment.canTransitionTo("cancelled")
+    );
+    const cancelPromises = cancellable.map((appointment) => {
       return Appointment.findByIdAndUpdate(
         appointment._id,
         {
@@ -2729,11 +2775,24 @@ exports.cancelGroupAppointment = async (req, res) => {
             "payment.status": "refunded",
           }),
         },
-        { new: true }
+        {
+          new: true,
+          statusChange: {
+            changedBy: req.user._id,
+            source: "staff",
+            reason: "Group session cancelled",
+          },
+        }
       );
     });
 
     const cancelledAppointments = await Promise.all(cancelPromises);
+    await syncGroupSession(groupSessionId);
+
+    // The whole group shares one slot, so it is offered once
+    if (cancelledAppointments.length > 0) {
+      offerFreedSlot(cancelledAppointments[0]);
+    }
 
     // Send cancellation emails
     const emailPromises = cancelledAppointments.map(async (appointment) => {
@@ -2798,11 +2857,8 @@ exports.updateGroupAppointmentEnhanced = async (req, res) => {
       groupPaymentStrategy,
     });
 
-    // Find all appointments in this group session
-    const groupAppointments = await Appointment.find({
-      groupSessionId: groupSessionId,
-      isGroupSession: true,
-    });
+    // Children who left the group keep their cancelled appointments as they are
+    const groupAppointments = await findEnrolledAppointments(groupSessionId);
 
     if (groupAppointments.length === 0) {
       return res.status(404).json({
@@ -2811,6 +2867,10 @@ exports.updateGroupAppointmentEnhanced = async (req, res) => {
       });
     }
 
+    if (status && rejectGroupTransition(res, groupAppointments, status)) {
+      return;
+    }
+
     // Update each appointment based on strategy
     const updatePromises = groupAppointments.map(async (appointment) => {
       let updateData = {
@@ -2851,10 +2911,17 @@ exports.updateGroupAppointmentEnhanced = async (req, res) => {
       return Appointment.findByIdAndUpdate(appointment._id, updateData, {
         new: true,
         runValidators: true,
+        statusChange: { changedBy: req.user._id, source: "staff" },
       });
     });
 
     const updatedAppointments = await Promise.all(updatePromises);
+    await syncGroupSession(groupSessionId);
+
+    // Completed group sessions each take a session from the patient's package
+    if (status === "completed") {
+      await Promise.all(updatedAppointments.map(useSessionForAppointment));
+    }
 
     res.status(200).json({
       success: true,
@@ -2898,11 +2965,8 @@ exports.rescheduleGroupAppointment = async (req, res) => {
       });
     }
 
-    // Find all appointments in this group session
-    const groupAppointments = await Appointment.find({
-      groupSessionId: groupSessionId,
-      isGroupSession: true,
-    });
+    // Children who left the group keep their cancelled appointments as they are
+    const groupAppointments = await findEnrolledAppointments(groupSessionId);
 
     if (groupAppointments.length === 0) {
       return res.status(404).json({
@@ -2911,6 +2975,10 @@ exports.rescheduleGroupAppointment = async (req, res) => {
       });
     }
 
+    if (rejectGroupTransition(res, groupAppointments, "scheduled")) {
+      return;
+    }
+
     // Check for conflicts with the new time slot
     const appointmentDate = new Date(date);
     const INACTIVE_STATUSES = [
@@ -2977,10 +3045,12 @@ exports.rescheduleGroupAppointment = async (req, res) => {
       return Appointment.findByIdAndUpdate(appointment._id, updateData, {
         new: true,
         runValidators: true,
+        statusChange: { changedBy: req.user._id, source: "staff", reason },
       }).populate("userId patientId therapistId serviceId assignedBy");
     });
 
     const updatedAppointments = await Promise.all(updatePromises);
+    await syncGroupSession(groupSessionId);
 
     // Send reschedule emails to all patients
     const emailPromises = updatedAppointments.map(async (appointment) => {
@@ -2991,22 +3061,32 @@ exports.rescheduleGroupAppointment = async (req, res) => {
             User.findById(appointment.therapistId),
           ]);
 
-          await sendEmail({
-            to: appointment.email,
-            subject: "Your Group Session Has Been Rescheduled",
-            html: appointmentReschedule({
-              name:
-                appointment.patientName || appointment.fatherName || "Patient",
-              service: service?.name || "Group Session",
+          const serviceName = service?.name || "Group Session";
+          const therapistName = therapist?.fullName || "Therapist";
+          const name = appointment.patientName || appointment.fatherName || "Patient";
+
+          await notify({
+            recipient: { name, email: appointment.email },
+            template: "appointmentReschedule",
+            channels: ["email"],
+            data: {
+              name,
+              service: serviceName,
               date: appointment.date,
               startTime: appointment.startTime,
               endTime: appointment.endTime,
-              therapist: therapist?.fullName || "Therapist",
+              therapist: therapistName,
               reason,
               paymentStatus: appointment.payment.status,
               isGroupSession: true,
               groupSessionName: appointment.groupSessionName,
-            }),
+              calendarEvent: familyEvent(appointment, {
+                service: serviceName,
+                therapist: therapistName,
+              }),
+            },
+            relatedTo: { kind: "Appointment", id: appointment._id },
+            createdBy: req.user._id,
           });
         } catch (emailError) {
           console.error(
@@ -3033,3 +3113,174 @@ exports.rescheduleGroupAppointment = async (req, res) => {
     });
   }
 };
+
+// =======================
+// AVAILABILITY & CONFLICT CHECKING
+// =======================
+// @desc    Get bookable slots for a therapist on a date, derived from working hours
+// @route   GET /api/appointments/available-slots/:therapistId/:date?serviceId=&duration=&interval=&includeUnavailable=
+// @access  Private (Admin, Receptionist, Therapist, Parent)
+exports.getAvailableSlots = async (req, res) => {
+  try {
+    const { therapistId, date } = req.params;
+    const { serviceId, interval, includeUnavailable } = req.query;
+
+    let duration = req.query.duration ? Number(req.query.duration) : undefined;
+    let service = null;
+    if (serviceId) {
+      service = await Service.findById(serviceId).select("name duration price");
+      if (!service) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Service not found!" });
+      }
+      duration = duration || service.duration;
+    }
+
+    const availability = await getTherapistSlots({
+      therapistId,
+      date,
+      duration,
+      interval: interval ? Number(interval) : undefined,
+    });
+
+    const availableSlots = availability.slots.filter((slot) => slot.available);
+
+    res.status(200).json({
+      success: true,
+      count: availableSlots.length,
+      data: {
+        ...availability,
+        service,
+        slots:
+          includeUnavailable === "true" ? availability.slots : availableSlots,
+      },
+    });
+  } catch (error) {
+    console.error("Available slots error:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Check a single slot for therapist/patient availability
+// @route   POST /api/appointments/slot-availability
+// @access  Private (Admin, Receptionist)
+exports.checkSlotAvailability = async (req, res) => {
+  try {
+    const {
+      therapistId,
+      patientId,
+      date,
+      startTime,
+      endTime,
+      groupSessionId,
+      maxCapacity,
+      excludeAppointmentId,
+    } = req.body;
+
+    if (!therapistId || !date || !startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        error: "therapistId, date, startTime and endTime are required",
+      });
+    }
+
+    const { hasConflicts, conflicts } = await checkConflicts(
+      [
+        {
+          therapistId,
+          patientId,
+          date,
+          startTime,
+          endTime,
+          groupSessionId,
+          maxCapacity,
+        },
+      ],
+      { excludeIds: [excludeAppointmentId] }
+    );
+
+    res.status(200).json({
+      success: true,
+      available: !hasConflicts,
+      conflicts,
+    });
+  } catch (error) {
+    console.error("Slot availability error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server Error",
+      message: error.message,
+    });
+  }
+};
+
+// @desc    Report clashes for a batch of proposed appointments before saving them
+// @route   POST /api/appointments/check-conflicts
+// @access  Private (Admin, Receptionist)
+exports.checkAppointmentConflicts = async (req, res) => {
+  try {
+    const {
+      therapistId,
+      patientId,
+      appointments,
+      dates,
+      startTime,
+      endTime,
+      excludeAppointmentIds,
+    } = req.body;
+
+    // Accept either explicit slots or a list of dates sharing one time range,
+    // mirroring the payloads of POST /api/appointments/multiple
+    let slots = [];
+    if (Array.isArray(appointments) && appointments.length > 0) {
+      slots = appointments.map((appointment) => ({
+        therapistId: appointment.therapistId || therapistId,
+        patientId: appointment.patientId || patientId,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        groupSessionId: appointment.groupSessionId,
+        maxCapacity: appointment.maxCapacity,
+      }));
+    } else if (Array.isArray(dates) && dates.length > 0) {
+      slots = dates.map((date) => ({
+        therapistId,
+        patientId,
+        date,
+        startTime,
+        endTime,
+      }));
+    } else {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Provide either 'appointments' with individual slots or 'dates' with 'startTime' and 'endTime'",
+      });
+    }
+
+    const { hasConflicts, conflicts } = await checkConflicts(slots, {
+      excludeIds: Array.isArray(excludeAppointmentIds)
+        ? excludeAppointmentIds
+        : [],
+    });
+
+    res.status(200).json({
+      success: true,
+      hasConflicts,
+      checked: slots.length,
+      count: conflicts.length,
+      data: conflicts,
+    });
+  } catch (error) {
+    console.error("Check conflicts error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server Error",
+      message: error.message,
+    });
+  }
+};
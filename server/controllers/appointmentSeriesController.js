@@ -0,0 +1,595 @@
+const AppointmentSeries = require("../models/AppointmentSeries");
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const Leave = require("../models/Leave");
+const { body, validationResult } = require("express-validator");
+const sendEmail = require("../utils/mailer");
+const ErrorResponse = require("../utils/errorResponse");
+const { seriesUpdate } = require("../emails/seriesUpdate");
+const { checkConflicts } = require("../utils/appointmentConflicts");
+const { rescheduleAppointmentRecord } = require("../utils/appointmentActions");
+const { offerFreedSlot } = require("../services/waitlist");
+const { generateOccurrences } = require("../utils/recurrence");
+const { WEEKDAYS, parseTime, getDayRange, toClinicDateKey } = require("../utils/timeSlots");
+
+// Occurrences in these states can still be moved or cancelled
+const OPEN_STATUSES = ["scheduled", "confirmed"];
+
+const SCOPES = ["this", "following", "all"];
+
+// =======================
+// VALIDATIONS
+// =======================
+exports.validateSeries = [
+  body("patientId").notEmpty().withMessage("Patient is required"),
+  body("serviceId").notEmpty().withMessage("Service is required"),
+  body("therapistId").notEmpty().withMessage("Therapist is required"),
+  body("startDate").isISO8601().withMessage("Valid start date is required"),
+  body("endDate").optional().isISO8601().withMessage("Invalid end date"),
+  body("startTime").notEmpty().withMessage("Start time is required"),
+  body("endTime").notEmpty().withMessage("End time is required"),
+  body("frequency")
+    .optional()
+    .isIn(["daily", "weekly"])
+    .withMessage("Frequency must be daily or weekly"),
+  body("interval").optional().isInt({ min: 1 }),
+  body("occurrences").optional().isInt({ min: 1 }),
+  body("daysOfWeek")
+    .optional()
+    .isArray()
+    .custom((days) => days.every((day) => WEEKDAYS.includes(String(day).toLowerCase())))
+    .withMessage("daysOfWeek must contain weekday names"),
+  body().custom((value) => {
+    if (!value.occurrences && !value.endDate) {
+      throw new Error("Either occurrences or endDate is required");
+    }
+    return true;
+  }),
+];
+
+exports.validateSeriesScope = [
+  body("scope")
+    .isIn(SCOPES)
+    .withMessage("Scope must be this, following or all"),
+  body("appointmentId")
+    .if(body("scope").isIn(["this", "following"]))
+    .notEmpty()
+    .withMessage("appointmentId is required for this scope"),
+];
+
+// =======================
+// HELPERS
+// =======================
+const buildRecurrence = (input) => ({
+  frequency: input.frequency || "weekly",
+  interval: Number(input.interval) || 1,
+  daysOfWeek: (input.daysOfWeek || []).map((day) => day.toLowerCase()),
+  startDate: input.startDate,
+  endDate: input.endDate || undefined,
+  occurrences: input.occurrences ? Number(input.occurrences) : undefined,
+  startTime: input.startTime,
+  endTime: input.endTime,
+  skipHolidays: input.skipHolidays !== undefined ? Boolean(input.skipHolidays) : true,
+});
+
+/**
+ * Expand a recurrence into concrete dates and check them against the calendar.
+ *
+ * With `skipHolidays`, days covered by a full-day clinic closure or therapist
+ * leave are left out instead of being reported as conflicts.
+ */
+const planOccurrences = async ({ recurrence, therapistId, patientId }) => {
+  if (parseTime(recurrence.startTime) === null || parseTime(recurrence.endTime) === null) {
+    throw new ErrorResponse("startTime and endTime must be in 'hh:mm AM/PM' format", 400);
+  }
+
+  const blockedDays = new Map();
+  if (recurrence.skipHolidays) {
+    const from = getDayRange(recurrence.startDate).start;
+    const leaves = await Leave.findOverlapping(therapistId, from, new Date("9999-12-31"));
+
+    leaves
+      .filter((leave) => leave.isFullDay)
+      .forEach((leave) => {
+        const reason =
+          leave.scope === "clinic"
+            ? `Clinic closed${leave.reason ? ` (${leave.reason})` : ""}`
+            : `Therapist on ${leave.type}`;
+        // Leave dates are stored at the clinic's midnight, so walk clinic days
+        let cursor = getDayRange(leave.startDate).start;
+        while (cursor <= leave.endDate) {
+          const key = toClinicDateKey(cursor);
+          if (!blockedDays.has(key)) blockedDays.set(key, reason);
+          cursor = new Date(getDayRange(cursor).end.getTime() + 1);
+        }
+      });
+  }
+
+  const { dates, skipped } = generateOccurrences(recurrence, {
+    isSkipped: (dateKey) => blockedDays.get(dateKey) || null,
+  });
+
+  if (dates.length === 0) {
+    throw new ErrorResponse("The recurrence rule does not produce any sessions", 400);
+  }
+
+  const { hasConflicts, conflicts } = await checkConflicts(
+    dates.map((date) => ({
+      therapistId,
+      patientId,
+      date,
+      startTime: recurrence.startTime,
+      endTime: recurrence.endTime,
+    }))
+  );
+
+  return { dates, skipped, hasConflicts, conflicts };
+};
+
+/**
+ * Resolve the occurrences an edit applies to: one appointment, that one and
+ * every later one, or the whole series. Only open occurrences are returned.
+ */
+const findTargets = async (series, { scope, appointmentId }) => {
+  const query = { seriesId: series._id, status: { $in: OPEN_STATUSES } };
+
+  if (scope !== "all") {
+    const anchor = await Appointment.findOne({ _id: appointmentId, seriesId: series._id });
+    if (!anchor) {
+      throw new ErrorResponse("Appointment does not belong to this series", 404);
+    }
+    if (!OPEN_STATUSES.includes(anchor.status)) {
+      throw new ErrorResponse(`Appointment is already ${anchor.status}`, 400);
+    }
+    if (scope === "this") {
+      return [anchor];
+    }
+    query.date = { $gte: anchor.date };
+  }
+
+  return Appointment.find(query).sort({ date: 1 });
+};
+
+/**
+ * Move or reassign several occurrences at once. The whole batch is checked up
+ * front so a clash on one date leaves the series untouched.
+ */
+const updateOccurrences = async (targets, { startTime, endTime, therapistId, reason }) => {
+  const slots = targets.map((apt) => ({
+    therapistId: therapistId || apt.therapistId,
+    patientId: apt.patientId,
+    date: apt.date,
+    startTime: startTime || apt.startTime,
+    endTime: endTime || apt.endTime,
+  }));
+
+  const { hasConflicts, conflicts } = await checkConflicts(slots, {
+    excludeIds: targets.map((apt) => apt._id),
+  });
+  if (hasConflicts) {
+    const error = new ErrorResponse(
+      `${new Set(conflicts.map((c) => c.slotIndex)).size} session(s) in this series clash with the calendar`,
+      400
+    );
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  const updated = [];
+  for (const [index, appointment] of targets.entries()) {
+    updated.push(
+      await rescheduleAppointmentRecord(appointment, {
+        ...slots[index],
+        reason,
+        notifyPatient: false,
+      })
+    );
+  }
+  return updated;
+};
+
+const notifySeriesChange = async (series, { heading, summary, appointments }) => {
+  if (!series.email || appointments.length === 0) return;
+
+  const [service, therapist] = await Promise.all([
+    Service.findById(series.serviceId),
+    User.findById(series.therapistId),
+  ]);
+
+  try {
+    await sendEmail({
+      to: series.email,
+      subject: heading,
+      html: seriesUpdate({
+        name: series.patientName || series.fatherName || "User",
+        heading,
+        summary,
+        service: service?.name || "Service",
+        therapist: therapist?.fullName || "Therapist",
+        appointments,
+      }),
+    });
+  } catch (err) {
+    console.error("Failed to send series update email:", err.message);
+  }
+};
+
+const sendError = (res, err, fallback) => {
+  if (!err.statusCode) {
+    console.error(`${fallback}:`, err);
+  }
+  return res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : "Server Error",
+    ...(err.conflicts && { conflicts: err.conflicts }),
+  });
+};
+
+const loadSeriesContext = async (req) => {
+  const [patient, service, therapist] = await Promise.all([
+    Patient.findById(req.body.patientId),
+    Service.findById(req.body.serviceId),
+    User.findById(req.body.therapistId),
+  ]);
+
+  if (!patient) throw new ErrorResponse("Patient not found!", 404);
+  if (!service) throw new ErrorResponse("Service not found!", 404);
+  if (!therapist || therapist.role !== "therapist") {
+    throw new ErrorResponse("Therapist not found!", 404);
+  }
+
+  return { patient, service, therapist };
+};
+
+// =======================
+// SERIES MANAGEMENT
+// =======================
+// @desc    Preview the sessions a recurrence rule would create
+// @route   POST /api/appointments/series/preview
+// @access  Private (Admin, Receptionist)
+exports.previewSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    await loadSeriesContext(req);
+
+    const plan = await planOccurrences({
+      recurrence: buildRecurrence(req.body),
+      therapistId: req.body.therapistId,
+      patientId: req.body.patientId,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: plan.dates.length,
+      data: {
+        dates: plan.dates,
+        skipped: plan.skipped,
+        hasConflicts: plan.hasConflicts,
+        conflicts: plan.conflicts,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, "Preview series error");
+  }
+};
+
+// @desc    Create a recurring appointment series
+// @route   POST /api/appointments/series
+// @access  Private (Admin, Receptionist)
+exports.createSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { patient } = await loadSeriesContext(req);
+    const { therapistId, serviceId, type, consultationMode, notes, paymentAmount, paymentMethod } =
+      req.body;
+
+    const recurrence = buildRecurrence(req.body);
+    const plan = await planOccurrences({
+      recurrence,
+      therapistId,
+      patientId: patient._id,
+    });
+
+    if (plan.hasConflicts) {
+      return res.status(400).json({
+        success: false,
+        error: "Some sessions in this series clash with existing appointments",
+        conflicts: plan.conflicts,
+        skipped: plan.skipped,
+      });
+    }
+
+    const series = await AppointmentSeries.create({
+      patientId: patient._id,
+      patientName: `${patient.firstName} ${patient.lastName}`.trim(),
+      fatherName: patient.parentInfo?.name,
+      email: req.body.email || patient.parentInfo?.email,
+      phone: req.body.phone || patient.parentInfo?.phone,
+      serviceId,
+      therapistId,
+      type: type || "therapy session",
+      consultationMode: consultationMode || "in-person",
+      recurrence,
+      skippedDates: plan.skipped,
+      payment: {
+        amount: paymentAmount || 0,
+        method: paymentMethod || "not_specified",
+      },
+      notes: notes || "",
+      createdBy: req.user._id,
+    });
+
+    const appointments = await Appointment.insertMany(
+      plan.dates.map((date, index) => ({
+        userId: req.user._id,
+        patientId: patient._id,
+        patientName: series.patientName,
+        fatherName: series.fatherName,
+        email: series.email,
+        phone: series.phone,
+        serviceId,
+        therapistId,
+        date: new Date(date),
+        startTime: recurrence.startTime,
+        endTime: recurrence.endTime,
+        type: series.type,
+        consultationMode: series.consultationMode,
+        notes: series.notes,
+        payment: {
+          amount: series.payment.amount,
+          method: series.payment.method,
+          status: "pending",
+        },
+        totalSessions: plan.dates.length,
+        status: "scheduled",
+        seriesId: series._id,
+        seriesIndex: index + 1,
+        assignedBy: req.user._id,
+        assignedAt: new Date(),
+        createdBy: req.user._id,
+      }))
+    );
+
+    await notifySeriesChange(series, {
+      heading: "Your Appointment Series Has Been Scheduled",
+      summary: `${appointments.length} sessions have been booked for ${series.patientName}.`,
+      appointments,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${appointments.length} appointments created`,
+      data: {
+        series,
+        appointments,
+        skipped: plan.skipped,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, "Create series error");
+  }
+};
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getSeries = async (req, res) => {
+  try {
+    const series = await AppointmentSeries.findById(req.params.seriesId)
+      .populate("therapistId", "firstName lastName email")
+      .populate("serviceId", "name duration price")
+      .populate("patientId", "firstName lastName")
+      .populate({
+        path: "appointments",
+        options: { sort: { date: 1 } },
+        select: "date startTime endTime status therapistId seriesIndex payment.status",
+      });
+
+    if (!series) {
+      return res.status(404).json({ success: false, error: "Series not found" });
+    }
+
+    res.status(200).json({ success: true, data: series });
+  } catch (err) {
+    sendError(res, err, "Get series error");
+  }
+};
+
+// @desc    Reschedule this, this and following, or all sessions of a series
+// @route   PUT /api/appointments/series/:seriesId/reschedule
+// @access  Private (Admin, Receptionist)
+//
+// "this" may move the session to another date; wider scopes keep each
+// session's date and change its time (and optionally the therapist).
+exports.rescheduleSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { scope, appointmentId, date, startTime, endTime, therapistId, reason } = req.body;
+
+    if (!startTime || !endTime) {
+      return res.status(400).json({
+        success: false,
+        error: "startTime and endTime are required",
+      });
+    }
+
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ success: false, error: "Series not found" });
+    }
+
+    const targets = await findTargets(series, { scope, appointmentId });
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No upcoming sessions left to reschedule",
+      });
+    }
+
+    let updated;
+    if (scope === "this") {
+      updated = [
+        await rescheduleAppointmentRecord(targets[0], {
+          date: date || targets[0].date,
+          startTime,
+          endTime,
+          therapistId,
+          reason,
+        }),
+      ];
+    } else {
+      updated = await updateOccurrences(targets, { startTime, endTime, therapistId, reason });
+
+      series.recurrence.startTime = startTime;
+      series.recurrence.endTime = endTime;
+      if (therapistId) series.therapistId = therapistId;
+      await series.save();
+
+      await notifySeriesChange(series, {
+        heading: "Your Appointment Series Has Been Rescheduled",
+        summary: `${updated.length} upcoming sessions now run from ${startTime} to ${endTime}.${
+          reason ? ` Reason: ${reason}` : ""
+        }`,
+        appointments: updated,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} appointment(s) rescheduled`,
+      data: updated,
+    });
+  } catch (err) {
+    sendError(res, err, "Reschedule series error");
+  }
+};
+
+// @desc    Change the therapist for this, this and following, or all sessions
+// @route   PUT /api/appointments/series/:seriesId/therapist
+// @access  Private (Admin, Receptionist)
+exports.changeSeriesTherapist = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { scope, appointmentId, therapistId, reason } = req.body;
+
+    const therapist = await User.findById(therapistId);
+    if (!therapist || therapist.role !== "therapist") {
+      return res.status(404).json({ success: false, error: "Therapist not found!" });
+    }
+
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ success: false, error: "Series not found" });
+    }
+
+    const targets = await findTargets(series, { scope, appointmentId });
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No upcoming sessions left to reassign",
+      });
+    }
+
+    const updated = await updateOccurrences(targets, {
+      therapistId,
+      reason: reason || "Therapist changed",
+    });
+
+    if (scope !== "this") {
+      series.therapistId = therapistId;
+      await series.save();
+    }
+
+    await notifySeriesChange(series, {
+      heading: "Your Therapist Has Changed",
+      summary: `${therapist.fullName} will now take ${updated.length} of your upcoming sessions.`,
+      appointments: updated,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${updated.length} appointment(s) reassigned`,
+      data: updated,
+    });
+  } catch (err) {
+    sendError(res, err, "Change series therapist error");
+  }
+};
+
+// @desc    Cancel this, this and following, or all sessions of a series
+// @route   PUT /api/appointments/series/:seriesId/cancel
+// @access  Private (Admin, Receptionist)
+exports.cancelSeries = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  try {
+    const { scope, appointmentId, reason } = req.body;
+
+    const series = await AppointmentSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({ success: false, error: "Series not found" });
+    }
+
+    const targets = await findTargets(series, { scope, appointmentId });
+
+    const cancelled = [];
+    for (const appointment of targets) {
+      if (appointment.payment?.status === "paid") {
+        appointment.payment.status = "refunded";
+      }
+      cancelled.push(
+        await appointment.cancel(reason || "Series cancelled", {
+          changedBy: req.user._id,
+        })
+      );
+      offerFreedSlot(appointment);
+    }
+
+    // Nothing left open means the series itself is over
+    const remaining = await Appointment.countDocuments({
+      seriesId: series._id,
+      status: { $in: OPEN_STATUSES },
+    });
+    if (remaining === 0) {
+      series.status = "cancelled";
+      await series.save();
+    }
+
+    await notifySeriesChange(series, {
+      heading: "Appointments Cancelled",
+      summary: `${cancelled.length} session(s) for ${series.patientName} have been cancelled.${
+        reason ? ` Reason: ${reason}` : ""
+      }`,
+      appointments: cancelled,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${cancelled.length} appointment(s) cancelled`,
+      data: cancelled,
+    });
+  } catch (err) {
+    sendError(res, err, "Cancel series error");
+  }
+};
@@ -0,0 +1,177 @@
+const Appointment = require("../models/Appointment");
+const AttendanceSweep = require("../models/AttendanceSweep");
+const { check } = require("express-validator");
+const { runAttendanceSweep } = require("../cron/attendanceSweep");
+const { useSessionForAppointment } = require("../services/sessionPackages");
+const { applyCancellationFee } = require("../services/cancellationFees");
+
+// Appointments the sweep can flag and staff can still close
+const OPEN_STATUSES = ["scheduled", "confirmed", "in-progress"];
+
+// Validation rules
+exports.resolveReviewValidation = [
+  check("outcome", "Outcome must be completed or no-show").isIn(["completed", "no-show"]),
+  check("reason", "Reason must be text").optional().isString().trim(),
+];
+
+// @desc    Get sessions the sweep flagged as likely no-shows
+// @route   GET /api/attendance-review?therapistId=
+// @access  Private (Admin, Receptionist)
+exports.getReviewQueue = async (req, res, next) => {
+  try {
+    const query = {
+      "attendanceReview.status": "pending",
+      status: { $in: OPEN_STATUSES },
+    };
+    if (req.query.therapistId) query.therapistId = req.query.therapistId;
+
+    const appointments = await Appointment.find(query)
+      .select(
+        "patientId patientName phone therapistId serviceId date startTime endTime status attendanceReview"
+      )
+      .populate("therapistId", "firstName lastName")
+      .populate("serviceId", "name")
+      .sort({ date: 1, startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Record whether a flagged session happened
+// @route   POST /api/attendance-review/:id/resolve
+// @access  Private (Admin, Receptionist)
+exports.resolveReview = async (req, res) => {
+  try {
+    const { outcome, reason } = req.body;
+
+    const appointment = await Appointment.findOne({
+      _id: req.params.id,
+      "attendanceReview.status": "pending",
+    });
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: "No pending attendance review for this appointment",
+      });
+    }
+
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `This appointment has already been marked ${appointment.status}`,
+      });
+    }
+
+    appointment.transitionTo(outcome, {
+      changedBy: req.user._id,
+      source: "staff",
+      reason: reason || `Marked ${outcome} from the attendance review`,
+    });
+    appointment.attendanceReview.status = "resolved";
+    appointment.attendanceReview.resolution = outcome;
+    appointment.attendanceReview.resolvedAt = new Date();
+    appointment.attendanceReview.resolvedBy = req.user._id;
+    await appointment.save();
+
+    const packageUsage =
+      outcome === "completed" ? await useSessionForAppointment(appointment) : null;
+    const fee = outcome === "no-show" ? await applyCancellationFee(appointment) : null;
+
+    res.status(200).json({
+      success: true,
+      message: `Appointment marked ${outcome}`,
+      data: appointment,
+      ...(packageUsage && {
+        package: {
+          _id: packageUsage.package._id,
+          name: packageUsage.package.name,
+          sessionsRemaining: packageUsage.sessionsRemaining,
+        },
+      }),
+      ...(fee && { cancellationFee: fee }),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Get attendance sweep reports
+// @route   GET /api/attendance-review/sweeps?from=&to=&limit=
+// @access  Private (Admin, Receptionist)
+exports.getSweepReports = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.from || req.query.to) {
+      query.startedAt = {};
+      if (req.query.from) query.startedAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.startedAt.$lte = new Date(req.query.to);
+    }
+
+    const reports = await AttendanceSweep.find(query)
+      .populate("triggeredBy", "firstName lastName")
+      .sort({ startedAt: -1 })
+      .limit(Number(req.query.limit) || 50);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get one attendance sweep report
+// @route   GET /api/attendance-review/sweeps/:id
+// @access  Private (Admin, Receptionist)
+exports.getSweepReport = async (req, res, next) => {
+  try {
+    const report = await AttendanceSweep.findById(req.params.id)
+      .populate("triggeredBy", "firstName lastName")
+      .populate("completed.therapistId flagged.therapistId", "firstName lastName");
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: "Sweep report not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Run the attendance sweep now
+// @route   POST /api/attendance-review/sweeps
+// @access  Private/Admin
+exports.runSweep = async (req, res, next) => {
+  try {
+    const report = await runAttendanceSweep({
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${report.completed.length} completed, ${report.flagged.length} flagged for review`,
+      data: report,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
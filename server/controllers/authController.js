@@ -1,6 +1,33 @@
 const User = require("../models/User");
-const { generateToken } = require("../config/jwt");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
+const { getRolePermissions } = require("../utils/permissions");
 const { body, check, validationResult } = require("express-validator");
+const sendEmail = require("../utils/mailer");
+const clientUrl = require("../utils/clientUrl");
+const { passwordReset } = require("../emails/passwordReset");
+const { emailVerification } = require("../emails/emailVerification");
+
+/**
+ * Issue a fresh verification token and email the link to the user
+ */
+const sendVerificationEmail = async (user) => {
+  const token = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your 8 Senses email address",
+    html: emailVerification({
+      name: user.firstName || "User",
+      verifyUrl: `${clientUrl()}/verify-email/${token}`,
+    }),
+  });
+};
 
 // ==============================
 // Validation Schemas
@@ -30,6 +57,20 @@ exports.updateProfileValidation = [
   check("phone").optional().isMobilePhone(),
 ];
 
+exports.refreshValidation = [
+  check("refreshToken", "Refresh token is required").notEmpty(),
+];
+
+exports.forgotPasswordValidation = [
+  check("email", "Please include a valid email").isEmail(),
+];
+
+exports.resetPasswordValidation = [
+  check("password", "Password must be at least 6 characters").isLength({
+    min: 6,
+  }),
+];
+
 exports.changePasswordValidation = [
   check("currentPassword", "Current password is required").notEmpty(),
   check("newPassword", "New password must be at least 6 characters").isLength({
@@ -78,12 +119,24 @@ exports.register = async (req, res, next) => {
       designation,
     });
 
-    // Create token
-    const token = generateToken(user._id);
+    // Registration still succeeds if the mail server is down; the user can resend
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      verificationEmailSent = false;
+      console.error("Failed to send verification email:", err.message);
+    }
+
+    // Create tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      verificationEmailSent,
       user: {
         id: user._id,
         email: user.email,
@@ -92,6 +145,7 @@ exports.register = async (req, res, next) => {
         role: user.role,
         designation: user.designation,
         membership: user.membership,
+        isEmailVerified: user.isEmailVerified,
       },
     });
   } catch (err) {
@@ -125,12 +179,14 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Create token
-    const token = generateToken(user._id);
+    // Create tokens
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
+      refreshTokenExpiresAt,
       user: {
         id: user._id,
         email: user.email,
@@ -138,6 +194,7 @@ exports.login = async (req, res, next) => {
         lastName: user.lastName,
         role: user.role,
         membership: user.membership,
+        isEmailVerified: user.isEmailVerified,
       },
     });
   } catch (err) {
@@ -145,7 +202,7 @@ exports.login = async (req, res, next) => {
   }
 };
 
-// @desc    Get current logged in user
+// @desc    Get current logged in user and the permissions their role holds
 // @route   GET /api/auth/me
 // @access  Private
 exports.getMe = async (req, res, next) => {
@@ -155,6 +212,7 @@ exports.getMe = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: user,
+      permissions: await getRolePermissions(user.role),
     });
   } catch (err) {
     next(err);
@@ -183,11 +241,26 @@ exports.updateProfile = async (req, res, next) => {
       address: req.body.address,
     };
 
+    // A new address has to be verified again
+    const emailChanged = req.body.email && req.body.email !== req.user.email;
+    if (emailChanged) {
+      fieldsToUpdate.isEmailVerified = false;
+      fieldsToUpdate.emailVerifiedAt = null;
+    }
+
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true,
     });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (err) {
+        console.error("Failed to send verification email:", err.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -224,21 +297,257 @@ exports.changePassword = async (req, res, next) => {
     user.password = req.body.newPassword;
     await user.save();
 
+    // Sign out every other device; this one gets a fresh session
+    user.tokenVersion = await revokeAllSessions(user._id, "password changed");
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user, req);
+
     res.status(200).json({
       success: true,
       message: "Password updated successfully",
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
     });
   } catch (err) {
     next(err);
   }
 };
 
-// @desc    Logout user / clear cookie
+// @desc    Logout user / revoke the current session
 // @route   POST /api/auth/logout
 // @access  Private
 exports.logout = async (req, res, next) => {
-  res.status(200).json({
-    success: true,
-    message: "Logged out successfully",
-  });
+  try {
+    await revokeSession({
+      userId: req.user._id,
+      sessionId: req.sessionId,
+      refreshToken: req.body?.refreshToken,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id, "logout all");
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const { token, refreshToken, refreshTokenExpiresAt } = await rotateRefreshToken(
+      req.body.refreshToken,
+      req
+    );
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+    });
+  } catch (err) {
+    if (err.statusCode === 401) {
+      return res.status(401).json({
+        success: false,
+        error: err.message,
+      });
+    }
+    next(err);
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for that email, a reset link has been sent",
+    };
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Reset your 8 Senses password",
+        html: passwordReset({
+          name: user.firstName || "User",
+          resetUrl: `${clientUrl()}/reset-password/${resetToken}`,
+          expiresInMinutes: 30,
+        }),
+      });
+    } catch (err) {
+      console.error("Failed to send password reset email:", err.message);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   PUT /api/auth/reset-password/:resettoken
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashToken(req.params.resettoken),
+      resetPasswordExpire: { $gt: Date.now() },
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: "Reset link is invalid or has expired",
+      });
+    }
+
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+
+    // Following the emailed link proves the address belongs to the user
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    user.tokenVersion = await revokeAllSessions(user._id, "password reset");
+    const { token, refreshToken, refreshTokenExpiresAt } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset",
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Verify an email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.params.token),
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Verification link is invalid or has expired",
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Resend the verification email to the logged in user
+// @route   POST /api/auth/resend-verification
+// @access  Private
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is already verified",
+      });
+    }
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        error: "No email address on this account",
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error("Failed to send verification email:", err.message);
+      return res.status(500).json({
+        success: false,
+        error: "Email could not be sent",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (err) {
+    next(err);
+  }
 };
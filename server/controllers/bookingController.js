@@ -0,0 +1,107 @@
+const { check } = require("express-validator");
+const {
+  getBookableSlots,
+  requestBooking,
+  resendVerificationCode,
+  verifyBooking,
+} = require("../services/onlineBooking");
+
+// Validation rules
+exports.bookingRequestValidation = [
+  check("serviceId", "Service is required").isMongoId(),
+  check("therapistId", "Therapist is required").isMongoId(),
+  check("date", "Date must be in YYYY-MM-DD format").matches(/^\d{4}-\d{2}-\d{2}$/),
+  check("startTime", "Start time is required").notEmpty(),
+  check("childName", "Child's name is required").trim().notEmpty(),
+  check("childAge", "Child's age must be 1-30").isInt({ min: 1, max: 30 }),
+  check("motherName", "Mother's name is required").trim().notEmpty(),
+  check("fatherName", "Father's name is required").trim().notEmpty(),
+  check("email", "Valid email is required").isEmail(),
+  check("phone", "Valid phone number is required").matches(/^\+?\d{10,15}$/),
+  check("consultationMode", "Consultation mode must be in-person, video-call or phone")
+    .optional()
+    .isIn(["in-person", "video-call", "phone"]),
+  check("notes", "Notes must be text").optional().isString(),
+];
+
+exports.verifyBookingValidation = [
+  check("code", "Enter the 6-digit code we sent you").matches(/^\d{6}$/),
+];
+
+const sendError = (res, err) =>
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : "Server Error",
+  });
+
+// @desc    Free slots for a service on a day, per therapist
+// @route   GET /api/booking/availability?serviceId=&date=&therapistId=
+// @access  Public
+exports.getBookingAvailability = async (req, res) => {
+  try {
+    const { serviceId, date, therapistId } = req.query;
+    if (!serviceId) {
+      return res.status(400).json({ success: false, error: "Service is required" });
+    }
+
+    const availability = await getBookableSlots({ serviceId, date, therapistId });
+
+    res.status(200).json({
+      success: true,
+      data: availability,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Hold a slot and text a verification code to the family's phone
+// @route   POST /api/booking/requests
+// @access  Public
+exports.createBookingRequest = async (req, res) => {
+  try {
+    const request = await requestBooking(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `We have sent a code to ${request.phone}. Enter it to confirm your booking request.`,
+      data: request,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Send another verification code
+// @route   POST /api/booking/requests/:id/resend-code
+// @access  Public
+exports.resendBookingCode = async (req, res) => {
+  try {
+    const request = await resendVerificationCode(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `We have sent a new code to ${request.phone}`,
+      data: request,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Verify the family's phone and pass the request to the front desk
+// @route   POST /api/booking/requests/:id/verify
+// @access  Public
+exports.verifyBookingRequest = async (req, res) => {
+  try {
+    const request = await verifyBooking(req.params.id, req.body.code);
+
+    res.status(200).json({
+      success: true,
+      message: "Booking request received! Our team will confirm your appointment soon.",
+      data: request,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
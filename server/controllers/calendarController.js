@@ -0,0 +1,69 @@
+const {
+  findFeedOwner,
+  issueFeedToken,
+  revokeFeedToken,
+  buildFeed,
+} = require("../services/calendarFeeds");
+
+// Calendar apps fetch feeds from the API itself; API_URL is its public address
+const apiUrl = (req) =>
+  (process.env.API_URL || `${req.protocol}://${req.get("host")}`).replace(/\/$/, "");
+
+// @desc    Subscribe to a therapist's or parent's appointments
+// @route   GET /api/calendar/feeds/:token.ics
+// @access  Public (the token is the credential)
+exports.getFeed = async (req, res) => {
+  try {
+    const user = await findFeedOwner(req.params.token);
+    const calendar = await buildFeed(user);
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.status(200).send(calendar);
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Create the logged-in user's calendar feed URL, replacing any earlier one
+// @route   POST /api/calendar/feed
+// @access  Private (Therapist, Parent)
+exports.createFeed = async (req, res) => {
+  try {
+    const token = await issueFeedToken(req.user._id);
+    const url = `${apiUrl(req)}/api/calendar/feeds/${token}.ics`;
+
+    res.status(201).json({
+      success: true,
+      message: "Add this URL to your calendar app. It is only shown once; keep it private.",
+      data: {
+        url,
+        webcalUrl: url.replace(/^https?:/, "webcal:"),
+      },
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Turn off the logged-in user's calendar feed
+// @route   DELETE /api/calendar/feed
+// @access  Private (Therapist, Parent)
+exports.deleteFeed = async (req, res, next) => {
+  try {
+    await revokeFeedToken(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Calendar feed turned off",
+    });
+  } catch (err) {
+    next(err);
+  }
+};
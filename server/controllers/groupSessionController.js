@@ -0,0 +1,203 @@
+const GroupSession = require("../models/GroupSession");
+const ErrorResponse = require("../utils/errorResponse");
+const { check } = require("express-validator");
+const {
+  loadGroupSession,
+  joinGroupSession,
+  leaveGroupSession,
+  markAttendance,
+  setParticipantCharge,
+  describeGroupSession,
+} = require("../services/groupSessions");
+
+// Validation rules
+exports.joinGroupSessionValidation = [
+  check("patientId", "Patient is required").isMongoId(),
+  check("amount", "Amount must be zero or more").optional().isFloat({ min: 0 }),
+  check("paymentMethod", "Payment method must be cash, upi or not_specified")
+    .optional()
+    .isIn(["cash", "upi", "not_specified"]),
+];
+
+exports.leaveGroupSessionValidation = [
+  check("reason", "Reason must be text").optional().isString().trim(),
+  check("chargeFee", "chargeFee must be true or false").optional().isBoolean().toBoolean(),
+];
+
+exports.markAttendanceValidation = [
+  check("records", "Attendance records are required").isArray({ min: 1 }),
+  check("records.*.patientId", "Invalid patient").isMongoId(),
+  check("records.*.attendance", "Attendance must be present or absent").isIn([
+    "present",
+    "absent",
+  ]),
+];
+
+exports.setChargeValidation = [
+  check("amount", "Amount must be zero or more").isFloat({ min: 0 }),
+  check("method", "Payment method must be cash, upi or not_specified")
+    .optional()
+    .isIn(["cash", "upi", "not_specified"]),
+];
+
+const sendError = (res, err) =>
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : "Server Error",
+    ...(err.conflicts && { conflicts: err.conflicts }),
+  });
+
+// Therapists only see their own group sessions
+const loadVisibleSession = async (req) => {
+  const session = await loadGroupSession(req.params.id);
+  if (
+    req.user.role === "therapist" &&
+    session.therapistId.toString() !== req.user._id.toString()
+  ) {
+    throw new ErrorResponse("Group session not found", 404);
+  }
+  return session;
+};
+
+// @desc    Get group sessions with their rosters
+// @route   GET /api/group-sessions?from=&to=&therapistId=&status=
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getGroupSessions = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.from || req.query.to) {
+      query.date = {};
+      if (req.query.from) query.date.$gte = new Date(req.query.from);
+      if (req.query.to) query.date.$lte = new Date(req.query.to);
+    }
+    if (req.user.role === "therapist") {
+      query.therapistId = req.user._id;
+    } else if (req.query.therapistId) {
+      query.therapistId = req.query.therapistId;
+    }
+
+    if (req.query.status) query.status = req.query.status;
+    const sessions = await GroupSession.find(query)
+      .populate("therapistId", "firstName lastName")
+      .populate("serviceId", "name price duration")
+      .sort({ date: 1, startTime: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get a group session with each child's attendance and balance
+// @route   GET /api/group-sessions/:id
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getGroupSession = async (req, res) => {
+  try {
+    const session = await loadVisibleSession(req);
+    await session.populate([
+      { path: "therapistId", select: "firstName lastName" },
+      { path: "serviceId", select: "name price duration" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: await describeGroupSession(session),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Add a child to a group session
+// @route   POST /api/group-sessions/:id/participants
+// @access  Private (Admin, Receptionist)
+exports.joinGroupSession = async (req, res) => {
+  try {
+    const { session, appointment } = await joinGroupSession(req.params.id, req.body, {
+      addedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${appointment.patientName} added to ${session.name}`,
+      data: {
+        session,
+        appointment,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Take a child off a group session's roster
+// @route   DELETE /api/group-sessions/:id/participants/:patientId
+// @access  Private (Admin, Receptionist)
+exports.leaveGroupSession = async (req, res) => {
+  try {
+    const { session, fee } = await leaveGroupSession(req.params.id, req.params.patientId, {
+      reason: req.body.reason,
+      changedBy: req.user._id,
+      // The family asked to leave, so a late cancellation fee applies
+      chargeFee: req.body.chargeFee === true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: fee
+        ? `Child removed from the group session. A ${fee.label.toLowerCase()} of ₹${fee.amount} applies.`
+        : "Child removed from the group session",
+      data: session,
+      ...(fee && { cancellationFee: fee }),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Mark which children attended a group session
+// @route   POST /api/group-sessions/:id/attendance
+// @access  Private (Admin, Receptionist, Therapist)
+exports.markAttendance = async (req, res) => {
+  try {
+    await loadVisibleSession(req);
+    const { results } = await markAttendance(req.params.id, req.body.records, {
+      changedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Attendance recorded for ${results.length} child(ren)`,
+      data: results,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Set what one child is charged for a group session
+// @route   PUT /api/group-sessions/:id/participants/:patientId/charge
+// @access  Private (Admin, Receptionist)
+exports.setParticipantCharge = async (req, res) => {
+  try {
+    const appointment = await setParticipantCharge(req.params.id, req.params.patientId, {
+      amount: Number(req.body.amount),
+      method: req.body.method,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        appointmentId: appointment._id,
+        patientName: appointment.patientName,
+        payment: appointment.payment,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,199 @@
+const Invoice = require("../models/Invoice");
+const { check } = require("express-validator");
+const { getDayRange } = require("../utils/timeSlots");
+const { issueInvoice, cancelInvoice } = require("../services/invoices");
+const {
+  renderInvoicePdf,
+  pdfFileName,
+  emailBillingDocument,
+} = require("../services/billingDocuments");
+
+// Validation rules
+exports.createInvoiceValidation = [
+  check("patientId", "Patient is required").isMongoId(),
+  check("appointmentIds", "Select at least one appointment").isArray({ min: 1 }),
+  check("appointmentIds.*", "Invalid appointment").isMongoId(),
+];
+
+exports.cancelInvoiceValidation = [
+  check("reason", "Reason is required").trim().notEmpty(),
+];
+
+exports.emailInvoiceValidation = [
+  check("email", "Please include a valid email").optional().isEmail(),
+];
+
+// @desc    Get invoices
+// @route   GET /api/invoices?patientId=&from=&to=&status=
+// @access  Private (Admin, Receptionist)
+exports.getInvoices = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.patientId) query.patientId = req.query.patientId;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      query.issuedAt = {};
+      if (req.query.from) query.issuedAt.$gte = getDayRange(req.query.from).start;
+      if (req.query.to) query.issuedAt.$lte = getDayRange(req.query.to).end;
+    }
+
+    const invoices = await Invoice.find(query)
+      .populate("issuedBy", "firstName lastName")
+      .sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invoices.length,
+      data: invoices,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single invoice
+// @route   GET /api/invoices/:id
+// @access  Private (Admin, Receptionist)
+exports.getInvoice = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id)
+      .populate("issuedBy cancelledBy", "firstName lastName")
+      .populate("items.appointmentId", "date startTime status payment");
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Issue a GST invoice for a patient's appointments
+// @route   POST /api/invoices
+// @access  Private (Admin, Receptionist)
+exports.createInvoice = async (req, res) => {
+  try {
+    const invoice = await issueInvoice({
+      patientId: req.body.patientId,
+      appointmentIds: req.body.appointmentIds,
+      notes: req.body.notes,
+      issuedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Cancel an invoice issued in error
+// @route   POST /api/invoices/:id/cancel
+// @access  Private (Admin, Receptionist)
+exports.cancelInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found",
+      });
+    }
+
+    await cancelInvoice(invoice, { reason: req.body.reason, cancelledBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: invoice,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Download an invoice as PDF
+// @route   GET /api/invoices/:id/pdf
+// @access  Private (Admin, Receptionist)
+exports.downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found",
+      });
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${pdfFileName(invoice.invoiceNumber)}"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Email an invoice PDF to the family (or to `email`)
+// @route   POST /api/invoices/:id/email
+// @access  Private (Admin, Receptionist)
+exports.emailInvoice = async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: "Invoice not found",
+      });
+    }
+
+    if (invoice.status === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        error: "A cancelled invoice cannot be sent",
+      });
+    }
+
+    const to = req.body.email || invoice.billTo?.email;
+    await emailBillingDocument({
+      to,
+      name: invoice.billTo?.name,
+      patientName: invoice.patientName,
+      documentType: invoice.taxTotal > 0 ? "Tax Invoice" : "Invoice",
+      documentNumber: invoice.invoiceNumber,
+      amount: invoice.total,
+      pdf: await renderInvoicePdf(invoice),
+    });
+
+    invoice.lastEmailedAt = new Date();
+    await invoice.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Invoice sent to ${to}`,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
@@ -0,0 +1,450 @@
+const Leave = require("../models/Leave");
+const Appointment = require("../models/Appointment");
+const User = require("../models/User");
+const { check, validationResult } = require("express-validator");
+const ErrorResponse = require("../utils/errorResponse");
+const { NON_BLOCKING_STATUSES } = require("../utils/appointmentConflicts");
+const { rescheduleAppointmentRecord } = require("../utils/appointmentActions");
+const { parseTime, rangesOverlap, getDayRange } = require("../utils/timeSlots");
+
+const LEAVE_TYPES = ["leave", "sick", "training", "holiday", "closure", "other"];
+
+const isTime = (value) => parseTime(value) !== null;
+
+// Validation rules
+exports.createLeaveValidation = [
+  check("scope", "Scope must be therapist or clinic")
+    .optional()
+    .isIn(["therapist", "clinic"]),
+  check("therapistId", "Therapist is required for therapist leave")
+    .if((value, { req }) => (req.body.scope || "therapist") === "therapist")
+    .notEmpty(),
+  check("type", "Invalid leave type").optional().isIn(LEAVE_TYPES),
+  check("startDate", "Valid start date is required").isISO8601(),
+  check("endDate", "Valid end date is required").isISO8601(),
+  check("startTime", "Start time must look like 10:30 AM").optional().custom(isTime),
+  check("endTime", "End time must look like 10:30 AM").optional().custom(isTime),
+];
+
+exports.updateLeaveValidation = [
+  check("type", "Invalid leave type").optional().isIn(LEAVE_TYPES),
+  check("startDate", "Valid start date is required").optional().isISO8601(),
+  check("endDate", "Valid end date is required").optional().isISO8601(),
+  // An empty time clears it, making the leave a full day
+  check("startTime", "Start time must look like 10:30 AM")
+    .optional({ values: "falsy" })
+    .custom(isTime),
+  check("endTime", "End time must look like 10:30 AM")
+    .optional({ values: "falsy" })
+    .custom(isTime),
+];
+
+// Appointments in these states are already settled and are never affected by leave
+const SETTLED_STATUSES = [...NON_BLOCKING_STATUSES, "completed"];
+
+/**
+ * Find the open appointments that fall inside a leave or closure window
+ */
+const findAffectedAppointments = async (leave) => {
+  const query = {
+    date: {
+      $gte: getDayRange(leave.startDate).start,
+      $lte: getDayRange(leave.endDate).end,
+    },
+    status: { $nin: SETTLED_STATUSES },
+  };
+  if (leave.scope === "therapist") {
+    query.therapistId = leave.therapistId;
+  }
+
+  const appointments = await Appointment.find(query)
+    .populate("therapistId", "firstName lastName email")
+    .populate("serviceId", "name duration")
+    .sort({ date: 1, startTime: 1 });
+
+  if (leave.isFullDay) return appointments;
+
+  const leaveStart = parseTime(leave.startTime);
+  const leaveEnd = parseTime(leave.endTime);
+  return appointments.filter((apt) =>
+    rangesOverlap(
+      parseTime(apt.startTime),
+      parseTime(apt.endTime),
+      leaveStart,
+      leaveEnd
+    )
+  );
+};
+
+/**
+ * Point every affected appointment at the leave, clearing stale flags first
+ */
+const flagAffectedAppointments = async (leave) => {
+  await Appointment.updateMany(
+    { affectedByLeave: leave._id },
+    { $unset: { affectedByLeave: 1 } }
+  );
+
+  if (leave.status !== "active") return [];
+
+  const affected = await findAffectedAppointments(leave);
+  if (affected.length > 0) {
+    await Appointment.updateMany(
+      { _id: { $in: affected.map((apt) => apt._id) } },
+      { affectedByLeave: leave._id }
+    );
+  }
+  return affected;
+};
+
+const normalizeDates = (body) => {
+  const dates = {};
+  if (body.startDate) dates.startDate = getDayRange(body.startDate).start;
+  if (body.endDate) dates.endDate = getDayRange(body.endDate).end;
+  return dates;
+};
+
+// @desc    Get leave and closure entries
+// @route   GET /api/leaves?therapistId=&scope=&from=&to=&status=
+// @access  Private/Admin/Receptionist/Therapist
+exports.getLeaves = async (req, res, next) => {
+  try {
+    const query = { status: req.query.status || "active" };
+
+    if (req.query.scope) {
+      query.scope = req.query.scope;
+    }
+
+    // Therapists only see their own leave plus clinic closures
+    const therapistId =
+      req.user.role === "therapist" ? req.user._id : req.query.therapistId;
+    if (therapistId) {
+      query.$or = [{ scope: "clinic" }, { therapistId }];
+    }
+
+    if (req.query.from) {
+      query.endDate = { $gte: getDayRange(req.query.from).start };
+    }
+    if (req.query.to) {
+      query.startDate = { $lte: getDayRange(req.query.to).end };
+    }
+
+    const leaves = await Leave.find(query)
+      .populate("therapistId", "firstName lastName email")
+      .populate("createdBy", "firstName lastName")
+      .sort({ startDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaves.length,
+      data: leaves,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single leave entry
+// @route   GET /api/leaves/:id
+// @access  Private/Admin/Receptionist/Therapist
+exports.getLeave = async (req, res, next) => {
+  try {
+    const leave = await Leave.findById(req.params.id)
+      .populate("therapistId", "firstName lastName email")
+      .populate("createdBy", "firstName lastName");
+
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: leave,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Mark a therapist on leave or the clinic closed
+// @route   POST /api/leaves
+// @access  Private/Admin
+exports.createLeave = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const { scope, therapistId, type, startTime, endTime, reason } = req.body;
+
+    if ((scope || "therapist") === "therapist") {
+      const therapist = await User.findById(therapistId);
+      if (!therapist || therapist.role !== "therapist") {
+        return res.status(404).json({
+          success: false,
+          error: "Therapist not found",
+        });
+      }
+    }
+
+    if (
+      (startTime && parseTime(startTime) === null) ||
+      (endTime && parseTime(endTime) === null)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "startTime and endTime must be in 'hh:mm AM/PM' format",
+      });
+    }
+
+    const leave = await Leave.create({
+      scope: scope || "therapist",
+      therapistId: (scope || "therapist") === "therapist" ? therapistId : undefined,
+      type: type || (scope === "clinic" ? "closure" : "leave"),
+      ...normalizeDates(req.body),
+      startTime,
+      endTime,
+      reason,
+      createdBy: req.user._id,
+    });
+
+    const affected = await flagAffectedAppointments(leave);
+
+    res.status(201).json({
+      success: true,
+      data: leave,
+      affectedCount: affected.length,
+      affectedAppointments: affected,
+      ...(affected.length > 0 && {
+        warning: `${affected.length} existing appointment(s) fall inside this ${
+          leave.scope === "clinic" ? "closure" : "leave"
+        } and need to be reassigned or rescheduled`,
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a leave entry
+// @route   PUT /api/leaves/:id
+// @access  Private/Admin
+exports.updateLeave = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array(),
+      });
+    }
+
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave not found",
+      });
+    }
+
+    ["type", "startTime", "endTime", "reason"].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        leave[field] = req.body[field] || undefined;
+      }
+    });
+    Object.assign(leave, normalizeDates(req.body));
+
+    await leave.save();
+
+    const affected = await flagAffectedAppointments(leave);
+
+    res.status(200).json({
+      success: true,
+      data: leave,
+      affectedCount: affected.length,
+      affectedAppointments: affected,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Cancel a leave entry and release its appointment flags
+// @route   DELETE /api/leaves/:id
+// @access  Private/Admin
+exports.cancelLeave = async (req, res, next) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave not found",
+      });
+    }
+
+    leave.status = "cancelled";
+    leave.cancelledAt = new Date();
+    await leave.save();
+
+    await flagAffectedAppointments(leave);
+
+    res.status(200).json({
+      success: true,
+      data: leave,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List appointments that fall inside a leave window
+// @route   GET /api/leaves/:id/affected-appointments
+// @access  Private/Admin/Receptionist
+exports.getAffectedAppointments = async (req, res, next) => {
+  try {
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave not found",
+      });
+    }
+
+    const affected = await findAffectedAppointments(leave);
+
+    res.status(200).json({
+      success: true,
+      count: affected.length,
+      data: affected,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Bulk reassign, reschedule or cancel appointments affected by a leave
+// @route   POST /api/leaves/:id/resolve
+// @access  Private/Admin/Receptionist
+//
+// Body: { reason, actions: [
+//   { appointmentId, action: "reassign", therapistId },
+//   { appointmentId, action: "reschedule", date, startTime, endTime, therapistId? },
+//   { appointmentId, action: "cancel" }
+// ] }
+exports.resolveAffectedAppointments = async (req, res, next) => {
+  try {
+    const { actions, reason } = req.body;
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "At least one action is required",
+      });
+    }
+
+    const leave = await Leave.findById(req.params.id);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        error: "Leave not found",
+      });
+    }
+
+    // Only appointments inside this leave's window can be moved through it
+    const affectedIds = new Set(
+      (await findAffectedAppointments(leave)).map((apt) => apt._id.toString())
+    );
+
+    const defaultReason =
+      reason ||
+      (leave.scope === "clinic"
+        ? "Clinic closed"
+        : `Therapist on ${leave.type}`);
+
+    // Run sequentially so each move sees the slots taken by the previous one
+    const results = [];
+    for (const item of actions) {
+      const result = { appointmentId: item.appointmentId, action: item.action };
+
+      try {
+        if (!affectedIds.has(String(item.appointmentId))) {
+          throw new ErrorResponse("Appointment is not affected by this leave", 400);
+        }
+
+        const appointment = await Appointment.findById(item.appointmentId);
+        if (!appointment) {
+          throw new ErrorResponse("Appointment not found", 404);
+        }
+
+        let updated;
+        if (item.action === "reassign") {
+          if (!item.therapistId) {
+            throw new ErrorResponse("therapistId is required to reassign", 400);
+          }
+          updated = await rescheduleAppointmentRecord(appointment, {
+            date: appointment.date,
+            startTime: appointment.startTime,
+            endTime: appointment.endTime,
+            therapistId: item.therapistId,
+            reason: item.reason || defaultReason,
+          });
+        } else if (item.action === "reschedule") {
+          updated = await rescheduleAppointmentRecord(appointment, {
+            date: item.date,
+            startTime: item.startTime,
+            endTime: item.endTime,
+            therapistId: item.therapistId,
+            reason: item.reason || defaultReason,
+          });
+        } else if (item.action === "cancel") {
+          if (appointment.payment?.status === "paid") {
+            appointment.payment.status = "refunded";
+          }
+          updated = await appointment.cancel(item.reason || defaultReason, {
+            changedBy: req.user._id,
+          });
+        } else {
+          throw new ErrorResponse(
+            "Action must be reassign, reschedule or cancel",
+            400
+          );
+        }
+
+        await Appointment.updateOne(
+          { _id: appointment._id },
+          { $unset: { affectedByLeave: 1 } }
+        );
+
+        result.success = true;
+        result.data = updated;
+      } catch (err) {
+        result.success = false;
+        result.error = err.message;
+        if (err.conflicts) {
+          result.conflicts = err.conflicts;
+        }
+      }
+
+      results.push(result);
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${results.length} appointment(s) updated`,
+      data: results,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
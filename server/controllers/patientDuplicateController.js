@@ -0,0 +1,126 @@
+const PatientDuplicate = require("../models/PatientDuplicate");
+const Patient = require("../models/Patient");
+const { check } = require("express-validator");
+const {
+  findLikelyDuplicates,
+  scanForDuplicates,
+  mergePatients,
+  dismissDuplicate,
+} = require("../services/patientDuplicates");
+
+// Validation rules
+exports.mergePatientValidation = [
+  check("mergeId", "Patient to merge is required").isMongoId(),
+];
+
+const sendError = (res, err) =>
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : "Server Error",
+  });
+
+const PATIENT_SUMMARY =
+  "firstName lastName dateOfBirth gender parentInfo.name parentInfo.phone parentInfo.motherName parentInfo.motherphone createdAt";
+
+// @desc    Review queue of likely duplicate patients, most likely first
+// @route   GET /api/patients/duplicates?status=open
+// @access  Private (Admin)
+exports.getDuplicates = async (req, res, next) => {
+  try {
+    const duplicates = await PatientDuplicate.find({ status: req.query.status || "open" })
+      .select("-mergedPatient")
+      .populate("patientIds", PATIENT_SUMMARY)
+      .sort({ score: -1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: duplicates.length,
+      data: duplicates,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Compare all patients and queue likely duplicates
+// @route   POST /api/patients/duplicates/scan
+// @access  Private (Admin)
+exports.scanDuplicates = async (req, res, next) => {
+  try {
+    const summary = await scanForDuplicates();
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.queued} new likely duplicate(s) queued for review`,
+      data: summary,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Take a pair off the review queue without merging
+// @route   PUT /api/patients/duplicates/:duplicateId/dismiss
+// @access  Private (Admin)
+exports.dismissDuplicate = async (req, res) => {
+  try {
+    const duplicate = await dismissDuplicate(req.params.duplicateId, {
+      dismissedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: duplicate,
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Likely duplicates of one patient
+// @route   GET /api/patients/:id/duplicates
+// @access  Private (Admin, Receptionist, Therapist)
+exports.getPatientDuplicates = async (req, res, next) => {
+  try {
+    const patient = await Patient.findById(req.params.id);
+    if (!patient) {
+      return res.status(404).json({ success: false, error: "Patient not found" });
+    }
+
+    const matches = await findLikelyDuplicates(patient);
+
+    res.status(200).json({
+      success: true,
+      count: matches.length,
+      data: matches.map(({ patient: match, score, reasons }) => ({
+        patient: match,
+        score,
+        reasons,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Merge another patient record into this one
+// @route   POST /api/patients/:id/merge
+// @access  Private (Admin)
+exports.mergePatient = async (req, res) => {
+  try {
+    const { patient, moved } = await mergePatients(req.params.id, req.body.mergeId, {
+      mergedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Patient records merged into ${patient.firstName} ${patient.lastName}`,
+      data: {
+        patient,
+        moved,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -0,0 +1,261 @@
+const PaymentReceipt = require("../models/PaymentReceipt");
+const Patient = require("../models/Patient");
+const { check } = require("express-validator");
+const { getDayRange } = require("../utils/timeSlots");
+const { recordPayment, voidReceipt, getPatientBalance } = require("../services/paymentLedger");
+const {
+  renderReceiptPdf,
+  pdfFileName,
+  emailBillingDocument,
+} = require("../services/billingDocuments");
+
+// Validation rules
+exports.createReceiptValidation = [
+  check("patientId", "Patient is required").isMongoId(),
+  check("amount", "Amount must be more than zero").isFloat({ gt: 0 }),
+  check("method", "Payment method must be cash or upi").isIn(["cash", "upi"]),
+  check("receivedAt", "Invalid payment date").optional().isISO8601(),
+  check("appointmentIds", "Appointments must be a list").optional().isArray(),
+  check("appointmentIds.*", "Invalid appointment").isMongoId(),
+  check("allocations", "Allocations must be a list").optional().isArray(),
+  check("allocations.*.appointmentId", "Invalid appointment").isMongoId(),
+  check("allocations.*.amount", "Allocation must be a positive amount").isFloat({ min: 0 }),
+];
+
+exports.voidReceiptValidation = [
+  check("reason", "Reason is required").trim().notEmpty(),
+];
+
+exports.emailReceiptValidation = [
+  check("email", "Please include a valid email").optional().isEmail(),
+];
+
+const populateReceipt = (query) =>
+  query
+    .populate("patientId", "firstName lastName parentInfo.name parentInfo.phone")
+    .populate("receivedBy voidedBy", "firstName lastName")
+    .populate("allocations.appointmentId", "date startTime serviceId payment.amount");
+
+// @desc    Get payment receipts
+// @route   GET /api/receipts?patientId=&from=&to=&status=
+// @access  Private (Admin, Receptionist)
+exports.getReceipts = async (req, res, next) => {
+  try {
+    const query = {};
+    if (req.query.patientId) query.patientId = req.query.patientId;
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.from || req.query.to) {
+      query.receivedAt = {};
+      if (req.query.from) query.receivedAt.$gte = getDayRange(req.query.from).start;
+      if (req.query.to) query.receivedAt.$lte = getDayRange(req.query.to).end;
+    }
+
+    const receipts = await PaymentReceipt.find(query)
+      .populate("patientId", "firstName lastName")
+      .populate("receivedBy", "firstName lastName")
+      .sort({ receivedAt: -1 });
+
+    const total = receipts
+      .filter((receipt) => receipt.status === "active")
+      .reduce((sum, receipt) => sum + receipt.amount, 0);
+
+    res.status(200).json({
+      success: true,
+      count: receipts.length,
+      total,
+      data: receipts,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single payment receipt
+// @route   GET /api/receipts/:id
+// @access  Private (Admin, Receptionist)
+exports.getReceipt = async (req, res, next) => {
+  try {
+    const receipt = await populateReceipt(PaymentReceipt.findById(req.params.id));
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: "Receipt not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Record a payment and allocate it to the patient's appointments
+// @route   POST /api/receipts
+// @access  Private (Admin, Receptionist)
+exports.createReceipt = async (req, res) => {
+  try {
+    const patient = await Patient.findById(req.body.patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: "Patient not found",
+      });
+    }
+
+    const receipt = await recordPayment({
+      patientId: patient._id,
+      amount: req.body.amount,
+      method: req.body.method,
+      reference: req.body.reference,
+      receivedAt: req.body.receivedAt,
+      notes: req.body.notes,
+      allocations: req.body.allocations,
+      appointmentIds: req.body.appointmentIds,
+      receivedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: receipt,
+      balance: await getPatientBalance(patient._id),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Void a receipt entered by mistake
+// @route   POST /api/receipts/:id/void
+// @access  Private (Admin, Receptionist)
+exports.voidReceipt = async (req, res) => {
+  try {
+    const receipt = await PaymentReceipt.findById(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: "Receipt not found",
+      });
+    }
+
+    await voidReceipt(receipt, { reason: req.body.reason, voidedBy: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: receipt,
+      balance: await getPatientBalance(receipt.patientId),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Get a patient's running balance
+// @route   GET /api/receipts/balance/:patientId
+// @access  Private (Admin, Receptionist)
+exports.getBalance = async (req, res, next) => {
+  try {
+    const patient = await Patient.findById(req.params.patientId).select("firstName lastName");
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: "Patient not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        patientId: patient._id,
+        patientName: `${patient.firstName} ${patient.lastName}`,
+        ...(await getPatientBalance(patient._id)),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Receipt with what the printed copy needs
+const findReceiptForPdf = (id) =>
+  PaymentReceipt.findById(id)
+    .populate("patientId", "firstName lastName parentInfo")
+    .populate("allocations.appointmentId", "date startTime");
+
+// @desc    Download a receipt as PDF
+// @route   GET /api/receipts/:id/pdf
+// @access  Private (Admin, Receptionist)
+exports.downloadReceiptPdf = async (req, res, next) => {
+  try {
+    const receipt = await findReceiptForPdf(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: "Receipt not found",
+      });
+    }
+
+    const pdf = await renderReceiptPdf(receipt);
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${pdfFileName(receipt.receiptNumber)}"`,
+    });
+    res.send(pdf);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Email a receipt PDF to the family (or to `email`)
+// @route   POST /api/receipts/:id/email
+// @access  Private (Admin, Receptionist)
+exports.emailReceipt = async (req, res) => {
+  try {
+    const receipt = await findReceiptForPdf(req.params.id);
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: "Receipt not found",
+      });
+    }
+
+    if (receipt.status === "voided") {
+      return res.status(400).json({
+        success: false,
+        error: "A voided receipt cannot be sent",
+      });
+    }
+
+    const patient = receipt.patientId;
+    const to = req.body.email || patient?.parentInfo?.email;
+    await emailBillingDocument({
+      to,
+      name: patient?.parentInfo?.name,
+      patientName: patient ? `${patient.firstName} ${patient.lastName}` : "your child",
+      documentType: "Payment Receipt",
+      documentNumber: receipt.receiptNumber,
+      amount: receipt.amount,
+      pdf: await renderReceiptPdf(receipt),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Receipt sent to ${to}`,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
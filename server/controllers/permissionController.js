@@ -0,0 +1,137 @@
+const RolePermission = require("../models/RolePermission");
+const User = require("../models/User");
+const { check } = require("express-validator");
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  getDefaultPermissions,
+} = require("../config/permissions");
+const { getRolePermissions, clearPermissionCache } = require("../utils/permissions");
+
+const ROLES = User.schema.path("role").enumValues;
+
+// Validation rules
+exports.updateRolePermissionsValidation = [
+  check("permissions", "Permissions must be a list").isArray(),
+  check("permissions.*").custom((permission) => {
+    if (!ALL_PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission "${permission}"`);
+    }
+    return true;
+  }),
+];
+
+// Shape one role's row of the matrix for the admin screen
+const describeRole = async (role, override) => ({
+  role,
+  permissions: await getRolePermissions(role),
+  defaults: getDefaultPermissions(role),
+  granted: override?.granted || [],
+  revoked: override?.revoked || [],
+  customized: Boolean(override?.granted?.length || override?.revoked?.length),
+  updatedAt: override?.updatedAt,
+  updatedBy: override?.updatedBy,
+});
+
+// Roles an admin may edit; admin itself always holds every permission
+const checkEditableRole = (role, res) => {
+  if (!ROLES.includes(role)) {
+    res.status(404).json({ success: false, error: `Unknown role ${role}` });
+    return false;
+  }
+  if (role === "admin") {
+    res.status(400).json({
+      success: false,
+      error: "The admin role always holds every permission",
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Get the permission matrix and what each role currently holds
+// @route   GET /api/admin/permissions
+// @access  Private/Admin
+exports.getPermissions = async (req, res, next) => {
+  try {
+    const overrides = await RolePermission.find().populate(
+      "updatedBy",
+      "firstName lastName"
+    );
+
+    const roles = await Promise.all(
+      ROLES.map((role) =>
+        describeRole(
+          role,
+          overrides.find((override) => override.role === role)
+        )
+      )
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        resources: Object.fromEntries(
+          Object.entries(PERMISSIONS).map(([resource, actions]) => [
+            resource,
+            Object.keys(actions),
+          ])
+        ),
+        roles,
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Set the permissions a role holds; stored as what differs from its defaults
+// @route   PUT /api/admin/permissions/:role
+// @access  Private/Admin
+exports.updateRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    if (!checkEditableRole(role, res)) return;
+
+    const wanted = new Set(req.body.permissions);
+    const defaults = getDefaultPermissions(role);
+
+    const override = await RolePermission.findOneAndUpdate(
+      { role },
+      {
+        granted: [...wanted].filter((permission) => !defaults.includes(permission)),
+        revoked: defaults.filter((permission) => !wanted.has(permission)),
+        updatedBy: req.user._id,
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      data: await describeRole(role, override),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Put a role back on the default permissions
+// @route   DELETE /api/admin/permissions/:role
+// @access  Private/Admin
+exports.resetRolePermissions = async (req, res, next) => {
+  try {
+    const { role } = req.params;
+    if (!checkEditableRole(role, res)) return;
+
+    await RolePermission.deleteOne({ role });
+    clearPermissionCache();
+
+    res.status(200).json({
+      success: true,
+      data: await describeRole(role, null),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -16,6 +16,25 @@ exports.createServiceValidation = [
   ]),
   check("duration", "Duration must be a positive number").isInt({ min: 1 }),
   check("price", "Price must be a positive number").isFloat({ min: 0 }),
+  check("sacCode", "SAC code must be numeric").optional().isNumeric(),
+  check("gstRate", "GST rate must be 0, 5, 12, 18 or 28")
+    .optional()
+    .isIn([0, 5, 12, 18, 28]),
+  check("cancellationPolicy.cutoffHours", "Cutoff must be a number of hours")
+    .optional()
+    .isFloat({ min: 0 }),
+  check(
+    ["cancellationPolicy.lateCancellationFee.type", "cancellationPolicy.noShowFee.type"],
+    "Fee type must be fixed or percentage"
+  )
+    .optional()
+    .isIn(["fixed", "percentage"]),
+  check(
+    ["cancellationPolicy.lateCancellationFee.value", "cancellationPolicy.noShowFee.value"],
+    "Fee must be a positive number"
+  )
+    .optional()
+    .isFloat({ min: 0 }),
 ];
 
 exports.updateServiceValidation = [
@@ -39,6 +58,25 @@ exports.updateServiceValidation = [
     .optional()
     .isFloat({ min: 0 }),
   check("isActive", "isActive must be a boolean").optional().isBoolean(),
+  check("sacCode", "SAC code must be numeric").optional().isNumeric(),
+  check("gstRate", "GST rate must be 0, 5, 12, 18 or 28")
+    .optional()
+    .isIn([0, 5, 12, 18, 28]),
+  check("cancellationPolicy.cutoffHours", "Cutoff must be a number of hours")
+    .optional()
+    .isFloat({ min: 0 }),
+  check(
+    ["cancellationPolicy.lateCancellationFee.type", "cancellationPolicy.noShowFee.type"],
+    "Fee type must be fixed or percentage"
+  )
+    .optional()
+    .isIn(["fixed", "percentage"]),
+  check(
+    ["cancellationPolicy.lateCancellationFee.value", "cancellationPolicy.noShowFee.value"],
+    "Fee must be a positive number"
+  )
+    .optional()
+    .isFloat({ min: 0 }),
 ];
 
 // @desc    Get all services
@@ -0,0 +1,353 @@
+const SessionNote = require("../models/SessionNote");
+const Appointment = require("../models/Appointment");
+const { check, query } = require("express-validator");
+const { hasPermission } = require("../utils/permissions");
+
+// Notes can be drafted for sessions that are booked or have happened...
+const WRITABLE_STATUSES = ["scheduled", "confirmed", "in-progress", "completed", "no-show"];
+// ...but only signed once the session has started
+const SIGNABLE_STATUSES = ["in-progress", "completed", "no-show"];
+
+const SOAP_FIELDS = ["subjective", "objective", "assessment", "plan"];
+
+// Validation rules
+const contentValidation = [
+  ...SOAP_FIELDS.map((field) =>
+    check(field, `${field} must be text`).optional().isString()
+  ),
+  check("goals", "Goals must be a list").optional().isArray(),
+  check("goals.*.description", "Each goal needs a description").notEmpty(),
+  check("goals.*.goalId", "Invalid goal").optional().isMongoId(),
+];
+
+exports.createSessionNoteValidation = [
+  check("appointmentId", "Appointment is required").isMongoId(),
+  ...contentValidation,
+];
+
+exports.updateSessionNoteValidation = contentValidation;
+
+// Filters take one value each: a repeated parameter arrives as an array,
+// which Mongoose would match as "any of", past the patient access check
+exports.getSessionNotesValidation = [
+  ...["patientId", "therapistId", "appointmentId"].map((field) =>
+    query(field, `Invalid ${field}`).optional().not().isArray().bail().isMongoId()
+  ),
+  query("status", "Invalid status").optional().not().isArray(),
+];
+
+exports.addAddendumValidation = [
+  check("text", "Addendum text is required").trim().notEmpty(),
+];
+
+const isOwnNote = (note, user) =>
+  note.therapistId.toString() === user._id.toString();
+
+/**
+ * Whether the user may read notes for this patient: admins see every note,
+ * therapists only those for patients they have had sessions with.
+ */
+const canReadPatientNotes = async (user, patientId) => {
+  if (user.role !== "therapist") return true;
+  return Boolean(
+    await Appointment.exists({ patientId, therapistId: user._id })
+  );
+};
+
+// Load a note for the current user, locking it first if its window has passed
+const loadNote = async (req, res) => {
+  const note = await SessionNote.findById(req.params.id);
+  if (!note) {
+    res.status(404).json({ success: false, error: "Session note not found" });
+    return null;
+  }
+  return note.applyAutoLock();
+};
+
+// Writing a note is reserved to the therapist who ran the session
+const checkAuthor = (note, req, res) => {
+  if (!isOwnNote(note, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: "Only the session's therapist can change this note",
+    });
+    return false;
+  }
+  return true;
+};
+
+const pickContent = (body) => {
+  const content = {};
+  SOAP_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) content[field] = body[field];
+  });
+  if (body.goals !== undefined) {
+    content.goals = body.goals.map(({ goalId, description, comment }) => ({
+      goalId,
+      description,
+      comment,
+    }));
+  }
+  return content;
+};
+
+const populateNote = (query) =>
+  query
+    .populate("therapistId", "firstName lastName")
+    .populate("serviceId", "name")
+    .populate("signedBy lockedBy addenda.author", "firstName lastName");
+
+// @desc    Get session notes
+// @route   GET /api/session-notes?patientId=&therapistId=&appointmentId=&status=
+// @access  Private (Admin, Therapist)
+exports.getSessionNotes = async (req, res, next) => {
+  try {
+    const query = {};
+    ["patientId", "therapistId", "appointmentId", "status"].forEach((field) => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    // Therapists see their own notes, or every note of a patient they treat
+    if (req.user.role === "therapist") {
+      if (!query.patientId) {
+        query.therapistId = req.user._id;
+      } else if (!(await canReadPatientNotes(req.user, query.patientId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Not authorized to view notes for this patient",
+        });
+      }
+    }
+
+    const notes = await populateNote(SessionNote.find(query)).sort({
+      sessionDate: -1,
+    });
+    await Promise.all(notes.map((note) => note.applyAutoLock()));
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: notes,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single session note
+// @route   GET /api/session-notes/:id
+// @access  Private (Admin, Therapist)
+exports.getSessionNote = async (req, res, next) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note) return;
+
+    if (!isOwnNote(note, req.user) && !(await canReadPatientNotes(req.user, note.patientId))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to view this session note",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await populateNote(SessionNote.findById(note._id)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Start the note for one of the therapist's own appointments
+// @route   POST /api/session-notes
+// @access  Private (Therapist)
+exports.createSessionNote = async (req, res, next) => {
+  try {
+    const appointment = await Appointment.findById(req.body.appointmentId);
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found",
+      });
+    }
+
+    if (appointment.therapistId?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only write notes for your own appointments",
+      });
+    }
+
+    if (!WRITABLE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Notes cannot be written for a ${appointment.status} appointment`,
+      });
+    }
+
+    if (await SessionNote.exists({ appointmentId: appointment._id })) {
+      return res.status(400).json({
+        success: false,
+        error: "This appointment already has a session note",
+      });
+    }
+
+    const note = await SessionNote.create({
+      appointmentId: appointment._id,
+      patientId: appointment.patientId,
+      patientName: appointment.patientName,
+      therapistId: appointment.therapistId,
+      serviceId: appointment.serviceId,
+      sessionDate: appointment.date,
+      ...pickContent(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: note,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a draft session note
+// @route   PUT /api/session-notes/:id
+// @access  Private (Therapist)
+exports.updateSessionNote = async (req, res, next) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note || !checkAuthor(note, req, res)) return;
+
+    if (note.status !== "draft") {
+      return res.status(400).json({
+        success: false,
+        error: "Signed session notes cannot be edited; add an addendum instead",
+      });
+    }
+
+    Object.assign(note, pickContent(req.body));
+    note.updatedBy = req.user._id;
+    await note.save();
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Sign off a session note, freezing its content
+// @route   POST /api/session-notes/:id/sign
+// @access  Private (Therapist)
+exports.signSessionNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note || !checkAuthor(note, req, res)) return;
+
+    const appointment = await Appointment.findById(note.appointmentId).select("status");
+    if (!appointment || !SIGNABLE_STATUSES.includes(appointment.status)) {
+      return res.status(400).json({
+        success: false,
+        error: "Notes can only be signed once the session has started",
+      });
+    }
+
+    note.sign(req.user._id);
+    await note.save();
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Take back a signature to correct the note before it locks
+// @route   POST /api/session-notes/:id/reopen
+// @access  Private (Therapist)
+exports.reopenSessionNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note || !checkAuthor(note, req, res)) return;
+
+    note.retractSignature();
+    note.updatedBy = req.user._id;
+    await note.save();
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Lock a signed session note straight away
+// @route   POST /api/session-notes/:id/lock
+// @access  Private/Admin
+exports.lockSessionNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note) return;
+
+    note.lock(req.user._id);
+    await note.save();
+
+    res.status(200).json({
+      success: true,
+      data: note,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Add an addendum to a signed session note
+// @route   POST /api/session-notes/:id/addenda
+// @access  Private (note's Therapist, Admin)
+exports.addAddendum = async (req, res) => {
+  try {
+    const note = await loadNote(req, res);
+    if (!note) return;
+
+    if (
+      !isOwnNote(note, req.user) &&
+      !(await hasPermission(req.user.role, "sessionNotes:lock"))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Only the session's therapist can add to this note",
+      });
+    }
+
+    note.addAddendum(req.body.text, req.user._id);
+    await note.save();
+
+    res.status(201).json({
+      success: true,
+      data: await populateNote(SessionNote.findById(note._id)),
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
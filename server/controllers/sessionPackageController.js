@@ -0,0 +1,207 @@
+const SessionPackage = require("../models/SessionPackage");
+const Patient = require("../models/Patient");
+const Service = require("../models/Service");
+const { check } = require("express-validator");
+const { expirePackages, refundPackage } = require("../services/sessionPackages");
+
+// Validation rules
+exports.createPackageValidation = [
+  check("patientId", "Patient is required").isMongoId(),
+  check("serviceId", "Invalid service").optional({ values: "falsy" }).isMongoId(),
+  check("name", "Package name is required").trim().notEmpty(),
+  check("totalSessions", "Number of sessions must be at least 1").isInt({ min: 1 }),
+  check("price", "Price must be a positive number").isFloat({ min: 0 }),
+  check("validityDays", "Validity must be a number of days").optional().isInt({ min: 1 }),
+  check("expiresAt", "Invalid expiry date").optional().isISO8601(),
+  check("payment.method", "Invalid payment method")
+    .optional()
+    .isIn(["cash", "upi", "not_specified"]),
+  check("payment.status", "Invalid payment status").optional().isIn(["pending", "paid"]),
+];
+
+exports.refundPackageValidation = [
+  check("amount", "Refund amount must be a positive number").optional().isFloat({ min: 0 }),
+  check("method", "Invalid refund method").optional().isIn(["cash", "upi", "not_specified"]),
+  check("reason", "Reason is required").trim().notEmpty(),
+];
+
+// @desc    Get session packages
+// @route   GET /api/packages?patientId=&status=
+// @access  Private (Admin, Receptionist)
+exports.getPackages = async (req, res, next) => {
+  try {
+    await expirePackages();
+
+    const query = {};
+    if (req.query.patientId) query.patientId = req.query.patientId;
+    if (req.query.status) query.status = req.query.status;
+
+    const packages = await SessionPackage.find(query)
+      .populate("patientId", "firstName lastName")
+      .populate("serviceId", "name")
+      .sort({ purchasedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: packages.length,
+      data: packages,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single session package with the appointments that used it
+// @route   GET /api/packages/:id
+// @access  Private (Admin, Receptionist)
+exports.getPackage = async (req, res, next) => {
+  try {
+    await expirePackages();
+
+    const pkg = await SessionPackage.findById(req.params.id)
+      .populate("patientId", "firstName lastName")
+      .populate("serviceId", "name")
+      .populate("usages.appointmentId", "date startTime therapistId status")
+      .populate("refund.refundedBy", "firstName lastName");
+
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        error: "Package not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: pkg,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Sell a session package to a patient
+// @route   POST /api/packages
+// @access  Private (Admin, Receptionist)
+exports.createPackage = async (req, res, next) => {
+  try {
+    const { patientId, serviceId, name, totalSessions, price, validityDays, notes } =
+      req.body;
+
+    const patient = await Patient.findById(patientId);
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        error: "Patient not found",
+      });
+    }
+
+    if (serviceId && !(await Service.exists({ _id: serviceId }))) {
+      return res.status(404).json({
+        success: false,
+        error: "Service not found",
+      });
+    }
+
+    let expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (!expiresAt && validityDays) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + Number(validityDays));
+    }
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "Expiry date must be in the future",
+      });
+    }
+
+    const pkg = await SessionPackage.create({
+      patientId,
+      serviceId: serviceId || undefined,
+      name,
+      totalSessions,
+      price,
+      payment: {
+        method: req.body.payment?.method,
+        status: req.body.payment?.status,
+      },
+      expiresAt,
+      notes,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: pkg,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Refund the unused sessions of a package and close it
+// @route   POST /api/packages/:id/refund
+// @access  Private/Admin
+exports.refundPackage = async (req, res) => {
+  try {
+    await expirePackages();
+
+    const pkg = await SessionPackage.findById(req.params.id);
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        error: "Package not found",
+      });
+    }
+
+    await refundPackage(pkg, {
+      amount: req.body.amount,
+      method: req.body.method,
+      reason: req.body.reason,
+      refundedBy: req.user._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Refunded ${pkg.refund.amount} for ${pkg.refund.sessions} unused session(s)`,
+      data: pkg,
+    });
+  } catch (err) {
+    res.status(err.statusCode || 500).json({
+      success: false,
+      error: err.statusCode ? err.message : "Server Error",
+    });
+  }
+};
+
+// @desc    Void a package sold by mistake, before any session is used
+// @route   DELETE /api/packages/:id
+// @access  Private (Admin, Receptionist)
+exports.cancelPackage = async (req, res, next) => {
+  try {
+    const pkg = await SessionPackage.findById(req.params.id);
+    if (!pkg) {
+      return res.status(404).json({
+        success: false,
+        error: "Package not found",
+      });
+    }
+
+    if (pkg.sessionsUsed > 0 || pkg.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        error: "Only unused active packages can be cancelled; refund it instead",
+      });
+    }
+
+    pkg.status = "cancelled";
+    await pkg.save();
+
+    res.status(200).json({
+      success: true,
+      data: pkg,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -30,6 +30,7 @@ exports.updateTherapistValidation = [
     ]),
   check("experience", "Experience must be a number").optional().isNumeric(),
   check("isAvailable", "isAvailable must be a boolean").optional().isBoolean(),
+  check("breaks", "Breaks must be an array").optional().isArray(),
 ];
 
 // @desc    Get all therapists
@@ -0,0 +1,422 @@
+const TreatmentPlan = require("../models/TreatmentPlan");
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const { check, query } = require("express-validator");
+
+// Validation rules
+const goalValidation = (prefix) => [
+  check(`${prefix}description`, "Goal description is required").trim().notEmpty(),
+  check(`${prefix}baseline.value`, "Baseline must be a number").isNumeric(),
+  check(`${prefix}target.value`, "Target must be a number").isNumeric(),
+  check(`${prefix}baseline.date`, "Invalid baseline date").optional().isISO8601(),
+  check(`${prefix}target.date`, "Invalid target date").optional().isISO8601(),
+];
+
+exports.createPlanValidation = [
+  check("patientId", "Patient is required").isMongoId(),
+  check("serviceId", "Service is required").isMongoId(),
+  check("therapistId", "Invalid therapist").optional().isMongoId(),
+  check("startDate", "Invalid start date").optional().isISO8601(),
+  check("reviewDate", "Invalid review date").optional().isISO8601(),
+  check("goals", "Goals must be a list").optional().isArray(),
+  ...goalValidation("goals.*."),
+];
+
+exports.updatePlanValidation = [
+  check("startDate", "Invalid start date").optional().isISO8601(),
+  check("reviewDate", "Invalid review date").optional().isISO8601(),
+  check("status", "Invalid status")
+    .optional()
+    .isIn(["active", "completed", "discontinued"]),
+];
+
+exports.addGoalValidation = goalValidation("");
+
+exports.updateGoalValidation = [
+  check("description", "Goal description is required").optional().trim().notEmpty(),
+  check("target.value", "Target must be a number").optional().isNumeric(),
+  check("target.date", "Invalid target date").optional().isISO8601(),
+  check("status", "Invalid status")
+    .optional()
+    .isIn(["active", "achieved", "discontinued"]),
+];
+
+exports.recordMeasurementValidation = [
+  check("appointmentId", "Appointment is required").isMongoId(),
+  check("value", "Value must be a number").isNumeric(),
+];
+
+// Filters take one value each: a repeated parameter arrives as an array,
+// which Mongoose would match as "any of", past the patient ownership check
+exports.getPlansValidation = [
+  ...["patientId", "therapistId"].map((field) =>
+    query(field, `Invalid ${field}`).optional().not().isArray().bail().isMongoId()
+  ),
+  query("status", "Invalid status").optional().not().isArray(),
+];
+
+const PLAN_FIELDS = ["title", "startDate", "reviewDate", "summary", "status"];
+const GOAL_FIELDS = ["description", "domain", "unit"];
+
+/**
+ * Whether the user may see a patient's plans: parents their own children,
+ * therapists the patients they have sessions with, front desk and admins all.
+ */
+const canViewPatient = async (user, patientId) => {
+  if (user.role === "parent") {
+    return Boolean(await Patient.exists({ _id: patientId, parentId: user._id }));
+  }
+  if (user.role === "therapist") {
+    return Boolean(await Appointment.exists({ patientId, therapistId: user._id }));
+  }
+  return true;
+};
+
+// Therapists change only the plans they own
+const canManagePlan = (user, plan) =>
+  user.role !== "therapist" || plan.therapistId.toString() === user._id.toString();
+
+// Load a plan and check the user may read (or, with `manage`, change) it
+const loadPlan = async (req, res, { manage = false } = {}) => {
+  const plan = await TreatmentPlan.findById(req.params.id);
+  if (!plan) {
+    res.status(404).json({ success: false, error: "Treatment plan not found" });
+    return null;
+  }
+
+  const allowed = manage
+    ? canManagePlan(req.user, plan)
+    : plan.therapistId.toString() === req.user._id.toString() ||
+      (await canViewPatient(req.user, plan.patientId));
+  if (!allowed) {
+    res.status(403).json({
+      success: false,
+      error: "Not authorized to access this treatment plan",
+    });
+    return null;
+  }
+  return plan;
+};
+
+const findGoal = (plan, req, res) => {
+  const goal = plan.goals.id(req.params.goalId);
+  if (!goal) {
+    res.status(404).json({ success: false, error: "Goal not found" });
+    return null;
+  }
+  return goal;
+};
+
+const pickGoal = (body) => ({
+  description: body.description,
+  domain: body.domain,
+  unit: body.unit,
+  baseline: body.baseline,
+  target: body.target,
+});
+
+// Chart-ready progress for one goal
+const describeProgress = (goal) => ({
+  goalId: goal._id,
+  description: goal.description,
+  domain: goal.domain,
+  unit: goal.unit,
+  status: goal.status,
+  baseline: goal.baseline,
+  target: goal.target,
+  progress: goal.getProgress(),
+  measurements: [...goal.measurements]
+    .sort((a, b) => a.date - b.date)
+    .map(({ date, value, note, appointmentId }) => ({ date, value, note, appointmentId })),
+});
+
+// @desc    Get treatment plans
+// @route   GET /api/treatment-plans?patientId=&therapistId=&status=
+// @access  Private (Admin, Receptionist, Therapist, Parent)
+exports.getPlans = async (req, res, next) => {
+  try {
+    const query = {};
+    ["patientId", "therapistId", "status"].forEach((field) => {
+      if (req.query[field]) query[field] = req.query[field];
+    });
+
+    if (query.patientId) {
+      if (!(await canViewPatient(req.user, query.patientId))) {
+        return res.status(403).json({
+          success: false,
+          error: "Not authorized to view plans for this patient",
+        });
+      }
+    } else if (req.user.role === "parent") {
+      query.patientId = {
+        $in: await Patient.find({ parentId: req.user._id }).distinct("_id"),
+      };
+    } else if (req.user.role === "therapist") {
+      query.therapistId = req.user._id;
+    }
+
+    const plans = await TreatmentPlan.find(query)
+      .populate("patientId", "firstName lastName")
+      .populate("serviceId", "name")
+      .populate("therapistId", "firstName lastName")
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get single treatment plan
+// @route   GET /api/treatment-plans/:id
+// @access  Private (Admin, Receptionist, Therapist, Parent)
+exports.getPlan = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    await plan.populate([
+      { path: "patientId", select: "firstName lastName" },
+      { path: "serviceId", select: "name" },
+      { path: "therapistId", select: "firstName lastName" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Create a treatment plan
+// @route   POST /api/treatment-plans
+// @access  Private (Admin, Therapist)
+exports.createPlan = async (req, res, next) => {
+  try {
+    const { patientId, serviceId } = req.body;
+    // Therapists always own the plans they write
+    const therapistId =
+      req.user.role === "therapist" ? req.user._id : req.body.therapistId;
+
+    const [patient, service, therapist] = await Promise.all([
+      Patient.findById(patientId),
+      Service.findById(serviceId),
+      User.findById(therapistId),
+    ]);
+    if (!patient) {
+      return res.status(404).json({ success: false, error: "Patient not found" });
+    }
+    if (!service) {
+      return res.status(404).json({ success: false, error: "Service not found" });
+    }
+    if (!therapist || therapist.role !== "therapist") {
+      return res.status(404).json({ success: false, error: "Therapist not found" });
+    }
+
+    const plan = await TreatmentPlan.create({
+      patientId,
+      serviceId,
+      therapistId,
+      ...Object.fromEntries(
+        PLAN_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+          field,
+          req.body[field],
+        ])
+      ),
+      goals: (req.body.goals || []).map(pickGoal),
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a treatment plan
+// @route   PUT /api/treatment-plans/:id
+// @access  Private (Admin, Therapist)
+exports.updatePlan = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res, { manage: true });
+    if (!plan) return;
+
+    PLAN_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) plan[field] = req.body[field];
+    });
+    plan.updatedBy = req.user._id;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Add a goal to a treatment plan
+// @route   POST /api/treatment-plans/:id/goals
+// @access  Private (Admin, Therapist)
+exports.addGoal = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res, { manage: true });
+    if (!plan) return;
+
+    plan.goals.push(pickGoal(req.body));
+    plan.updatedBy = req.user._id;
+    await plan.save();
+
+    res.status(201).json({
+      success: true,
+      data: plan.goals[plan.goals.length - 1],
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Update a goal; the baseline stays fixed once set
+// @route   PUT /api/treatment-plans/:id/goals/:goalId
+// @access  Private (Admin, Therapist)
+exports.updateGoal = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res, { manage: true });
+    if (!plan) return;
+    const goal = findGoal(plan, req, res);
+    if (!goal) return;
+
+    GOAL_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) goal[field] = req.body[field];
+    });
+    if (req.body.target) {
+      Object.assign(goal.target, req.body.target);
+    }
+    if (req.body.status && req.body.status !== goal.status) {
+      goal.status = req.body.status;
+      goal.achievedAt = goal.status === "achieved" ? new Date() : undefined;
+    }
+    plan.updatedBy = req.user._id;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: goal,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Record a goal measurement taken in a completed session
+// @route   POST /api/treatment-plans/:id/goals/:goalId/measurements
+// @access  Private (Admin, Therapist)
+exports.recordMeasurement = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+    const goal = findGoal(plan, req, res);
+    if (!goal) return;
+
+    if (plan.status !== "active" || goal.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        error: "Progress can only be recorded against active goals",
+      });
+    }
+
+    const appointment = await Appointment.findById(req.body.appointmentId);
+    if (!appointment || appointment.patientId?.toString() !== plan.patientId.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: "Appointment not found for this patient",
+      });
+    }
+    if (appointment.status !== "completed") {
+      return res.status(400).json({
+        success: false,
+        error: "Progress can only be recorded from completed appointments",
+      });
+    }
+    if (
+      req.user.role === "therapist" &&
+      appointment.therapistId?.toString() !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "You can only record progress from your own sessions",
+      });
+    }
+
+    // One measurement per goal per session; recording again corrects it
+    const existing = goal.measurements.find(
+      (m) => m.appointmentId.toString() === appointment._id.toString()
+    );
+    const measurement = {
+      value: req.body.value,
+      date: appointment.date,
+      appointmentId: appointment._id,
+      note: req.body.note || "",
+      recordedBy: req.user._id,
+    };
+    if (existing) {
+      Object.assign(existing, measurement);
+    } else {
+      goal.measurements.push(measurement);
+    }
+    await plan.save();
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: describeProgress(goal),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Progress over time for every goal in a plan, for charts and reports
+// @route   GET /api/treatment-plans/:id/progress
+// @access  Private (Admin, Receptionist, Therapist, Parent)
+exports.getPlanProgress = async (req, res, next) => {
+  try {
+    const plan = await loadPlan(req, res);
+    if (!plan) return;
+
+    await plan.populate([
+      { path: "patientId", select: "firstName lastName" },
+      { path: "serviceId", select: "name" },
+      { path: "therapistId", select: "firstName lastName" },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        planId: plan._id,
+        title: plan.title,
+        patient: plan.patientId,
+        service: plan.serviceId,
+        therapist: plan.therapistId,
+        startDate: plan.startDate,
+        reviewDate: plan.reviewDate,
+        status: plan.status,
+        goals: plan.goals.map(describeProgress),
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -6,6 +6,7 @@ const Webinar = require("../models/Webinar");
 const Email = require("../models/Email");
 const DetoxPlan = require("../models/DetoxPlan");
 const Meeting = require("../models/Meeting")
+const { revokeAllSessions } = require("../utils/sessions");
 // Validation rules
 exports.updateUserValidation = [
   check("email", "Please include a valid email").optional().isEmail(),
@@ -83,6 +84,10 @@ exports.updateUser = async (req, res, next) => {
       });
     }
 
+    if (req.body.isActive === false || req.body.isActive === "false") {
+      user.tokenVersion = await revokeAllSessions(user._id, "account deactivated");
+    }
+
     res.status(200).json({
       success: true,
       data: user,
@@ -184,6 +189,9 @@ exports.deactivateUser = async (req, res, next) => {
       });
     }
 
+    // End every session the user still has
+    user.tokenVersion = await revokeAllSessions(user._id, "account deactivated");
+
     res.status(200).json({
       success: true,
       data: user,
@@ -0,0 +1,344 @@
+const WaitlistEntry = require("../models/WaitlistEntry");
+const WaitlistOffer = require("../models/WaitlistOffer");
+const Patient = require("../models/Patient");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const { check } = require("express-validator");
+const { hasPermission } = require("../utils/permissions");
+const { WEEKDAYS, parseTime, getDayRange } = require("../utils/timeSlots");
+const {
+  offerSlot,
+  findOfferByToken,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+} = require("../services/waitlist");
+
+// Validation rules
+exports.joinWaitlistValidation = [
+  check("serviceId", "Service is required").isMongoId(),
+  check("patientId", "Invalid patient").optional().isMongoId(),
+  check("patientName", "Patient name is required")
+    .if((value, { req }) => !req.body.patientId)
+    .notEmpty(),
+  check("therapistId", "Invalid therapist").optional({ values: "falsy" }).isMongoId(),
+  check("toDate", "Valid last date is required").isISO8601(),
+  check("fromDate", "Valid first date is required").optional().isISO8601(),
+  check("daysOfWeek", "Days must be a list").optional().isArray(),
+  check("daysOfWeek.*", "Invalid day of the week").isIn(WEEKDAYS),
+  check("email", "Please include a valid email").optional({ values: "falsy" }).isEmail(),
+];
+
+exports.offerSlotValidation = [
+  check("serviceId", "Service is required").isMongoId(),
+  check("therapistId", "Therapist is required").isMongoId(),
+  check("date", "Valid date is required").isISO8601(),
+  check("startTime", "Start time is required").notEmpty(),
+  check("endTime", "End time is required").notEmpty(),
+];
+
+const sendError = (res, err) =>
+  res.status(err.statusCode || 500).json({
+    success: false,
+    error: err.statusCode ? err.message : "Server Error",
+  });
+
+// What the family sees on the offer page; never exposes the token hash
+const describeOffer = (offer) => ({
+  _id: offer._id,
+  status: offer.status,
+  patientName: offer.waitlistEntryId?.patientName,
+  service: offer.serviceId?.name,
+  therapist: offer.therapistId?.fullName,
+  date: offer.date,
+  startTime: offer.startTime,
+  endTime: offer.endTime,
+  expiresAt: offer.expiresAt,
+  appointmentId: offer.appointmentId,
+});
+
+// @desc    Join the waitlist for an earlier slot
+// @route   POST /api/waitlist
+// @access  Private (Admin, Receptionist, Parent, Member)
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const {
+      patientId,
+      serviceId,
+      therapistId,
+      fromDate,
+      toDate,
+      daysOfWeek,
+      earliestTime,
+      latestTime,
+      notes,
+    } = req.body;
+
+    const isStaff = await hasPermission(req.user.role, "waitlist:manage");
+
+    if (
+      (earliestTime && parseTime(earliestTime) === null) ||
+      (latestTime && parseTime(latestTime) === null)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "earliestTime and latestTime must be in 'hh:mm AM/PM' format",
+      });
+    }
+
+    if (getDayRange(toDate).end < new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: "The waitlist window has already ended",
+      });
+    }
+
+    const service = await Service.findById(serviceId);
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: "Service not found",
+      });
+    }
+
+    if (therapistId) {
+      const therapist = await User.findById(therapistId);
+      if (!therapist || therapist.role !== "therapist") {
+        return res.status(404).json({
+          success: false,
+          error: "Therapist not found",
+        });
+      }
+    }
+
+    // Families can only add their own children
+    let patient = null;
+    if (patientId) {
+      patient = await Patient.findById(patientId);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          error: "Patient not found",
+        });
+      }
+      if (!isStaff && patient.parentId.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          error: "You can only add your own children to the waitlist",
+        });
+      }
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      serviceId,
+      status: { $in: ["waiting", "offered"] },
+      ...(patient
+        ? { patientId: patient._id }
+        : { patientName: req.body.patientName, phone: req.body.phone }),
+    });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: "This patient is already on the waitlist for this service",
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      patientId: patient?._id,
+      patientName: patient
+        ? `${patient.firstName} ${patient.lastName}`
+        : req.body.patientName,
+      fatherName: req.body.fatherName || patient?.parentInfo?.name,
+      email: req.body.email || patient?.parentInfo?.email || (!isStaff ? req.user.email : undefined),
+      phone: req.body.phone || patient?.parentInfo?.phone || (!isStaff ? req.user.phone : undefined),
+      userId: isStaff ? patient?.parentId : req.user._id,
+      serviceId,
+      therapistId: therapistId || undefined,
+      window: {
+        fromDate: fromDate ? getDayRange(fromDate).start : undefined,
+        toDate: getDayRange(toDate).end,
+        daysOfWeek,
+        earliestTime,
+        latestTime,
+      },
+      notes,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/waitlist?status=&serviceId=&therapistId=
+// @access  Private (Admin, Receptionist)
+exports.getWaitlist = async (req, res, next) => {
+  try {
+    const query = {
+      status: req.query.status || { $in: ["waiting", "offered"] },
+    };
+    if (req.query.serviceId) query.serviceId = req.query.serviceId;
+    if (req.query.therapistId) query.therapistId = req.query.therapistId;
+
+    const entries = await WaitlistEntry.find(query)
+      .populate("serviceId", "name duration")
+      .populate("therapistId", "firstName lastName")
+      .populate("createdBy", "firstName lastName")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get the logged-in family's waitlist entries
+// @route   GET /api/waitlist/mine
+// @access  Private
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({ userId: req.user._id })
+      .populate("serviceId", "name duration")
+      .populate("therapistId", "firstName lastName")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Take an entry off the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private (owner, Admin, Receptionist)
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Waitlist entry not found",
+      });
+    }
+
+    const isOwner = entry.userId && entry.userId.toString() === req.user._id.toString();
+    if (!isOwner && !(await hasPermission(req.user.role, "waitlist:manage"))) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to change this waitlist entry",
+      });
+    }
+
+    if (!["waiting", "offered"].includes(entry.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `This waitlist entry is already ${entry.status}`,
+      });
+    }
+
+    await leaveWaitlist(entry);
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Offer a free slot to the next family on the waitlist
+// @route   POST /api/waitlist/offer
+// @access  Private (Admin, Receptionist)
+exports.offerSlot = async (req, res, next) => {
+  try {
+    const { serviceId, therapistId, date, startTime, endTime } = req.body;
+
+    const offer = await offerSlot({ serviceId, therapistId, date, startTime, endTime });
+    if (!offer) {
+      return res.status(200).json({
+        success: true,
+        data: null,
+        message:
+          "No offer was made: the slot is taken, too close, already on hold or nobody on the waitlist fits it",
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await WaitlistOffer.findById(offer._id).populate(
+        "waitlistEntryId",
+        "patientName fatherName phone email"
+      ),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// @desc    Get an offer from the link sent to the family
+// @route   GET /api/waitlist/offers/:token
+// @access  Public
+exports.getOffer = async (req, res) => {
+  try {
+    const offer = await findOfferByToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: describeOffer(offer),
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Accept an offered slot and book it
+// @route   POST /api/waitlist/offers/:token/accept
+// @access  Public
+exports.acceptOffer = async (req, res) => {
+  try {
+    const { appointment } = await acceptOffer(req.params.token);
+
+    res.status(201).json({
+      success: true,
+      message: "Your appointment has been booked",
+      data: {
+        appointmentId: appointment._id,
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+      },
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
+
+// @desc    Decline an offered slot and stay on the waitlist
+// @route   POST /api/waitlist/offers/:token/decline
+// @access  Public
+exports.declineOffer = async (req, res) => {
+  try {
+    await declineOffer(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: "Offer declined, you are still on the waitlist",
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+};
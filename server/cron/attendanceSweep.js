@@ -0,0 +1,128 @@
+const cron = require("node-cron");
+const Appointment = require("../models/Appointment");
+const AttendanceSweep = require("../models/AttendanceSweep");
+const SessionNote = require("../models/SessionNote");
+const { useSessionForAppointment } = require("../services/sessionPackages");
+const { CLINIC_TIMEZONE, getDayRange, getMinutesUntil } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Minutes after a session's end time before the sweep looks at it
+const GRACE_MINUTES = numberSetting("ATTENDANCE_SWEEP_GRACE_MINUTES", 60);
+
+// Appointments nobody closed yet
+const OPEN_STATUSES = ["scheduled", "confirmed", "in-progress"];
+
+const toEntry = (appointment) => ({
+  appointmentId: appointment._id,
+  patientName: appointment.patientName,
+  therapistId: appointment.therapistId,
+  date: appointment.date,
+  startTime: appointment.startTime,
+  endTime: appointment.endTime,
+  previousStatus: appointment.status,
+});
+
+/**
+ * Close out sessions that ended more than the grace period ago but are
+ * still open. Sessions with a note are marked completed (and use up a
+ * package session); the rest are flagged as likely no-shows for the front
+ * desk to review. Every change is recorded in an AttendanceSweep report,
+ * which is saved when the run changed anything. Exported so it can be run
+ * by hand; resolves to the report.
+ */
+const runAttendanceSweep = async ({ trigger = "cron", triggeredBy } = {}) => {
+  const report = new AttendanceSweep({
+    startedAt: new Date(),
+    trigger,
+    triggeredBy,
+    graceMinutes: GRACE_MINUTES,
+  });
+
+  const appointments = await Appointment.find({
+    status: { $in: OPEN_STATUSES },
+    date: { $lte: getDayRange(new Date()).end },
+    "attendanceReview.status": { $ne: "pending" },
+  }).sort({ date: 1, startTime: 1 });
+
+  const ended = appointments.filter((appointment) => {
+    const minutesUntilEnd = getMinutesUntil(appointment.date, appointment.endTime);
+    return minutesUntilEnd !== null && minutesUntilEnd <= -GRACE_MINUTES;
+  });
+  report.checked = ended.length;
+
+  const noted = new Set(
+    (
+      await SessionNote.find({ appointmentId: { $in: ended.map((apt) => apt._id) } }).distinct(
+        "appointmentId"
+      )
+    ).map(String)
+  );
+
+  for (const appointment of ended) {
+    const entry = toEntry(appointment);
+    try {
+      if (noted.has(appointment._id.toString())) {
+        await appointment.markAsCompleted({
+          source: "system",
+          reason: "Session note recorded; completed by the attendance sweep",
+        });
+        await useSessionForAppointment(appointment);
+        report.completed.push(entry);
+        continue;
+      }
+
+      // Flag only if nobody closed or flagged it since it was loaded
+      const { modifiedCount } = await Appointment.updateOne(
+        {
+          _id: appointment._id,
+          status: { $in: OPEN_STATUSES },
+          "attendanceReview.status": { $ne: "pending" },
+        },
+        {
+          attendanceReview: {
+            status: "pending",
+            reason: `No session note ${GRACE_MINUTES} minute(s) after the session ended`,
+            flaggedAt: new Date(),
+          },
+        }
+      );
+      if (modifiedCount > 0) {
+        report.flagged.push(entry);
+      }
+    } catch (err) {
+      report.failures.push({ appointmentId: appointment._id, message: err.message });
+    }
+  }
+
+  report.finishedAt = new Date();
+  if (report.completed.length || report.flagged.length || report.failures.length) {
+    await report.save();
+  }
+  return report;
+};
+
+const startAttendanceSweepJob = () => {
+  cron.schedule(
+    // How often finished sessions are swept
+    process.env.ATTENDANCE_SWEEP_CRON || "*/30 * * * *",
+    async () => {
+      try {
+        const report = await runAttendanceSweep();
+        if (report.completed.length || report.flagged.length || report.failures.length) {
+          console.log(
+            `🧹 Attendance sweep: ${report.completed.length} completed, ${report.flagged.length} flagged for review, ${report.failures.length} failed`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Error running the attendance sweep:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: CLINIC_TIMEZONE,
+    }
+  );
+};
+
+module.exports = startAttendanceSweepJob;
+module.exports.runAttendanceSweep = runAttendanceSweep;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+const { backfillGroupSessions } = require("../services/groupSessions");
+
+/**
+ * Give groups booked before sessions had their own record one, once the
+ * database is connected. Groups that already have one are left alone, so
+ * it is safe to run on every start.
+ */
+const startGroupSessionBackfill = () => {
+  mongoose.connection.once("open", async () => {
+    try {
+      const created = await backfillGroupSessions();
+      if (created) {
+        console.log(`👥 Group sessions: ${created} created for existing group bookings`);
+      }
+    } catch (error) {
+      console.error("❌ Error backfilling group sessions:", error);
+    }
+  });
+};
+
+module.exports = startGroupSessionBackfill;
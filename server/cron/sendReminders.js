@@ -1,63 +1,131 @@
 const cron = require("node-cron");
 const Appointment = require("../models/Appointment");
-const { sendAppointmentReminder } = require("../services/whatsapp");
+const WhatsAppMessage = require("../models/WhatsAppMessage");
+const { sendAppointmentReminder } = require("../services/appointmentReminders");
+const { CLINIC_TIMEZONE, getDayRange, getMinutesUntil } = require("../utils/timeSlots");
 
-const sendReminders = () => {
-  // Run every day at 1:20 PM (local timezone can be set below)
-  cron.schedule(
-    "0 12 * * *",
-    async () => {
-      console.log("⏰ Cron job triggered at:", new Date().toString());
+// Hours before the appointment at which a reminder goes out, e.g. "24,2"
+const LEAD_HOURS = (process.env.WHATSAPP_REMINDER_LEAD_HOURS || "24,2")
+  .split(",")
+  .map(Number)
+  .filter((hours) => hours > 0)
+  .sort((a, b) => b - a);
 
-      try {
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(today.getDate() + 1);
+// Give up on a reminder window after this many failed sends
+const MAX_ATTEMPTS = 3;
+
+const REMINDABLE_STATUSES = ["scheduled", "confirmed"];
+
+/**
+ * Number of reminder windows an appointment `minutesUntil` away has entered.
+ * `remindersSent` is compared against this, so the n-th reminder is due once
+ * the n-th window opens and windows that were missed are never sent late.
+ */
+const windowsReached = (leadHours, minutesUntil) =>
+  leadHours.filter((hours) => minutesUntil <= hours * 60).length;
+
+/**
+ * Claim the reminder by bumping `remindersSent` only if nobody else has,
+ * so overlapping runs or multiple instances never send it twice.
+ */
+const claimReminder = (appointment, reached) => {
+  const current = appointment.remindersSent || 0;
+
+  return Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      remindersSent: current > 0 ? current : { $in: [0, null] },
+    },
+    { remindersSent: reached, lastReminderSent: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Send every reminder that is due right now. Exported so it can be run by hand.
+ */
+const processDueReminders = async () => {
+  if (LEAD_HOURS.length === 0) return { checked: 0, sent: 0, failed: 0 };
+
+  const horizon = new Date();
+  horizon.setHours(horizon.getHours() + LEAD_HOURS[0] + 24);
 
-        const startOfDay = new Date(tomorrow);
-        startOfDay.setHours(0, 0, 0, 0);
+  const appointments = await Appointment.find({
+    date: { $gte: getDayRange(new Date()).start, $lte: getDayRange(horizon).end },
+    status: { $in: REMINDABLE_STATUSES },
+    $or: [
+      { remindersSent: { $lt: LEAD_HOURS.length } },
+      { remindersSent: { $exists: false } },
+    ],
+  });
 
-        const endOfDay = new Date(tomorrow);
-        endOfDay.setHours(23, 59, 59, 999);
+  const summary = { checked: appointments.length, sent: 0, failed: 0 };
 
-        const appointments = await Appointment.find({
-          date: { $gte: startOfDay, $lt: endOfDay },
-          status: "scheduled",
-        });
+  for (const appointment of appointments) {
+    const minutesUntil = getMinutesUntil(appointment.date, appointment.startTime);
+    if (minutesUntil === null || minutesUntil <= 0) continue;
 
-        console.log(
-          `📅 Found ${appointments.length} appointments for tomorrow`
+    const reached = windowsReached(LEAD_HOURS, minutesUntil);
+    if (reached <= (appointment.remindersSent || 0)) continue;
+
+    const leadHours = LEAD_HOURS[reached - 1];
+
+    const failedAttempts = await WhatsAppMessage.countDocuments({
+      appointmentId: appointment._id,
+      purpose: "reminder",
+      reminderLeadHours: leadHours,
+      status: "failed",
+    });
+    if (failedAttempts >= MAX_ATTEMPTS) continue;
+
+    const claimed = await claimReminder(appointment, reached);
+    if (!claimed) continue;
+
+    const notification = await sendAppointmentReminder(appointment._id, { leadHours });
+
+    if (!notification || notification.status === "failed") {
+      summary.failed++;
+
+      // Release the claim so the next run retries this window
+      if (notification) {
+        await Appointment.updateOne(
+          { _id: appointment._id, remindersSent: reached },
+          {
+            remindersSent: appointment.remindersSent || 0,
+            lastReminderSent: appointment.lastReminderSent,
+          }
         );
+      }
+    } else {
+      summary.sent++;
+    }
+  }
+
+  return summary;
+};
 
-        // for (const appointment of appointments) {
-        //   // ✅ Skip if already reminded today
-        //   if (
-        //     appointment.lastReminderSent &&
-        //     appointment.lastReminderSent.toDateString() === new Date().toDateString()
-        //   ) {
-        //     console.log(
-        //       `⚠️ Reminder already sent today for ${appointment._id}, skipping`
-        //     );
-        //     continue;
-        //   }
-
-        //   console.log("📤 Sending appointment reminder:", appointment._id);
-        //   await sendAppointmentReminder(appointment._id);
-
-        //   // ✅ Track reminder
-        //   appointment.remindersSent = (appointment.remindersSent || 0) + 1;
-        //   appointment.lastReminderSent = new Date();
-        //   await appointment.save();
-        // }
+const sendReminders = () => {
+  cron.schedule(
+    // How often the pipeline looks for due reminders
+    process.env.WHATSAPP_REMINDER_CRON || "*/15 * * * *",
+    async () => {
+      try {
+        const { checked, sent, failed } = await processDueReminders();
+        if (sent || failed) {
+          console.log(
+            `📅 WhatsApp reminders: ${sent} sent, ${failed} failed (${checked} upcoming appointments checked)`
+          );
+        }
       } catch (error) {
-        console.error("❌ Error sending daily reminders:", error);
+        console.error("❌ Error sending appointment reminders:", error);
       }
     },
     {
       scheduled: true,
-      timezone: "Asia/Kolkata", // ⚠️ adjust to your timezone
+      timezone: CLINIC_TIMEZONE,
     }
   );
 };
 
 module.exports = sendReminders;
+module.exports.processDueReminders = processDueReminders;
@@ -0,0 +1,38 @@
+const cron = require("node-cron");
+const { syncVideoRooms } = require("../services/videoRooms");
+const { CLINIC_TIMEZONE } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Hours ahead that video-call appointments get their room, so reminders can carry the link
+const LEAD_HOURS = numberSetting("VIDEO_ROOM_LEAD_HOURS", 48);
+
+/**
+ * Open rooms for upcoming video-call appointments and expire the rooms of
+ * sessions that are over. Exported so it can be run by hand.
+ */
+const runVideoRoomJob = () =>
+  syncVideoRooms({ until: new Date(Date.now() + LEAD_HOURS * 60 * 60 * 1000) });
+
+const startVideoRoomJob = () => {
+  cron.schedule(
+    // How often rooms are opened and expired
+    process.env.VIDEO_ROOM_CRON || "*/15 * * * *",
+    async () => {
+      try {
+        const { created, expired } = await runVideoRoomJob();
+        if (created || expired) {
+          console.log(`🎥 Video rooms: ${created} created, ${expired} expired`);
+        }
+      } catch (error) {
+        console.error("❌ Error syncing video rooms:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: CLINIC_TIMEZONE,
+    }
+  );
+};
+
+module.exports = startVideoRoomJob;
+module.exports.runVideoRoomJob = runVideoRoomJob;
@@ -0,0 +1,31 @@
+const cron = require("node-cron");
+const { expireOffers } = require("../services/waitlist");
+const { CLINIC_TIMEZONE } = require("../utils/timeSlots");
+
+/**
+ * Expire unanswered waitlist offers so their slots move on to the next
+ * family, and close entries whose window has passed.
+ */
+const startWaitlistOfferJob = () => {
+  cron.schedule(
+    process.env.WAITLIST_OFFER_CRON || "*/5 * * * *",
+    async () => {
+      try {
+        const { offersExpired, entriesExpired } = await expireOffers();
+        if (offersExpired || entriesExpired) {
+          console.log(
+            `⏳ Waitlist: ${offersExpired} offer(s) expired, ${entriesExpired} entry(ies) closed`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Error expiring waitlist offers:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: CLINIC_TIMEZONE,
+    }
+  );
+};
+
+module.exports = startWaitlistOfferJob;
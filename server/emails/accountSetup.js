@@ -0,0 +1,13 @@
+//Email format for setting the password of an account the clinic created
+
+exports.accountSetup = ({ name, setupUrl, expiresInDays }) => `
+  <h2>Set Up Your 8 Senses Account</h2>
+  <p>Hello ${name},</p>
+
+  <p>We have created an 8 Senses account for you with your child's booking. Click the link below to choose a password and sign in:</p>
+
+  <p><a href="${setupUrl}">${setupUrl}</a></p>
+
+  <p>This link expires in ${expiresInDays} days. You can always get a new one with "Forgot password".</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
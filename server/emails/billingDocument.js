@@ -0,0 +1,12 @@
+//Email format for sending a family their invoice or payment receipt as a PDF attachment
+
+exports.billingDocument = ({ name, patientName, documentType, documentNumber, amount }) => `
+  <h2>Your ${documentType} from 8 Senses</h2>
+  <p>Hello ${name},</p>
+
+  <p>Please find attached ${documentType.toLowerCase()} <strong>${documentNumber}</strong>
+  for ${patientName}'s therapy sessions, for a total of <strong>Rs. ${amount}</strong>.</p>
+
+  <p>Keep it for your records or insurance reimbursement. Reply to this email if anything looks wrong.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
@@ -0,0 +1,13 @@
+//Email format for verifying a new account's email address
+
+exports.emailVerification = ({ name, verifyUrl }) => `
+  <h2>Verify Your Email</h2>
+  <p>Hello ${name},</p>
+
+  <p>Welcome to 8 Senses! Please confirm your email address by clicking the link below:</p>
+
+  <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+
+  <p>This link expires in 24 hours.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
@@ -0,0 +1,20 @@
+//Email format for warning a family that their prepaid package is nearly used up
+
+exports.packageLowBalance = ({
+  name,
+  patientName,
+  packageName,
+  sessionsRemaining,
+  expiresAt,
+}) => `
+  <h2>Your Session Package is Running Low</h2>
+  <p>Hello ${name},</p>
+
+  <p>${patientName}'s <strong>${packageName}</strong> package has
+  <strong>${sessionsRemaining}</strong> session(s) left${
+    expiresAt ? ` and is valid until ${new Date(expiresAt).toLocaleDateString()}` : ""
+  }.</p>
+
+  <p>Please speak to our front desk if you would like to renew it so therapy can continue without a break.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
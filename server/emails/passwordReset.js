@@ -0,0 +1,13 @@
+//Email format for password reset links
+
+exports.passwordReset = ({ name, resetUrl, expiresInMinutes }) => `
+  <h2>Reset Your Password</h2>
+  <p>Hello ${name},</p>
+
+  <p>We received a request to reset the password for your 8 Senses account. Click the link below to choose a new password:</p>
+
+  <p><a href="${resetUrl}">${resetUrl}</a></p>
+
+  <p>This link expires in ${expiresInMinutes} minutes. If you did not ask to reset your password, you can ignore this email.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
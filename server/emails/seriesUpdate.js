@@ -0,0 +1,30 @@
+//Email format for changes to a recurring appointment series
+
+exports.seriesUpdate = ({
+  name,
+  heading,
+  summary,
+  service,
+  therapist,
+  appointments,
+}) => `
+  <h2>${heading}</h2>
+  <p>Hello ${name},</p>
+
+  <p>${summary}</p>
+
+  <p><strong>Service:</strong> ${service}<br/>
+  <strong>Therapist:</strong> ${therapist}</p>
+
+  <ul>
+    ${appointments
+      .map(
+        (apt) =>
+          `<li>${new Date(apt.date).toLocaleDateString()} &ndash; ${apt.startTime} - ${apt.endTime} (${apt.status})</li>`
+      )
+      .join("")}
+  </ul>
+
+  <p>Let us know if you have any questions.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
@@ -0,0 +1,20 @@
+//Email format for toy library return reminders
+
+exports.toyReturnReminder = ({ name, toyName, unitNumber, dueDate, isOverdue }) => `
+  <h2>Toy Return Reminder</h2>
+  <p>Hello ${name},</p>
+
+  <p>${
+    isOverdue
+      ? "The toy below was due back and is now <strong>overdue</strong>."
+      : "This is a friendly reminder that the toy below is due back soon."
+  }</p>
+
+  <ul>
+    <li><strong>Toy:</strong> ${toyName}${unitNumber ? ` (Unit ${unitNumber})` : ""}</li>
+    <li><strong>Due date:</strong> ${new Date(dueDate).toLocaleDateString()}</li>
+  </ul>
+
+  <p>Please return it to the clinic at your earliest convenience.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
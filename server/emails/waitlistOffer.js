@@ -0,0 +1,28 @@
+//Email format for offering a freed slot to a waitlisted family
+
+exports.waitlistOffer = ({
+  name,
+  patientName,
+  service,
+  therapist,
+  date,
+  startTime,
+  endTime,
+  acceptUrl,
+  holdUntil,
+}) => `
+  <h2>An Earlier Appointment is Available</h2>
+  <p>Hello ${name},</p>
+
+  <p>A slot has opened up and we are holding it for ${patientName}:</p>
+
+  <p><strong>Service:</strong> ${service}<br/>
+  <strong>Therapist:</strong> ${therapist}<br/>
+  <strong>Date:</strong> ${new Date(date).toLocaleDateString()}<br/>
+  <strong>Time:</strong> ${startTime} - ${endTime}</p>
+
+  <p><a href="${acceptUrl}">Book this slot</a></p>
+
+  <p>We can hold it until ${holdUntil}. After that it goes to the next family on the waitlist. If you can't make it, you can decline from the same link and you will keep your place on the waitlist.</p>
+  <p>Thanks,<br/>The 8 Senses Team</p>
+`;
@@ -1,5 +1,6 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { getRolePermissions } = require("../utils/permissions");
 
 // Protect routes
 exports.protect = async (req, res, next) => {
@@ -34,6 +35,16 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a "log out everywhere" or password change
+    if ((decoded.v || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: "Session has been revoked, please log in again",
+      });
+    }
+
+    req.sessionId = decoded.sid;
+
     next();
   } catch (err) {
     return res.status(401).json({
@@ -43,15 +54,28 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-exports.authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
+// Grant access to users whose role holds any of the given permissions
+// ("resource:action", see config/permissions.js). Must run after protect.
+exports.can = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
         success: false,
-        error: `User role ${req.user.role} is not authorized to access this route`,
+        error: "Not authorized to access this route",
       });
     }
-    next();
+
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      if (!permissions.some((permission) => granted.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          error: `User role ${req.user.role} is not authorized to access this route`,
+        });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
   };
 };
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { rateLimit } = require("express-rate-limit");
+const AppointmentForm = require("../models/AppointmentForm");
+
+const MINUTE = 60 * 1000;
+
+// Limiter answering in the API's error format. Counts are kept in memory,
+// per server instance.
+const limiter = ({ windowMs, limit, keyGenerator, message }) =>
+  rateLimit({
+    windowMs,
+    limit,
+    keyGenerator,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res) =>
+      res.status(429).json({
+        success: false,
+        error: message,
+      }),
+  });
+
+// The phone a booking code goes to: the one being booked with, or the one
+// on the booking request a code is resent for. Keyed on its last ten
+// digits, so the same number written differently shares one count.
+const phoneKey = async (req) => {
+  let phone = req.body?.phone;
+  if (req.params.id) {
+    const form = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await AppointmentForm.findById(req.params.id).select("phone").lean()
+      : null;
+    phone = form?.phone;
+  }
+
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 10 ? `phone:${digits.slice(-10)}` : req.ip;
+};
+
+// Public online booking texts codes, so both the caller and the phone
+// number being texted are limited
+const bookingRequestLimiter = limiter({
+  windowMs: 15 * MINUTE,
+  limit: 10,
+  message: "Too many booking requests, please try again later",
+});
+
+// Shared by new requests and resent codes
+const bookingPhoneLimiter = limiter({
+  windowMs: 60 * MINUTE,
+  limit: 8,
+  keyGenerator: phoneKey,
+  message: "Too many codes sent to this phone number, please try again later",
+});
+
+const bookingCodeLimiter = limiter({
+  windowMs: 15 * MINUTE,
+  limit: 20,
+  message: "Too many attempts, please try again later",
+});
+
+module.exports = { bookingRequestLimiter, bookingPhoneLimiter, bookingCodeLimiter };
@@ -1,4 +1,40 @@
 const mongoose = require("mongoose")
+const ErrorResponse = require("../utils/errorResponse")
+
+// Allowed status changes. "rescheduled" and "converted" are set when an
+// appointment is replaced by another one; like completed, cancelled and
+// no-show they are final.
+const STATUS_TRANSITIONS = {
+  scheduled: ["confirmed", "in-progress", "completed", "cancelled", "no-show", "rescheduled", "converted"],
+  confirmed: ["scheduled", "in-progress", "completed", "cancelled", "no-show", "rescheduled", "converted"],
+  "in-progress": ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+  "no-show": [],
+  rescheduled: [],
+  converted: [],
+}
+
+// Changes only made when a status change asks for them with `rebook: true`:
+// the front desk booking a cancelled appointment into a new slot
+const REBOOK_TRANSITIONS = {
+  cancelled: ["scheduled"],
+}
+
+// Who made a status change
+const STATUS_CHANGE_SOURCES = ["staff", "parent", "whatsapp", "system"]
+
+// Fields that show up in calendar feeds and invites
+const CALENDAR_FIELDS = [
+  "date",
+  "startTime",
+  "endTime",
+  "therapistId",
+  "serviceId",
+  "consultationMode",
+  "status",
+  "groupSessionName",
+]
 
 const appointmentSchema = new mongoose.Schema(
   {
@@ -75,14 +111,52 @@ const appointmentSchema = new mongoose.Schema(
       },
       method: {
         type: String,
-        enum: ["cash", "upi", "not_specified"],
+        enum: ["cash", "upi", "package", "not_specified"],
         default: "not_specified",
       },
       status: {
         type: String,
-        enum: ["pending", "paid", "refunded"],
+        enum: ["pending", "partial", "paid", "refunded"],
         default: "pending",
       },
+      // Total allocated to this appointment from payment receipts
+      paidAmount: {
+        type: Number,
+        default: 0,
+      },
+      lastPaymentDate: {
+        type: Date,
+      },
+    },
+    // Charge for a late cancellation or no-show under the service's
+    // cancellation policy; an admin can waive it
+    cancellationFee: {
+      kind: {
+        type: String,
+        enum: ["late_cancellation", "no_show"],
+      },
+      amount: {
+        type: Number,
+        min: 0,
+      },
+      chargedAt: {
+        type: Date,
+      },
+      waivedAt: {
+        type: Date,
+      },
+      waivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      waiverReason: {
+        type: String,
+      },
+    },
+    // Prepaid package this session was taken from, once it is completed
+    packageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SessionPackage",
     },
     consent: {
       type: Boolean,
@@ -94,9 +168,29 @@ const appointmentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["scheduled", "confirmed", "in-progress", "completed", "cancelled", "no-show", "rescheduled", "converted"],
+      enum: Object.keys(STATUS_TRANSITIONS),
       default: "scheduled",
     },
+    statusHistory: [
+      {
+        from: String,
+        to: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        source: {
+          type: String,
+          enum: STATUS_CHANGE_SOURCES,
+          default: "staff",
+        },
+        reason: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     assignedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -127,6 +221,7 @@ const appointmentSchema = new mongoose.Schema(
     },
     groupSessionId: {
       type: mongoose.Schema.Types.ObjectId,
+      ref: "GroupSession",
       required: false,
     },
     groupSessionName: {
@@ -139,6 +234,16 @@ const appointmentSchema = new mongoose.Schema(
       min: 1,
       max: 20,
     },
+    // Recurring series fields
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AppointmentSeries",
+      required: false,
+    },
+    seriesIndex: {
+      type: Number,
+      required: false,
+    },
     // Analytics and tracking
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -155,6 +260,54 @@ const appointmentSchema = new mongoose.Schema(
     lastReminderSent: {
       type: Date,
     },
+    // Set by the attendance sweep when a session ended without a note, so the
+    // front desk can confirm whether the child came
+    attendanceReview: {
+      status: {
+        type: String,
+        enum: ["pending", "resolved"],
+      },
+      reason: String,
+      flaggedAt: Date,
+      resolution: {
+        type: String,
+        enum: ["completed", "no-show"],
+      },
+      resolvedAt: Date,
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Set while the appointment falls inside a therapist leave or clinic closure
+    affectedByLeave: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Leave",
+    },
+    // Meeting room of a video-call appointment; expires after the session
+    videoRoom: {
+      provider: String,
+      roomId: String,
+      joinUrl: String,
+      // Link with moderator rights for the therapist, when the provider has one
+      hostUrl: {
+        type: String,
+        select: false,
+      },
+      createdAt: Date,
+      expiresAt: Date,
+      status: {
+        type: String,
+        enum: ["active", "expired"],
+      },
+      expiredAt: Date,
+    },
+    // iCalendar SEQUENCE of the appointment's event; bumped whenever its slot
+    // or status changes so calendar apps replace their copy
+    calendarSequence: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
@@ -169,6 +322,9 @@ appointmentSchema.index({ patientId: 1, date: 1 })
 appointmentSchema.index({ status: 1, date: 1 })
 appointmentSchema.index({ groupSessionId: 1 })
 appointmentSchema.index({ isGroupSession: 1, date: 1 })
+appointmentSchema.index({ seriesId: 1, date: 1 })
+appointmentSchema.index({ "attendanceReview.status": 1, date: 1 })
+appointmentSchema.index({ "videoRoom.status": 1, "videoRoom.expiresAt": 1 })
 
 // Virtual for appointment duration
 appointmentSchema.virtual("duration").get(function () {
@@ -198,14 +354,114 @@ appointmentSchema.virtual("formattedDate").get(function () {
   })
 })
 
+// Throw a 400 unless the appointment may move from one status to the other
+const assertTransition = (from, to, { rebook } = {}) => {
+  if (STATUS_TRANSITIONS[from]?.includes(to)) return
+  if (rebook && REBOOK_TRANSITIONS[from]?.includes(to)) return
+  throw new ErrorResponse(`Appointment status cannot change from ${from} to ${to}`, 400)
+}
+
+// History entry for a status change. `change` is `{ changedBy, source, reason, rebook? }`.
+const historyEntry = (from, to, change = {}) => ({
+  from,
+  to,
+  changedBy: change.changedBy,
+  source: change.source || "staff",
+  reason: change.reason,
+  at: new Date(),
+})
+
+// Timestamps that go with a final status
+const statusTimestamps = (status) => {
+  if (status === "cancelled") return { cancelledAt: new Date() }
+  if (status === "completed") return { completedAt: new Date() }
+  return {}
+}
+
+// Remember the stored status so saves can tell which transition they make
+appointmentSchema.post("init", function () {
+  this.$locals.savedStatus = this.status
+})
+
 // Pre-save middleware
 appointmentSchema.pre("save", function (next) {
   if (this.isModified()) {
     this.lastModifiedBy = this.createdBy
   }
+
+  const from = this.$locals.savedStatus
+  if (!this.isNew && this.isModified("status") && from !== this.status) {
+    try {
+      assertTransition(from, this.status)
+    } catch (err) {
+      return next(err)
+    }
+    this.statusHistory.push(historyEntry(from, this.status, this.$locals.statusChange))
+  }
+  if (!this.isNew && CALENDAR_FIELDS.some((field) => this.isModified(field))) {
+    this.calendarSequence = (this.calendarSequence || 0) + 1
+  }
   next()
 })
 
+appointmentSchema.post("save", function () {
+  this.$locals.savedStatus = this.status
+  delete this.$locals.statusChange
+})
+
+/**
+ * Status changes made with findOneAndUpdate/findByIdAndUpdate/updateOne go
+ * through the same transition check and history. Pass
+ * `{ statusChange: { changedBy, source, reason } }` in the query options to
+ * say who made the change; `rebook: true` in it also allows reopening a
+ * cancelled appointment.
+ */
+async function checkStatusUpdate() {
+  const options = this.getOptions()
+  const change = options.statusChange
+  delete options.statusChange
+
+  const update = this.getUpdate() || {}
+  const status = update.$set?.status ?? update.status
+  if (status === undefined) return
+
+  const current = await this.model.findOne(this.getQuery()).select("status").lean()
+  if (!current || current.status === status) return
+
+  assertTransition(current.status, status, change)
+
+  const timestamps = statusTimestamps(status)
+  Object.keys(timestamps).forEach((field) => {
+    if (update[field] === undefined && update.$set?.[field] === undefined) {
+      update[field] = timestamps[field]
+    }
+  })
+  update.$push = {
+    ...update.$push,
+    statusHistory: historyEntry(current.status, status, change),
+  }
+  this.setUpdate(update)
+}
+
+appointmentSchema.pre("findOneAndUpdate", checkStatusUpdate)
+appointmentSchema.pre("updateOne", { document: false, query: true }, checkStatusUpdate)
+
+// Query updates that touch the calendar fields bump the event's SEQUENCE too
+function bumpCalendarSequence() {
+  const update = this.getUpdate() || {}
+  const touched = CALENDAR_FIELDS.some(
+    (field) => update[field] !== undefined || update.$set?.[field] !== undefined,
+  )
+  if (!touched) return
+
+  update.$inc = { ...update.$inc, calendarSequence: 1 }
+  this.setUpdate(update)
+}
+
+appointmentSchema.pre("findOneAndUpdate", bumpCalendarSequence)
+appointmentSchema.pre("updateOne", { document: false, query: true }, bumpCalendarSequence)
+appointmentSchema.pre("updateMany", bumpCalendarSequence)
+
 // Static methods
 appointmentSchema.statics.findByTherapist = function (therapistId, startDate, endDate) {
   const query = { therapistId }
@@ -280,15 +536,32 @@ appointmentSchema.methods.isUpcoming = function () {
   return appointmentDateTime > now && this.status === "scheduled"
 }
 
-appointmentSchema.methods.markAsCompleted = function () {
-  this.status = "completed"
-  this.completedAt = new Date()
+appointmentSchema.methods.canTransitionTo = function (status) {
+  return STATUS_TRANSITIONS[this.status]?.includes(status) || false
+}
+
+/**
+ * Move the appointment to a new status, recording who (`changedBy`), from
+ * where (`source`: staff, parent, whatsapp or system) and why. Throws a 400
+ * for a transition the state machine does not allow. Does not save.
+ */
+appointmentSchema.methods.transitionTo = function (status, change = {}) {
+  if (status === this.status) return this
+
+  assertTransition(this.status, status)
+  this.status = status
+  Object.assign(this, statusTimestamps(status))
+  this.$locals.statusChange = change
+  return this
+}
+
+appointmentSchema.methods.markAsCompleted = function (change = {}) {
+  this.transitionTo("completed", change)
   return this.save()
 }
 
-appointmentSchema.methods.cancel = function (reason = "") {
-  this.status = "cancelled"
-  this.cancelledAt = new Date()
+appointmentSchema.methods.cancel = function (reason = "", change = {}) {
+  this.transitionTo("cancelled", { reason: reason || undefined, ...change })
   if (reason) {
     this.notes = this.notes ? `${this.notes}\n\nCancellation reason: ${reason}` : `Cancellation reason: ${reason}`
   }
@@ -296,3 +569,5 @@ appointmentSchema.methods.cancel = function (reason = "") {
 }
 
 module.exports = mongoose.model("Appointment", appointmentSchema)
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS
+module.exports.STATUS_CHANGE_SOURCES = STATUS_CHANGE_SOURCES
@@ -1,9 +1,23 @@
 const mongoose = require("mongoose");
 
+// Reschedule requests (WhatsApp, parent portal) only know what is on the appointment
+function isWebsiteRequest() {
+  return this.source === "website";
+}
+
+// Families booking online without an account fill in the same details
+function isFamilyRequest() {
+  return this.source === "website" || this.source === "online";
+}
+
+function isOnlineRequest() {
+  return this.source === "online";
+}
+
 const AppointmentFormSchema = new mongoose.Schema({
   motherName: {
     type: String,
-    required: true,
+    required: isFamilyRequest,
   },
   fatherName: {
     type: String,
@@ -19,11 +33,11 @@ const AppointmentFormSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: true,
+    required: isFamilyRequest,
   },
   childAge: {
     type: Number,
-    required: true,
+    required: isFamilyRequest,
   },
   serviceType: {
     type: String,
@@ -54,9 +68,10 @@ const AppointmentFormSchema = new mongoose.Schema({
   notes: {
     type: String,
   },
+  // Online requests stay "unverified" until the family confirms their phone
   status: {
     type: String,
-    enum: ["pending", "scheduled", "cancelled", "converted"],
+    enum: ["unverified", "pending", "scheduled", "cancelled", "converted"],
     default: "pending",
   },
   isConverted: {
@@ -66,7 +81,67 @@ const AppointmentFormSchema = new mongoose.Schema({
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: isWebsiteRequest,
+  },
+  // "whatsapp" requests are raised from a parent's reply to a reminder,
+  // "portal" ones from the parent portal and "online" ones from the public
+  // booking page
+  source: {
+    type: String,
+    enum: ["website", "whatsapp", "portal", "online"],
+    default: "website",
+  },
+  // Slot picked on the public booking page: `preferredDate` and
+  // `preferredTime` are its day and start time
+  serviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Service",
+    required: isOnlineRequest,
+  },
+  therapistId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: isOnlineRequest,
+  },
+  endTime: {
+    type: String,
+    required: isOnlineRequest,
+  },
+  consultationMode: {
+    type: String,
+    enum: ["in-person", "video-call", "phone"],
+  },
+  // The slot is kept free for the family until then
+  holdExpiresAt: Date,
+  // "<therapistId>_<YYYY-MM-DD>_<HH:MM>" while the request holds its slot;
+  // unique, so two families cannot hold the same slot
+  slotClaim: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // One-time code sent to `phone`; only its hash is stored
+  phoneVerification: {
+    codeHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: Date,
+    sentAt: Date,
+    sends: {
+      type: Number,
+      default: 0,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    verifiedAt: Date,
+  },
+  // Existing appointment the family asked to move
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
   },
   createdAt: {
     type: Date,
@@ -74,4 +149,39 @@ const AppointmentFormSchema = new mongoose.Schema({
   },
 });
 
+AppointmentFormSchema.index({ therapistId: 1, holdExpiresAt: 1 });
+
+// Statuses in which an online request still holds its slot
+const HOLDING_STATUSES = ["unverified", "pending"];
+
+/**
+ * Online requests whose hold on one of the therapists' slots between
+ * `start` and `end` has not run out
+ */
+AppointmentFormSchema.statics.findActiveHolds = function (therapistIds, start, end) {
+  return this.find({
+    source: "online",
+    status: { $in: HOLDING_STATUSES },
+    therapistId: { $in: [].concat(therapistIds) },
+    preferredDate: { $gte: start, $lte: end },
+    holdExpiresAt: { $gt: new Date() },
+  })
+    .select("childName therapistId preferredDate preferredTime endTime holdExpiresAt")
+    .lean();
+};
+
+/**
+ * Free a slot claimed by requests that no longer hold it: their hold ran out,
+ * or they were converted or cancelled
+ */
+AppointmentFormSchema.statics.releaseStaleClaims = function (slotClaim) {
+  return this.updateMany(
+    {
+      slotClaim,
+      $or: [{ holdExpiresAt: { $lte: new Date() } }, { status: { $nin: HOLDING_STATUSES } }],
+    },
+    { $unset: { slotClaim: 1 } }
+  );
+};
+
 module.exports = mongoose.model("AppointmentForm", AppointmentFormSchema);
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+const AppointmentSeriesSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Please add a patient"],
+    },
+    patientName: {
+      type: String,
+      required: true,
+    },
+    fatherName: {
+      type: String,
+    },
+    email: {
+      type: String,
+    },
+    phone: {
+      type: String,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: [true, "Please add a service"],
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Please add a therapist"],
+    },
+    type: {
+      type: String,
+      enum: ["initial assessment", "therapy session", "follow-up", "group therapy session"],
+      default: "therapy session",
+    },
+    consultationMode: {
+      type: String,
+      enum: ["in-person", "video-call", "phone"],
+      default: "in-person",
+    },
+    // e.g. every Mon/Wed/Fri at 10:00 AM for 12 sessions
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: ["daily", "weekly"],
+        default: "weekly",
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1,
+      },
+      daysOfWeek: {
+        type: [String],
+        enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
+        default: [],
+      },
+      startDate: {
+        type: Date,
+        required: [true, "Please add a start date"],
+      },
+      endDate: {
+        type: Date,
+      },
+      occurrences: {
+        type: Number,
+        min: 1,
+      },
+      startTime: {
+        type: String,
+        required: [true, "Please add a start time"],
+      },
+      endTime: {
+        type: String,
+        required: [true, "Please add an end time"],
+      },
+      skipHolidays: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Dates the rule produced but that were left out (closures, leave)
+    skippedDates: [
+      {
+        date: Date,
+        reason: String,
+      },
+    ],
+    payment: {
+      amount: {
+        type: Number,
+        default: 0,
+      },
+      method: {
+        type: String,
+        enum: ["cash", "upi", "not_specified"],
+        default: "not_specified",
+      },
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+AppointmentSeriesSchema.index({ patientId: 1, status: 1 });
+AppointmentSeriesSchema.index({ therapistId: 1, status: 1 });
+
+// Virtual for the generated appointments
+AppointmentSeriesSchema.virtual("appointments", {
+  ref: "Appointment",
+  localField: "_id",
+  foreignField: "seriesId",
+  justOne: false,
+});
+
+module.exports = mongoose.model("AppointmentSeries", AppointmentSeriesSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// Report of one run of the attendance sweep: every appointment it marked
+// completed and every one it flagged for the front desk to review.
+const SweepEntrySchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+    },
+    patientName: String,
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    date: Date,
+    startTime: String,
+    endTime: String,
+    previousStatus: String,
+  },
+  { _id: false }
+);
+
+const AttendanceSweepSchema = new mongoose.Schema(
+  {
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    // "cron" for scheduled runs, "manual" when staff ran it by hand
+    trigger: {
+      type: String,
+      enum: ["cron", "manual"],
+      default: "cron",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    graceMinutes: {
+      type: Number,
+    },
+    checked: {
+      type: Number,
+      default: 0,
+    },
+    completed: [SweepEntrySchema],
+    flagged: [SweepEntrySchema],
+    failures: [
+      {
+        appointmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Appointment",
+        },
+        message: String,
+        _id: false,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+AttendanceSweepSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("AttendanceSweep", AttendanceSweepSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Named sequences for document numbers that must run without gaps
+// (receipts, invoices). Incremented atomically so concurrent requests
+// never get the same number.
+const CounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Next value of the sequence `key`, starting at 1
+CounterSchema.statics.next = async function (key) {
+  const counter = await this.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+// One child's place in a group session. Each place is backed by the child's
+// own Appointment (sharing the session's id as `groupSessionId`), which
+// carries their attendance status and billing.
+const ParticipantSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+    patientName: {
+      type: String,
+      required: true,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    status: {
+      type: String,
+      enum: ["enrolled", "left"],
+      default: "enrolled",
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    leftAt: Date,
+    leftReason: String,
+  },
+  { _id: false }
+);
+
+// A group therapy session: one therapist, one slot and a roster of up to
+// `maxCapacity` children
+const GroupSessionSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please add a group session name"],
+      trim: true,
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      default: "group therapy session",
+    },
+    consultationMode: {
+      type: String,
+      enum: ["in-person", "video-call", "phone"],
+      default: "in-person",
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    maxCapacity: {
+      type: Number,
+      default: 6,
+      min: 1,
+      max: 20,
+    },
+    // Fee charged to each child unless set otherwise when they join
+    pricePerChild: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Cancelled once every enrolled child's appointment is
+    status: {
+      type: String,
+      enum: ["scheduled", "cancelled"],
+      default: "scheduled",
+    },
+    roster: [ParticipantSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+GroupSessionSchema.index({ therapistId: 1, date: 1 });
+GroupSessionSchema.index({ date: 1, status: 1 });
+GroupSessionSchema.index({ "roster.patientId": 1 });
+
+GroupSessionSchema.virtual("enrolledCount").get(function () {
+  return this.roster.filter((participant) => participant.status === "enrolled").length;
+});
+
+module.exports = mongoose.model("GroupSession", GroupSessionSchema);
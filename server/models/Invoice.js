@@ -0,0 +1,128 @@
+const mongoose = require("mongoose");
+
+// GST invoice for one or more appointments of a patient. Line amounts are
+// copied from the appointments and services when the invoice is issued so
+// the document never changes afterwards; a wrong invoice is cancelled and
+// a new one issued under the next number.
+const InvoiceItemSchema = new mongoose.Schema({
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appointment",
+    required: true,
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  sacCode: {
+    type: String,
+    required: true,
+  },
+  date: {
+    type: Date,
+  },
+  // Session fee as charged, GST included
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  taxableValue: {
+    type: Number,
+    required: true,
+  },
+  gstRate: {
+    type: Number,
+    default: 0,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const InvoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Please add a patient"],
+    },
+    patientName: {
+      type: String,
+      required: true,
+    },
+    billTo: {
+      name: String,
+      phone: String,
+      email: String,
+      address: String,
+    },
+    items: {
+      type: [InvoiceItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "An invoice needs at least one appointment",
+      },
+    },
+    taxableTotal: {
+      type: Number,
+      required: true,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["issued", "cancelled"],
+      default: "issued",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelReason: {
+      type: String,
+    },
+    lastEmailedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+InvoiceSchema.index({ patientId: 1, status: 1, issuedAt: -1 });
+InvoiceSchema.index({ "items.appointmentId": 1, status: 1 });
+
+module.exports = mongoose.model("Invoice", InvoiceSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const { parseTime, toClinicDateKey } = require("../utils/timeSlots");
+
+const LeaveSchema = new mongoose.Schema(
+  {
+    // "therapist" blocks one therapist's calendar, "clinic" closes the clinic for everyone
+    scope: {
+      type: String,
+      enum: ["therapist", "clinic"],
+      default: "therapist",
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [
+        function () {
+          return this.scope === "therapist";
+        },
+        "Please add a therapist for therapist leave",
+      ],
+    },
+    type: {
+      type: String,
+      enum: ["leave", "sick", "training", "holiday", "closure", "other"],
+      default: "leave",
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Please add a start date"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "Please add an end date"],
+    },
+    // Optional partial-day window ("hh:mm AM/PM"); only allowed for single-day entries
+    startTime: {
+      type: String,
+    },
+    endTime: {
+      type: String,
+    },
+    reason: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["active", "cancelled"],
+      default: "active",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+LeaveSchema.index({ therapistId: 1, startDate: 1, endDate: 1 });
+LeaveSchema.index({ scope: 1, status: 1, startDate: 1 });
+
+LeaveSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "End date must be on or after the start date");
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate("endTime", "Both startTime and endTime are required for a partial day");
+  } else if (this.startTime && parseTime(this.endTime) <= parseTime(this.startTime)) {
+    this.invalidate("endTime", "End time must be after the start time");
+  }
+  if (
+    this.startTime &&
+    this.startDate &&
+    this.endDate &&
+    toClinicDateKey(this.startDate) !== toClinicDateKey(this.endDate)
+  ) {
+    this.invalidate("startTime", "A partial-day window can only be set for a single day");
+  }
+  next();
+});
+
+// Whole-day entries block the entire calendar day
+LeaveSchema.virtual("isFullDay").get(function () {
+  return !this.startTime || !this.endTime;
+});
+
+/**
+ * Active leave or closure entries touching [start, end] for a therapist.
+ * Clinic-wide closures are always included.
+ */
+LeaveSchema.statics.findOverlapping = function (therapistId, start, end) {
+  const who = [{ scope: "clinic" }];
+  if (therapistId) {
+    who.push({ scope: "therapist", therapistId });
+  }
+
+  return this.find({
+    status: "active",
+    startDate: { $lte: end },
+    endDate: { $gte: start },
+    $or: who,
+  }).sort({ startDate: 1 });
+};
+
+module.exports = mongoose.model("Leave", LeaveSchema);
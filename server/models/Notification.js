@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+// One outbox entry per notification per channel
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      name: String,
+      email: String,
+      phone: String,
+    },
+    channel: {
+      type: String,
+      enum: ["email", "whatsapp", "sms"],
+      required: [true, "Please add a channel"],
+    },
+    // Key into services/notifications/templates
+    template: {
+      type: String,
+      required: [true, "Please add a template"],
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Record the notification is about, e.g. { kind: "Appointment", id }
+    relatedTo: {
+      kind: String,
+      id: mongoose.Schema.Types.ObjectId,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "sent", "failed", "cancelled"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastError: {
+      type: String,
+    },
+    // Adapter that delivered the message and the id it returned
+    provider: {
+      type: String,
+    },
+    providerMessageId: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ "recipient.userId": 1, createdAt: -1 });
+NotificationSchema.index({ "relatedTo.kind": 1, "relatedTo.id": 1 });
+
+module.exports = mongoose.model("Notification", NotificationSchema);
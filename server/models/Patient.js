@@ -1,5 +1,11 @@
 const mongoose = require("mongoose")
 
+// Records created from a booking only hold the parent details the family
+// gave when booking, so those are not required of them
+function unlessFromBooking() {
+  return this.createdFrom !== "booking"
+}
+
 const PatientSchema = new mongoose.Schema(
   {
     parentId: {
@@ -102,14 +108,20 @@ const PatientSchema = new mongoose.Schema(
         required: false,
       },
     },
+    // "booking" for records created when a family booked a child by name
+    createdFrom: {
+      type: String,
+      enum: ["staff", "booking"],
+      default: "staff",
+    },
     parentInfo: {
       name: {
         type: String,
-        required: [true, "Please add Father name"],
+        required: [unlessFromBooking, "Please add Father name"],
       },
       phone: {
         type: String,
-        required: [true, "Please add Father phone"],
+        required: [unlessFromBooking, "Please add Father phone"],
       },
       email: {
         type: String,
@@ -117,11 +129,11 @@ const PatientSchema = new mongoose.Schema(
       },
       motherName: {
         type: String,
-        required: [true, "Please add parent/guardian name"],
+        required: [unlessFromBooking, "Please add parent/guardian name"],
       },
       motherphone: {
         type: String,
-        required: [true, "Please add parent/guardian name"],
+        required: [unlessFromBooking, "Please add parent/guardian name"],
       },
       photo: {
         url: String,
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Two patient records that likely describe the same child, queued for an
+// admin to merge or dismiss. `pairKey` is both ids sorted and joined, so a
+// pair is only ever queued once.
+const PatientDuplicateSchema = new mongoose.Schema(
+  {
+    patientIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Patient",
+      },
+    ],
+    pairKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // 0-1 likelihood from name similarity, date of birth and parent phone
+    score: {
+      type: Number,
+      required: true,
+    },
+    reasons: {
+      type: [String],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: ["open", "dismissed", "merged"],
+      default: "open",
+    },
+    // Record the other one was merged into, and a copy of the merged record
+    survivorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+    mergedPatient: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    mergeSummary: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    resolvedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PatientDuplicateSchema.index({ status: 1, score: -1 });
+PatientDuplicateSchema.index({ patientIds: 1, status: 1 });
+
+module.exports = mongoose.model("PatientDuplicate", PatientDuplicateSchema);
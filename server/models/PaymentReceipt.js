@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+// One cash/UPI payment received from a family. The payment is allocated
+// across the patient's appointments; anything left over stays on the
+// receipt as credit. Receipts are never edited or deleted, only voided, so
+// the ledger keeps a full trail.
+const PaymentReceiptSchema = new mongoose.Schema(
+  {
+    receiptNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Please add a patient"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Please add the amount received"],
+      min: [0.01, "Amount must be more than zero"],
+    },
+    method: {
+      type: String,
+      enum: ["cash", "upi"],
+      required: [true, "Please add the payment method"],
+    },
+    // UPI transaction id or similar
+    reference: {
+      type: String,
+      trim: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    allocations: [
+      {
+        appointmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Appointment",
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    // Part of the payment not yet allocated to an appointment
+    unallocated: {
+      type: Number,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["active", "voided"],
+      default: "active",
+    },
+    voidedAt: {
+      type: Date,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    voidReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+PaymentReceiptSchema.index({ patientId: 1, status: 1, receivedAt: -1 });
+PaymentReceiptSchema.index({ "allocations.appointmentId": 1 });
+
+module.exports = mongoose.model("PaymentReceipt", PaymentReceiptSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Admin changes to one role's row of the default permission matrix. The role
+// holds its defaults from config/permissions.js plus `granted`, minus
+// `revoked`, so permissions added to the defaults later still reach it.
+const RolePermissionSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    granted: [
+      {
+        type: String,
+      },
+    ],
+    revoked: [
+      {
+        type: String,
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("RolePermission", RolePermissionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { DEFAULT_SAC_CODE } = require("../config/clinic");
 
 const ServiceSchema = new mongoose.Schema(
   {
@@ -36,6 +37,35 @@ const ServiceSchema = new mongoose.Schema(
       type: Number,
       required: [true, "Please add a price"],
     },
+    // GST details printed on invoices. Prices include GST; healthcare
+    // services are usually exempt, hence a 0% default.
+    sacCode: {
+      type: String,
+      trim: true,
+      default: DEFAULT_SAC_CODE,
+    },
+    gstRate: {
+      type: Number,
+      enum: [0, 5, 12, 18, 28],
+      default: 0,
+    },
+    // Charged when a session is cancelled too late or missed. `cutoffHours`
+    // falls back to LATE_CANCELLATION_CUTOFF_HOURS; percentages are of the
+    // session fee. A zero value charges nothing.
+    cancellationPolicy: {
+      cutoffHours: {
+        type: Number,
+        min: 0,
+      },
+      lateCancellationFee: {
+        type: { type: String, enum: ["fixed", "percentage"], default: "fixed" },
+        value: { type: Number, min: 0, default: 0 },
+      },
+      noShowFee: {
+        type: { type: String, enum: ["fixed", "percentage"], default: "fixed" },
+        value: { type: Number, min: 0, default: 0 },
+      },
+    },
     isActive: {
       type: Boolean,
       default: true,
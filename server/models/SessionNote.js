@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const ErrorResponse = require("../utils/errorResponse");
+const { numberSetting } = require("../config/settings");
+
+// Clinical note for one appointment, written by the therapist who ran the
+// session in SOAP form. A note is edited as a draft, then signed; signing
+// freezes its content. The signer can retract a signature until the note
+// locks (`SESSION_NOTE_LOCK_HOURS` after signing, or straight away when an
+// admin locks it). After signing, corrections go in as addenda.
+
+// Sections that freeze once the note is signed
+const CONTENT_FIELDS = ["subjective", "objective", "assessment", "plan", "goals"];
+
+const LOCK_HOURS = numberSetting("SESSION_NOTE_LOCK_HOURS", 24);
+
+const SessionNoteSchema = new mongoose.Schema(
+  {
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: true,
+      unique: true,
+    },
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+    patientName: {
+      type: String,
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+    },
+    sessionDate: {
+      type: Date,
+    },
+    // What the family and child reported
+    subjective: {
+      type: String,
+      default: "",
+    },
+    // What the therapist observed and measured
+    objective: {
+      type: String,
+      default: "",
+    },
+    // The therapist's interpretation of the session
+    assessment: {
+      type: String,
+      default: "",
+    },
+    // Next steps, home programme and changes to therapy
+    plan: {
+      type: String,
+      default: "",
+    },
+    // Treatment goals worked on during the session
+    goals: [
+      {
+        goalId: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        description: {
+          type: String,
+          required: [true, "Please describe the goal"],
+        },
+        comment: {
+          type: String,
+          default: "",
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["draft", "signed", "locked"],
+      default: "draft",
+    },
+    signedAt: {
+      type: Date,
+    },
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    addenda: [
+      {
+        text: {
+          type: String,
+          required: [true, "Please add the addendum text"],
+        },
+        author: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+SessionNoteSchema.index({ patientId: 1, sessionDate: -1 });
+SessionNoteSchema.index({ therapistId: 1, status: 1 });
+
+SessionNoteSchema.post("init", function () {
+  this.$locals.savedStatus = this.status;
+});
+
+// Content can only change while the note is (and was) a draft
+SessionNoteSchema.pre("save", function (next) {
+  if (
+    !this.isNew &&
+    (this.$locals.savedStatus !== "draft" || this.status !== "draft") &&
+    CONTENT_FIELDS.some((field) => this.isModified(field))
+  ) {
+    return next(
+      new ErrorResponse(
+        "Signed session notes cannot be edited; add an addendum instead",
+        400
+      )
+    );
+  }
+  next();
+});
+
+SessionNoteSchema.post("save", function () {
+  this.$locals.savedStatus = this.status;
+});
+
+// Signed notes lock on their own once the retraction window has passed
+SessionNoteSchema.virtual("isLocked").get(function () {
+  if (this.status === "locked") return true;
+  if (this.status !== "signed" || !this.signedAt) return false;
+  return Date.now() - this.signedAt.getTime() >= LOCK_HOURS * 60 * 60 * 1000;
+});
+
+/**
+ * Persist an automatic lock that is due. Resolves to the note.
+ */
+SessionNoteSchema.methods.applyAutoLock = async function () {
+  if (this.status === "signed" && this.isLocked) {
+    this.status = "locked";
+    this.lockedAt = new Date(this.signedAt.getTime() + LOCK_HOURS * 60 * 60 * 1000);
+    await this.save();
+  }
+  return this;
+};
+
+SessionNoteSchema.methods.sign = function (userId) {
+  if (this.status !== "draft") {
+    throw new ErrorResponse(`Session note is already ${this.status}`, 400);
+  }
+  if (!["subjective", "objective", "assessment", "plan"].some((field) => this[field].trim())) {
+    throw new ErrorResponse("An empty session note cannot be signed", 400);
+  }
+  this.status = "signed";
+  this.signedAt = new Date();
+  this.signedBy = userId;
+  return this;
+};
+
+// Back to draft so the signer can correct it; only before the note locks
+SessionNoteSchema.methods.retractSignature = function () {
+  if (this.status !== "signed" || this.isLocked) {
+    throw new ErrorResponse("Only signed notes that are not yet locked can be reopened", 400);
+  }
+  this.status = "draft";
+  this.signedAt = undefined;
+  this.signedBy = undefined;
+  return this;
+};
+
+SessionNoteSchema.methods.lock = function (userId) {
+  if (this.status !== "signed") {
+    throw new ErrorResponse(
+      this.status === "draft"
+        ? "Session note must be signed before it is locked"
+        : "Session note is already locked",
+      400
+    );
+  }
+  this.status = "locked";
+  this.lockedAt = new Date();
+  this.lockedBy = userId;
+  return this;
+};
+
+SessionNoteSchema.methods.addAddendum = function (text, userId) {
+  if (this.status === "draft") {
+    throw new ErrorResponse("Edit the draft instead of adding an addendum", 400);
+  }
+  this.addenda.push({ text, author: userId });
+  return this;
+};
+
+SessionNoteSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("SessionNote", SessionNoteSchema);
+module.exports.CONTENT_FIELDS = CONTENT_FIELDS;
@@ -0,0 +1,121 @@
+const mongoose = require("mongoose");
+
+// A prepaid bundle of sessions sold to a patient, e.g. "12 OT sessions".
+// Each completed appointment for the patient (and the package's service,
+// when it has one) uses up one session. Unused sessions can be refunded,
+// which closes the package.
+const SessionPackageSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Please add a patient"],
+    },
+    // Empty means sessions of any service can be taken from the package
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+    },
+    name: {
+      type: String,
+      required: [true, "Please add a package name"],
+      trim: true,
+    },
+    totalSessions: {
+      type: Number,
+      required: [true, "Please add the number of sessions"],
+      min: [1, "A package needs at least one session"],
+    },
+    sessionsUsed: {
+      type: Number,
+      default: 0,
+    },
+    price: {
+      type: Number,
+      required: [true, "Please add the package price"],
+      min: 0,
+    },
+    payment: {
+      method: {
+        type: String,
+        enum: ["cash", "upi", "not_specified"],
+        default: "not_specified",
+      },
+      status: {
+        type: String,
+        enum: ["pending", "paid", "refunded"],
+        default: "paid",
+      },
+    },
+    purchasedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["active", "exhausted", "expired", "refunded", "cancelled"],
+      default: "active",
+    },
+    // One entry per appointment that used a session
+    usages: [
+      {
+        appointmentId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Appointment",
+        },
+        date: Date,
+        usedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    refund: {
+      sessions: Number,
+      amount: Number,
+      method: {
+        type: String,
+        enum: ["cash", "upi", "not_specified"],
+      },
+      reason: String,
+      refundedAt: Date,
+      refundedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Set once the family has been told the package is running low
+    lowBalanceNotifiedAt: {
+      type: Date,
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+SessionPackageSchema.index({ patientId: 1, status: 1, expiresAt: 1 });
+
+SessionPackageSchema.virtual("sessionsRemaining").get(function () {
+  return Math.max(this.totalSessions - this.sessionsUsed, 0);
+});
+
+// Price of one session, used to work out refunds
+SessionPackageSchema.virtual("pricePerSession").get(function () {
+  return Math.round((this.price / this.totalSessions) * 100) / 100;
+});
+
+module.exports = mongoose.model("SessionPackage", SessionPackageSchema);
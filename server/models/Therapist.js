@@ -62,6 +62,37 @@ const TherapistSchema = new mongoose.Schema(
         end: String,
       },
     },
+    // Recurring breaks inside working hours, e.g. lunch; "all" applies every day
+    breaks: [
+      {
+        day: {
+          type: String,
+          enum: [
+            "all",
+            "monday",
+            "tuesday",
+            "wednesday",
+            "thursday",
+            "friday",
+            "saturday",
+            "sunday",
+          ],
+          default: "all",
+        },
+        start: {
+          type: String,
+          required: [true, "Please add a break start time"],
+        },
+        end: {
+          type: String,
+          required: [true, "Please add a break end time"],
+        },
+        label: {
+          type: String,
+          default: "Break",
+        },
+      },
+    ],
     isAvailable: {
       type: Boolean,
       default: true,
@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+
+// A patient's plan of care for one service: measurable goals, each with a
+// baseline and target, and progress measurements taken in completed
+// sessions. Session notes refer to goals by their _id.
+
+const MeasurementSchema = new mongoose.Schema(
+  {
+    value: {
+      type: Number,
+      required: [true, "Please add the measured value"],
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+      required: [true, "Measurements must come from a completed session"],
+    },
+    note: {
+      type: String,
+      default: "",
+    },
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const GoalSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      required: [true, "Please describe the goal"],
+      trim: true,
+    },
+    // e.g. "communication", "fine motor", "sensory regulation"
+    domain: {
+      type: String,
+      trim: true,
+    },
+    // What is measured, e.g. "% of trials", "words per minute"
+    unit: {
+      type: String,
+      default: "",
+    },
+    baseline: {
+      value: {
+        type: Number,
+        required: [true, "Please add a baseline value"],
+      },
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+      note: {
+        type: String,
+        default: "",
+      },
+    },
+    target: {
+      value: {
+        type: Number,
+        required: [true, "Please add a target value"],
+      },
+      // How achievement is judged, e.g. "80% accuracy over 3 consecutive sessions"
+      criteria: {
+        type: String,
+        default: "",
+      },
+      date: {
+        type: Date,
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "achieved", "discontinued"],
+      default: "active",
+    },
+    achievedAt: {
+      type: Date,
+    },
+    measurements: [MeasurementSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Share of the way from baseline to target the latest measurement has
+ * covered, as a percentage (can be negative or above 100). Null before the
+ * first measurement or when baseline and target are equal.
+ */
+GoalSchema.methods.getProgress = function () {
+  const latest = this.measurements.reduce(
+    (last, m) => (!last || m.date >= last.date ? m : last),
+    null
+  );
+  const span = this.target.value - this.baseline.value;
+  if (!latest || span === 0) return null;
+  return Math.round(((latest.value - this.baseline.value) / span) * 100);
+};
+
+const TreatmentPlanSchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+      required: [true, "Please add a patient"],
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: [true, "Please add a service"],
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Please add a therapist"],
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // When the plan is due to be reviewed with the family
+    reviewDate: {
+      type: Date,
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "discontinued"],
+      default: "active",
+    },
+    summary: {
+      type: String,
+      default: "",
+    },
+    goals: [GoalSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+TreatmentPlanSchema.index({ patientId: 1, status: 1 });
+TreatmentPlanSchema.index({ therapistId: 1, status: 1 });
+
+module.exports = mongoose.model("TreatmentPlan", TreatmentPlanSchema);
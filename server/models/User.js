@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 const UserSchema = new mongoose.Schema(
   {
@@ -49,6 +50,40 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Bumped to invalidate every access token issued so far (log out everywhere)
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Email verification and password reset (only token hashes are stored)
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    resetPasswordToken: {
+      type: String,
+      select: false,
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
+    // Hash of the secret in the user's calendar feed URL
+    calendarFeedToken: {
+      type: String,
+      select: false,
+    },
     // Membership / Subscription details
     membership: {
       type: String,
@@ -61,6 +96,21 @@ const UserSchema = new mongoose.Schema(
     subscriptionEnd: {
       type: Date,
     },
+    // Channels the user wants notifications on (see services/notifications)
+    notificationPreferences: {
+      email: {
+        type: Boolean,
+        default: true,
+      },
+      whatsapp: {
+        type: Boolean,
+        default: true,
+      },
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+    },
     // E-commerce / order history (optional future field)
     orders: [{ type: mongoose.Schema.Types.ObjectId, ref: "Order" }],
   },
@@ -87,6 +137,41 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash a raw email token the same way it is stored
+UserSchema.statics.hashToken = function (token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Generate a password reset token; stores its hash and returns the raw token
+UserSchema.methods.getResetPasswordToken = function (expiresInMinutes = 30) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpire = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return token;
+};
+
+// Generate an email verification token; stores its hash and returns the raw token
+UserSchema.methods.getEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return token;
+};
+
+// Generate a calendar feed token; stores its hash and returns the raw token.
+// A new token replaces the old one, so earlier feed URLs stop working.
+UserSchema.methods.getCalendarFeedToken = function () {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  this.calendarFeedToken = this.constructor.hashToken(token);
+
+  return token;
+};
+
 // Create full name virtual
 UserSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
@@ -0,0 +1,127 @@
+const mongoose = require("mongoose");
+const { WEEKDAYS, parseTime, getDayRange, getWeekday } = require("../utils/timeSlots");
+
+// A family waiting for an earlier slot with a service (and optionally a
+// specific therapist) inside a date/time window. Freed slots are offered to
+// matching entries in the order they joined.
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    patientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Patient",
+    },
+    patientName: {
+      type: String,
+      required: [true, "Please add the patient's name"],
+      trim: true,
+    },
+    fatherName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    // Parent account the offer is sent to (uses its notification preferences)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: [true, "Please add a service"],
+    },
+    // Empty means any therapist offering the service will do
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    window: {
+      fromDate: {
+        type: Date,
+        default: Date.now,
+      },
+      toDate: {
+        type: Date,
+        required: [true, "Please add the last date the family can attend"],
+      },
+      daysOfWeek: {
+        type: [String],
+        enum: WEEKDAYS,
+        default: [],
+      },
+      // "hh:mm AM/PM"; the whole session must fit inside the window
+      earliestTime: {
+        type: String,
+      },
+      latestTime: {
+        type: String,
+      },
+    },
+    notes: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "cancelled", "expired"],
+      default: "waiting",
+    },
+    offersMade: {
+      type: Number,
+      default: 0,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WaitlistEntrySchema.index({ status: 1, serviceId: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ userId: 1, status: 1 });
+
+/**
+ * Whether a slot (`{ therapistId, date, startTime, endTime }`) falls inside
+ * what this family asked for.
+ */
+WaitlistEntrySchema.methods.acceptsSlot = function ({ therapistId, date, startTime, endTime }) {
+  if (this.therapistId && this.therapistId.toString() !== therapistId.toString()) {
+    return false;
+  }
+
+  const day = new Date(date);
+  const from = getDayRange(this.window.fromDate).start;
+  const to = getDayRange(this.window.toDate).end;
+  if (day < from || day > to) return false;
+
+  if (
+    this.window.daysOfWeek.length > 0 &&
+    !this.window.daysOfWeek.includes(getWeekday(day))
+  ) {
+    return false;
+  }
+
+  const earliest = parseTime(this.window.earliestTime);
+  const latest = parseTime(this.window.latestTime);
+  if (earliest !== null && parseTime(startTime) < earliest) return false;
+  if (latest !== null && parseTime(endTime) > latest) return false;
+
+  return true;
+};
+
+module.exports = mongoose.model("WaitlistEntry", WaitlistEntrySchema);
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// A freed slot held for one waitlisted family until `expiresAt`. The family
+// accepts or declines with the token sent in the offer message; only its
+// sha256 is stored.
+const WaitlistOfferSchema = new mongoose.Schema(
+  {
+    waitlistEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WaitlistEntry",
+      required: true,
+    },
+    // The cancelled appointment that freed the slot
+    sourceAppointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    serviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Service",
+      required: true,
+    },
+    therapistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+    },
+    startTime: {
+      type: String,
+      required: true,
+    },
+    endTime: {
+      type: String,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "expired", "withdrawn"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    respondedAt: {
+      type: Date,
+    },
+    // Appointment booked when the offer was accepted
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WaitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+WaitlistOfferSchema.index({ therapistId: 1, date: 1, startTime: 1, status: 1 });
+WaitlistOfferSchema.index({ waitlistEntryId: 1, createdAt: -1 });
+
+/**
+ * Pending offers holding one of the therapists' slots between `start` and
+ * `end` that have not expired
+ */
+WaitlistOfferSchema.statics.findActiveHolds = function (therapistIds, start, end) {
+  return this.find({
+    status: "pending",
+    therapistId: { $in: [].concat(therapistIds) },
+    date: { $gte: start, $lte: end },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("therapistId date startTime endTime expiresAt")
+    .lean();
+};
+
+module.exports = mongoose.model("WaitlistOffer", WaitlistOfferSchema);
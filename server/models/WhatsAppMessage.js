@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+
+// Delivery states only move forward; a late "delivered" must not undo "read"
+const STATUS_RANK = {
+  queued: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4,
+};
+
+const WhatsAppMessageSchema = new mongoose.Schema(
+  {
+    // Message id returned by the provider, echoed back in webhook status updates
+    providerMessageId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    direction: {
+      type: String,
+      enum: ["outbound", "inbound"],
+      default: "outbound",
+    },
+    to: {
+      type: String,
+      required: [
+        function () {
+          return this.direction === "outbound";
+        },
+        "Please add a recipient",
+      ],
+    },
+    from: {
+      type: String,
+    },
+    purpose: {
+      type: String,
+      enum: ["reminder", "reply", "other"],
+      default: "other",
+    },
+    // Inbound replies: the text or button payload, what it was read as and
+    // which outbound message it answered
+    body: {
+      type: String,
+    },
+    intent: {
+      type: String,
+      enum: ["confirm", "cancel", "reschedule", "unknown"],
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WhatsAppMessage",
+    },
+    templateName: {
+      type: String,
+    },
+    appointmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    // Which reminder window (hours before the appointment) this message served
+    reminderLeadHours: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: [...Object.keys(STATUS_RANK), "received"],
+      default: "queued",
+    },
+    statusHistory: [
+      {
+        status: String,
+        at: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    error: {
+      type: String,
+    },
+    sentAt: {
+      type: Date,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    readAt: {
+      type: Date,
+    },
+    failedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+WhatsAppMessageSchema.index({ appointmentId: 1, createdAt: -1 });
+WhatsAppMessageSchema.index({ to: 1, createdAt: -1 });
+WhatsAppMessageSchema.index({ from: 1, createdAt: -1 });
+
+/**
+ * Apply a webhook status entry (`{ id, status, timestamp, errors }`) to the
+ * logged message it refers to. Unknown ids and stale updates are ignored.
+ * Resolves to the updated message or null.
+ */
+WhatsAppMessageSchema.statics.applyStatusUpdate = async function (update) {
+  if (!update?.id || !(update.status in STATUS_RANK)) return null;
+
+  const message = await this.findOne({ providerMessageId: update.id });
+  if (!message) return null;
+
+  const at = update.timestamp
+    ? new Date(Number(update.timestamp) * 1000)
+    : new Date();
+
+  message.statusHistory.push({ status: update.status, at });
+
+  if (STATUS_RANK[update.status] > STATUS_RANK[message.status]) {
+    message.status = update.status;
+  }
+  if (update.status === "sent" && !message.sentAt) message.sentAt = at;
+  if (update.status === "delivered") message.deliveredAt = at;
+  if (update.status === "read") message.readAt = at;
+  if (update.status === "failed") {
+    message.failedAt = at;
+    message.error =
+      update.errors?.[0]?.title || update.errors?.[0]?.message || "Delivery failed";
+  }
+
+  return message.save();
+};
+
+module.exports = mongoose.model("WhatsAppMessage", WhatsAppMessageSchema);
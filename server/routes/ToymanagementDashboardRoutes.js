@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const { smartSearch, processReturnValidation, processMultipleReturns } = require("../controllers/borrowerController");
 const router = express.Router();
 
@@ -7,37 +7,37 @@ const { ToyStats, getBorrowedToys, sendRemainder, getBorrowingById, getToyDetail
 const { getAvailableToyUnits } = require("../controllers/toyBorrowingController");
 
 
-router.get("/process-return/smart-search", protect, authorize("admin", "staff"), smartSearch)
-router.get("/dashboard/stats", ToyStats)
+router.get("/process-return/smart-search", protect, can("borrowings:manage"), smartSearch)
+router.get("/dashboard/stats", protect, can("toys:read"), ToyStats)
 
-router.post("/process-return/process-multiple",protect,authorize("admin", "staff"),processReturnValidation,processMultipleReturns,)
+router.post("/process-return/process-multiple",protect,can("borrowings:manage"),processReturnValidation,processMultipleReturns,)
 
-router.get("/dashboard/borrowed-toys",getBorrowedToys);
+router.get("/dashboard/borrowed-toys", protect, can("borrowings:read"), getBorrowedToys);
 
-router.post("/dashboard/send-reminder", sendRemainder);
+router.post("/dashboard/send-reminder", protect, can("borrowings:manage"), sendRemainder);
 
-router.put("/dashboard/process-return/:borrowingId", getBorrowingById);
+router.put("/dashboard/process-return/:borrowingId", protect, can("borrowings:manage"), getBorrowingById);
 
 // GET /api/toys/:toyId/available-units - Get available units for a specific toy
-router.get("/toys/:toyId/available-units", getAvailableToyUnits);
+router.get("/toys/:toyId/available-units", protect, can("toys:read"), getAvailableToyUnits);
 
-router.get("/toys/:toyId/details", getToyDetails)
+router.get("/toys/:toyId/details", protect, can("toys:read"), getToyDetails)
 
 // GET /api/borrowers - Get all borrowers with their current borrowings
-router.get("/borrowers", getAllBorrowers)
+router.get("/borrowers", protect, can("borrowers:read"), getAllBorrowers)
 
 // GET /api/borrowers/:borrowerEmail - Get specific borrower details
-router.get("/borrowers/:borrowerEmail", getBorrowerByEmail)
+router.get("/borrowers/:borrowerEmail", protect, can("borrowers:read"), getBorrowerByEmail)
 
 // POST /api/borrowers/:borrowerEmail/send-reminder - Send reminder to specific borrower
-router.post("/borrowers/:borrowerEmail/send-reminder", sendRemainderToEmail);
+router.post("/borrowers/:borrowerEmail/send-reminder", protect, can("borrowings:manage"), sendRemainderToEmail);
 
 
-router.get("/borrowerss/:borrowerId", getBorrowersById);
+router.get("/borrowerss/:borrowerId", protect, can("borrowers:read"), getBorrowersById);
 
-router.post("/borrowers/:borrowerId/send-reminder", sendRemainderByBororrwerId);
+router.post("/borrowers/:borrowerId/send-reminder", protect, can("borrowings:manage"), sendRemainderByBororrwerId);
 
-router.get("/process-return/active-borrowings", protect, authorize("admin", "staff"), getActiveBorrowings);
+router.get("/process-return/active-borrowings", protect, can("borrowings:read"), getActiveBorrowings);
 
 
 module.exports = router;
\ No newline at end of file
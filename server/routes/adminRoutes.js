@@ -1,17 +1,18 @@
 const express = require("express");
 const router = express.Router();
 const auth = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
 
 const emailController = require("../controllers/emailController");
 const recipeController = require("../controllers/recipeController");
 const workshopController = require("../controllers/workshopController");
-
-const isAdmin = [auth.protect, auth.authorize("admin")];
+const permissionController = require("../controllers/permissionController");
 
 //send motivational email
 router.post(
   "/email/motivation",
-  isAdmin,
+  auth.protect,
+  auth.can("emails:send"),
   emailController.motivationEmailValidation,
   emailController.sendMotivationalQuote
 );
@@ -19,7 +20,8 @@ router.post(
 // create-new-recipe
 router.post(
   "/create-recipes",
-  isAdmin,
+  auth.protect,
+  auth.can("recipes:manage"),
   recipeController.validateRecipe,
   recipeController.createRecipe
 );
@@ -27,9 +29,32 @@ router.post(
 // create-new-workshop
 router.post(
   "/create-workshops",
-  isAdmin,
+  auth.protect,
+  auth.can("workshops:manage"),
   workshopController.validateWorkshop,
   workshopController.createWorkshop
 );
 
+// role permission matrix
+router.get(
+  "/permissions",
+  auth.protect,
+  auth.can("permissions:manage"),
+  permissionController.getPermissions
+);
+router.put(
+  "/permissions/:role",
+  auth.protect,
+  auth.can("permissions:manage"),
+  permissionController.updateRolePermissionsValidation,
+  validateRequest,
+  permissionController.updateRolePermissions
+);
+router.delete(
+  "/permissions/:role",
+  auth.protect,
+  auth.can("permissions:manage"),
+  permissionController.resetRolePermissions
+);
+
 module.exports = router;
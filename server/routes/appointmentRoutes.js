@@ -1,6 +1,6 @@
 const express = require("express")
 const router = express.Router()
-const { protect, authorize } = require("../middleware/authMiddleware")
+const { protect, can } = require("../middleware/authMiddleware")
 const { validateRequest } = require("../middleware/validationMiddleware")
 const {
   // Existing functions
@@ -11,6 +11,7 @@ const {
   deleteAppointment,
   rescheduleAppointment,
   updateAppointmentStatus,
+  getAppointmentHistory,
   getAppointmentsCalendarView,
   submitAppointmentRequest,
   getPendingAppointmentRequests,
@@ -36,24 +37,38 @@ const {
   getDashboardByDate,
   updateGroupAppointmentEnhanced,
   rescheduleGroupAppointment,
-
+  checkSlotAvailability,
+  checkAppointmentConflicts,
+  getAvailableSlots,
+  waiveAppointmentFee,
+  getAppointmentVideoRoom,
 } = require("../controllers/appointmentController")
+const {
+  validateSeries,
+  validateSeriesScope,
+  previewSeries,
+  createSeries,
+  getSeries,
+  rescheduleSeries,
+  changeSeriesTherapist,
+  cancelSeries,
+} = require("../controllers/appointmentSeriesController")
 
 
 // ======================
 // USER ROUTES
 // ======================
-router.post("/request", protect, authorize("user", "parent"), submitAppointmentRequest)
+router.post("/request", protect, can("appointmentRequests:create"), submitAppointmentRequest)
 
 // ======================
 // RECEPTIONIST / ADMIN ROUTES
 // ======================
-router.get("/requests/pending", protect, authorize("admin", "receptionist"), getPendingAppointmentRequests)
+router.get("/requests/pending", protect, can("appointmentRequests:manage"), getPendingAppointmentRequests)
 
 router.post(
   "/convert/:formId",
   protect,
-  authorize("admin", "receptionist"),
+  can("appointmentRequests:manage"),
   validateFormalAppointment,
   validateRequest,
   convertRequestToAppointment,
@@ -64,59 +79,85 @@ router.post(
 // ======================
 
 // Get patients with appointments - MUST come before /:id route
-router.get("/with-appointments", protect, authorize("admin", "receptionist"), getPatientsWithAppointments)
+router.get("/with-appointments", protect, can("billing:manage"), getPatientsWithAppointments)
 
 // Process payment for appointments - MUST come before /:id route
-router.post("/process-payment", protect, authorize("admin", "receptionist"), processAppointmentPayment)
+router.post("/process-payment", protect, can("billing:manage"), processAppointmentPayment)
+
+// ======================
+// AVAILABILITY & CONFLICT CHECKING ROUTES
+// ======================
+
+router.get(
+  "/available-slots/:therapistId/:date",
+  protect,
+  can("availability:read"),
+  getAvailableSlots,
+)
+
+router.post("/slot-availability", protect, can("appointments:create"), checkSlotAvailability)
+router.post("/check-conflicts", protect, can("appointments:create"), checkAppointmentConflicts)
 
 // ======================
 // APPOINTMENT CRUD
 // ======================
-router.get("/", protect, authorize("admin", "receptionist", "therapist"), getAppointments)
+router.get("/", protect, can("appointments:read"), getAppointments)
 
 // Single appointment creation
-router.post("/", createAppointment)
+router.post("/", protect, can("appointments:create"), createAppointment)
 
 // Multiple appointments creation
-router.post("/multiple", protect, authorize("admin", "receptionist"), createMultipleAppointments)
+router.post("/multiple", protect, can("appointments:create"), createMultipleAppointments)
 
 // Bulk payment update for patient appointments
-router.put("/patient/payment", protect, authorize("admin", "receptionist"), updatePatientAppointmentsPayment)
+router.put("/patient/payment", protect, can("billing:manage"), updatePatientAppointmentsPayment)
 
-router.get("/calendar", protect, authorize("admin", "receptionist", "therapist"), getAppointmentsCalendarView)
+router.get("/calendar", protect, can("appointments:read"), getAppointmentsCalendarView)
 
-router.get("/by-date", protect, authorize("admin", "receptionist", "therapist"), getAppointmentsByDate)
+router.get("/by-date", protect, can("appointments:read"), getAppointmentsByDate)
 
+// ======================
+// RECURRING SERIES ROUTES
+// ======================
+router.post("/series/preview", protect, can("appointments:create"), validateSeries, previewSeries)
+router.post("/series", protect, can("appointments:create"), validateSeries, createSeries)
+router.get("/series/:seriesId", protect, can("appointments:read"), getSeries)
+router.put("/series/:seriesId/reschedule", protect, can("appointments:update"), validateSeriesScope, rescheduleSeries)
+router.put("/series/:seriesId/therapist", protect, can("appointments:update"), validateSeriesScope, changeSeriesTherapist)
+router.put("/series/:seriesId/cancel", protect, can("appointments:update"), validateSeriesScope, cancelSeries)
+
+// ======================
+// GROUP APPOINTMENT ROUTES (MUST COME BEFORE /:id ROUTES)
+// ======================
+router.post("/group", protect, can("appointments:create"), createGroupAppointment)
+router.get("/group", protect, can("appointments:read"), getGroupAppointments)
+router.put("/group/:groupSessionId", protect, can("appointments:update"), updateGroupAppointment)
+router.delete("/group/:groupSessionId", protect, can("appointments:update"), cancelGroupAppointment)
+router.put("/group/:groupSessionId/update", protect, can("appointments:update"), updateGroupAppointmentEnhanced)
+router.put("/group/:groupSessionId/reschedule", protect, can("appointments:update"), rescheduleGroupAppointment)
 
 // ======================
 // INDIVIDUAL APPOINTMENT ROUTES (MUST COME LAST)
 // ======================
 router
   .route("/:id")
-  .get(protect, authorize("admin", "receptionist", "therapist"), getAppointment)
-  .put(updateAppointment)
-  .delete(protect, authorize("admin", "receptionist"), deleteAppointment)
+  .get(protect, can("appointments:read"), getAppointment)
+  .put(protect, can("appointments:update"), updateAppointment)
+  .delete(protect, can("appointments:delete"), deleteAppointment)
 
-router.put("/updateappointment/:id", updateAppointmentStatusAndDetails)
+router.put("/updateappointment/:id", protect, can("appointments:update"), updateAppointmentStatusAndDetails)
 
-router.put("/:id/reschedule", protect, authorize("admin", "receptionist", "therapist"), rescheduleAppointment)
+router.put("/:id/reschedule", protect, can("appointments:reschedule"), rescheduleAppointment)
 
-router.put("/:id/status", protect, authorize("admin", "receptionist", "therapist"), updateAppointmentStatus)
-// Add this route to your appointments router
-router.put('/:id/dashboard-reschedule', dashboardRescheduleAppointment);
+router.put("/:id/status", protect, can("appointments:updateStatus"), updateAppointmentStatus)
 
+router.get("/:id/history", protect, can("appointments:read"), getAppointmentHistory)
 
+router.post("/:id/waive-fee", protect, can("billing:waiveFees"), waiveAppointmentFee)
 
-// Group appointmetn routes
-// Group appointment routes
-router.post("/group", protect, authorize("admin", "receptionist"), createGroupAppointment)
-router.get("/group", protect, authorize("admin", "receptionist", "therapist"), getGroupAppointments)
-router.put("/group/:groupSessionId", protect, authorize("admin", "receptionist"), updateGroupAppointment)
-router.delete("/group/:groupSessionId", protect, authorize("admin", "receptionist"), cancelGroupAppointment)
+router.get("/:id/video-room", protect, can("appointments:read"), getAppointmentVideoRoom)
 
-// Add these routes after your existing group routes
-router.put("/group/:groupSessionId/update", protect, authorize("admin", "receptionist"), updateGroupAppointmentEnhanced)
-router.put("/group/:groupSessionId/reschedule", protect, authorize("admin", "receptionist"), rescheduleGroupAppointment)
+router.put("/:id/dashboard-reschedule", protect, can("appointments:update"), dashboardRescheduleAppointment)
 
 // Dashboard and calendar routes
 // router.get("/calendar", protect, authorize("admin", "receptionist", "therapist"), getDashboardByDate)
@@ -132,9 +173,6 @@ module.exports = router
 
 
 
-// router.post("/slot-availability", protect, authorize("admin", "receptionist"), checkSlotAvailability);
-// router.post("/check-conflicts", protect, authorize("admin", "receptionist"), checkAppointmentConflicts);
-// router.get("/available-slots/:doctorId/:date", protect, authorize("admin", "receptionist"), getAvailableSlots);
 
 
 
@@ -0,0 +1,27 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getReviewQueue,
+  resolveReview,
+  getSweepReports,
+  getSweepReport,
+  runSweep,
+  resolveReviewValidation,
+} = require("../controllers/attendanceReviewController");
+
+const router = express.Router();
+
+router.use(protect, can("attendance:review"));
+
+router.get("/", getReviewQueue);
+
+router
+  .route("/sweeps")
+  .get(getSweepReports)
+  .post(can("attendance:sweep"), runSweep);
+router.get("/sweeps/:id", getSweepReport);
+
+router.post("/:id/resolve", resolveReviewValidation, validateRequest, resolveReview);
+
+module.exports = router;
@@ -6,13 +6,22 @@ const {
   updateProfile,
   changePassword,
   logout,
+  logoutAll,
+  refresh,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   registerValidation,
   loginValidation,
   updateProfileValidation,
   changePasswordValidation,
+  refreshValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
 } = require("../controllers/authController");
 
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const { validateRequest } = require("../middleware/validationMiddleware");
 
 const router = express.Router();
@@ -20,10 +29,26 @@ const router = express.Router();
 // ✅ Public routes (no auth required)
 router.post("/register", registerValidation, validateRequest, register);
 router.post("/login", loginValidation, validateRequest, login);
+router.post("/refresh", refreshValidation, validateRequest, refresh);
+router.post(
+  "/forgot-password",
+  forgotPasswordValidation,
+  validateRequest,
+  forgotPassword
+);
+router.put(
+  "/reset-password/:resettoken",
+  resetPasswordValidation,
+  validateRequest,
+  resetPassword
+);
+router.get("/verify-email/:token", verifyEmail);
 
 // ✅ Authenticated routes (any logged-in user: parent, member, staff, admin)
 router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
 router.get("/me", protect, getMe);
+router.post("/resend-verification", protect, resendVerification);
 
 router.put(
   "/update-profile",
@@ -44,7 +69,7 @@ router.put(
 router.post(
   "/register-staff",
   protect,
-  authorize("admin"),
+  can("users:manage"),
   registerValidation,
   validateRequest,
   register
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getBlogs,
   getBlog,
@@ -21,7 +21,7 @@ router.get("/category/:category", getBlogsByCategory);
 router.get("/:id", getBlog);
 
 // Admin-only routes
-router.use(protect, authorize("admin"));
+router.use(protect, can("blogs:manage"));
 
 // Routes for admin only
 router.post("/", createBlogValidation, createBlog);
@@ -0,0 +1,43 @@
+const express = require("express");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  bookingRequestLimiter,
+  bookingPhoneLimiter,
+  bookingCodeLimiter,
+} = require("../middleware/rateLimitMiddleware");
+const {
+  getBookingAvailability,
+  createBookingRequest,
+  resendBookingCode,
+  verifyBookingRequest,
+  bookingRequestValidation,
+  verifyBookingValidation,
+} = require("../controllers/bookingController");
+
+const router = express.Router();
+
+// Public - families book without an account and prove their phone number
+router.get("/availability", getBookingAvailability);
+router.post(
+  "/requests",
+  bookingRequestLimiter,
+  bookingRequestValidation,
+  validateRequest,
+  bookingPhoneLimiter,
+  createBookingRequest
+);
+router.post(
+  "/requests/:id/resend-code",
+  bookingCodeLimiter,
+  bookingPhoneLimiter,
+  resendBookingCode
+);
+router.post(
+  "/requests/:id/verify",
+  bookingCodeLimiter,
+  verifyBookingValidation,
+  validateRequest,
+  verifyBookingRequest
+);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 
 // Import controllers
 const {
@@ -16,15 +16,15 @@ const {
 // Setup routes
 router
   .route("/")
-  .get(protect, getBorrowers)
-  .post(protect, borrowerValidation, createBorrower);
+  .get(protect, can("borrowers:read"), getBorrowers)
+  .post(protect, can("borrowers:manage"), borrowerValidation, createBorrower);
+
+router.get("/stats", protect, can("borrowers:read"), getBorrowerStats);
 
 router
   .route("/:id")
-  .get(protect, getBorrower)
-  .put(protect, borrowerValidation, updateBorrower)
-  .delete(protect, authorize("admin", "staff"), deleteBorrower);
-
-router.get("/stats", protect, authorize("admin", "staff"), getBorrowerStats);
+  .get(protect, can("borrowers:read"), getBorrower)
+  .put(protect, can("borrowers:manage"), borrowerValidation, updateBorrower)
+  .delete(protect, can("borrowers:delete"), deleteBorrower);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { getFeed, createFeed, deleteFeed } = require("../controllers/calendarController");
+
+const router = express.Router();
+
+// Polled by calendar apps - the token in the URL is the credential
+router.get("/feeds/:token.ics", getFeed);
+
+router.use(protect, can("calendar:subscribe"));
+
+router.route("/feed").post(createFeed).delete(deleteFeed);
+
+module.exports = router;
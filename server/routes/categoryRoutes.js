@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getCategories,
   getCategoryTree,
@@ -24,7 +24,7 @@ router.get("/:id", getCategory);
 
 // Protected routes
 router.use(protect);
-router.use(authorize("admin"));
+router.use(can("categories:manage"));
 
 router.post("/", createCategoryValidation, createCategory);
 router.put("/:id", updateCategoryValidation, updateCategory);
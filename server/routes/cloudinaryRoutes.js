@@ -1,8 +1,9 @@
 const express = require("express")
 const router = express.Router()
+const { protect, can } = require("../middleware/authMiddleware")
 const cloudinaryController = require("../controllers/cloudinaryController")
 
 // Route to get a signed upload URL for Cloudinary
-router.post("/cloudinary-sign-upload", cloudinaryController.signUpload)
+router.post("/cloudinary-sign-upload", protect, can("uploads:sign"), cloudinaryController.signUpload)
 
 module.exports = router
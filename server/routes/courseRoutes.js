@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getCourses,
   getCourse,
@@ -27,7 +27,7 @@ router.post("/public/enroll/:id", enrollPublicInCourse);
 router.use(protect);
 
 // Admin only routes
-router.use(authorize("admin"));
+router.use(can("courses:manage"));
 
 // Course CRUD
 router.post("/", validateCourse, createCourse);
@@ -1,22 +1,22 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const controller = require("../controllers/detoxController");
 
-const isAdmin = [protect, authorize("admin")];
+const canManageDetox = [protect, can("detox:manage")];
 
 //Admin Routes
 router.post(
   "/create-detox",
-  isAdmin,
+  canManageDetox,
   controller.validateDetoxPlan,
   controller.createDetoxPlan
 );
 
-router.put("/detox-plan/:id", isAdmin, controller.updateDetoxPlan);
-router.delete("/detox-plan/:id", isAdmin, controller.deleteDetoxPlan);
-router.get("/detox-plans", isAdmin, controller.getAllDetoxPlansAdmin);
-router.get("/detox-plan/:id", isAdmin, controller.getSingleDetoxAdmin);
+router.put("/detox-plan/:id", canManageDetox, controller.updateDetoxPlan);
+router.delete("/detox-plan/:id", canManageDetox, controller.deleteDetoxPlan);
+router.get("/detox-plans", canManageDetox, controller.getAllDetoxPlansAdmin);
+router.get("/detox-plan/:id", canManageDetox, controller.getSingleDetoxAdmin);
 
 //Subscribed User routes
 router.get("/user/detox-plans", protect, controller.getUserDetoxPlans);
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getDiscounts,
   getDiscount,
@@ -20,7 +20,7 @@ router.post("/validate", validateDiscount);
 router.use(protect);
 
 // Admin routes
-router.use(authorize("admin"));
+router.use(can("discounts:manage"));
 router.get("/", getDiscounts);
 router.get("/:id", getDiscount);
 router.post("/", createDiscountValidation, createDiscount);
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getDiseases,
   getDisease,
@@ -22,7 +22,7 @@ router.get("/:id", getDisease);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  can("diseases:manage"),
   createDiseaseValidation,
   createDisease
 );
@@ -30,11 +30,11 @@ router.post(
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  can("diseases:manage"),
   updateDiseaseValidation,
   updateDisease
 );
 
-router.delete("/:id", protect, authorize("admin"), deleteDisease);
+router.delete("/:id", protect, can("diseases:manage"), deleteDisease);
 
 module.exports = router;
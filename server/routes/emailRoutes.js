@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getRecentEmails,
   getAllEmails,
@@ -18,10 +18,10 @@ router.get("/:id", protect, getSingleEmail);
 router.post(
   "/send-renewal/:userId",
   protect,
-  authorize("admin"),
+  can("emails:send"),
   sendRenewalReminder
 );
 
-router.post("/motivation", protect, authorize("admin"), sendMotivationalQuote);
+router.post("/motivation", protect, can("emails:send"), sendMotivationalQuote);
 
 module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getGalleryImages,
   getGalleryImage,
@@ -17,21 +17,21 @@ router.get("/", getGalleryImages);
 router.get("/:id", getGalleryImage);
 
 // Admin only routes
-router.get("/stats/summary", protect, authorize("admin"), getGalleryStats);
+router.get("/stats/summary", protect, can("gallery:manage"), getGalleryStats);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  can("gallery:manage"),
   galleryValidation,
   createGalleryImage
 );
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  can("gallery:manage"),
   galleryValidation,
   updateGalleryImage
 );
-router.delete("/:id", protect, authorize("admin"), deleteGalleryImage);
+router.delete("/:id", protect, can("gallery:manage"), deleteGalleryImage);
 
 module.exports = router;
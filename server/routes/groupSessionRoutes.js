@@ -0,0 +1,53 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getGroupSessions,
+  getGroupSession,
+  joinGroupSession,
+  leaveGroupSession,
+  markAttendance,
+  setParticipantCharge,
+  joinGroupSessionValidation,
+  leaveGroupSessionValidation,
+  markAttendanceValidation,
+  setChargeValidation,
+} = require("../controllers/groupSessionController");
+
+const router = express.Router();
+
+// Sessions are still booked, moved and cancelled through /api/appointments/group
+router.use(protect);
+
+router.get("/", can("appointments:read"), getGroupSessions);
+router.get("/:id", can("appointments:read"), getGroupSession);
+router.post(
+  "/:id/participants",
+  can("appointments:update"),
+  joinGroupSessionValidation,
+  validateRequest,
+  joinGroupSession
+);
+router.delete(
+  "/:id/participants/:patientId",
+  can("appointments:update"),
+  leaveGroupSessionValidation,
+  validateRequest,
+  leaveGroupSession
+);
+router.put(
+  "/:id/participants/:patientId/charge",
+  can("billing:manage"),
+  setChargeValidation,
+  validateRequest,
+  setParticipantCharge
+);
+router.post(
+  "/:id/attendance",
+  can("appointments:updateStatus"),
+  markAttendanceValidation,
+  validateRequest,
+  markAttendance
+);
+
+module.exports = router;
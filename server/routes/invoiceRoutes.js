@@ -0,0 +1,30 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getInvoices,
+  getInvoice,
+  createInvoice,
+  cancelInvoice,
+  downloadInvoicePdf,
+  emailInvoice,
+  createInvoiceValidation,
+  cancelInvoiceValidation,
+  emailInvoiceValidation,
+} = require("../controllers/invoiceController");
+
+const router = express.Router();
+
+router.use(protect, can("billing:manage"));
+
+router
+  .route("/")
+  .get(getInvoices)
+  .post(createInvoiceValidation, validateRequest, createInvoice);
+
+router.get("/:id", getInvoice);
+router.get("/:id/pdf", downloadInvoicePdf);
+router.post("/:id/email", emailInvoiceValidation, validateRequest, emailInvoice);
+router.post("/:id/cancel", cancelInvoiceValidation, validateRequest, cancelInvoice);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getApplications,
   getUserApplications,
@@ -18,7 +18,7 @@ router.post("/public/:jobId", submitPublicJobApplication);
 router.get("/public/status/:id", checkPublicApplicationStatus);
 
 // Protected admin-only routes
-router.use(protect, authorize("admin"));
+router.use(protect, can("jobApplications:manage"));
 
 // Admin only routes
 router.get("/", getApplications);
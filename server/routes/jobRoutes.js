@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getJobs,
   getJob,
@@ -25,15 +25,15 @@ router.get("/department/:department", getJobsByDepartment);
 // Note: job applications are now handled in publicJobController
 
 // Admin routes - still require authentication
-router.post("/", protect, authorize("admin"), createJobValidation, createJob);
-router.put("/:id", protect, authorize("admin"), updateJobValidation, updateJob);
-router.delete("/:id", protect, authorize("admin"), deleteJob);
+router.post("/", protect, can("jobs:manage"), createJobValidation, createJob);
+router.put("/:id", protect, can("jobs:manage"), updateJobValidation, updateJob);
+router.delete("/:id", protect, can("jobs:manage"), deleteJob);
 
 // Get applications for a specific job (admin only)
 router.get(
   "/:jobId/applications",
   protect,
-  authorize("admin"),
+  can("jobs:manage"),
   getJobApplications
 );
 
@@ -0,0 +1,49 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getLeaves,
+  getLeave,
+  createLeave,
+  updateLeave,
+  cancelLeave,
+  getAffectedAppointments,
+  resolveAffectedAppointments,
+  createLeaveValidation,
+  updateLeaveValidation,
+} = require("../controllers/leaveController");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Calendar of leave and closures - visible to front desk and therapists
+router.get("/", can("leaves:read"), getLeaves);
+router.get("/:id", can("leaves:read"), getLeave);
+
+// Appointments caught inside a leave window and the bulk fix-up action
+router.get(
+  "/:id/affected-appointments",
+  can("leaves:resolve"),
+  getAffectedAppointments
+);
+router.post(
+  "/:id/resolve",
+  can("leaves:resolve"),
+  resolveAffectedAppointments
+);
+
+// Admin-only management
+router.post(
+  "/",
+  can("leaves:manage"),
+  createLeaveValidation,
+  validateRequest,
+  createLeave
+);
+router
+  .route("/:id")
+  .put(can("leaves:manage"), updateLeaveValidation, validateRequest, updateLeave)
+  .delete(can("leaves:manage"), cancelLeave);
+
+module.exports = router;
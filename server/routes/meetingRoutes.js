@@ -1,10 +1,18 @@
 
 const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware")
 const { getMeetings, getMeeting, createMeeting, updateMeeting, deleteMeeting } = require("../controllers/meetingControllers")
 
 const router = express.Router()
 
-router.route("/").get(getMeetings).post(createMeeting)
-router.route("/:id").get(getMeeting).put(updateMeeting).delete(deleteMeeting)
+// Meeting links are for members, so even reading them needs a login
+router.use(protect)
+
+router.route("/").get(getMeetings).post(can("meetings:manage"), createMeeting)
+router
+  .route("/:id")
+  .get(getMeeting)
+  .put(can("meetings:manage"), updateMeeting)
+  .delete(can("meetings:manage"), deleteMeeting)
 
 module.exports = router
@@ -0,0 +1,28 @@
+const express = require("express");
+const {
+  getPreferences,
+  updatePreferences,
+  updatePreferencesValidation,
+  getNotifications,
+  retryNotification,
+} = require("../controllers/notificationController");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+
+const router = express.Router();
+
+router.use(protect);
+
+// GET/PUT /api/notifications/preferences - Current user's channel preferences
+router
+  .route("/preferences")
+  .get(getPreferences)
+  .put(updatePreferencesValidation, validateRequest, updatePreferences);
+
+// GET /api/notifications - Outbox
+router.get("/", can("notifications:manage"), getNotifications);
+
+// POST /api/notifications/:id/retry - Retry a failed notification
+router.post("/:id/retry", can("notifications:manage"), retryNotification);
+
+module.exports = router;
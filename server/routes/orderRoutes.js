@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const { validateRequest } = require("../middleware/validationMiddleware");
 const {
   getOrders,
@@ -24,7 +24,7 @@ router.get("/public/discounts", getActiveDiscounts);
 router.get("/public/:id", checkPublicOrderStatus);
 
 // Routes for admins
-router.use(protect, authorize("admin"));
+router.use(protect, can("orders:manage"));
 router.get("/", getOrders);
 router.get("/:id", getOrder);
 router.put("/:id/status", updateOrderStatus);
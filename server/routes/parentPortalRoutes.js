@@ -0,0 +1,37 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getMyChildren,
+  getMyAppointments,
+  getMyAppointment,
+  cancelMyAppointment,
+  requestMyReschedule,
+  getMyVideoRoom,
+  cancelMyAppointmentValidation,
+  rescheduleRequestValidation,
+} = require("../controllers/parentPortalController");
+
+const router = express.Router();
+
+// Everything here is scoped to the logged-in parent's own children
+router.use(protect, can("portal:access"));
+
+router.get("/children", getMyChildren);
+router.get("/appointments", getMyAppointments);
+router.get("/appointments/:id", getMyAppointment);
+router.get("/appointments/:id/video-room", getMyVideoRoom);
+router.post(
+  "/appointments/:id/cancel",
+  cancelMyAppointmentValidation,
+  validateRequest,
+  cancelMyAppointment
+);
+router.post(
+  "/appointments/:id/reschedule-request",
+  rescheduleRequestValidation,
+  validateRequest,
+  requestMyReschedule
+);
+
+module.exports = router;
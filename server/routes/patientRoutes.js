@@ -1,5 +1,5 @@
 const express = require("express")
-const { protect, authorize } = require("../middleware/authMiddleware")
+const { protect, can } = require("../middleware/authMiddleware")
 const {
   getPatients,
   getPatient,
@@ -12,31 +12,54 @@ const {
   addAssessmentValidation,
   getAvailableSymptoms, // NEW IMPORT
 } = require("../controllers/patientController")
+const {
+  getDuplicates,
+  scanDuplicates,
+  dismissDuplicate,
+  getPatientDuplicates,
+  mergePatient,
+  mergePatientValidation,
+} = require("../controllers/patientDuplicateController")
 const { validateRequest } = require("../middleware/validationMiddleware")
 const Patient = require("../models/Patient")
 
 const router = express.Router()
 
-// Apply protection and admin/therapist/receptionist authorization to all routes
-router.use(protect, authorize("admin", "therapist", "receptionist"))
+// All patient routes require a login; each route checks its own permission
+router.use(protect)
 
 // GET /api/patients - Get all patients
-router.route("/").get(getPatients)
+router.route("/").get(can("patients:read"), getPatients)
 
 // NEW ROUTE - Get available symptoms
-router.route("/symptoms").get(getAvailableSymptoms)
+router.route("/symptoms").get(can("patients:read"), getAvailableSymptoms)
+
+// GET /api/patients/duplicates - Review queue of likely duplicate patients
+// POST /api/patients/duplicates/scan - Queue likely duplicates across all patients
+// PUT /api/patients/duplicates/:duplicateId/dismiss - Not a duplicate
+router.route("/duplicates").get(can("patients:merge"), getDuplicates)
+router.route("/duplicates/scan").post(can("patients:merge"), scanDuplicates)
+router.route("/duplicates/:duplicateId/dismiss").put(can("patients:merge"), dismissDuplicate)
 
 // POST /api/patients - Create a new patient
-router.route("/register").post(createPatientValidation, validateRequest, createPatient)
+router.route("/register").post(can("patients:create"), createPatientValidation, validateRequest, createPatient)
 
 // GET /api/patients/:id - Get single patient
 // PUT /api/patients/:id - Update patient
 // DELETE /api/patients/:id - Delete patient
-router.route("/:id").get(getPatient).put(updatePatientValidation, validateRequest, updatePatient).delete(deletePatient)
-router.delete("/:id",deletePatient);
+router
+  .route("/:id")
+  .get(can("patients:read"), getPatient)
+  .put(can("patients:update"), updatePatientValidation, validateRequest, updatePatient)
+  .delete(can("patients:delete"), deletePatient)
+
+// GET /api/patients/:id/duplicates - Likely duplicates of a patient
+// POST /api/patients/:id/merge - Merge another patient (body.mergeId) into this one
+router.route("/:id/duplicates").get(can("patients:read"), getPatientDuplicates)
+router.route("/:id/merge").post(can("patients:merge"), mergePatientValidation, validateRequest, mergePatient)
 
 // POST /api/patients/:id/notes - Add a note to patient (admin and therapist only)
-router.route("/:id/notes").get(async (req, res, next) => {
+router.route("/:id/notes").get(can("patients:read"), async (req, res, next) => {
   try {
     const patient = await Patient.findById(req.params.id)
     if (!patient) {
@@ -55,7 +78,7 @@ router.route("/:id/notes").get(async (req, res, next) => {
 })
 
 // POST /api/patients/:id/assessments - Add an assessment to patient (admin and therapist only)
-router.route("/:id/assessments").get(async (req, res, next) => {
+router.route("/:id/assessments").get(can("patients:read"), async (req, res, next) => {
   try {
     const patient = await Patient.findById(req.params.id)
     if (!patient) {
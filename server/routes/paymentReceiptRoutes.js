@@ -0,0 +1,33 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getReceipts,
+  getReceipt,
+  createReceipt,
+  voidReceipt,
+  getBalance,
+  downloadReceiptPdf,
+  emailReceipt,
+  createReceiptValidation,
+  voidReceiptValidation,
+  emailReceiptValidation,
+} = require("../controllers/paymentReceiptController");
+
+const router = express.Router();
+
+router.use(protect, can("billing:manage"));
+
+router.get("/balance/:patientId", getBalance);
+
+router
+  .route("/")
+  .get(getReceipts)
+  .post(createReceiptValidation, validateRequest, createReceipt);
+
+router.get("/:id", getReceipt);
+router.post("/:id/void", voidReceiptValidation, validateRequest, voidReceipt);
+router.get("/:id/pdf", downloadReceiptPdf);
+router.post("/:id/email", emailReceiptValidation, validateRequest, emailReceipt);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getProducts,
   getProduct,
@@ -27,29 +27,29 @@ router.get("/:id", getProduct);
 // Admin-only protected endpoints
 router
   .route("/admin")
-  .post(protect, authorize("admin"), createProductValidation, createProduct);
+  .post(protect, can("products:manage"), createProductValidation, createProduct);
 
 // Inventory management
 router.get(
   "/admin/inventory",
   protect,
-  authorize("admin"),
+  can("products:manage"),
   getLowStockProducts
 );
 
 router.get(
   "/admin/all-inventory",
   protect,
-  authorize("admin"),
+  can("products:manage"),
   getAllProductsInventory
 );
 
 router
   .route("/admin/:id")
-  .put(protect, authorize("admin"), updateProductValidation, updateProduct)
-  .delete(protect, authorize("admin"), deleteProduct);
+  .put(protect, can("products:manage"), updateProductValidation, updateProduct)
+  .delete(protect, can("products:manage"), deleteProduct);
 
 // Stock update endpoint
-router.put("/admin/:id/stock", protect, authorize("admin"), updateProductStock);
+router.put("/admin/:id/stock", protect, can("products:manage"), updateProductStock);
 
 module.exports = router;
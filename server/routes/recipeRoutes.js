@@ -10,16 +10,16 @@ const {
   getSingleRecipeAdmin,
 } = require("../controllers/recipeController");
 
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
 // Admin-only routes (STATIC FIRST)
-router.get("/all", protect, authorize("admin"), getAllRecipes);
-router.get("/admin/:id", protect, authorize("admin"), getSingleRecipeAdmin);
-router.post("/", protect, authorize("admin"), validateRecipe, createRecipe);
-router.put("/:id", protect, authorize("admin"), updateRecipe);
-router.delete("/:id", protect, authorize("admin"), deleteRecipe);
+router.get("/all", protect, can("recipes:manage"), getAllRecipes);
+router.get("/admin/:id", protect, can("recipes:manage"), getSingleRecipeAdmin);
+router.post("/", protect, can("recipes:manage"), validateRecipe, createRecipe);
+router.put("/:id", protect, can("recipes:manage"), updateRecipe);
+router.delete("/:id", protect, can("recipes:manage"), deleteRecipe);
 
 // Subscribed users
 router.get("/", protect, getUserRecipes);
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getServices,
   getService,
@@ -22,17 +22,17 @@ router.get("/category/:category", getServicesByCategory);
 router.post(
   "/",
   protect,
-  authorize("admin"),
+  can("services:manage"),
   createServiceValidation,
   createService
 );
 router.put(
   "/:id",
   protect,
-  authorize("admin"),
+  can("services:manage"),
   updateServiceValidation,
   updateService
 );
-router.delete("/:id", protect, authorize("admin"), deleteService);
+router.delete("/:id", protect, can("services:manage"), deleteService);
 
 module.exports = router;
@@ -0,0 +1,62 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getSessionNotes,
+  getSessionNote,
+  createSessionNote,
+  updateSessionNote,
+  signSessionNote,
+  reopenSessionNote,
+  lockSessionNote,
+  addAddendum,
+  createSessionNoteValidation,
+  updateSessionNoteValidation,
+  addAddendumValidation,
+  getSessionNotesValidation,
+} = require("../controllers/sessionNoteController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(
+    can("sessionNotes:read"),
+    getSessionNotesValidation,
+    validateRequest,
+    getSessionNotes
+  )
+  .post(
+    can("sessionNotes:write"),
+    createSessionNoteValidation,
+    validateRequest,
+    createSessionNote
+  );
+
+router
+  .route("/:id")
+  .get(can("sessionNotes:read"), getSessionNote)
+  .put(
+    can("sessionNotes:write"),
+    updateSessionNoteValidation,
+    validateRequest,
+    updateSessionNote
+  );
+
+// Draft -> signed -> locked workflow
+router.post("/:id/sign", can("sessionNotes:write"), signSessionNote);
+router.post("/:id/reopen", can("sessionNotes:write"), reopenSessionNote);
+router.post("/:id/lock", can("sessionNotes:lock"), lockSessionNote);
+
+// Corrections after signing
+router.post(
+  "/:id/addenda",
+  can("sessionNotes:write", "sessionNotes:lock"),
+  addAddendumValidation,
+  validateRequest,
+  addAddendum
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getPackages,
+  getPackage,
+  createPackage,
+  refundPackage,
+  cancelPackage,
+  createPackageValidation,
+  refundPackageValidation,
+} = require("../controllers/sessionPackageController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(can("packages:read"), getPackages)
+  .post(can("packages:manage"), createPackageValidation, validateRequest, createPackage);
+
+router
+  .route("/:id")
+  .get(can("packages:read"), getPackage)
+  .delete(can("packages:manage"), cancelPackage);
+
+router.post(
+  "/:id/refund",
+  can("packages:refund"),
+  refundPackageValidation,
+  validateRequest,
+  refundPackage
+);
+
+module.exports = router;
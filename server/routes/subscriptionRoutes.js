@@ -12,7 +12,7 @@ const {
   getAllSubscribers,
   getSubscriberDetails,
 } = require("../controllers/subscriptionController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
@@ -30,12 +30,12 @@ router.post("/:id/cancel",protect, cancelSubscription);
 router.post(
   "/plans",
   validateCreatePlan,
-  authorize("admin"),
+  can("subscriptions:manage"),
   createSubscriptionPlan
 );
-router.put("/plans/:id", authorize("admin"), updateSubscriptionPlan);
-router.delete("/plans/:id", authorize("admin"), deleteSubscriptionPlan);
-router.get("/members", authorize("admin"), getAllSubscribers);
-router.get("/members/:id", authorize("admin"), getSubscriberDetails);
+router.put("/plans/:id", can("subscriptions:manage"), updateSubscriptionPlan);
+router.delete("/plans/:id", can("subscriptions:manage"), deleteSubscriptionPlan);
+router.get("/members", can("subscriptions:manage"), getAllSubscribers);
+router.get("/members/:id", can("subscriptions:manage"), getSubscriberDetails);
 
 module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getTherapists,
   getTherapist,
@@ -20,7 +20,7 @@ router.get("/available", getAvailableTherapists);
 router.get("/:id", getTherapist);
 
 // Protected admin-only routes
-router.use(protect, authorize("admin"));
+router.use(protect, can("therapists:manage"));
 
 // Get therapist by user ID - admin only
 router.get("/user/:userId", getTherapistByUserId);
@@ -1,7 +1,7 @@
 
 const express = require("express");
 const router = express.Router();
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 
 // Import controllers
 const {
@@ -38,76 +38,69 @@ const {
 // Toy routes - admin/staff only
 router
   .route("/")
-  .get(protect, authorize("admin", "staff"), getToys)
-  .post(protect, authorize("admin", "staff"), createToy);
+  .get(protect, can("toys:read"), getToys)
+  .post(protect, can("toys:manage"), createToy);
 
-router
-  .route("/:id")
-  .get(protect, authorize("admin", "staff"), getToy)
-  .put(protect, authorize("admin", "staff"), updateToy)
-  .delete(protect, authorize("admin"), deleteToy);
-
-router.get("/categories", protect, authorize("admin", "staff"), getCategories);
+router.get("/categories", protect, can("toys:read"), getCategories);
 router.get(
   "/:id/borrowing-history",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:read"),
   getToyBorrowingHistory
 );
 router.get(
   "/:id/available-units",
   protect,
-  authorize("admin", "staff"),
+  can("toys:read"),
   getAvailableToyUnits
 );
 
 // Toy unit routes - admin/staff only
 router
   .route("/:toyId/units")
-  .post(protect, authorize("admin", "staff"), addToyUnit);
+  .post(protect, can("toys:manage"), addToyUnit);
 
 router
   .route("/units/:id")
-  .put(protect, authorize("admin", "staff"), updateToyUnit)
-  .delete(protect, authorize("admin"), deleteToyUnit);
+  .put(protect, can("toys:manage"), updateToyUnit)
+  .delete(protect, can("toys:delete"), deleteToyUnit);
 
 // Borrowing routes - admin/staff only
 router
-  .route("/borrowings",getActiveBorrowings)
-  .post(protect, authorize("admin", "staff"), borrowToyValidation, issueToy);
-
-router.get("/hi", async(req,res)=>{return "Hello"})
+  .route("/borrowings")
+  .get(protect, can("borrowings:read"), getActiveBorrowings)
+  .post(protect, can("borrowings:manage"), borrowToyValidation, issueToy);
 
 router.get(
   "/borrowings/overdue",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:read"),
   getOverdueBorrowings
 );
 router.get(
   "/borrowings/:id",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:read"),
   getBorrowing
 );
 
 router.put(
   "/borrowings/:id/return",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:manage"),
   returnToyValidation,
   returnToy
 );
 router.put(
   "/borrowings/:id/status",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:manage"),
   updateBorrowingStatus
 );
 router.get(
   "/borrowers/:email/history",
   protect,
-  authorize("admin", "staff"),
+  can("borrowers:read"),
   getBorrowerHistory
 );
 
@@ -115,14 +108,22 @@ router.get(
 router.put(
   "/borrowings/overdue/update",
   protect,
-  authorize("admin", "staff"),
+  can("borrowings:manage"),
   manualOverdueUpdate
 );
 
 
 
-router.get("/:toyId/units", protect, authorize("admin", "staff"), getToyUnits)
+router.get("/:toyId/units", protect, can("toys:read"), getToyUnits)
 
-router.get("/units/:id", protect, authorize("admin", "staff"), getToyUnit)
+router.get("/units/:id", protect, can("toys:read"), getToyUnit)
+
+// Single toy - kept after the static paths above so "/borrowings" and
+// "/categories" are not read as toy ids
+router
+  .route("/:id")
+  .get(protect, can("toys:read"), getToy)
+  .put(protect, can("toys:manage"), updateToy)
+  .delete(protect, can("toys:delete"), deleteToy);
 
 module.exports = router;
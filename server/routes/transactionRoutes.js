@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   getTransactions,
   getUserTransactions,
@@ -14,7 +14,7 @@ const {
 const router = express.Router();
 
 // All transaction routes are protected and admin-only
-router.use(protect, authorize("admin"));
+router.use(protect, can("transactions:manage"));
 
 // Admin only routes
 router.get("/", getTransactions);
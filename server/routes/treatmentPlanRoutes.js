@@ -0,0 +1,61 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  getPlans,
+  getPlan,
+  createPlan,
+  updatePlan,
+  addGoal,
+  updateGoal,
+  recordMeasurement,
+  getPlanProgress,
+  createPlanValidation,
+  updatePlanValidation,
+  addGoalValidation,
+  updateGoalValidation,
+  recordMeasurementValidation,
+  getPlansValidation,
+} = require("../controllers/treatmentPlanController");
+
+const router = express.Router();
+
+router.use(protect);
+
+router
+  .route("/")
+  .get(can("treatmentPlans:read"), getPlansValidation, validateRequest, getPlans)
+  .post(can("treatmentPlans:manage"), createPlanValidation, validateRequest, createPlan);
+
+router
+  .route("/:id")
+  .get(can("treatmentPlans:read"), getPlan)
+  .put(can("treatmentPlans:manage"), updatePlanValidation, validateRequest, updatePlan);
+
+// Progress over time for parent reports and charts
+router.get("/:id/progress", can("treatmentPlans:read"), getPlanProgress);
+
+// Goals and their measurements
+router.post(
+  "/:id/goals",
+  can("treatmentPlans:manage"),
+  addGoalValidation,
+  validateRequest,
+  addGoal
+);
+router.put(
+  "/:id/goals/:goalId",
+  can("treatmentPlans:manage"),
+  updateGoalValidation,
+  validateRequest,
+  updateGoal
+);
+router.post(
+  "/:id/goals/:goalId/measurements",
+  can("treatmentPlans:recordProgress"),
+  recordMeasurementValidation,
+  validateRequest,
+  recordMeasurement
+);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const {
   productImageUpload,
   categoryImageUpload,
@@ -67,14 +67,14 @@ router.post(
   uploadResume
 );
 
-// All other upload routes are protected
+// All other upload routes are protected; each checks the permission for
+// the resource it uploads to
 router.use(protect);
-router.use(authorize("admin"));
 
 // Blog image upload route
 router.post(
   "/blog",
-  authorize("admin", "therapist"),
+  can("blogs:manage"),
   (req, res, next) => {
     blogImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -103,6 +103,7 @@ router.post(
 // Product image upload route
 router.post(
   "/product",
+  can("products:manage"),
   (req, res, next) => {
     productImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -120,6 +121,7 @@ router.post(
 // Category image upload route
 router.post(
   "/category",
+  can("categories:manage"),
   (req, res, next) => {
     categoryImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -137,6 +139,7 @@ router.post(
 // Course thumbnail upload route
 router.post(
   "/course/thumbnail",
+  can("courses:manage"),
   (req, res, next) => {
     courseThumbnailUpload.single("thumbnail")(req, res, (err) => {
       if (err) {
@@ -154,6 +157,7 @@ router.post(
 // Course video upload route
 router.post(
   "/course/video",
+  can("courses:manage"),
   (req, res, next) => {
     courseVideoUpload.single("video")(req, res, (err) => {
       if (err) {
@@ -171,6 +175,7 @@ router.post(
 // Webinar thumbnail upload route
 router.post(
   "/webinar/thumbnail",
+  can("webinars:manage"),
   (req, res, next) => {
     webinarThumbnailUpload.single("thumbnail")(req, res, (err) => {
       if (err) {
@@ -189,7 +194,7 @@ router.post(
 router.post(
   "/toy",
   protect,
-  authorize("admin", "staff"),
+  can("toys:manage"),
   (req, res, next) => {
     toyImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -207,7 +212,7 @@ router.post(
 router.delete(
   "/toy/:public_id",
   protect,
-  authorize("admin", "staff"),
+  can("toys:manage"),
   deleteToyImage
 );
 
@@ -215,7 +220,7 @@ router.delete(
 router.post(
   "/patient/photo",
   protect,
-  authorize("admin", "staff", "receptionist"),
+  can("patientDocuments:upload"),
   (req, res, next) => {
     patientPhotoUpload.single("photo")(req, res, (err) => {
       if (err) {
@@ -233,7 +238,7 @@ router.post(
 router.post(
   "/patient/parent-photo",
   protect,
-  authorize("admin", "staff", "receptionist"),
+  can("patientDocuments:upload"),
   (req, res, next) => {
     parentPhotoUpload.single("photo")(req, res, (err) => {
       if (err) {
@@ -251,7 +256,7 @@ router.post(
 router.post(
   "/patient/birth-certificate",
   protect,
-  authorize("admin", "staff", "receptionist"),
+  can("patientDocuments:upload"),
   (req, res, next) => {
     birthCertificateUpload.single("certificate")(req, res, (err) => {
       if (err) {
@@ -269,7 +274,7 @@ router.post(
 router.post(
   "/patient/aadhar-card",
   protect,
-  authorize("admin", "staff", "receptionist"),
+  can("patientDocuments:upload"),
   (req, res, next) => {
     aadharCardUpload.single("aadhar")(req, res, (err) => {
       if (err) {
@@ -287,7 +292,7 @@ router.post(
 router.post(
   "/patient/medical-records",
   protect,
-  authorize("admin", "staff", "receptionist", "therapist"),
+  can("patientDocuments:uploadRecords"),
   (req, res, next) => {
     medicalRecordsUpload.single("record")(req, res, (err) => {
       if (err) {
@@ -306,7 +311,7 @@ router.post(
 router.delete(
   "/document/:public_id",
   protect,
-  authorize("admin", "staff", "receptionist"),
+  can("patientDocuments:delete"),
   deleteDocument
 );
 
@@ -314,7 +319,7 @@ router.delete(
 router.post(
   "/gallery",
   protect,
-  authorize("admin"),
+  can("gallery:manage"),
   (req, res, next) => {
     galleryImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -344,7 +349,7 @@ router.post(
 router.post(
   "/disease",
   protect,
-  authorize("admin"),
+  can("diseases:manage"),
   (req, res, next) => {
     diseaseImageUpload.single("image")(req, res, (err) => {
       if (err) {
@@ -11,7 +11,7 @@ const {
   deactivateUser,
   getUserDashboard,
 } = require("../controllers/userController");
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const { validateRequest } = require("../middleware/validationMiddleware");
 const User = require("../models/User");
 
@@ -20,7 +20,7 @@ const router = express.Router();
 // All routes are protected and require admin access
 router.use(protect);
 router.get("/dashboard", getUserDashboard); //dashboard data for subscribed user
-router.use(authorize("admin"));
+router.use(can("users:manage"));
 
 // GET /api/users - Get all users
 router.route("/").get(getUsers);
@@ -0,0 +1,43 @@
+const express = require("express");
+const { protect, can } = require("../middleware/authMiddleware");
+const { validateRequest } = require("../middleware/validationMiddleware");
+const {
+  joinWaitlist,
+  getWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  offerSlot,
+  getOffer,
+  acceptOffer,
+  declineOffer,
+  joinWaitlistValidation,
+  offerSlotValidation,
+} = require("../controllers/waitlistController");
+
+const router = express.Router();
+
+// One-click links from the offer email/WhatsApp - the token is the credential
+router.get("/offers/:token", getOffer);
+router.post("/offers/:token/accept", acceptOffer);
+router.post("/offers/:token/decline", declineOffer);
+
+router.use(protect);
+
+router.get("/mine", getMyWaitlist);
+router.post(
+  "/offer",
+  can("waitlist:manage"),
+  offerSlotValidation,
+  validateRequest,
+  offerSlot
+);
+
+router
+  .route("/")
+  .get(can("waitlist:manage"), getWaitlist)
+  .post(can("waitlist:join"), joinWaitlistValidation, validateRequest, joinWaitlist);
+
+// Owners may always leave; staff checks happen in the controller
+router.delete("/:id", leaveWaitlist);
+
+module.exports = router;
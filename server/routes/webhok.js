@@ -1,18 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const Appointment = require("../models/Appointment");
-
-function normalizePhone(rawPhone) {
-  if (!rawPhone) return "";
-  let phone = String(rawPhone).replace(/^\+/, "").trim();
-
-  // If starts with "91" and longer than 10 digits, drop country code
-  if (phone.startsWith("91") && phone.length > 10) {
-    phone = phone.slice(2);
-  }
-
-  return phone;
-}
+const WhatsAppMessage = require("../models/WhatsAppMessage");
+const { handleIncomingMessage } = require("../services/whatsappReplies");
+const { protect, can } = require("../middleware/authMiddleware");
 
 router.post("/whatsapp-webhook", async (req, res) => {
   try {
@@ -30,50 +20,30 @@ router.post("/whatsapp-webhook", async (req, res) => {
 
     // ✅ Handle status updates (sent, delivered, read)
     if (value.statuses) {
-      value.statuses.forEach((status) => {
+      for (const status of value.statuses) {
         console.log(
           `📡 Status update: ${status.status} for ${status.recipient_id} (msgId: ${status.id})`
         );
-        // 👉 TODO: Update message status in DB if you’re tracking it
-      });
+        try {
+          const message = await WhatsAppMessage.applyStatusUpdate(status);
+          if (!message) {
+            console.log(`⚠️ No logged message for msgId ${status.id}`);
+          }
+        } catch (err) {
+          console.error(`❌ Status update failed for msgId ${status.id}:`, err.message);
+        }
+      }
     }
 
-    // ✅ Handle incoming messages
+    // ✅ Handle incoming replies to reminders. One bad message must not fail
+    // the batch: WhatsApp would redeliver all of it, replies already applied too
     if (value.messages) {
       for (const msg of value.messages) {
-        const phone = normalizePhone(msg.from);
-        console.log("☎ Normalized phone:", phone);
-
-        let reply = "";
-        if (msg.type === "button" && msg.button?.payload) {
-          reply = msg.button.payload.trim().toLowerCase();
-          console.log("🔘 Button reply:", reply);
-        } else if (msg.type === "text" && msg.text?.body) {
-          reply = msg.text.body.trim().toLowerCase();
-          console.log("💬 Text reply:", reply);
-        }
-
-        if (reply) {
-          const appointment = await Appointment.findOne({
-            phone,
-            status: "scheduled",
-          }).sort({ date: -1 });
-
-          if (!appointment) {
-            console.log(`⚠️ No active appointment for ${phone}`);
-          } else {
-            if (reply === "yes" || reply === "confirm") {
-              appointment.status = "confirmed";
-            } else if (reply === "no" || reply === "cancel") {
-              appointment.status = "cancelled";
-              appointment.cancelledAt = new Date();
-            }
-
-            await appointment.save();
-            console.log(
-              `📌 Appointment ${appointment._id} updated to ${appointment.status}`
-            );
-          }
+        try {
+          const { outcome } = await handleIncomingMessage(msg);
+          console.log(`💬 Reply from ${msg.from} (msgId: ${msg.id}): ${outcome}`);
+        } catch (err) {
+          console.error(`❌ Reply from ${msg.from} (msgId: ${msg.id}) failed:`, err.message);
         }
       }
     }
@@ -85,4 +55,33 @@ router.post("/whatsapp-webhook", async (req, res) => {
   }
 });
 
+// WhatsApp message log (reminders with delivery status, and replies), newest first
+router.get(
+  "/messages",
+  protect,
+  can("whatsappMessages:read"),
+  async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.appointmentId) query.appointmentId = req.query.appointmentId;
+      if (req.query.status) query.status = req.query.status;
+      if (req.query.purpose) query.purpose = req.query.purpose;
+      if (req.query.direction) query.direction = req.query.direction;
+
+      const messages = await WhatsAppMessage.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(req.query.limit) || 100, 500));
+
+      res.status(200).json({
+        success: true,
+        count: messages.length,
+        data: messages,
+      });
+    } catch (err) {
+      console.error("❌ Message log error:", err.message);
+      res.status(500).json({ success: false, error: "Server Error" });
+    }
+  }
+);
+
 module.exports = router;
@@ -22,7 +22,7 @@ const {
 
 const router = express.Router();
 
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 const { validateRequest } = require("../middleware/validationMiddleware");
 
 //SUBSCRIBED USERS ROUTE
@@ -41,13 +41,13 @@ router.post(
 );
 
 // Admin-only routes
-router.post("/", protect, authorize("admin"), createWebinar);
-router.put("/:id", protect, authorize("admin"), validateWebinar, updateWebinar);
-router.delete("/:id", protect, authorize("admin"), deleteWebinar);
+router.post("/", protect, can("webinars:manage"), createWebinar);
+router.put("/:id", protect, can("webinars:manage"), validateWebinar, updateWebinar);
+router.delete("/:id", protect, can("webinars:manage"), deleteWebinar);
 router.put(
   "/:id/status",
   protect,
-  authorize("admin"),
+  can("webinars:manage"),
   validateWebinarStatus,
   updateWebinarStatus
 );
@@ -55,32 +55,32 @@ router.put(
 router.get(
   "/registrations/all",
   protect,
-  authorize("admin"),
+  can("webinars:manage"),
   getAllWebinarRegistrations
 );
 router.get(
   "/:id/registrations",
   protect,
-  authorize("admin"),
+  can("webinars:manage"),
   getWebinarRegistrations
 );
 router.get(
   "/registrations/:id",
   protect,
-  authorize("admin"),
+  can("webinars:manage"),
   getWebinarRegistration
 );
 router.delete(
   "/:webinarId/registrations/:id",
   protect,
-  authorize("admin"),
+  can("webinars:manage"),
   deleteWebinarRegistration
 );
 
 //router.put(
 //  "/:webinarId/registrations/:id/attend",
 //  protect,
-//  authorize("admin"),
+//  can("webinars:manage"),
 //  markAttendance
 //);
 
@@ -11,16 +11,16 @@ const {
   getSingleWorkshopAdmin,
 } = require("../controllers/workshopController");
 
-const { protect, authorize } = require("../middleware/authMiddleware");
+const { protect, can } = require("../middleware/authMiddleware");
 
 const router = express.Router();
 
 // Admin-only routes (STATIC FIRST)
-router.get("/all", protect, authorize("admin"), getAllWorkshops);
-router.get("/admin/:id", protect, authorize("admin"), getSingleWorkshopAdmin);
-router.post("/", protect, authorize("admin"), validateWorkshop, createWorkshop);
-router.put("/:id", protect, authorize("admin"), updateWorkshop);
-router.delete("/:id", protect, authorize("admin"), deleteWorkshop);
+router.get("/all", protect, can("workshops:manage"), getAllWorkshops);
+router.get("/admin/:id", protect, can("workshops:manage"), getSingleWorkshopAdmin);
+router.post("/", protect, can("workshops:manage"), validateWorkshop, createWorkshop);
+router.put("/:id", protect, can("workshops:manage"), updateWorkshop);
+router.delete("/:id", protect, can("workshops:manage"), deleteWorkshop);
 
 // Subscribed users
 router.get("/", protect, getUserWorkshops);
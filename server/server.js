@@ -1,5 +1,8 @@
-const express = require("express");
+// Load env vars before anything else, so every module sees config.env when it loads
 const dotenv = require("dotenv");
+dotenv.config({ path: "./config/config.env" });
+
+const express = require("express");
 const cors = require("cors");
 const morgan = require("morgan");
 const path = require("path");
@@ -19,6 +22,10 @@ const {
 const Toy = require("./models/Toy");
 // WhatsApp reminder cron and webhook
 const sendReminders = require("./cron/sendReminders");
+const startWaitlistOfferJob = require("./cron/waitlistOffers");
+const startAttendanceSweepJob = require("./cron/attendanceSweep");
+const startVideoRoomJob = require("./cron/videoRooms");
+const startGroupSessionBackfill = require("./cron/groupSessionBackfill");
 const webhookRoute = require("./routes/webhok");
 
 
@@ -71,11 +78,34 @@ const workshopRoutes = require("./routes/workshopRoutes");
 const adminRoutes = require("./routes/adminRoutes");
 //detoxRoutes
 const detoxRoutes = require("./routes/detoxRoutes");
+//leave and clinic closure routes
+const leaveRoutes = require("./routes/leaveRoutes");
+//notification outbox and preferences
+const notificationRoutes = require("./routes/notificationRoutes");
+const { startNotificationWorker } = require("./services/notifications");
 const heltarWebhook = require("./routes/heltarWebhook");
-const checkReplies = require("./services/checkReplies"); // 👈 new file
-
-// Load env vars
-dotenv.config({ path: "./config/config.env" });
+//cancellation waitlist and slot offers
+const waitlistRoutes = require("./routes/waitlistRoutes");
+//clinical session notes
+const sessionNoteRoutes = require("./routes/sessionNoteRoutes");
+//treatment plans and goal progress
+const treatmentPlanRoutes = require("./routes/treatmentPlanRoutes");
+//prepaid session packages
+const sessionPackageRoutes = require("./routes/sessionPackageRoutes");
+//clinic payment receipts ledger
+const paymentReceiptRoutes = require("./routes/paymentReceiptRoutes");
+//GST invoices
+const invoiceRoutes = require("./routes/invoiceRoutes");
+//parent self-service portal
+const parentPortalRoutes = require("./routes/parentPortalRoutes");
+//attendance review queue and sweep reports
+const attendanceReviewRoutes = require("./routes/attendanceReviewRoutes");
+//calendar feeds
+const calendarRoutes = require("./routes/calendarRoutes");
+//group sessions with rosters and attendance
+const groupSessionRoutes = require("./routes/groupSessionRoutes");
+//public online booking with phone verification
+const bookingRoutes = require("./routes/bookingRoutes");
 
 // Connect to database
 connectDB();
@@ -86,7 +116,11 @@ startRenewalReminderJob();
 
 
 sendReminders();
-checkReplies();
+startNotificationWorker();
+startWaitlistOfferJob();
+startAttendanceSweepJob();
+startVideoRoomJob();
+startGroupSessionBackfill();
 const app = express();
 
 // Body parser with increased limits for handling file uploads
@@ -185,6 +219,32 @@ app.use("/api/admin", adminRoutes);
 //detox routes
 app.use("/api/detox", detoxRoutes);
 app.use("/api/payments", paymentRoutes);
+//leave and clinic closure calendar
+app.use("/api/leaves", leaveRoutes);
+//notifications
+app.use("/api/notifications", notificationRoutes);
+//cancellation waitlist
+app.use("/api/waitlist", waitlistRoutes);
+//SOAP session notes
+app.use("/api/session-notes", sessionNoteRoutes);
+//treatment plans
+app.use("/api/treatment-plans", treatmentPlanRoutes);
+//session packages
+app.use("/api/packages", sessionPackageRoutes);
+//payment receipts
+app.use("/api/receipts", paymentReceiptRoutes);
+//invoices
+app.use("/api/invoices", invoiceRoutes);
+//parent portal
+app.use("/api/me", parentPortalRoutes);
+//attendance review
+app.use("/api/attendance-review", attendanceReviewRoutes);
+//calendar feeds
+app.use("/api/calendar", calendarRoutes);
+//group sessions
+app.use("/api/group-sessions", groupSessionRoutes);
+//public online booking
+app.use("/api/booking", bookingRoutes);
 
 app.use("/api/whatsapp", webhookRoute);
 
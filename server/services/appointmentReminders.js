@@ -0,0 +1,64 @@
+const Appointment = require("../models/Appointment");
+const { notify } = require("./notifications");
+const { getOutstandingFees } = require("./cancellationFees");
+const { ensureVideoRoom } = require("./videoRooms");
+
+/**
+ * Send the WhatsApp reminder for an appointment through the notification
+ * outbox. A single attempt is made; the reminder cron decides on retries.
+ * Resolves to the outbox entry, or null when the appointment or its phone
+ * number is missing.
+ */
+const sendAppointmentReminder = async (appointmentId, { leadHours } = {}) => {
+  const appointment = await Appointment.findById(appointmentId).populate(
+    "serviceId",
+    "name"
+  );
+  if (!appointment) {
+    console.log("⚠️ Appointment not found");
+    return null;
+  }
+
+  if (!appointment.phone) {
+    console.log(`⚠️ No phone number for appointment ${appointment._id}`);
+    return null;
+  }
+
+  // Unpaid late cancellation / no-show fees are mentioned so they get settled at the visit
+  const fees = appointment.patientId ? await getOutstandingFees(appointment.patientId) : [];
+  const feesDue = fees.reduce((sum, fee) => sum + fee.amount, 0);
+
+  // Video consultations get their room now if the room job has not opened it yet
+  const videoRoom = await ensureVideoRoom(appointment);
+
+  const [entry] = await notify({
+    recipient: {
+      name: appointment.fatherName || appointment.patientName,
+      phone: appointment.phone,
+    },
+    template: "appointmentReminder",
+    channels: ["whatsapp"],
+    data: {
+      service: appointment.serviceId?.name || "Therapy",
+      date: appointment.date,
+      startTime: appointment.startTime,
+      feesDue,
+      joinUrl: videoRoom?.joinUrl,
+      appointmentId: appointment._id,
+      leadHours,
+    },
+    relatedTo: { kind: "Appointment", id: appointment._id },
+    maxAttempts: 1,
+  });
+  if (!entry) return null;
+
+  if (entry.status === "failed") {
+    console.error(`❌ Failed to send reminder for ${appointment._id}:`, entry.lastError);
+  } else {
+    console.log(`✅ Reminder sent for appointment ${appointment._id}`);
+  }
+
+  return entry;
+};
+
+module.exports = { sendAppointmentReminder };
@@ -0,0 +1,298 @@
+const PDFDocument = require("pdfkit");
+const sendEmail = require("../utils/mailer");
+const ErrorResponse = require("../utils/errorResponse");
+const { CLINIC_DETAILS } = require("../config/clinic");
+const { billingDocument } = require("../emails/billingDocument");
+const { CLINIC_TIMEZONE } = require("../utils/timeSlots");
+
+// The built-in PDF fonts have no rupee sign
+const money = (amount) =>
+  `Rs. ${Number(amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    timeZone: CLINIC_TIMEZONE,
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+  });
+
+// Render into memory and resolve to the finished PDF
+const renderPdf = (draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+
+const drawHeader = (doc, title) => {
+  doc.font("Helvetica-Bold").fontSize(16).text(CLINIC_DETAILS.name);
+  doc.font("Helvetica").fontSize(9);
+  [
+    CLINIC_DETAILS.address,
+    [CLINIC_DETAILS.phone, CLINIC_DETAILS.email].filter(Boolean).join("  |  "),
+    CLINIC_DETAILS.gstin && `GSTIN: ${CLINIC_DETAILS.gstin}`,
+    CLINIC_DETAILS.state && `State: ${CLINIC_DETAILS.state}`,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  doc.moveDown();
+  doc.font("Helvetica-Bold").fontSize(14).text(title, { align: "center" });
+  doc.moveDown(0.5);
+  doc.font("Helvetica").fontSize(10);
+};
+
+// Two text blocks side by side: who is billed on the left, document details on the right
+const drawParties = (doc, left, right) => {
+  const top = doc.y;
+  const half = (doc.page.width - 100) / 2;
+
+  doc.text(left.filter(Boolean).join("\n"), 50, top, { width: half - 10 });
+  const leftBottom = doc.y;
+  doc.text(right.filter(Boolean).join("\n"), 50 + half, top, { width: half, align: "right" });
+
+  doc.x = 50;
+  doc.y = Math.max(leftBottom, doc.y);
+  doc.moveDown();
+};
+
+// Simple ruled table; `columns` are [{ header, width, align }]
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, bold) => {
+    const top = doc.y;
+    let x = 50;
+    let bottom = top;
+
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+    cells.forEach((cell, i) => {
+      const { width, align = "left" } = columns[i];
+      doc.text(String(cell ?? ""), x + 2, top, { width: width - 4, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+
+    doc.y = bottom + 4;
+    doc
+      .moveTo(50, doc.y - 2)
+      .lineTo(x, doc.y - 2)
+      .strokeColor("#cccccc")
+      .stroke();
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    true
+  );
+  rows.forEach((row) => drawRow(row));
+  doc.x = 50;
+  doc.font("Helvetica").fontSize(10);
+};
+
+const drawTotals = (doc, lines) => {
+  doc.moveDown(0.5);
+  lines.forEach(([label, value, bold]) => {
+    doc
+      .font(bold ? "Helvetica-Bold" : "Helvetica")
+      .text(`${label}:  ${value}`, 50, doc.y, { align: "right" });
+  });
+  doc.font("Helvetica");
+};
+
+const drawFooter = (doc, note) => {
+  doc.moveDown(2);
+  doc.fontSize(8).fillColor("#555555").text(note, 50, doc.y, { align: "center" });
+  doc.fillColor("#000000");
+};
+
+/**
+ * Tax invoice PDF for an invoice. Resolves to a Buffer.
+ */
+const renderInvoicePdf = (invoice) =>
+  renderPdf((doc) => {
+    const exempt = invoice.taxTotal === 0;
+
+    drawHeader(doc, exempt ? "BILL OF SUPPLY" : "TAX INVOICE");
+    if (invoice.status === "cancelled") {
+      doc.fillColor("#cc0000").text("CANCELLED", { align: "center" }).fillColor("#000000");
+      doc.moveDown(0.5);
+    }
+
+    drawParties(
+      doc,
+      [
+        "Bill to:",
+        invoice.billTo?.name,
+        invoice.billTo?.address,
+        invoice.billTo?.phone,
+        invoice.billTo?.email,
+        `Patient: ${invoice.patientName}`,
+      ],
+      [
+        `Invoice No: ${invoice.invoiceNumber}`,
+        `Date: ${formatDate(invoice.issuedAt)}`,
+      ]
+    );
+
+    drawTable(
+      doc,
+      [
+        { header: "#", width: 20 },
+        { header: "Description", width: 130 },
+        { header: "SAC", width: 40 },
+        { header: "Date", width: 60 },
+        { header: "Taxable", width: 65, align: "right" },
+        { header: "GST %", width: 35, align: "right" },
+        { header: "CGST", width: 45, align: "right" },
+        { header: "SGST", width: 45, align: "right" },
+        { header: "Amount", width: 55, align: "right" },
+      ],
+      invoice.items.map((item, i) => [
+        i + 1,
+        item.description,
+        item.sacCode,
+        item.date ? formatDate(item.date) : "",
+        money(item.taxableValue),
+        item.gstRate,
+        money(item.cgst),
+        money(item.sgst),
+        money(item.amount),
+      ])
+    );
+
+    drawTotals(doc, [
+      ["Taxable value", money(invoice.taxableTotal)],
+      ...(exempt
+        ? []
+        : [
+            ["CGST", money(invoice.items.reduce((sum, item) => sum + item.cgst, 0))],
+            ["SGST", money(invoice.items.reduce((sum, item) => sum + item.sgst, 0))],
+          ]),
+      ["Total", money(invoice.total), true],
+    ]);
+
+    if (invoice.notes) {
+      doc.moveDown().text(invoice.notes);
+    }
+    drawFooter(
+      doc,
+      exempt
+        ? "Healthcare services exempt from GST. This is a computer generated document."
+        : "This is a computer generated invoice."
+    );
+  });
+
+/**
+ * Payment receipt PDF. Expects `allocations.appointmentId` populated with
+ * the appointment date and `patientId` with the parent details.
+ */
+const renderReceiptPdf = (receipt) =>
+  renderPdf((doc) => {
+    const patient = receipt.patientId || {};
+
+    drawHeader(doc, "PAYMENT RECEIPT");
+    if (receipt.status === "voided") {
+      doc.fillColor("#cc0000").text("VOID", { align: "center" }).fillColor("#000000");
+      doc.moveDown(0.5);
+    }
+
+    drawParties(
+      doc,
+      [
+        "Received from:",
+        patient.parentInfo?.name,
+        patient.parentInfo?.address,
+        patient.parentInfo?.phone,
+        patient.firstName && `Patient: ${patient.firstName} ${patient.lastName}`,
+      ],
+      [
+        `Receipt No: ${receipt.receiptNumber}`,
+        `Date: ${formatDate(receipt.receivedAt)}`,
+        `Mode: ${receipt.method.toUpperCase()}`,
+        receipt.reference && `Reference: ${receipt.reference}`,
+      ]
+    );
+
+    if (receipt.allocations.length > 0) {
+      drawTable(
+        doc,
+        [
+          { header: "Towards session on", width: 330 },
+          { header: "Amount", width: 165, align: "right" },
+        ],
+        receipt.allocations.map((allocation) => {
+          const appointment = allocation.appointmentId;
+          return [
+            appointment?.date
+              ? `${formatDate(appointment.date)} ${appointment.startTime || ""}`
+              : "Appointment",
+            money(allocation.amount),
+          ];
+        })
+      );
+    }
+
+    drawTotals(doc, [
+      ...(receipt.unallocated > 0 ? [["Advance / credit", money(receipt.unallocated)]] : []),
+      ["Amount received", money(receipt.amount), true],
+    ]);
+
+    if (receipt.notes) {
+      doc.moveDown().text(receipt.notes);
+    }
+    drawFooter(doc, "This is a computer generated receipt.");
+  });
+
+// File names cannot contain the slashes of document numbers
+const pdfFileName = (documentNumber) => `${documentNumber.replace(/\//g, "-")}.pdf`;
+
+/**
+ * Email a rendered invoice or receipt to the family as a PDF attachment
+ */
+const emailBillingDocument = async ({
+  to,
+  name,
+  patientName,
+  documentType,
+  documentNumber,
+  amount,
+  pdf,
+}) => {
+  if (!to) {
+    throw new ErrorResponse("No email address on file; please provide one", 400);
+  }
+
+  return sendEmail({
+    to,
+    subject: `${documentType} ${documentNumber} - ${CLINIC_DETAILS.name}`,
+    html: billingDocument({
+      name: name || "Parent",
+      patientName,
+      documentType,
+      documentNumber,
+      amount: Number(amount).toLocaleString("en-IN", { minimumFractionDigits: 2 }),
+    }),
+    attachments: [
+      { filename: pdfFileName(documentNumber), content: pdf, contentType: "application/pdf" },
+    ],
+  });
+};
+
+module.exports = {
+  renderInvoicePdf,
+  renderReceiptPdf,
+  pdfFileName,
+  emailBillingDocument,
+};
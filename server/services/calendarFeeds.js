@@ -0,0 +1,182 @@
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const { CLINIC_DETAILS } = require("../config/clinic");
+const { buildCalendar } = require("../utils/ics");
+const { getDayRange, toClinicDateTime } = require("../utils/timeSlots");
+
+// How far back feeds go; everything upcoming is included
+const FEED_HISTORY_DAYS = 60;
+
+// Appointments that no longer take place in their slot are published as cancelled
+const CANCELLED_STATUSES = ["cancelled", "rescheduled", "converted"];
+
+// Which feed each role gets
+const FEED_AUDIENCES = {
+  therapist: "therapist",
+  parent: "family",
+  member: "family",
+};
+
+const LOCATIONS = {
+  "video-call": "Video call",
+  phone: "Phone call",
+};
+
+const location = (consultationMode) => {
+  if (LOCATIONS[consultationMode]) return LOCATIONS[consultationMode];
+  return CLINIC_DETAILS.address
+    ? `${CLINIC_DETAILS.name}, ${CLINIC_DETAILS.address}`
+    : CLINIC_DETAILS.name;
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : undefined);
+
+// Event timing and state shared by every view of an appointment
+const baseEvent = (appointment) => ({
+  uid: `appointment-${appointment._id}@8senses`,
+  sequence: appointment.calendarSequence || 0,
+  start: toClinicDateTime(appointment.date, appointment.startTime),
+  end: toClinicDateTime(appointment.date, appointment.endTime),
+  stamp: appointment.updatedAt,
+  location: location(appointment.consultationMode),
+  cancelled: CANCELLED_STATUSES.includes(appointment.status),
+});
+
+/**
+ * Calendar event for the family of one appointment. `service` and
+ * `therapist` are display names.
+ */
+const familyEvent = (appointment, { service, therapist }) => ({
+  ...baseEvent(appointment),
+  summary: appointment.isGroupSession
+    ? `${appointment.groupSessionName || service} (group session) - ${appointment.patientName}`
+    : `${service} - ${appointment.patientName}`,
+  description: [`Therapist: ${therapist}`, `Appointment type: ${appointment.type}`].join("\n"),
+});
+
+/**
+ * Calendar events for a therapist. A group session is one event for the
+ * whole group; it is only cancelled once every child's place is.
+ */
+const therapistEvents = (appointments) => {
+  const events = [];
+  const groups = new Map();
+
+  for (const appointment of appointments) {
+    if (!appointment.isGroupSession || !appointment.groupSessionId) {
+      events.push({
+        ...baseEvent(appointment),
+        summary: `${appointment.patientName} - ${appointment.serviceId?.name || "Session"}`,
+        description: `Appointment type: ${appointment.type}`,
+      });
+      continue;
+    }
+
+    const key = appointment.groupSessionId.toString();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(appointment);
+  }
+
+  for (const [groupSessionId, members] of groups) {
+    const attending = members.filter((apt) => !CANCELLED_STATUSES.includes(apt.status));
+    const first = attending[0] || members[0];
+    events.push({
+      ...baseEvent(first),
+      uid: `group-${groupSessionId}@8senses`,
+      sequence: Math.max(...members.map((apt) => apt.calendarSequence || 0)),
+      stamp: new Date(Math.max(...members.map((apt) => apt.updatedAt || 0))),
+      summary: `${first.groupSessionName || "Group session"} (${attending.length} children)`,
+      description: attending.map((apt) => apt.patientName).join("\n"),
+      cancelled: attending.length === 0,
+    });
+  }
+
+  return events;
+};
+
+/**
+ * The user a feed token belongs to, or a 404
+ */
+const findFeedOwner = async (token) => {
+  const user = await User.findOne({
+    calendarFeedToken: User.hashToken(token),
+    isActive: { $ne: false },
+  });
+  if (!user || !FEED_AUDIENCES[user.role]) {
+    throw new ErrorResponse("Calendar feed not found", 404);
+  }
+  return user;
+};
+
+/**
+ * Issue a new feed token for a therapist or parent; resolves to the raw token.
+ * Any earlier feed URL of the user stops working.
+ */
+const issueFeedToken = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !FEED_AUDIENCES[user.role]) {
+    throw new ErrorResponse("Calendar feeds are available to therapists and parents", 400);
+  }
+
+  const token = user.getCalendarFeedToken();
+  await user.save({ validateBeforeSave: false });
+  return token;
+};
+
+/**
+ * Turn off a user's calendar feed
+ */
+const revokeFeedToken = (userId) =>
+  User.updateOne({ _id: userId }, { $unset: { calendarFeedToken: 1 } });
+
+/**
+ * The iCalendar document for a feed owner: a therapist's own sessions, or
+ * the appointments of a parent's children
+ */
+const buildFeed = async (user) => {
+  const since = getDayRange(
+    new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+  ).start;
+
+  if (FEED_AUDIENCES[user.role] === "therapist") {
+    const appointments = await Appointment.find({
+      therapistId: user._id,
+      date: { $gte: since },
+    })
+      .populate("serviceId", "name")
+      .sort({ date: 1, startTime: 1 });
+
+    return buildCalendar({
+      name: `8 Senses - ${fullName(user)}`,
+      events: therapistEvents(appointments),
+    });
+  }
+
+  const appointments = await Appointment.find({
+    patientId: { $in: await Patient.find({ parentId: user._id }).distinct("_id") },
+    date: { $gte: since },
+  })
+    .populate("serviceId", "name")
+    .populate("therapistId", "firstName lastName")
+    .sort({ date: 1, startTime: 1 });
+
+  return buildCalendar({
+    name: "8 Senses appointments",
+    events: appointments.map((appointment) =>
+      familyEvent(appointment, {
+        service: appointment.serviceId?.name || "Session",
+        therapist: fullName(appointment.therapistId) || "Therapist",
+      })
+    ),
+  });
+};
+
+module.exports = {
+  familyEvent,
+  findFeedOwner,
+  issueFeedToken,
+  revokeFeedToken,
+  buildFeed,
+};
@@ -0,0 +1,147 @@
+const Appointment = require("../models/Appointment");
+const Service = require("../models/Service");
+const ErrorResponse = require("../utils/errorResponse");
+const { getMinutesUntil } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Cancelling closer to the session than this is a late cancellation
+const DEFAULT_CUTOFF_HOURS = numberSetting("LATE_CANCELLATION_CUTOFF_HOURS", 24);
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const FEE_LABELS = {
+  late_cancellation: "Late cancellation fee",
+  no_show: "No-show fee",
+};
+
+/**
+ * Fee still owed for a cancellation or no-show: nothing once it is waived
+ */
+const activeFee = (appointment) => {
+  const fee = appointment.cancellationFee;
+  return fee?.amount > 0 && !fee.waivedAt ? fee.amount : 0;
+};
+
+/**
+ * Query matching appointments with a fee that was charged and not waived
+ */
+const ACTIVE_FEE_QUERY = {
+  "cancellationFee.amount": { $gt: 0 },
+  "cancellationFee.waivedAt": null,
+};
+
+// Fee from a { type, value } rule and the session fee it is a percentage of
+const feeFromRule = (rule, sessionFee) => {
+  if (!rule?.value) return 0;
+  return round(rule.type === "percentage" ? (sessionFee * rule.value) / 100 : rule.value);
+};
+
+/**
+ * Charge the service's late cancellation or no-show fee on an appointment
+ * that was just cancelled or marked no-show. Cancellations are only charged
+ * when the family cancelled (`cancelledByFamily`) inside the service's
+ * cutoff; the clinic cancelling never costs the family anything. The fee is
+ * added to the patient's balance through the appointment.
+ *
+ * Resolves to the charge, or null when nothing is due. Never throws, so the
+ * status change is never held up by it.
+ */
+const applyCancellationFee = async (appointment, { cancelledByFamily = false } = {}) => {
+  try {
+    const kind = { cancelled: "late_cancellation", "no-show": "no_show" }[appointment.status];
+    if (!kind || appointment.cancellationFee?.amount) return null;
+    if (kind === "late_cancellation" && !cancelledByFamily) return null;
+
+    const service = await Service.findById(
+      appointment.serviceId?._id || appointment.serviceId
+    ).select("price cancellationPolicy");
+    const policy = service?.cancellationPolicy;
+    if (!policy) return null;
+
+    if (kind === "late_cancellation") {
+      const cutoffHours = policy.cutoffHours ?? DEFAULT_CUTOFF_HOURS;
+      const minutesUntil = getMinutesUntil(appointment.date, appointment.startTime);
+      if (minutesUntil === null || minutesUntil >= cutoffHours * 60) return null;
+    }
+
+    const sessionFee = appointment.payment?.amount || service.price || 0;
+    const rule = kind === "no_show" ? policy.noShowFee : policy.lateCancellationFee;
+    const amount = feeFromRule(rule, sessionFee);
+    if (amount <= 0) return null;
+
+    const cancellationFee = { kind, amount, chargedAt: new Date() };
+    // Only charge once even if two requests race on the same appointment
+    const charged = await Appointment.updateOne(
+      { _id: appointment._id, "cancellationFee.amount": { $not: { $gt: 0 } } },
+      { cancellationFee }
+    );
+    if (charged.modifiedCount === 0) return null;
+
+    if (typeof appointment.set === "function") {
+      appointment.set({ cancellationFee });
+    }
+    return { ...cancellationFee, label: FEE_LABELS[kind] };
+  } catch (err) {
+    console.error(`❌ Cancellation fee for appointment ${appointment._id} failed:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Waive a cancellation or no-show fee. Fees that payments were already
+ * allocated to cannot be waived until those receipts are voided.
+ */
+const waiveCancellationFee = async (appointment, { reason, waivedBy }) => {
+  if (!appointment.cancellationFee?.amount) {
+    throw new ErrorResponse("This appointment has no cancellation fee", 400);
+  }
+  if (appointment.cancellationFee.waivedAt) {
+    throw new ErrorResponse("This fee has already been waived", 400);
+  }
+  if (appointment.payment?.paidAmount > 0) {
+    throw new ErrorResponse(
+      "Payments have been allocated to this fee; void those receipts before waiving it",
+      400
+    );
+  }
+
+  appointment.cancellationFee.waivedAt = new Date();
+  appointment.cancellationFee.waivedBy = waivedBy;
+  appointment.cancellationFee.waiverReason = reason;
+  await appointment.save();
+  return appointment;
+};
+
+/**
+ * Unpaid, unwaived fees of a patient's cancelled and no-show appointments,
+ * oldest first
+ */
+const getOutstandingFees = async (patientId) => {
+  const appointments = await Appointment.find({
+    patientId,
+    status: { $in: ["cancelled", "no-show"] },
+    ...ACTIVE_FEE_QUERY,
+    "payment.status": { $nin: ["paid", "refunded"] },
+  })
+    .select("date startTime cancellationFee payment")
+    .sort({ date: 1 });
+
+  return appointments
+    .map((appointment) => ({
+      appointmentId: appointment._id,
+      date: appointment.date,
+      kind: appointment.cancellationFee.kind,
+      label: FEE_LABELS[appointment.cancellationFee.kind],
+      amount: round(activeFee(appointment) - (appointment.payment?.paidAmount || 0)),
+    }))
+    .filter((fee) => fee.amount > 0);
+};
+
+module.exports = {
+  FEE_LABELS,
+  ACTIVE_FEE_QUERY,
+  activeFee,
+  applyCancellationFee,
+  waiveCancellationFee,
+  getOutstandingFees,
+};
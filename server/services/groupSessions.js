@@ -0,0 +1,574 @@
+const Appointment = require("../models/Appointment");
+const GroupSession = require("../models/GroupSession");
+const Invoice = require("../models/Invoice");
+const Patient = require("../models/Patient");
+const ErrorResponse = require("../utils/errorResponse");
+const { checkConflicts } = require("../utils/appointmentConflicts");
+const { getMinutesUntil } = require("../utils/timeSlots");
+const { useSessionForAppointment } = require("./sessionPackages");
+const { applyCancellationFee } = require("./cancellationFees");
+const {
+  appointmentCharge,
+  appointmentDue,
+  syncAppointmentPayments,
+} = require("./paymentLedger");
+
+// Appointment statuses that give up the child's place in the slot
+const CLOSED_STATUSES = ["cancelled", "rescheduled", "converted"];
+
+// Attendance as families and therapists see it, from the child's appointment status
+const ATTENDANCE = {
+  completed: "present",
+  "no-show": "absent",
+  cancelled: "cancelled",
+  rescheduled: "cancelled",
+  converted: "cancelled",
+};
+
+// Appointment status each attendance mark moves the child's appointment to
+const ATTENDANCE_OUTCOMES = {
+  present: "completed",
+  absent: "no-show",
+};
+
+const isEnrolled = (participant, patientId) =>
+  participant.status === "enrolled" &&
+  participant.patientId?.toString() === patientId.toString();
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Roster entries still holding a place
+const ENROLLED = {
+  $filter: { input: "$roster", cond: { $eq: ["$$this.status", "enrolled"] } },
+};
+
+/**
+ * The child's appointment for their place in the group. `participant` is
+ * `{ patientId, patientName, fatherName, email, phone }`.
+ */
+const createParticipantAppointment = (
+  session,
+  participant,
+  { amount, paymentMethod, createdBy }
+) =>
+  Appointment.create({
+    userId: createdBy,
+    patientId: participant.patientId,
+    patientName: participant.patientName,
+    fatherName: participant.fatherName || "",
+    email: participant.email || "",
+    phone: participant.phone || "",
+    serviceId: session.serviceId,
+    therapistId: session.therapistId,
+    date: session.date,
+    startTime: session.startTime,
+    endTime: session.endTime,
+    type: session.type,
+    consultationMode: session.consultationMode,
+    notes: `${session.notes || ""}\n\nGroup Session: ${session.name}`.trim(),
+    payment: {
+      amount: amount ?? session.pricePerChild,
+      method: paymentMethod || "not_specified",
+      status: "pending",
+    },
+    consent: false,
+    totalSessions: 1,
+    status: "scheduled",
+    assignedBy: createdBy,
+    assignedAt: new Date(),
+    isGroupSession: true,
+    groupSessionId: session._id,
+    groupSessionName: session.name,
+    maxCapacity: session.maxCapacity,
+    createdBy,
+  });
+
+/**
+ * Create a group session and one appointment per child on its roster.
+ * `participants` are `{ patientId, patientName, fatherName, email, phone }`.
+ * Appointments are created one at a time and removed again if any of them,
+ * or the session, cannot be saved. Resolves to `{ session, appointments }`.
+ */
+const createGroupSession = async (
+  fields,
+  participants,
+  { paymentMethod, createdBy } = {}
+) => {
+  const session = new GroupSession({ ...fields, createdBy });
+  const invalid = session.validateSync();
+  if (invalid) {
+    throw new ErrorResponse(
+      Object.values(invalid.errors)
+        .map((error) => error.message)
+        .join(", "),
+      400
+    );
+  }
+  if (participants.length > session.maxCapacity) {
+    throw new ErrorResponse(
+      `Maximum ${session.maxCapacity} patients allowed per group session`,
+      400
+    );
+  }
+
+  const appointments = [];
+  try {
+    for (const participant of participants) {
+      appointments.push(
+        await createParticipantAppointment(session, participant, {
+          paymentMethod,
+          createdBy,
+        })
+      );
+    }
+
+    session.roster = appointments.map((appointment) => ({
+      patientId: appointment.patientId,
+      patientName: appointment.patientName,
+      appointmentId: appointment._id,
+    }));
+    await session.save();
+  } catch (err) {
+    // Leave no appointments behind for a session that was never saved
+    await Appointment.deleteMany({ _id: { $in: appointments.map((apt) => apt._id) } });
+    throw err;
+  }
+
+  return { session, appointments };
+};
+
+// Session header as its appointments describe it
+const headerFromAppointments = (appointments) => {
+  const current =
+    appointments.find((apt) => !CLOSED_STATUSES.includes(apt.status)) || appointments[0];
+  return {
+    name: current.groupSessionName || "Group session",
+    therapistId: current.therapistId,
+    serviceId: current.serviceId,
+    date: current.date,
+    startTime: current.startTime,
+    endTime: current.endTime,
+    type: current.type,
+    consultationMode: current.consultationMode,
+    maxCapacity: current.maxCapacity,
+    status: appointments.every((apt) => apt.status === "cancelled")
+      ? "cancelled"
+      : "scheduled",
+  };
+};
+
+/**
+ * A group session by id. Groups booked before sessions had their own
+ * record are built from their appointments on first use.
+ */
+const loadGroupSession = async (groupSessionId) => {
+  const session = await GroupSession.findById(groupSessionId);
+  if (session) return session;
+
+  const appointments = await Appointment.find({
+    groupSessionId,
+    isGroupSession: true,
+  }).sort({ createdAt: 1 });
+  if (appointments.length === 0) {
+    throw new ErrorResponse("Group session not found", 404);
+  }
+
+  // Children whose own appointment was called off no longer hold a place
+  const header = headerFromAppointments(appointments);
+  const hasLeft = (appointment) =>
+    header.status !== "cancelled" && CLOSED_STATUSES.includes(appointment.status);
+
+  try {
+    return await GroupSession.create({
+      _id: groupSessionId,
+      ...header,
+      pricePerChild: appointments[0].payment?.amount || 0,
+      roster: appointments.map((appointment) => ({
+        patientId: appointment.patientId,
+        patientName: appointment.patientName,
+        appointmentId: appointment._id,
+        status: hasLeft(appointment) ? "left" : "enrolled",
+        joinedAt: appointment.createdAt,
+      })),
+      createdBy: appointments[0].createdBy,
+    });
+  } catch (err) {
+    // Built by a concurrent request in the meantime
+    if (err.code === 11000) return GroupSession.findById(groupSessionId);
+    throw err;
+  }
+};
+
+/**
+ * Appointments of the children still on a group session's roster; empty
+ * when there is no such session
+ */
+const findEnrolledAppointments = async (groupSessionId) => {
+  let session;
+  try {
+    session = await loadGroupSession(groupSessionId);
+  } catch (err) {
+    if (err.statusCode === 404) return [];
+    throw err;
+  }
+
+  return Appointment.find({
+    _id: {
+      $in: session.roster
+        .filter((participant) => participant.status === "enrolled")
+        .map((participant) => participant.appointmentId),
+    },
+  });
+};
+
+/**
+ * Give group appointments in `query` without a session record one.
+ * Resolves to the number of sessions created.
+ */
+const backfillGroupSessions = async (query = {}) => {
+  const ids = await Appointment.find({ ...query, isGroupSession: true }).distinct(
+    "groupSessionId"
+  );
+  const existing = new Set(
+    (await GroupSession.find({ _id: { $in: ids } }).distinct("_id")).map(String)
+  );
+
+  let created = 0;
+  for (const id of ids) {
+    if (id && !existing.has(id.toString())) {
+      await loadGroupSession(id);
+      created += 1;
+    }
+  }
+  return created;
+};
+
+/**
+ * Bring a session's header (slot, therapist, name, status) in line with its
+ * enrolled children's appointments after they were changed in bulk through
+ * the /api/appointments/group routes. Never throws, so those changes are
+ * never held up by it.
+ */
+const syncGroupSession = async (groupSessionId) => {
+  try {
+    const session = await loadGroupSession(groupSessionId);
+    const enrolledIds = session.roster
+      .filter((participant) => participant.status === "enrolled")
+      .map((participant) => participant.appointmentId);
+
+    const appointments = await Appointment.find({ _id: { $in: enrolledIds } });
+    if (appointments.length === 0) return session;
+
+    session.set(headerFromAppointments(appointments));
+    await session.save();
+    return session;
+  } catch (err) {
+    console.error("❌ Error syncing group session:", err.message);
+    return null;
+  }
+};
+
+/**
+ * Add a child to a group session, with their own appointment. The child
+ * is charged `amount`, or the session's price per child. Throws a 400 when
+ * the session is full, over or cancelled, the child is already on the
+ * roster, or the child is booked elsewhere at that time.
+ */
+const joinGroupSession = async (
+  groupSessionId,
+  { patientId, amount, paymentMethod },
+  { addedBy }
+) => {
+  const session = await loadGroupSession(groupSessionId);
+  if (session.status === "cancelled") {
+    throw new ErrorResponse("This group session has been cancelled", 400);
+  }
+  const minutesUntilEnd = getMinutesUntil(session.date, session.endTime);
+  if (minutesUntilEnd !== null && minutesUntilEnd < 0) {
+    throw new ErrorResponse("This group session is already over", 400);
+  }
+
+  const patient = await Patient.findById(patientId).select("firstName lastName parentInfo");
+  if (!patient) {
+    throw new ErrorResponse("Patient not found", 404);
+  }
+  if (session.roster.some((participant) => isEnrolled(participant, patient._id))) {
+    throw new ErrorResponse("This child is already in the group session", 400);
+  }
+
+  const { hasConflicts, conflicts } = await checkConflicts([
+    {
+      therapistId: session.therapistId,
+      patientId: patient._id,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      groupSessionId: session._id,
+      maxCapacity: session.maxCapacity,
+    },
+  ]);
+  if (hasConflicts) {
+    const error = new ErrorResponse("This child cannot join the group session", 400);
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  // Take a place only while one is free, so two joins cannot overfill the group
+  const patientName = `${patient.firstName} ${patient.lastName}`;
+  const reserved = await GroupSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      status: "scheduled",
+      roster: { $not: { $elemMatch: { patientId: patient._id, status: "enrolled" } } },
+      $expr: { $lt: [{ $size: ENROLLED }, "$maxCapacity"] },
+    },
+    { $push: { roster: { patientId: patient._id, patientName } } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ErrorResponse(
+      `This group session is full (${session.maxCapacity} children)`,
+      400
+    );
+  }
+
+  let appointment;
+  try {
+    appointment = await createParticipantAppointment(
+      reserved,
+      {
+        patientId: patient._id,
+        patientName,
+        fatherName: patient.parentInfo?.name,
+        email: patient.parentInfo?.email,
+        phone: patient.parentInfo?.phone,
+      },
+      { amount, paymentMethod, createdBy: addedBy }
+    );
+  } catch (err) {
+    await GroupSession.updateOne(
+      { _id: session._id },
+      { $pull: { roster: { patientId: patient._id, appointmentId: { $exists: false } } } }
+    );
+    throw err;
+  }
+
+  const updated = await GroupSession.findOneAndUpdate(
+    {
+      _id: session._id,
+      roster: { $elemMatch: { patientId: patient._id, status: "enrolled" } },
+    },
+    { $set: { "roster.$.appointmentId": appointment._id } },
+    { new: true }
+  );
+
+  return { session: updated, appointment };
+};
+
+// Enrolled roster entry of a child, or a 404
+const findParticipant = (session, patientId) => {
+  const participant = session.roster.find((entry) => isEnrolled(entry, patientId));
+  if (!participant) {
+    throw new ErrorResponse("This child is not in the group session", 404);
+  }
+  return participant;
+};
+
+/**
+ * Take a child off the roster and cancel their appointment. When the family
+ * asked to leave (`chargeFee`), the service's late cancellation fee is
+ * charged if it applies. Resolves to `{ session, appointment, fee }`.
+ */
+const leaveGroupSession = async (
+  groupSessionId,
+  patientId,
+  { reason, changedBy, chargeFee = false }
+) => {
+  const session = await loadGroupSession(groupSessionId);
+  const participant = findParticipant(session, patientId);
+
+  const appointment = participant.appointmentId
+    ? await Appointment.findById(participant.appointmentId)
+    : null;
+  let fee = null;
+  if (appointment && !CLOSED_STATUSES.includes(appointment.status)) {
+    if (!appointment.canTransitionTo("cancelled")) {
+      throw new ErrorResponse(
+        `This child's session has already been marked ${appointment.status}`,
+        400
+      );
+    }
+    await appointment.cancel(reason || `Left group session ${session.name}`, {
+      source: "staff",
+      changedBy,
+    });
+    fee = await applyCancellationFee(appointment, { cancelledByFamily: chargeFee });
+  }
+
+  participant.status = "left";
+  participant.leftAt = new Date();
+  participant.leftReason = reason;
+  await session.save();
+
+  return { session, appointment, fee };
+};
+
+/**
+ * Mark who attended. `records` are `{ patientId, attendance }` with
+ * attendance "present" (completes the child's appointment and uses a
+ * package session) or "absent" (marks it no-show and charges the no-show
+ * fee). Nothing is changed unless every mark is allowed.
+ */
+const markAttendance = async (groupSessionId, records, { changedBy }) => {
+  const session = await loadGroupSession(groupSessionId);
+  const minutesUntilStart = getMinutesUntil(session.date, session.startTime);
+  if (minutesUntilStart !== null && minutesUntilStart > 0) {
+    throw new ErrorResponse("Attendance can be marked once the session has started", 400);
+  }
+
+  const marks = await Promise.all(
+    records.map(async (record) => {
+      const participant = findParticipant(session, record.patientId);
+      const appointment = await Appointment.findById(participant.appointmentId);
+      if (!appointment) {
+        throw new ErrorResponse(`No appointment found for ${participant.patientName}`, 404);
+      }
+      return { participant, appointment, outcome: ATTENDANCE_OUTCOMES[record.attendance] };
+    })
+  );
+
+  const blocked = marks.filter(
+    ({ appointment, outcome }) =>
+      appointment.status !== outcome && !appointment.canTransitionTo(outcome)
+  );
+  if (blocked.length > 0) {
+    throw new ErrorResponse(
+      `Attendance cannot be changed for ${blocked
+        .map(
+          ({ participant, appointment }) =>
+            `${participant.patientName} (${appointment.status})`
+        )
+        .join(", ")}`,
+      400
+    );
+  }
+
+  const results = [];
+  for (const { participant, appointment, outcome } of marks) {
+    const result = {
+      patientId: participant.patientId,
+      patientName: participant.patientName,
+      appointmentId: appointment._id,
+      attendance: ATTENDANCE[outcome],
+    };
+
+    if (appointment.status !== outcome) {
+      appointment.transitionTo(outcome, {
+        changedBy,
+        source: "staff",
+        reason: `Marked ${ATTENDANCE[outcome]} for group session ${session.name}`,
+      });
+      if (appointment.attendanceReview?.status === "pending") {
+        appointment.attendanceReview.status = "resolved";
+        appointment.attendanceReview.resolution = outcome;
+        appointment.attendanceReview.resolvedAt = new Date();
+        appointment.attendanceReview.resolvedBy = changedBy;
+      }
+      await appointment.save();
+
+      if (outcome === "completed") {
+        const usage = await useSessionForAppointment(appointment);
+        if (usage) result.sessionsRemaining = usage.sessionsRemaining;
+      } else {
+        result.cancellationFee = await applyCancellationFee(appointment);
+      }
+    }
+    results.push(result);
+  }
+
+  return { session, results };
+};
+
+/**
+ * Set what one child is charged for the session. The payment status is
+ * recomputed from the receipts already allocated to their appointment.
+ */
+const setParticipantCharge = async (groupSessionId, patientId, { amount, method }) => {
+  const session = await loadGroupSession(groupSessionId);
+  const participant = findParticipant(session, patientId);
+
+  const invoice = await Invoice.findOne({
+    status: "issued",
+    "items.appointmentId": participant.appointmentId,
+  }).select("invoiceNumber");
+  if (invoice) {
+    throw new ErrorResponse(
+      `This session is already on invoice ${invoice.invoiceNumber}; cancel it first`,
+      400
+    );
+  }
+
+  const appointment = await Appointment.findByIdAndUpdate(
+    participant.appointmentId,
+    {
+      "payment.amount": amount,
+      ...(method && { "payment.method": method }),
+    },
+    { new: true, runValidators: true }
+  );
+  if (!appointment) {
+    throw new ErrorResponse(`No appointment found for ${participant.patientName}`, 404);
+  }
+
+  await syncAppointmentPayments([appointment._id]);
+  return Appointment.findById(appointment._id);
+};
+
+/**
+ * A session with each child's attendance and what they owe
+ */
+const describeGroupSession = async (session) => {
+  const appointments = await Appointment.find({
+    _id: { $in: session.roster.map((participant) => participant.appointmentId) },
+  }).select("status payment packageId cancellationFee attendanceReview");
+  const byId = new Map(appointments.map((apt) => [apt._id.toString(), apt]));
+
+  let charged = 0;
+  let due = 0;
+  const roster = session.roster.map((participant) => {
+    const appointment = byId.get(participant.appointmentId?.toString());
+    const owed = appointment ? appointmentDue(appointment) : 0;
+    due += owed;
+    charged += appointment ? appointmentCharge(appointment) : 0;
+
+    return {
+      ...participant.toObject(),
+      attendance: appointment ? ATTENDANCE[appointment.status] || "pending" : "pending",
+      appointmentStatus: appointment?.status,
+      payment: appointment?.payment,
+      packageId: appointment?.packageId,
+      cancellationFee: appointment?.cancellationFee,
+      due: owed,
+    };
+  });
+
+  return {
+    ...session.toObject(),
+    roster,
+    spotsLeft: Math.max(session.maxCapacity - session.enrolledCount, 0),
+    billing: { charged: round(charged), due: round(due) },
+  };
+};
+
+module.exports = {
+  createGroupSession,
+  loadGroupSession,
+  findEnrolledAppointments,
+  backfillGroupSessions,
+  syncGroupSession,
+  joinGroupSession,
+  leaveGroupSession,
+  markAttendance,
+  setParticipantCharge,
+  describeGroupSession,
+};
@@ -0,0 +1,133 @@
+const Appointment = require("../models/Appointment");
+const Invoice = require("../models/Invoice");
+const Patient = require("../models/Patient");
+const ErrorResponse = require("../utils/errorResponse");
+const { NON_BLOCKING_STATUSES } = require("../utils/appointmentConflicts");
+const { nextDocumentNumber } = require("../utils/documentNumbers");
+const { DEFAULT_SAC_CODE } = require("../config/clinic");
+const { FEE_LABELS, activeFee } = require("./cancellationFees");
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Split a GST-inclusive fee into its taxable value and the CGST/SGST halves
+ * of the tax. Exempt services (rate 0) are all taxable value.
+ */
+const splitGst = (amount, gstRate = 0) => {
+  const taxableValue = round(amount / (1 + gstRate / 100));
+  const tax = round(amount - taxableValue);
+  const cgst = round(tax / 2);
+  return { taxableValue, gstRate, cgst, sgst: round(tax - cgst) };
+};
+
+/**
+ * Issue a GST invoice for appointments of one patient. Cancelled and
+ * no-show sessions are only invoiced for their late cancellation or no-show
+ * fee. Sessions taken from a package and appointments already on an issued
+ * invoice cannot be invoiced.
+ */
+const issueInvoice = async ({ patientId, appointmentIds, notes, issuedBy }) => {
+  const patient = await Patient.findById(patientId);
+  if (!patient) {
+    throw new ErrorResponse("Patient not found", 404);
+  }
+
+  const appointments = await Appointment.find({
+    _id: { $in: appointmentIds },
+    patientId: patient._id,
+  })
+    .populate("serviceId", "name sacCode gstRate")
+    .sort({ date: 1, startTime: 1 });
+
+  if (appointments.length !== new Set(appointmentIds.map(String)).size) {
+    throw new ErrorResponse("Some appointments were not found for this patient", 404);
+  }
+
+  for (const appointment of appointments) {
+    if (NON_BLOCKING_STATUSES.includes(appointment.status) && !activeFee(appointment)) {
+      throw new ErrorResponse(
+        `Appointment ${appointment._id} is ${appointment.status} and cannot be invoiced`,
+        400
+      );
+    }
+    if (appointment.packageId) {
+      throw new ErrorResponse(
+        `Appointment ${appointment._id} was covered by a session package`,
+        400
+      );
+    }
+  }
+
+  const alreadyInvoiced = await Invoice.findOne({
+    status: "issued",
+    "items.appointmentId": { $in: appointments.map((apt) => apt._id) },
+  }).select("invoiceNumber");
+  if (alreadyInvoiced) {
+    throw new ErrorResponse(
+      `Some appointments are already on invoice ${alreadyInvoiced.invoiceNumber}`,
+      400
+    );
+  }
+
+  const items = appointments.map((appointment) => {
+    const service = appointment.serviceId;
+    const fee = NON_BLOCKING_STATUSES.includes(appointment.status)
+      ? appointment.cancellationFee
+      : null;
+    const amount = round(fee ? activeFee(appointment) : appointment.payment?.amount || 0);
+    return {
+      appointmentId: appointment._id,
+      description: fee
+        ? `${FEE_LABELS[fee.kind]} - ${service?.name || "Therapy session"}`
+        : `${service?.name || "Therapy session"} (${appointment.type})`,
+      sacCode: service?.sacCode || DEFAULT_SAC_CODE,
+      date: appointment.date,
+      amount,
+      ...splitGst(amount, service?.gstRate),
+    };
+  });
+
+  const sum = (field) => round(items.reduce((total, item) => total + item[field], 0));
+  const issuedAt = new Date();
+
+  return Invoice.create({
+    invoiceNumber: await nextDocumentNumber("INV", issuedAt),
+    patientId: patient._id,
+    patientName: `${patient.firstName} ${patient.lastName}`,
+    billTo: {
+      name: patient.parentInfo?.name,
+      phone: patient.parentInfo?.phone,
+      email: patient.parentInfo?.email,
+      address: patient.parentInfo?.address,
+    },
+    items,
+    taxableTotal: sum("taxableValue"),
+    taxTotal: round(sum("cgst") + sum("sgst")),
+    total: sum("amount"),
+    issuedAt,
+    issuedBy,
+    notes,
+  });
+};
+
+/**
+ * Cancel an invoice issued in error; its appointments can be invoiced again
+ */
+const cancelInvoice = async (invoice, { reason, cancelledBy }) => {
+  if (invoice.status === "cancelled") {
+    throw new ErrorResponse("This invoice is already cancelled", 400);
+  }
+
+  invoice.status = "cancelled";
+  invoice.cancelledAt = new Date();
+  invoice.cancelledBy = cancelledBy;
+  invoice.cancelReason = reason;
+  await invoice.save();
+  return invoice;
+};
+
+module.exports = {
+  splitGst,
+  issueInvoice,
+  cancelInvoice,
+};
@@ -0,0 +1,28 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Offline adapter: prints the message and, when NOTIFICATION_LOG_FILE is set,
+ * appends it to that file as one JSON line. Nothing leaves the machine.
+ */
+const send = async (message) => {
+  const providerMessageId = `local-${crypto.randomUUID()}`;
+  const entry = { at: new Date().toISOString(), providerMessageId, ...message };
+
+  console.log(
+    `📨 [${message.channel}] to ${message.to}: ${
+      message.subject || message.templateName || message.text || ""
+    }`
+  );
+
+  if (process.env.NOTIFICATION_LOG_FILE) {
+    const file = path.resolve(process.env.NOTIFICATION_LOG_FILE);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+  }
+
+  return { providerMessageId };
+};
+
+module.exports = { name: "console", send };
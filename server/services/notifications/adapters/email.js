@@ -0,0 +1,43 @@
+const nodemailer = require("nodemailer");
+
+let transporter;
+
+// SMTP_HOST selects a generic SMTP server; otherwise a nodemailer service (Gmail by default)
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    };
+
+    transporter = process.env.SMTP_HOST
+      ? nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: Number(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === "true",
+          auth,
+        })
+      : nodemailer.createTransport({
+          service: process.env.EMAIL_SERVICE || "gmail",
+          auth,
+        });
+  }
+  return transporter;
+};
+
+/**
+ * Send `{ to, subject, html, attachments }` by email
+ */
+const send = async ({ to, subject, html, attachments }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || `"8 Senses" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html,
+    attachments,
+  });
+
+  return { providerMessageId: info.messageId };
+};
+
+module.exports = { name: "smtp", send };
@@ -0,0 +1,37 @@
+const email = require("./email");
+const whatsapp = require("./whatsapp");
+const sms = require("./sms");
+const consoleAdapter = require("./console");
+
+const adapters = { email, whatsapp, sms };
+
+/**
+ * Replace the live adapter for a channel, e.g. with another email provider.
+ * An adapter is `{ name, send(message) }` resolving to `{ providerMessageId }`.
+ */
+const registerAdapter = (channel, adapter) => {
+  adapters[channel] = adapter;
+};
+
+/**
+ * Adapter that delivers `channel`. NOTIFICATION_TRANSPORT=console (or the
+ * per-channel NOTIFICATION_TRANSPORT_SMS etc.) routes messages to the console
+ * adapter instead, for local development and offline testing.
+ */
+const getAdapter = (channel) => {
+  const transport = (
+    process.env[`NOTIFICATION_TRANSPORT_${channel.toUpperCase()}`] ||
+    process.env.NOTIFICATION_TRANSPORT ||
+    "live"
+  ).toLowerCase();
+
+  if (transport === "console") return consoleAdapter;
+
+  const adapter = adapters[channel];
+  if (!adapter) {
+    throw new Error(`No notification adapter for channel "${channel}"`);
+  }
+  return adapter;
+};
+
+module.exports = { registerAdapter, getAdapter };
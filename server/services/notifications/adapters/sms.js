@@ -0,0 +1,39 @@
+const axios = require("axios");
+const { formatPhoneNumber } = require("../../whatsapp");
+
+/**
+ * Send `{ to, text }` through an HTTP SMS gateway.
+ *
+ * The gateway is configured with SMS_API_URL, SMS_API_KEY and SMS_SENDER_ID and
+ * receives `{ to, sender, message }` as JSON with a bearer token.
+ */
+const send = async ({ to, text }) => {
+  if (!process.env.SMS_API_URL) {
+    const error = new Error("SMS gateway is not configured (SMS_API_URL)");
+    error.retryable = false;
+    throw error;
+  }
+
+  const response = await axios.post(
+    process.env.SMS_API_URL,
+    {
+      to: formatPhoneNumber(to),
+      sender: process.env.SMS_SENDER_ID,
+      message: text,
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${process.env.SMS_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 15000,
+    }
+  );
+
+  return {
+    providerMessageId:
+      response.data?.messageId || response.data?.id || response.data?.data?.id || null,
+  };
+};
+
+module.exports = { name: "sms-gateway", send };
@@ -0,0 +1,37 @@
+const { sendTemplateMessage } = require("../../whatsapp");
+
+/**
+ * Send `{ to, templateName, templateContent, parameters }` as a WhatsApp
+ * template message through Heltar. The message is also kept in the WhatsApp
+ * message log so webhook delivery updates reach it; reminders add their
+ * quick-reply `buttonPayloads`, `purpose` and `reminderLeadHours` to the log.
+ */
+const send = async ({
+  to,
+  templateName,
+  templateContent,
+  parameters,
+  buttonPayloads,
+  purpose,
+  appointmentId,
+  reminderLeadHours,
+}) => {
+  const log = await sendTemplateMessage({
+    to,
+    templateName,
+    templateContent,
+    parameters,
+    buttonPayloads,
+    purpose,
+    appointmentId,
+    reminderLeadHours,
+  });
+
+  if (log.status === "failed") {
+    throw new Error(log.error || "WhatsApp message failed");
+  }
+
+  return { providerMessageId: log.providerMessageId };
+};
+
+module.exports = { name: "heltar", send };
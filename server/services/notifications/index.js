@@ -0,0 +1,222 @@
+const cron = require("node-cron");
+const Notification = require("../../models/Notification");
+const User = require("../../models/User");
+const templates = require("./templates");
+const { getAdapter, registerAdapter } = require("./adapters");
+const { CLINIC_TIMEZONE } = require("../../utils/timeSlots");
+
+const CHANNELS = ["email", "whatsapp", "sms"];
+
+// Channels a user receives unless they opt out
+const DEFAULT_PREFERENCES = { email: true, whatsapp: true, sms: false };
+
+// Retry delays grow 1, 2, 4, 8... minutes, capped at an hour
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// Entries stuck in "processing" this long (e.g. after a crash) are retried
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+const contactFor = (channel, recipient) =>
+  channel === "email" ? recipient.email : recipient.phone;
+
+const backoffDelay = (attempts) =>
+  Math.min(BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_MS);
+
+/**
+ * Work out who gets the message and on which channels: the requested (or
+ * template default) channels the template supports, minus the ones the user
+ * has switched off and the ones we have no contact details for.
+ */
+const resolveDelivery = async ({ recipient, template, channels }) => {
+  const definition = templates[template];
+  if (!definition) {
+    throw new Error(`Unknown notification template "${template}"`);
+  }
+
+  const resolved = { ...recipient };
+  let preferences = DEFAULT_PREFERENCES;
+
+  if (recipient.userId) {
+    const user = await User.findById(recipient.userId).select(
+      "firstName lastName email phone notificationPreferences"
+    );
+    if (user) {
+      resolved.name = resolved.name || user.fullName;
+      resolved.email = resolved.email || user.email;
+      resolved.phone = resolved.phone || user.phone;
+      preferences = { ...DEFAULT_PREFERENCES };
+      CHANNELS.forEach((channel) => {
+        const value = user.notificationPreferences?.[channel];
+        if (typeof value === "boolean") preferences[channel] = value;
+      });
+    }
+  }
+
+  const selected = (channels || definition.defaultChannels).filter(
+    (channel) =>
+      CHANNELS.includes(channel) &&
+      definition[channel] &&
+      (definition.mandatory || !recipient.userId || preferences[channel] !== false) &&
+      contactFor(channel, resolved)
+  );
+
+  return { recipient: resolved, channels: selected };
+};
+
+/**
+ * Make one delivery attempt for an outbox entry. Failures are recorded on the
+ * entry and scheduled for a retry with exponential backoff until
+ * `maxAttempts` is reached. Never throws; resolves to the updated entry.
+ */
+const deliver = async (notification) => {
+  const claimed = await Notification.findOneAndUpdate(
+    { _id: notification._id, status: "pending" },
+    { status: "processing", $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) return notification;
+
+  try {
+    const definition = templates[claimed.template];
+    if (!definition || !definition[claimed.channel]) {
+      const error = new Error(
+        `Template "${claimed.template}" cannot be sent by ${claimed.channel}`
+      );
+      error.retryable = false;
+      throw error;
+    }
+
+    const adapter = getAdapter(claimed.channel);
+    const result = await adapter.send({
+      channel: claimed.channel,
+      to: contactFor(claimed.channel, claimed.recipient),
+      ...definition[claimed.channel](claimed.data || {}),
+    });
+
+    claimed.status = "sent";
+    claimed.sentAt = new Date();
+    claimed.provider = adapter.name;
+    claimed.providerMessageId = result?.providerMessageId || undefined;
+    claimed.lastError = undefined;
+  } catch (err) {
+    claimed.lastError = err.message;
+
+    if (err.retryable === false || claimed.attempts >= claimed.maxAttempts) {
+      claimed.status = "failed";
+      console.error(
+        `❌ ${claimed.channel} notification ${claimed._id} failed: ${err.message}`
+      );
+    } else {
+      claimed.status = "pending";
+      claimed.nextAttemptAt = new Date(Date.now() + backoffDelay(claimed.attempts));
+    }
+  }
+
+  return claimed.save();
+};
+
+/**
+ * Queue a notification on every channel the recipient can receive and make
+ * the first delivery attempt right away; anything that fails is retried by
+ * the outbox worker.
+ *
+ * `recipient` is `{ userId?, name?, email?, phone? }`; with a userId the
+ * user's contact details and channel preferences are used. `channels`
+ * overrides the template's default channels. Resolves to the outbox entries.
+ */
+const notify = async ({
+  recipient = {},
+  template,
+  data = {},
+  channels,
+  relatedTo,
+  createdBy,
+  maxAttempts,
+  sendNow = true,
+}) => {
+  const delivery = await resolveDelivery({ recipient, template, channels });
+  if (delivery.channels.length === 0) return [];
+
+  const entries = await Notification.insertMany(
+    delivery.channels.map((channel) => ({
+      recipient: delivery.recipient,
+      channel,
+      template,
+      data,
+      relatedTo,
+      createdBy,
+      ...(maxAttempts && { maxAttempts }),
+    }))
+  );
+
+  if (!sendNow) return entries;
+
+  const delivered = [];
+  for (const entry of entries) {
+    delivered.push(await deliver(entry));
+  }
+  return delivered;
+};
+
+/**
+ * Deliver every outbox entry that is due. Resolves to `{ processed, sent, failed }`.
+ */
+const processOutbox = async ({ limit = 50 } = {}) => {
+  await Notification.updateMany(
+    {
+      status: "processing",
+      updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+    },
+    { status: "pending", nextAttemptAt: new Date() }
+  );
+
+  const due = await Notification.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(limit);
+
+  const summary = { processed: due.length, sent: 0, failed: 0 };
+  for (const entry of due) {
+    const result = await deliver(entry);
+    if (result.status === "sent") summary.sent++;
+    if (result.status === "failed") summary.failed++;
+  }
+  return summary;
+};
+
+/**
+ * Retry due outbox entries every minute
+ */
+const startNotificationWorker = () => {
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        const { processed, sent, failed } = await processOutbox();
+        if (processed > 0) {
+          console.log(
+            `📬 Notification outbox: ${sent} sent, ${failed} failed of ${processed} due`
+          );
+        }
+      } catch (error) {
+        console.error("❌ Error processing notification outbox:", error);
+      }
+    },
+    {
+      timezone: CLINIC_TIMEZONE,
+    }
+  );
+};
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_PREFERENCES,
+  notify,
+  deliver,
+  processOutbox,
+  startNotificationWorker,
+  registerAdapter,
+};
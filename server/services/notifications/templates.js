@@ -0,0 +1,207 @@
+const { appointmentConfirmation } = require("../../emails/appointmentConfirmation");
+const { appointmentReschedule } = require("../../emails/appointmentReschedule");
+const { toyReturnReminder } = require("../../emails/toyReturnReminder");
+const membershipReminder = require("../../emails/membershipReminder");
+const { waitlistOffer } = require("../../emails/waitlistOffer");
+const { packageLowBalance } = require("../../emails/packageLowBalance");
+const { icsAttachment } = require("../../utils/ics");
+const { CLINIC_TIMEZONE } = require("../../utils/timeSlots");
+const { REPLY_ACTIONS, buildReplyPayload } = require("../whatsapp");
+const {
+  WHATSAPP_TEMPLATES,
+  WHATSAPP_REMINDER_BUTTONS,
+} = require("../../config/whatsappTemplates");
+
+// Same wording as Appointment's formattedDate, on the clinic's calendar day
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    timeZone: CLINIC_TIMEZONE,
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+/**
+ * Approved reminder template for the data: the variant with the fees line
+ * and/or join link when it is configured, otherwise the next best one down
+ * to the plain reminder.
+ */
+const reminderVariant = (data) => {
+  const fees = data.feesDue > 0;
+  const video = Boolean(data.joinUrl);
+  const variants = [
+    fees && video && { templateName: WHATSAPP_TEMPLATES.reminderFeesVideo, fees, video },
+    video && { templateName: WHATSAPP_TEMPLATES.reminderVideo, video },
+    fees && { templateName: WHATSAPP_TEMPLATES.reminderFees, fees },
+  ];
+
+  return (
+    variants.find((variant) => variant && variant.templateName) || {
+      templateName: WHATSAPP_TEMPLATES.reminder,
+    }
+  );
+};
+
+// `.ics` invite for templates whose data carries a `calendarEvent`
+const calendarInvite = (data) =>
+  data.calendarEvent ? { attachments: [icsAttachment(data.calendarEvent)] } : {};
+
+/**
+ * Notification templates, keyed by name.
+ *
+ * Each template lists the channels it goes out on by default and renders the
+ * message for every channel it supports:
+ *   email    -> { subject, html, attachments? }
+ *   whatsapp -> { templateName, templateContent, parameters } (approved Heltar template,
+ *               see config/whatsappTemplates.js; left out while none is approved)
+ *   sms      -> { text }
+ * `mandatory` templates ignore the recipient's channel preferences.
+ */
+const templates = {
+  // Appointment emails attach a calendar invite when `calendarEvent` is given
+  appointmentConfirmation: {
+    defaultChannels: ["email", "sms"],
+    email: (data) => ({
+      subject: "Your Appointment is Confirmed",
+      html: appointmentConfirmation(data),
+      ...calendarInvite(data),
+    }),
+    sms: (data) => ({
+      text: `8 Senses: ${data.service} on ${formatDate(data.date)} at ${data.startTime} with ${data.therapist} is confirmed.`,
+    }),
+  },
+
+  appointmentReschedule: {
+    defaultChannels: ["email", "sms"],
+    email: (data) => ({
+      subject: data.isGroupSession
+        ? "Your Group Session Has Been Rescheduled"
+        : "Your Appointment Has Been Rescheduled",
+      html: appointmentReschedule(data),
+      ...calendarInvite(data),
+    }),
+    sms: (data) => ({
+      text: `8 Senses: your ${data.service} appointment has moved to ${formatDate(data.date)} at ${data.startTime}.`,
+    }),
+  },
+
+  // `feesDue` is any unpaid late cancellation / no-show fees of the patient;
+  // `joinUrl` is the room link of a video consultation; `leadHours` is the
+  // reminder window the message is for
+  appointmentReminder: {
+    defaultChannels: ["whatsapp"],
+    whatsapp: (data) => {
+      const variant = reminderVariant(data);
+      const parameters = [data.service, formatDate(data.date), data.startTime];
+      let templateContent =
+        "Dear Parent,\n\nYour appointment for {{1}} has been fixed at {{2}} on {{3}}.\nKindly confirm your availability.";
+      if (variant.fees) {
+        parameters.push(String(data.feesDue));
+        templateContent += `\n\nPlease note that Rs. {{${parameters.length}}} in late cancellation/no-show fees is pending.`;
+      }
+      if (variant.video) {
+        parameters.push(data.joinUrl);
+        templateContent += `\n\nThis is a video consultation. Join here: {{${parameters.length}}}`;
+      }
+
+      return {
+        templateName: variant.templateName,
+        templateContent,
+        parameters,
+        ...(WHATSAPP_REMINDER_BUTTONS && {
+          buttonPayloads: REPLY_ACTIONS.map((action) =>
+            buildReplyPayload(action, data.appointmentId)
+          ),
+        }),
+        purpose: "reminder",
+        appointmentId: data.appointmentId,
+        reminderLeadHours: data.leadHours,
+      };
+    },
+    sms: (data) => ({
+      text: `8 Senses reminder: ${data.service} on ${formatDate(data.date)} at ${data.startTime}.${
+        data.feesDue > 0 ? ` Pending cancellation/no-show fees: Rs. ${data.feesDue}.` : ""
+      }${data.joinUrl ? ` Join the video call: ${data.joinUrl}` : ""}`,
+    }),
+  },
+
+  // Time-limited offer of a freed slot; `acceptUrl` lets the family accept or decline
+  waitlistOffer: {
+    defaultChannels: ["email", "whatsapp", "sms"],
+    email: (data) => ({
+      subject: "An Earlier Appointment is Available",
+      html: waitlistOffer(data),
+    }),
+    whatsapp:
+      WHATSAPP_TEMPLATES.waitlistOffer &&
+      ((data) => ({
+        templateName: WHATSAPP_TEMPLATES.waitlistOffer,
+        templateContent:
+          "Dear Parent,\n\nA {{1}} slot has opened up on {{2}} at {{3}}. We are holding it for you until {{4}}.\nBook it here: {{5}}",
+        parameters: [
+          data.service,
+          formatDate(data.date),
+          data.startTime,
+          data.holdUntil,
+          data.acceptUrl,
+        ],
+      })),
+    sms: (data) => ({
+      text: `8 Senses: a ${data.service} slot on ${formatDate(data.date)} at ${data.startTime} is free. Held until ${data.holdUntil}: ${data.acceptUrl}`,
+    }),
+  },
+
+  // Prepaid session package is nearly used up
+  packageLowBalance: {
+    defaultChannels: ["email", "sms"],
+    email: (data) => ({
+      subject: "Your Session Package is Running Low",
+      html: packageLowBalance(data),
+    }),
+    sms: (data) => ({
+      text: `8 Senses: ${data.sessionsRemaining} session(s) left in ${data.patientName}'s ${data.packageName} package.`,
+    }),
+  },
+
+  // One-time code confirming the phone number of an online booking
+  bookingVerificationCode: {
+    defaultChannels: ["sms", "whatsapp"],
+    mandatory: true,
+    whatsapp:
+      WHATSAPP_TEMPLATES.bookingCode &&
+      ((data) => ({
+        templateName: WHATSAPP_TEMPLATES.bookingCode,
+        templateContent:
+          "{{1}} is your 8 Senses booking code. It expires in {{2}} minutes. Do not share it with anyone.",
+        parameters: [data.code, String(data.minutes)],
+      })),
+    sms: (data) => ({
+      text: `${data.code} is your 8 Senses booking code. It expires in ${data.minutes} minutes.`,
+    }),
+  },
+
+  toyReturnReminder: {
+    defaultChannels: ["email", "sms"],
+    email: (data) => ({
+      subject: data.isOverdue ? "Overdue Toy Return" : "Toy Return Reminder",
+      html: toyReturnReminder(data),
+    }),
+    sms: (data) => ({
+      text: `8 Senses toy library: please return ${data.toyName} (due ${formatDate(data.dueDate)}).`,
+    }),
+  },
+
+  membershipReminder: {
+    defaultChannels: ["email"],
+    email: (data) => ({
+      subject: "Your membership Renewal Reminder",
+      html: membershipReminder(data.name, formatDate(data.renewalDate)),
+    }),
+    sms: (data) => ({
+      text: `8 Senses: your membership is due for renewal on ${formatDate(data.renewalDate)}.`,
+    }),
+  },
+};
+
+module.exports = templates;
@@ -0,0 +1,336 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const AppointmentForm = require("../models/AppointmentForm");
+const Service = require("../models/Service");
+const Therapist = require("../models/Therapist");
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const { notify } = require("./notifications");
+const { getTherapistSlots } = require("../utils/availability");
+const { getClinicNow, toClinicDateTime } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Minutes a slot is held while the family verifies their phone
+const HOLD_MINUTES = numberSetting("BOOKING_HOLD_MINUTES", 15);
+
+// Hours a verified request keeps its slot for the front desk to confirm it
+const VERIFIED_HOLD_HOURS = numberSetting("BOOKING_VERIFIED_HOLD_HOURS", 24);
+
+// How many days ahead families can book online
+const BOOKING_WINDOW_DAYS = numberSetting("BOOKING_WINDOW_DAYS", 60);
+
+const CODE_TTL_MINUTES = 10;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_CODE_SENDS = 5;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Service categories that only therapists of the same specialization offer
+const SPECIALIZED_CATEGORIES = ["Occupational Therapy", "Speech Therapy", "Physical Therapy"];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashCode = (code) => crypto.createHash("sha256").update(code).digest("hex");
+
+const sameHash = (a, b) =>
+  Boolean(a && b) && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const loadService = async (serviceId) => {
+  if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+    throw new ErrorResponse("Service not found", 404);
+  }
+  const service = await Service.findOne({ _id: serviceId, isActive: true }).select(
+    "name category duration price"
+  );
+  if (!service) {
+    throw new ErrorResponse("Service not found", 404);
+  }
+  return service;
+};
+
+// Only days from today (in clinic time) to the end of the booking window can be booked
+const checkBookingDate = (date) => {
+  if (!DATE_KEY_PATTERN.test(date || "")) {
+    throw new ErrorResponse("Date must be in YYYY-MM-DD format", 400);
+  }
+
+  const today = getClinicNow().dateKey;
+  const lastDay = new Date(Date.parse(today) + BOOKING_WINDOW_DAYS * DAY_MS)
+    .toISOString()
+    .split("T")[0];
+  if (date < today || date > lastDay) {
+    throw new ErrorResponse(
+      `Online bookings can be made up to ${BOOKING_WINDOW_DAYS} days ahead`,
+      400
+    );
+  }
+};
+
+/**
+ * Active therapist users who offer the service: therapists of
+ * the service's specialization, or every therapist for assessments,
+ * consultations and other services.
+ */
+const findServiceTherapists = async (service) => {
+  const profileQuery = { isAvailable: true };
+  if (SPECIALIZED_CATEGORIES.includes(service.category)) {
+    profileQuery.specialization = service.category;
+  }
+
+  const userIds = await Therapist.find(profileQuery).distinct("userId");
+  return User.find({ _id: { $in: userIds }, role: "therapist", isActive: true })
+    .select("firstName lastName")
+    .sort({ firstName: 1 });
+};
+
+/**
+ * Free slots for a service on a day, per therapist who offers it.
+ * `therapistId` narrows the result to one therapist.
+ * Resolves to `{ service, date, therapists: [{ therapist, slots }] }`.
+ */
+const getBookableSlots = async ({ serviceId, date, therapistId }) => {
+  checkBookingDate(date);
+  const service = await loadService(serviceId);
+
+  let therapists = await findServiceTherapists(service);
+  if (therapistId) {
+    therapists = therapists.filter((t) => t._id.toString() === therapistId.toString());
+  }
+
+  const days = await Promise.all(
+    therapists.map((therapist) =>
+      getTherapistSlots({ therapistId: therapist._id, date, duration: service.duration })
+    )
+  );
+
+  return {
+    service,
+    date,
+    therapists: days
+      .map((day) => ({
+        therapist: day.therapist,
+        slots: day.slots
+          .filter((slot) => slot.available)
+          .map(({ startTime, endTime }) => ({ startTime, endTime })),
+      }))
+      .filter((day) => day.slots.length > 0),
+  };
+};
+
+// A hold never outlasts the start of the session it is for
+const holdUntil = (form, ms) => {
+  const until = new Date(Date.now() + ms);
+  const startsAt = toClinicDateTime(form.preferredDate, form.preferredTime);
+  return startsAt && startsAt < until ? startsAt : until;
+};
+
+const maskPhone = (phone) => String(phone).replace(/.(?=.{3})/g, "*");
+
+/**
+ * What the family sees of their request
+ */
+const describeRequest = (form, { service, therapist } = {}) => ({
+  _id: form._id,
+  status: form.status,
+  childName: form.childName,
+  service: service?.name,
+  therapist: therapist?.fullName,
+  date: form.preferredDate,
+  startTime: form.preferredTime,
+  endTime: form.endTime,
+  phone: maskPhone(form.phone),
+  holdExpiresAt: form.holdExpiresAt,
+  codeExpiresAt: form.phoneVerification?.expiresAt,
+});
+
+/**
+ * Text a fresh one-time code to the request's phone. Codes can be resent
+ * once a minute, up to MAX_CODE_SENDS times per request.
+ */
+const sendVerificationCode = async (form) => {
+  const verification = form.phoneVerification || {};
+  if (verification.sends >= MAX_CODE_SENDS) {
+    throw new ErrorResponse("Too many codes requested, please start a new booking", 429);
+  }
+  if (
+    verification.sentAt &&
+    Date.now() - verification.sentAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000
+  ) {
+    throw new ErrorResponse(
+      `Please wait ${RESEND_COOLDOWN_SECONDS} seconds before requesting another code`,
+      429
+    );
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+  form.phoneVerification = {
+    codeHash: hashCode(code),
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    sentAt: new Date(),
+    sends: (verification.sends || 0) + 1,
+    attempts: 0,
+  };
+  await form.save();
+
+  const sent = await notify({
+    recipient: { name: form.fatherName, phone: form.phone },
+    template: "bookingVerificationCode",
+    data: { code, minutes: CODE_TTL_MINUTES },
+    relatedTo: { kind: "AppointmentForm", id: form._id },
+  });
+  if (sent.length === 0) {
+    throw new ErrorResponse("We could not send a code to that phone number", 400);
+  }
+
+  return form;
+};
+
+/**
+ * Hold a free slot for a family booking online and text them a code to
+ * verify their phone. The request stays "unverified" (and out of the front
+ * desk's queue) until the code is confirmed.
+ */
+const requestBooking = async (details) => {
+  checkBookingDate(details.date);
+  const service = await loadService(details.serviceId);
+
+  const therapists = await findServiceTherapists(service);
+  const therapist = therapists.find((t) => t._id.toString() === details.therapistId);
+  if (!therapist) {
+    throw new ErrorResponse("This therapist does not offer the selected service", 400);
+  }
+
+  const { slots } = await getTherapistSlots({
+    therapistId: therapist._id,
+    date: details.date,
+    duration: service.duration,
+  });
+  const slot = slots.find((s) => s.startTime === details.startTime);
+  if (!slot?.available) {
+    throw new ErrorResponse("That slot is no longer available, please pick another", 409);
+  }
+
+  const form = new AppointmentForm({
+    source: "online",
+    status: "unverified",
+    motherName: details.motherName,
+    fatherName: details.fatherName,
+    childName: details.childName,
+    childAge: details.childAge,
+    email: details.email,
+    phone: details.phone,
+    notes: details.notes,
+    serviceType: service.category,
+    serviceId: service._id,
+    therapistId: therapist._id,
+    preferredDate: details.date,
+    preferredTime: slot.startTime,
+    endTime: slot.endTime,
+    consultationMode: details.consultationMode,
+    createdAt: new Date(),
+  });
+  form.holdExpiresAt = holdUntil(form, HOLD_MINUTES * 60 * 1000);
+
+  // Claim the slot before texting a code; of two families booking it at
+  // once, only the first insert succeeds
+  form.slotClaim = `${therapist._id}_${details.date}_${slot.startTime}`;
+  await AppointmentForm.releaseStaleClaims(form.slotClaim);
+  try {
+    await form.save();
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ErrorResponse("That slot is no longer available, please pick another", 409);
+    }
+    throw err;
+  }
+
+  try {
+    await sendVerificationCode(form);
+  } catch (err) {
+    // Free the slot again if the family cannot be sent a code
+    await AppointmentForm.deleteOne({ _id: form._id });
+    throw err;
+  }
+  return describeRequest(form, { service, therapist });
+};
+
+// An online request that is still waiting for its phone to be verified
+const loadUnverifiedRequest = async (formId) => {
+  if (!mongoose.Types.ObjectId.isValid(formId)) {
+    throw new ErrorResponse("Booking request not found", 404);
+  }
+  const form = await AppointmentForm.findOne({
+    _id: formId,
+    source: "online",
+  }).select("+phoneVerification.codeHash");
+  if (!form) {
+    throw new ErrorResponse("Booking request not found", 404);
+  }
+  if (form.status !== "unverified") {
+    throw new ErrorResponse("This booking request is already verified", 400);
+  }
+  if (!form.holdExpiresAt || form.holdExpiresAt <= new Date()) {
+    throw new ErrorResponse("The slot is no longer held, please pick a slot again", 410);
+  }
+  return form;
+};
+
+/**
+ * Send another code for an unverified request
+ */
+const resendVerificationCode = async (formId) => {
+  const form = await loadUnverifiedRequest(formId);
+  await sendVerificationCode(form);
+  return describeRequest(form);
+};
+
+/**
+ * Confirm the family's phone with the code they were sent. The request then
+ * joins the front desk's pending requests, and its slot stays held until
+ * they convert it (or BOOKING_VERIFIED_HOLD_HOURS pass).
+ */
+const verifyBooking = async (formId, code) => {
+  await loadUnverifiedRequest(formId);
+
+  // Count the attempt before comparing codes, so guesses sent in parallel
+  // cannot get past MAX_CODE_ATTEMPTS
+  const form = await AppointmentForm.findOneAndUpdate(
+    {
+      _id: formId,
+      status: "unverified",
+      "phoneVerification.attempts": { $lt: MAX_CODE_ATTEMPTS },
+    },
+    { $inc: { "phoneVerification.attempts": 1 } },
+    { new: true }
+  ).select("+phoneVerification.codeHash");
+  if (!form) {
+    throw new ErrorResponse("Too many incorrect codes, please request a new one", 429);
+  }
+
+  const verification = form.phoneVerification;
+  if (!verification.expiresAt || verification.expiresAt <= new Date()) {
+    throw new ErrorResponse("This code has expired, please request a new one", 400);
+  }
+  if (!sameHash(verification.codeHash, hashCode(String(code)))) {
+    throw new ErrorResponse("Incorrect code", 400);
+  }
+
+  verification.verifiedAt = new Date();
+  verification.codeHash = undefined;
+  form.status = "pending";
+  form.holdExpiresAt = holdUntil(form, VERIFIED_HOLD_HOURS * 60 * 60 * 1000);
+  await form.save();
+
+  await form.populate([
+    { path: "serviceId", select: "name" },
+    { path: "therapistId", select: "firstName lastName" },
+  ]);
+  return describeRequest(form, { service: form.serviceId, therapist: form.therapistId });
+};
+
+module.exports = {
+  getBookableSlots,
+  requestBooking,
+  resendVerificationCode,
+  verifyBooking,
+};
@@ -0,0 +1,114 @@
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const ErrorResponse = require("../utils/errorResponse");
+const { offerFreedSlot } = require("./waitlist");
+const { applyCancellationFee } = require("./cancellationFees");
+const { requestReschedule } = require("../utils/appointmentActions");
+const { getMinutesUntil } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Parents can only change appointments that are still open
+const OPEN_STATUSES = ["scheduled", "confirmed"];
+
+// Closer to the session than this, parents have to call the clinic instead
+const CANCEL_CUTOFF_HOURS = numberSetting("PARENT_CANCEL_CUTOFF_HOURS", 24);
+const RESCHEDULE_CUTOFF_HOURS = numberSetting("PARENT_RESCHEDULE_CUTOFF_HOURS", 24);
+
+/**
+ * Ids of the children registered under a parent account
+ */
+const getChildIds = (parentId) => Patient.find({ parentId }).distinct("_id");
+
+/**
+ * Appointment of one of the parent's children, or a 404
+ */
+const findChildAppointment = async (parentId, appointmentId) => {
+  const appointment = await Appointment.findOne({
+    _id: appointmentId,
+    patientId: { $in: await getChildIds(parentId) },
+  });
+  if (!appointment) {
+    throw new ErrorResponse("Appointment not found", 404);
+  }
+  return appointment;
+};
+
+/**
+ * What the parent may still do with an appointment under the cutoff policy
+ */
+const getChangePolicy = (appointment) => {
+  const minutesUntil = getMinutesUntil(appointment.date, appointment.startTime);
+
+  const allowedUntil = (cutoffHours) =>
+    OPEN_STATUSES.includes(appointment.status) &&
+    minutesUntil !== null &&
+    minutesUntil >= cutoffHours * 60;
+
+  return {
+    canCancel: allowedUntil(CANCEL_CUTOFF_HOURS),
+    canRequestReschedule: allowedUntil(RESCHEDULE_CUTOFF_HOURS),
+    cancelCutoffHours: CANCEL_CUTOFF_HOURS,
+    rescheduleCutoffHours: RESCHEDULE_CUTOFF_HOURS,
+  };
+};
+
+// Explain why an action is refused: closed appointment or too close to it
+const assertAllowed = (appointment, allowed, cutoffHours, action) => {
+  if (allowed) return;
+  if (!OPEN_STATUSES.includes(appointment.status)) {
+    throw new ErrorResponse(`This appointment is ${appointment.status}`, 400);
+  }
+  throw new ErrorResponse(
+    `Appointments can only be ${action} online up to ${cutoffHours} hour(s) before they start; please call the clinic`,
+    400
+  );
+};
+
+/**
+ * Cancel a child's appointment for the parent and offer the freed slot to
+ * the waitlist. Resolves to the late cancellation fee charged, if any.
+ */
+const cancelForParent = async (appointment, { reason, parentId }) => {
+  const policy = getChangePolicy(appointment);
+  assertAllowed(appointment, policy.canCancel, policy.cancelCutoffHours, "cancelled");
+
+  await appointment.cancel(reason || "Cancelled by parent via the parent portal", {
+    source: "parent",
+    changedBy: parentId,
+  });
+  offerFreedSlot(appointment);
+  return applyCancellationFee(appointment, { cancelledByFamily: true });
+};
+
+/**
+ * Put a parent's reschedule request in the front desk's appointment
+ * requests queue. Resolves to the request.
+ */
+const requestRescheduleForParent = async (
+  appointment,
+  { preferredDate, preferredTime, reason, parentId }
+) => {
+  const policy = getChangePolicy(appointment);
+  assertAllowed(
+    appointment,
+    policy.canRequestReschedule,
+    policy.rescheduleCutoffHours,
+    "rescheduled"
+  );
+
+  return requestReschedule(appointment, {
+    source: "portal",
+    preferredDate,
+    preferredTime,
+    reason,
+    requestedBy: parentId,
+  });
+};
+
+module.exports = {
+  getChildIds,
+  findChildAppointment,
+  getChangePolicy,
+  cancelForParent,
+  requestRescheduleForParent,
+};
@@ -0,0 +1,542 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Patient = require("../models/Patient");
+const PatientDuplicate = require("../models/PatientDuplicate");
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const GroupSession = require("../models/GroupSession");
+const Invoice = require("../models/Invoice");
+const PaymentReceipt = require("../models/PaymentReceipt");
+const SessionNote = require("../models/SessionNote");
+const SessionPackage = require("../models/SessionPackage");
+const TreatmentPlan = require("../models/TreatmentPlan");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const User = require("../models/User");
+const ErrorResponse = require("../utils/errorResponse");
+const sendEmail = require("../utils/mailer");
+const clientUrl = require("../utils/clientUrl");
+const { accountSetup } = require("../emails/accountSetup");
+
+// Pairs scoring at least this are queued for review
+const REVIEW_THRESHOLD = 0.6;
+
+// A child booked without a patient id reuses an existing record with exactly
+// the same name at this score
+const AUTO_MATCH_THRESHOLD = 0.8;
+
+// Below this name similarity two records are different children (e.g.
+// siblings sharing a parent's phone), whatever else they have in common
+const MIN_NAME_SIMILARITY = 0.7;
+
+// Days a parent account created for a booking has to set its password
+const SETUP_LINK_DAYS = 7;
+
+const PHONE_FIELDS = ["parentInfo.phone", "parentInfo.motherphone", "emergencyContact.phone"];
+
+const DUPLICATE_FIELDS =
+  "firstName lastName dateOfBirth parentInfo.name parentInfo.phone parentInfo.motherphone emergencyContact.phone";
+
+// Collections whose records belong to a patient, re-pointed on merge.
+// `rename` ones also carry the child's name; invoices and receipts are issued
+// documents and keep theirs.
+const LINKED_MODELS = [
+  { key: "appointments", model: Appointment, rename: true },
+  { key: "series", model: AppointmentSeries, rename: true },
+  { key: "sessionNotes", model: SessionNote, rename: true },
+  { key: "treatmentPlans", model: TreatmentPlan },
+  { key: "packages", model: SessionPackage },
+  { key: "invoices", model: Invoice },
+  { key: "receipts", model: PaymentReceipt },
+  { key: "waitlistEntries", model: WaitlistEntry, rename: true },
+];
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Last ten digits of an Indian phone number, so "+91 98765-43210",
+ * "098765 43210" and "9876543210" compare equal. Null when too short.
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const phoneKeys = (patient) =>
+  [
+    ...new Set(
+      [
+        patient.parentInfo?.phone,
+        patient.parentInfo?.motherphone,
+        patient.emergencyContact?.phone,
+      ]
+        .map(normalizePhone)
+        .filter(Boolean)
+    ),
+  ];
+
+const dateKey = (date) =>
+  date && !Number.isNaN(new Date(date).getTime())
+    ? new Date(date).toISOString().split("T")[0]
+    : null;
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const ratio = (a, b) =>
+  a.length || b.length ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 0;
+
+/**
+ * 0-1 similarity of two children's names. Word order does not matter
+ * ("Sharma Aarav"), and a name whose words all appear in the other
+ * ("Aarav" / "Aarav Sharma") counts as close.
+ */
+const nameSimilarity = (a, b) => {
+  const wordsA = normalizeName(`${a.firstName || ""} ${a.lastName || ""}`);
+  const wordsB = normalizeName(`${b.firstName || ""} ${b.lastName || ""}`);
+  if (wordsA.length === 0 || wordsB.length === 0) return 0;
+
+  const best = Math.max(
+    ratio(wordsA.join(" "), wordsB.join(" ")),
+    ratio([...wordsA].sort().join(" "), [...wordsB].sort().join(" "))
+  );
+
+  const [shorter, longer] =
+    wordsA.length <= wordsB.length ? [wordsA, wordsB] : [wordsB, wordsA];
+  const contained = shorter.every((word) => longer.includes(word));
+
+  return contained ? Math.max(best, 0.85) : best;
+};
+
+/**
+ * How likely two patient records are the same child, as
+ * `{ score, reasons }`. Names carry half the score, a shared parent phone
+ * 0.3 and the same date of birth 0.2; different dates of birth halve it.
+ * Without a shared phone or date of birth a pair never reaches
+ * REVIEW_THRESHOLD, which is what lets scans only compare records that
+ * share one of them.
+ */
+const scoreDuplicate = (a, b) => {
+  const similarity = nameSimilarity(a, b);
+  if (similarity < MIN_NAME_SIMILARITY) return { score: 0, reasons: [] };
+
+  const reasons = [
+    similarity === 1 ? "same name" : `similar name (${Math.round(similarity * 100)}%)`,
+  ];
+  let score = similarity * 0.5;
+
+  const phonesA = phoneKeys(a);
+  if (phoneKeys(b).some((phone) => phonesA.includes(phone))) {
+    score += 0.3;
+    reasons.push("same parent phone");
+  }
+
+  const dobA = dateKey(a.dateOfBirth);
+  const dobB = dateKey(b.dateOfBirth);
+  if (dobA && dobB) {
+    if (dobA === dobB) {
+      score += 0.2;
+      reasons.push("same date of birth");
+    } else {
+      score /= 2;
+      reasons.push("different date of birth");
+    }
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Stored phones keep whatever spacing and punctuation they were typed with,
+// so match the normalized digits at the end with anything between them
+const phonePattern = (phone) => new RegExp(`${phone.split("").join("\\D*")}\\D*$`);
+
+/**
+ * Existing patients that likely describe the same child as `candidate` (a
+ * patient or patient-shaped object), best match first, as
+ * `[{ patient, score, reasons }]`.
+ */
+const findLikelyDuplicates = async (candidate, { excludeIds = [] } = {}) => {
+  const or = [];
+  phoneKeys(candidate).forEach((phone) => {
+    PHONE_FIELDS.forEach((field) => {
+      or.push({ [field]: phonePattern(phone) });
+    });
+  });
+
+  const dob = dateKey(candidate.dateOfBirth);
+  if (dob) {
+    const day = Date.parse(dob);
+    or.push({
+      dateOfBirth: {
+        $gte: new Date(day - 24 * 60 * 60 * 1000),
+        $lte: new Date(day + 2 * 24 * 60 * 60 * 1000),
+      },
+    });
+  }
+  if (or.length === 0) return [];
+
+  const patients = await Patient.find({
+    _id: { $nin: [candidate._id, ...excludeIds].filter(Boolean) },
+    $or: or,
+  });
+
+  return patients
+    .map((patient) => ({ patient, ...scoreDuplicate(candidate, patient) }))
+    .filter((match) => match.score >= REVIEW_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+const pairKeyOf = (a, b) => [a.toString(), b.toString()].sort().join("_");
+
+// Queue a pair unless it is already queued (or was dismissed)
+const queuePair = async (a, b, { score, reasons }) => {
+  const pairKey = pairKeyOf(a, b);
+  const result = await PatientDuplicate.updateOne(
+    { pairKey },
+    {
+      $setOnInsert: { pairKey, patientIds: pairKey.split("_"), status: "open" },
+      $set: { score, reasons },
+    },
+    { upsert: true }
+  );
+  return result.upsertedCount > 0;
+};
+
+/**
+ * Queue the likely duplicates of a patient for review. Never throws, so the
+ * caller is never held up by it; resolves to the matches found.
+ */
+const flagDuplicatesOf = async (patient) => {
+  try {
+    const matches = await findLikelyDuplicates(patient);
+    for (const match of matches) {
+      await queuePair(patient._id, match.patient._id, match);
+    }
+    return matches;
+  } catch (err) {
+    console.error(`❌ Error checking patient ${patient._id} for duplicates:`, err.message);
+    return [];
+  }
+};
+
+/**
+ * Compare every patient with the others sharing a parent phone or date of
+ * birth and queue the likely duplicates. Resolves to `{ scanned, compared, queued }`.
+ */
+const scanForDuplicates = async () => {
+  const patients = await Patient.find().select(DUPLICATE_FIELDS).lean();
+
+  const buckets = new Map();
+  const addTo = (key, index) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(index);
+  };
+  patients.forEach((patient, index) => {
+    phoneKeys(patient).forEach((phone) => addTo(`phone:${phone}`, index));
+    const dob = dateKey(patient.dateOfBirth);
+    if (dob) addTo(`dob:${dob}`, index);
+  });
+
+  const summary = { scanned: patients.length, compared: 0, queued: 0 };
+  const seen = new Set();
+  for (const indexes of buckets.values()) {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const a = patients[indexes[i]];
+        const b = patients[indexes[j]];
+        const pairKey = pairKeyOf(a._id, b._id);
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        summary.compared++;
+
+        const match = scoreDuplicate(a, b);
+        if (match.score >= REVIEW_THRESHOLD && (await queuePair(a._id, b._id, match))) {
+          summary.queued++;
+        }
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Email a parent account created for a booking a link to set its password.
+ * Never throws, so the booking goes ahead if the email cannot be sent.
+ */
+const sendAccountSetupEmail = async (user) => {
+  if (!user.email) return;
+
+  try {
+    const token = user.getResetPasswordToken(SETUP_LINK_DAYS * 24 * 60);
+    await user.save({ validateBeforeSave: false });
+
+    await sendEmail({
+      to: user.email,
+      subject: "Set up your 8 Senses account",
+      html: accountSetup({
+        name: user.firstName || "Parent",
+        setupUrl: `${clientUrl()}/reset-password/${token}`,
+        expiresInDays: SETUP_LINK_DAYS,
+      }),
+    });
+  } catch (err) {
+    console.error(`❌ Account setup email to ${user.email} failed:`, err.message);
+  }
+};
+
+const splitName = (name) => {
+  const [first = "", ...rest] = String(name || "").trim().split(/\s+/);
+  return { first, last: rest.join(" ") };
+};
+
+/**
+ * Parent account for a booking, found by email or phone. A new account gets a
+ * password nobody knows and an email with a link to set their own.
+ */
+const findOrCreateParent = async ({ fatherName, motherName, phone, email }) => {
+  let parent = email ? await User.findOne({ email }) : null;
+  if (!parent && phone) parent = await User.findOne({ phone: String(phone) });
+  if (parent) return parent;
+
+  const name = splitName(fatherName || motherName);
+  parent = await User.create({
+    password: crypto.randomBytes(32).toString("hex"),
+    role: "parent",
+    firstName: name.first || "Parent",
+    lastName: name.last || "Parent",
+    phone: phone ? String(phone) : undefined,
+    ...(email && { email }),
+  });
+  await sendAccountSetupEmail(parent);
+  return parent;
+};
+
+const fullName = (patient) =>
+  normalizeName(`${patient.firstName || ""} ${patient.lastName || ""}`).join(" ");
+
+// Same child's name once case, punctuation and spacing are ignored
+const sameName = (a, b) => fullName(a) !== "" && fullName(a) === fullName(b);
+
+/**
+ * Patient record for a child booked by name, for bookings made without a
+ * patient id. An existing record with exactly the same name and a matching
+ * parent phone (or better) is reused; otherwise a new one is created under
+ * the parent's account (found by email or phone, or created) and any likely
+ * matches are queued for an admin to review. New records only hold the
+ * parent details given with the booking. Resolves to `{ patient, created }`.
+ */
+const findOrCreatePatient = async ({
+  childName,
+  fatherName,
+  motherName,
+  phone,
+  email,
+  dateOfBirth,
+  parentId,
+}) => {
+  const child = splitName(childName);
+  const father = splitName(fatherName);
+  const candidate = {
+    firstName: child.first,
+    lastName: child.last || father.last || "-",
+    dateOfBirth,
+    createdFrom: "booking",
+    parentInfo: {
+      name: fatherName || motherName,
+      phone: phone ? String(phone) : undefined,
+      email,
+      motherName,
+      relationship: fatherName ? "Father" : motherName ? "Mother" : "Guardian",
+    },
+  };
+
+  const matches = await findLikelyDuplicates(candidate);
+  const existing = matches.find(
+    (match) => match.score >= AUTO_MATCH_THRESHOLD && sameName(candidate, match.patient)
+  );
+  if (existing) {
+    return { patient: existing.patient, created: false };
+  }
+
+  const parent =
+    (parentId && (await User.findById(parentId))) ||
+    (await findOrCreateParent({ fatherName, motherName, phone, email }));
+
+  const patient = await Patient.create({ ...candidate, parentId: parent._id });
+  await flagDuplicatesOf(patient);
+  return { patient, created: true };
+};
+
+const hasFile = (file) => Boolean(file?.url);
+
+const fillText = (survivor, merged, field) => {
+  const kept = survivor[field]?.trim();
+  const extra = merged[field]?.trim();
+  if (!extra || kept === extra) return;
+  survivor[field] = kept ? `${kept}\n\n${extra}` : extra;
+};
+
+// Fold the merged record's details and history into the survivor
+const absorbPatient = (survivor, merged) => {
+  survivor.therapistNotes.push(...merged.therapistNotes);
+  survivor.assessments.push(...merged.assessments);
+  survivor.medicalRecords.push(...merged.medicalRecords);
+  survivor.allergies = [...new Set([...survivor.allergies, ...merged.allergies])];
+  survivor.childSymptoms = [...new Set([...survivor.childSymptoms, ...merged.childSymptoms])];
+
+  ["photo", "birthCertificate", "aadharCard"].forEach((field) => {
+    if (!hasFile(survivor[field]) && hasFile(merged[field])) survivor[field] = merged[field];
+  });
+  ["notes", "medicalHistory", "diagnosis"].forEach((field) => fillText(survivor, merged, field));
+
+  if (!survivor.dateOfBirth && merged.dateOfBirth) survivor.dateOfBirth = merged.dateOfBirth;
+  if (survivor.gender === "not_specified") survivor.gender = merged.gender;
+
+  ["email", "address", "motherName", "motherphone"].forEach((field) => {
+    if (!survivor.parentInfo?.[field] && merged.parentInfo?.[field]) {
+      survivor.set(`parentInfo.${field}`, merged.parentInfo[field]);
+    }
+  });
+  if (!hasFile(survivor.parentInfo?.photo) && hasFile(merged.parentInfo?.photo)) {
+    survivor.set("parentInfo.photo", merged.parentInfo.photo);
+  }
+  ["name", "relation", "phone"].forEach((field) => {
+    if (!survivor.emergencyContact?.[field] && merged.emergencyContact?.[field]) {
+      survivor.set(`emergencyContact.${field}`, merged.emergencyContact[field]);
+    }
+  });
+};
+
+/**
+ * Merge patient `mergedId` into `survivorId`: appointments, series, session
+ * notes, treatment plans, packages, invoices, receipts, waitlist entries and
+ * group session places move to the survivor, which also takes over the
+ * merged record's notes, assessments, documents and any details it lacks.
+ * The merged record is then deleted; a copy is kept on its review entry.
+ * Resolves to `{ patient, moved }` with the number of records moved per kind.
+ */
+const mergePatients = async (survivorId, mergedId, { mergedBy } = {}) => {
+  if (
+    !mongoose.Types.ObjectId.isValid(survivorId) ||
+    !mongoose.Types.ObjectId.isValid(mergedId)
+  ) {
+    throw new ErrorResponse("Patient not found", 404);
+  }
+  if (survivorId.toString() === mergedId.toString()) {
+    throw new ErrorResponse("A patient cannot be merged into itself", 400);
+  }
+
+  const [survivor, merged] = await Promise.all([
+    Patient.findById(survivorId),
+    Patient.findById(mergedId),
+  ]);
+  if (!survivor || !merged) {
+    throw new ErrorResponse("Patient not found", 404);
+  }
+
+  const name = `${survivor.firstName} ${survivor.lastName}`.trim();
+  const moved = {};
+  for (const { key, model, rename } of LINKED_MODELS) {
+    const result = await model.updateMany(
+      { patientId: merged._id },
+      { patientId: survivor._id, ...(rename && { patientName: name }) }
+    );
+    moved[key] = result.modifiedCount;
+  }
+
+  const groups = await GroupSession.updateMany(
+    { "roster.patientId": merged._id },
+    {
+      $set: {
+        "roster.$[place].patientId": survivor._id,
+        "roster.$[place].patientName": name,
+      },
+    },
+    { arrayFilters: [{ "place.patientId": merged._id }] }
+  );
+  moved.groupSessions = groups.modifiedCount;
+
+  absorbPatient(survivor, merged);
+  // Legacy records may not pass today's validation; the merge must not stall on them
+  await survivor.save({ validateBeforeSave: false });
+
+  const pairKey = pairKeyOf(survivor._id, merged._id);
+  await PatientDuplicate.updateOne(
+    { pairKey },
+    {
+      $setOnInsert: { pairKey, patientIds: pairKey.split("_"), score: 1 },
+      $set: {
+        status: "merged",
+        survivorId: survivor._id,
+        mergedPatient: merged.toObject({ virtuals: false }),
+        mergeSummary: moved,
+        resolvedBy: mergedBy,
+        resolvedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+  // Other pairs of the merged record are found again, against the survivor, by the next scan
+  await PatientDuplicate.deleteMany({
+    patientIds: merged._id,
+    status: "open",
+    pairKey: { $ne: pairKey },
+  });
+
+  await merged.deleteOne();
+
+  return { patient: survivor, moved };
+};
+
+/**
+ * Take a pair off the review queue without merging it
+ */
+const dismissDuplicate = async (duplicateId, { dismissedBy } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(duplicateId)) {
+    throw new ErrorResponse("Duplicate not found", 404);
+  }
+  const duplicate = await PatientDuplicate.findById(duplicateId);
+  if (!duplicate) {
+    throw new ErrorResponse("Duplicate not found", 404);
+  }
+  if (duplicate.status !== "open") {
+    throw new ErrorResponse(`This pair was already ${duplicate.status}`, 400);
+  }
+
+  duplicate.status = "dismissed";
+  duplicate.resolvedBy = dismissedBy;
+  duplicate.resolvedAt = new Date();
+  await duplicate.save();
+  return duplicate;
+};
+
+module.exports = {
+  normalizePhone,
+  scoreDuplicate,
+  findLikelyDuplicates,
+  flagDuplicatesOf,
+  scanForDuplicates,
+  findOrCreateParent,
+  findOrCreatePatient,
+  mergePatients,
+  dismissDuplicate,
+};
@@ -0,0 +1,273 @@
+const mongoose = require("mongoose");
+const Appointment = require("../models/Appointment");
+const PaymentReceipt = require("../models/PaymentReceipt");
+const ErrorResponse = require("../utils/errorResponse");
+const { NON_BLOCKING_STATUSES } = require("../utils/appointmentConflicts");
+const { nextDocumentNumber } = require("../utils/documentNumbers");
+const { activeFee, ACTIVE_FEE_QUERY } = require("./cancellationFees");
+
+// Appointments in these states are not charged for
+const UNBILLED_STATUSES = NON_BLOCKING_STATUSES;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const toId = (value) => (value?._id || value).toString();
+
+// Aggregation pipelines do not cast ids the way queries do
+const toObjectIds = (ids) => ids.map((id) => new mongoose.Types.ObjectId(toId(id)));
+
+// Appointments that can owe something: billed ones and ones with a
+// cancellation or no-show fee
+const OWING_QUERY = {
+  $or: [{ status: { $nin: UNBILLED_STATUSES } }, ACTIVE_FEE_QUERY],
+};
+
+/**
+ * What an appointment costs before payments: the session fee, or for a
+ * cancelled or missed session its cancellation fee, if any.
+ */
+const appointmentCharge = (appointment) =>
+  UNBILLED_STATUSES.includes(appointment.status)
+    ? activeFee(appointment)
+    : appointment.payment?.amount || 0;
+
+/**
+ * Amount still owed on an appointment. Sessions taken from a package,
+ * refunded ones and ones marked paid outside the ledger owe nothing.
+ */
+const appointmentDue = (appointment) => {
+  const payment = appointment.payment || {};
+  if (appointment.packageId || ["paid", "refunded"].includes(payment.status)) {
+    return 0;
+  }
+  return round(Math.max(appointmentCharge(appointment) - (payment.paidAmount || 0), 0));
+};
+
+/**
+ * Recompute `payment.paidAmount` and the payment status of appointments
+ * from the active receipts allocated to them.
+ */
+const syncAppointmentPayments = async (appointmentIds) => {
+  if (appointmentIds.length === 0) return;
+  appointmentIds = toObjectIds(appointmentIds);
+
+  const totals = await PaymentReceipt.aggregate([
+    { $match: { status: "active", "allocations.appointmentId": { $in: appointmentIds } } },
+    { $sort: { receivedAt: 1 } },
+    { $unwind: "$allocations" },
+    { $match: { "allocations.appointmentId": { $in: appointmentIds } } },
+    {
+      $group: {
+        _id: "$allocations.appointmentId",
+        paidAmount: { $sum: "$allocations.amount" },
+        lastPaymentDate: { $max: "$receivedAt" },
+        method: { $last: "$method" },
+      },
+    },
+  ]);
+  const byId = new Map(totals.map((total) => [total._id.toString(), total]));
+
+  const appointments = await Appointment.find({ _id: { $in: appointmentIds } });
+  for (const appointment of appointments) {
+    const total = byId.get(appointment._id.toString());
+    const paidAmount = round(total?.paidAmount || 0);
+    const previous = appointment.payment.paidAmount || 0;
+
+    // Leave appointments the ledger has never touched as they are
+    if (paidAmount === 0 && previous === 0) continue;
+
+    let status = "pending";
+    if (paidAmount >= appointmentCharge(appointment)) status = "paid";
+    else if (paidAmount > 0) status = "partial";
+
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      {
+        "payment.paidAmount": paidAmount,
+        "payment.status": status,
+        "payment.lastPaymentDate": total?.lastPaymentDate,
+        ...(total && { "payment.method": total.method }),
+      }
+    );
+  }
+};
+
+/**
+ * Spread `amount` over appointments oldest first. Resolves to the
+ * allocations and whatever could not be allocated.
+ */
+const allocateOldestFirst = (appointments, amount) => {
+  let remaining = amount;
+  const allocations = [];
+
+  [...appointments]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach((appointment) => {
+      const due = appointmentDue(appointment);
+      if (remaining <= 0 || due <= 0) return;
+
+      const allocated = round(Math.min(due, remaining));
+      allocations.push({ appointmentId: appointment._id, amount: allocated });
+      remaining = round(remaining - allocated);
+    });
+
+  return { allocations, unallocated: remaining };
+};
+
+/**
+ * Record a payment from a family and allocate it to their appointments.
+ *
+ * `allocations` ([{ appointmentId, amount }]) allocates explicitly;
+ * otherwise the payment goes to `appointmentIds` (or, without those, every
+ * outstanding appointment of the patient) oldest first. Anything left over
+ * is kept on the receipt as credit.
+ */
+const recordPayment = async ({
+  patientId,
+  amount,
+  method,
+  reference,
+  receivedAt,
+  notes,
+  allocations: requested,
+  appointmentIds,
+  receivedBy,
+}) => {
+  amount = round(Number(amount));
+  if (!(amount > 0)) {
+    throw new ErrorResponse("Payment amount must be more than zero", 400);
+  }
+
+  const ids = requested ? requested.map((a) => a.appointmentId) : appointmentIds;
+  const appointments = await Appointment.find({
+    patientId,
+    ...(ids ? { _id: { $in: ids } } : OWING_QUERY),
+  });
+
+  if (ids && appointments.length !== new Set(ids.map(String)).size) {
+    throw new ErrorResponse("Some appointments were not found for this patient", 404);
+  }
+
+  let allocations;
+  let unallocated;
+  if (requested) {
+    const byId = new Map(appointments.map((apt) => [apt._id.toString(), apt]));
+    allocations = requested.map(({ appointmentId, amount: allocated }) => {
+      const appointment = byId.get(appointmentId.toString());
+      allocated = round(Number(allocated));
+      if (allocated > appointmentDue(appointment)) {
+        throw new ErrorResponse(
+          `Allocation of ${allocated} exceeds the ${appointmentDue(appointment)} due on appointment ${appointmentId}`,
+          400
+        );
+      }
+      return { appointmentId: appointment._id, amount: allocated };
+    });
+    unallocated = round(amount - allocations.reduce((sum, a) => sum + a.amount, 0));
+    if (unallocated < 0) {
+      throw new ErrorResponse("Allocations add up to more than the payment", 400);
+    }
+  } else {
+    ({ allocations, unallocated } = allocateOldestFirst(appointments, amount));
+  }
+
+  const receipt = await PaymentReceipt.create({
+    receiptNumber: await nextDocumentNumber("RCPT", receivedAt || new Date()),
+    patientId,
+    amount,
+    method,
+    reference,
+    receivedAt,
+    receivedBy,
+    allocations: allocations.filter((a) => a.amount > 0),
+    unallocated,
+    notes,
+  });
+
+  await syncAppointmentPayments(receipt.allocations.map((a) => a.appointmentId));
+  return receipt;
+};
+
+/**
+ * Void a receipt entered by mistake; the appointments it paid for owe
+ * again.
+ */
+const voidReceipt = async (receipt, { reason, voidedBy }) => {
+  if (receipt.status === "voided") {
+    throw new ErrorResponse("This receipt is already voided", 400);
+  }
+
+  receipt.status = "voided";
+  receipt.voidedAt = new Date();
+  receipt.voidedBy = voidedBy;
+  receipt.voidReason = reason;
+  await receipt.save();
+
+  await syncAppointmentPayments(receipt.allocations.map((a) => a.appointmentId));
+  return receipt;
+};
+
+/**
+ * Received totals and unallocated credit per patient from active receipts.
+ * Resolves to a Map of patientId -> { totalReceived, credit }.
+ */
+const getReceiptTotals = async (patientIds) => {
+  const totals = await PaymentReceipt.aggregate([
+    { $match: { status: "active", patientId: { $in: toObjectIds(patientIds) } } },
+    {
+      $group: {
+        _id: "$patientId",
+        totalReceived: { $sum: "$amount" },
+        credit: { $sum: "$unallocated" },
+      },
+    },
+  ]);
+  return new Map(
+    totals.map((total) => [
+      total._id.toString(),
+      { totalReceived: round(total.totalReceived), credit: round(total.credit) },
+    ])
+  );
+};
+
+/**
+ * Running balance for patients whose appointments are already loaded:
+ * what they owe, what they have paid and any credit. A negative `balance`
+ * means the family owes the clinic.
+ */
+const summarizeBalance = (appointments, totals = {}) => {
+  const outstanding = round(
+    appointments.reduce((sum, appointment) => sum + appointmentDue(appointment), 0)
+  );
+  const credit = totals.credit || 0;
+  return {
+    outstanding,
+    totalReceived: totals.totalReceived || 0,
+    credit,
+    balance: round(credit - outstanding),
+  };
+};
+
+/**
+ * Running balance for one patient
+ */
+const getPatientBalance = async (patientId) => {
+  const [appointments, totals] = await Promise.all([
+    Appointment.find({ patientId })
+      .select("status payment packageId cancellationFee date")
+      .lean(),
+    getReceiptTotals([patientId]),
+  ]);
+  return summarizeBalance(appointments, totals.get(toId(patientId)));
+};
+
+module.exports = {
+  appointmentCharge,
+  appointmentDue,
+  recordPayment,
+  voidReceipt,
+  syncAppointmentPayments,
+  getReceiptTotals,
+  summarizeBalance,
+  getPatientBalance,
+};
@@ -0,0 +1,172 @@
+const Appointment = require("../models/Appointment");
+const Patient = require("../models/Patient");
+const SessionPackage = require("../models/SessionPackage");
+const ErrorResponse = require("../utils/errorResponse");
+const { notify } = require("./notifications");
+const { numberSetting } = require("../config/settings");
+
+// Warn the family once this many sessions or fewer are left
+const LOW_BALANCE_SESSIONS = numberSetting("PACKAGE_LOW_BALANCE_SESSIONS", 2);
+
+const toId = (value) => value?._id || value;
+
+/**
+ * Close active packages whose expiry date has passed. Resolves to the
+ * number of packages expired.
+ */
+const expirePackages = async () => {
+  const { modifiedCount } = await SessionPackage.updateMany(
+    { status: "active", expiresAt: { $lte: new Date() } },
+    { status: "expired" }
+  );
+  return modifiedCount;
+};
+
+// Tell the parent their package is nearly used up
+const sendLowBalanceWarning = async (pkg) => {
+  const patient = await Patient.findById(pkg.patientId).select(
+    "firstName lastName parentId parentInfo"
+  );
+  if (!patient) return;
+
+  await notify({
+    recipient: {
+      userId: patient.parentId,
+      name: patient.parentInfo?.name,
+      email: patient.parentInfo?.email,
+      phone: patient.parentInfo?.phone,
+    },
+    template: "packageLowBalance",
+    data: {
+      name: patient.parentInfo?.name || "Parent",
+      patientName: `${patient.firstName} ${patient.lastName}`,
+      packageName: pkg.name,
+      sessionsRemaining: pkg.sessionsRemaining,
+      expiresAt: pkg.expiresAt,
+    },
+    relatedTo: { kind: "SessionPackage", id: pkg._id },
+  });
+};
+
+/**
+ * Use up one session of the patient's package for a completed appointment.
+ * Sessions come from the package for the appointment's service (or an
+ * any-service package) that expires first. Appointments that were already
+ * paid for on their own, or already took a session, are left alone.
+ *
+ * Resolves to `{ package, sessionsRemaining, lowBalance }`, or null when no
+ * package covers the appointment. Never throws, so completion is never held
+ * up by it.
+ */
+const useSessionForAppointment = async (appointment) => {
+  try {
+    if (!appointment.patientId || appointment.packageId) return null;
+    if (["paid", "partial", "refunded"].includes(appointment.payment?.status)) {
+      return null;
+    }
+
+    await expirePackages();
+
+    const available = {
+      status: "active",
+      $expr: { $lt: ["$sessionsUsed", "$totalSessions"] },
+      "usages.appointmentId": { $ne: appointment._id },
+    };
+
+    // Earliest-expiring first; packages without an expiry come last
+    const candidates = await SessionPackage.find({
+      ...available,
+      patientId: toId(appointment.patientId),
+      $or: [{ serviceId: toId(appointment.serviceId) }, { serviceId: null }],
+    })
+      .select("expiresAt purchasedAt")
+      .sort({ purchasedAt: 1 });
+    candidates.sort(
+      (a, b) => (a.expiresAt?.getTime() ?? Infinity) - (b.expiresAt?.getTime() ?? Infinity)
+    );
+
+    // Claim a session atomically; a package used up meanwhile is skipped
+    let pkg = null;
+    for (const candidate of candidates) {
+      pkg = await SessionPackage.findOneAndUpdate(
+        { _id: candidate._id, ...available },
+        {
+          $inc: { sessionsUsed: 1 },
+          $push: { usages: { appointmentId: appointment._id, date: appointment.date } },
+        },
+        { new: true }
+      );
+      if (pkg) break;
+    }
+    if (!pkg) return null;
+
+    if (pkg.sessionsRemaining === 0) {
+      pkg.status = "exhausted";
+    }
+
+    const lowBalance = pkg.sessionsRemaining <= LOW_BALANCE_SESSIONS;
+    if (lowBalance && !pkg.lowBalanceNotifiedAt) {
+      pkg.lowBalanceNotifiedAt = new Date();
+      await sendLowBalanceWarning(pkg);
+    }
+    await pkg.save();
+
+    const covered = {
+      packageId: pkg._id,
+      "payment.status": "paid",
+      "payment.method": "package",
+    };
+    await Appointment.updateOne({ _id: appointment._id }, covered);
+    // Keep the caller's copy in step so its response shows the package
+    if (typeof appointment.set === "function") {
+      appointment.set(covered);
+    }
+
+    return { package: pkg, sessionsRemaining: pkg.sessionsRemaining, lowBalance };
+  } catch (err) {
+    console.error(`❌ Package usage for appointment ${appointment._id} failed:`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Refund the unused sessions of a package and close it. `amount` defaults
+ * to the per-session price of every unused session.
+ */
+const refundPackage = async (pkg, { amount, method, reason, refundedBy }) => {
+  if (!["active", "expired"].includes(pkg.status)) {
+    throw new ErrorResponse(`A ${pkg.status} package cannot be refunded`, 400);
+  }
+
+  const sessions = pkg.sessionsRemaining;
+  if (sessions === 0) {
+    throw new ErrorResponse("Every session of this package has been used", 400);
+  }
+
+  const maxAmount = Math.round(pkg.pricePerSession * sessions * 100) / 100;
+  const refundAmount = amount === undefined ? maxAmount : Number(amount);
+  if (refundAmount < 0 || refundAmount > maxAmount) {
+    throw new ErrorResponse(
+      `Refund must be between 0 and ${maxAmount} for ${sessions} unused session(s)`,
+      400
+    );
+  }
+
+  pkg.status = "refunded";
+  pkg.refund = {
+    sessions,
+    amount: refundAmount,
+    method: method || pkg.payment.method,
+    reason,
+    refundedAt: new Date(),
+    refundedBy,
+  };
+  await pkg.save();
+  return pkg;
+};
+
+module.exports = {
+  expirePackages,
+  useSessionForAppointment,
+  refundPackage,
+};
@@ -0,0 +1,191 @@
+const Appointment = require("../../models/Appointment");
+const jitsi = require("./providers/jitsi");
+const stub = require("./providers/stub");
+const { toClinicDateTime } = require("../../utils/timeSlots");
+const { numberSetting } = require("../../config/settings");
+
+const providers = { jitsi, stub };
+
+// Only appointments that can still take place get a room
+const OPEN_STATUSES = ["scheduled", "confirmed", "in-progress"];
+
+// Minutes after the session's end time that its room stays open
+const EXPIRY_MINUTES = numberSetting("VIDEO_ROOM_EXPIRY_MINUTES", 30);
+
+/**
+ * Add or replace a video room provider. A provider is
+ * `{ name, createRoom({ appointmentId, startsAt, expiresAt }), expireRoom(room) }`;
+ * createRoom resolves to `{ roomId, joinUrl, hostUrl? }`.
+ */
+const registerVideoProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * Provider called `name`, or the one VIDEO_PROVIDER selects (jitsi by default)
+ */
+const getVideoProvider = (name) => {
+  const key = (name || process.env.VIDEO_PROVIDER || "jitsi").toLowerCase();
+  const provider = providers[key];
+  if (!provider) {
+    throw new Error(`No video room provider "${key}"`);
+  }
+  return provider;
+};
+
+const needsRoom = (appointment) =>
+  appointment.consultationMode === "video-call" &&
+  OPEN_STATUSES.includes(appointment.status);
+
+// When the room for a slot (`{ date, endTime }`) should close
+const roomExpiry = ({ date, endTime }) => {
+  const end = toClinicDateTime(date, endTime);
+  return end ? new Date(end.getTime() + EXPIRY_MINUTES * 60 * 1000) : null;
+};
+
+/**
+ * Open a room for a slot (`{ date, startTime, endTime }`) with the current
+ * provider. Resolves to `{ provider, roomId, joinUrl, hostUrl?, expiresAt }`.
+ */
+const openRoom = async ({ date, startTime, endTime, appointmentId }) => {
+  const expiresAt = roomExpiry({ date, endTime });
+  if (!expiresAt) {
+    throw new Error("The room's end time is not a valid time");
+  }
+
+  const provider = getVideoProvider();
+  const created = await provider.createRoom({
+    appointmentId,
+    startsAt: toClinicDateTime(date, startTime),
+    expiresAt,
+  });
+  return { provider: provider.name, ...created, expiresAt };
+};
+
+/**
+ * Close an appointment's room with its provider and mark it expired.
+ * Never throws, so the caller is never held up by it.
+ */
+const expireVideoRoom = async (appointment) => {
+  const room = appointment.videoRoom;
+  if (room?.status !== "active") return null;
+
+  try {
+    await getVideoProvider(room.provider).expireRoom(room);
+    await Appointment.updateOne(
+      { _id: appointment._id, "videoRoom.roomId": room.roomId },
+      { "videoRoom.status": "expired", "videoRoom.expiredAt": new Date() }
+    );
+    room.status = "expired";
+    return room;
+  } catch (err) {
+    console.error(
+      `❌ Error expiring video room of appointment ${appointment._id}:`,
+      err.message
+    );
+    return null;
+  }
+};
+
+/**
+ * The open room of a video-call appointment, created if it has none yet.
+ * A room made for an earlier slot is replaced, since its expiry no longer
+ * fits. The new room is only saved if nobody else changed the appointment's
+ * room in the meantime; otherwise it is closed again and the room that won
+ * is used. Resolves to null for appointments that are not (or no longer)
+ * video calls. Never throws, so reminders and bookings go out without a
+ * link rather than not at all.
+ */
+const ensureVideoRoom = async (appointment) => {
+  if (!needsRoom(appointment)) return null;
+
+  try {
+    const expiresAt = roomExpiry(appointment);
+    if (!expiresAt) return null;
+
+    const current = appointment.videoRoom;
+    if (current?.status === "active") {
+      if (new Date(current.expiresAt).getTime() === expiresAt.getTime()) return current;
+      await expireVideoRoom(appointment);
+    }
+
+    const videoRoom = {
+      ...(await openRoom({
+        date: appointment.date,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime,
+        appointmentId: appointment._id,
+      })),
+      createdAt: new Date(),
+      status: "active",
+    };
+
+    const saved = await Appointment.updateOne(
+      { _id: appointment._id, "videoRoom.roomId": current?.roomId ?? null },
+      { videoRoom }
+    );
+    if (saved.matchedCount === 0) {
+      await getVideoProvider(videoRoom.provider).expireRoom(videoRoom);
+
+      const latest = await Appointment.findById(appointment._id).select("videoRoom");
+      appointment.videoRoom = latest?.videoRoom;
+      return appointment.videoRoom?.status === "active" ? appointment.videoRoom : null;
+    }
+
+    appointment.videoRoom = videoRoom;
+    return appointment.videoRoom;
+  } catch (err) {
+    console.error(
+      `❌ Error creating video room for appointment ${appointment._id}:`,
+      err.message
+    );
+    return null;
+  }
+};
+
+/**
+ * Create rooms for video-call appointments starting before `until` and
+ * expire rooms whose session is over, was cancelled or is no longer a video
+ * call. Resolves to `{ created, expired }`.
+ */
+const syncVideoRooms = async ({ until }) => {
+  const now = new Date();
+  const summary = { created: 0, expired: 0 };
+
+  const upcoming = await Appointment.find({
+    consultationMode: "video-call",
+    status: { $in: OPEN_STATUSES },
+    date: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000), $lte: until },
+  });
+  for (const appointment of upcoming) {
+    const before = appointment.videoRoom?.roomId;
+    const expiresAt = roomExpiry(appointment);
+    if (!expiresAt || expiresAt <= now) continue;
+
+    const room = await ensureVideoRoom(appointment);
+    if (room && room.roomId !== before) summary.created++;
+  }
+
+  const finished = await Appointment.find({
+    "videoRoom.status": "active",
+    $or: [
+      { "videoRoom.expiresAt": { $lte: now } },
+      { status: { $nin: OPEN_STATUSES } },
+      { consultationMode: { $ne: "video-call" } },
+    ],
+  });
+  for (const appointment of finished) {
+    if (await expireVideoRoom(appointment)) summary.expired++;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  registerVideoProvider,
+  getVideoProvider,
+  openRoom,
+  ensureVideoRoom,
+  expireVideoRoom,
+  syncVideoRooms,
+};
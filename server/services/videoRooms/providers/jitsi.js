@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+// The clinic's own Jitsi server; public servers let anyone with a link join
+const BASE_URL = (process.env.JITSI_BASE_URL || "").replace(/\/$/, "");
+const APP_ID = process.env.JITSI_APP_ID;
+const APP_SECRET = process.env.JITSI_APP_SECRET;
+
+/**
+ * Token for the Jitsi server's JWT auth. It only opens this room and stops
+ * working when the room expires.
+ */
+const signToken = (roomId, expiresAt, { moderator }) =>
+  jwt.sign(
+    {
+      aud: "jitsi",
+      iss: APP_ID,
+      sub: new URL(BASE_URL).hostname,
+      room: roomId,
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+      context: { user: { moderator } },
+    },
+    APP_SECRET,
+    { algorithm: "HS256" }
+  );
+
+/**
+ * Jitsi rooms exist as soon as someone opens their URL, so creating one only
+ * means picking a name nobody can guess and signing tokens for it. Without a
+ * server with JWT auth no links are issued, since anyone with the link could
+ * join.
+ */
+const createRoom = async ({ expiresAt }) => {
+  if (!BASE_URL || !APP_ID || !APP_SECRET) {
+    throw new Error(
+      "Jitsi rooms need JITSI_BASE_URL, JITSI_APP_ID and JITSI_APP_SECRET to be set"
+    );
+  }
+
+  const roomId = `8senses-${crypto.randomBytes(12).toString("hex")}`;
+  const url = `${BASE_URL}/${roomId}`;
+
+  return {
+    roomId,
+    joinUrl: `${url}?jwt=${signToken(roomId, expiresAt, { moderator: false })}`,
+    hostUrl: `${url}?jwt=${signToken(roomId, expiresAt, { moderator: true })}`,
+  };
+};
+
+// Jitsi has no API to close a room; it closes when empty and its tokens stop
+// working at the room's expiry
+const expireRoom = async () => {};
+
+module.exports = { name: "jitsi", createRoom, expireRoom };
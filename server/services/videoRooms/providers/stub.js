@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+// Rooms the stub has open, by room id
+const rooms = new Map();
+
+/**
+ * Offline provider for tests and local development: keeps rooms in memory
+ * and hands out links that go nowhere. Nothing leaves the machine.
+ */
+const createRoom = async ({ appointmentId, expiresAt }) => {
+  const roomId = `stub-${crypto.randomUUID()}`;
+  rooms.set(roomId, { appointmentId, expiresAt });
+
+  return {
+    roomId,
+    joinUrl: `https://video.invalid/${roomId}`,
+    hostUrl: `https://video.invalid/${roomId}?host=1`,
+  };
+};
+
+const expireRoom = async ({ roomId }) => {
+  rooms.delete(roomId);
+};
+
+module.exports = { name: "stub", createRoom, expireRoom, rooms };
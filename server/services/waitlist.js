@@ -0,0 +1,402 @@
+const crypto = require("crypto");
+const Appointment = require("../models/Appointment");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const WaitlistOffer = require("../models/WaitlistOffer");
+const ErrorResponse = require("../utils/errorResponse");
+const clientUrl = require("../utils/clientUrl");
+const { notify } = require("./notifications");
+const { familyEvent } = require("./calendarFeeds");
+const { findOrCreatePatient } = require("./patientDuplicates");
+const { checkConflicts } = require("../utils/appointmentConflicts");
+const { CLINIC_TIMEZONE, getDayRange, getMinutesUntil } = require("../utils/timeSlots");
+const { numberSetting } = require("../config/settings");
+
+// Minutes a family has to answer an offer
+const HOLD_MINUTES = numberSetting("WAITLIST_HOLD_MINUTES", 120);
+
+// Slots starting sooner than this are not offered, and a hold always ends
+// at least half this long before the session starts
+const MIN_NOTICE_MINUTES = 60;
+
+const toId = (value) => value?._id || value;
+
+const formatHoldUntil = (date) =>
+  new Date(date).toLocaleString("en-IN", {
+    timeZone: CLINIC_TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Offers for the same therapist, day and start time are offers for the same slot
+const sameSlot = ({ therapistId, date, startTime }) => {
+  const { start, end } = getDayRange(date);
+  return {
+    therapistId: toId(therapistId),
+    date: { $gte: start, $lte: end },
+    startTime,
+  };
+};
+
+/**
+ * Next family that can take the slot: waiting entries for the service in the
+ * order they joined, skipping anyone already offered this slot and anyone
+ * whose child is booked elsewhere at that time.
+ */
+const findNextEntry = async (slot) => {
+  const alreadyOffered = await WaitlistOffer.find(sameSlot(slot)).distinct(
+    "waitlistEntryId"
+  );
+
+  const candidates = await WaitlistEntry.find({
+    status: "waiting",
+    serviceId: toId(slot.serviceId),
+    $or: [{ therapistId: toId(slot.therapistId) }, { therapistId: null }],
+    "window.toDate": { $gte: getDayRange(slot.date).start },
+    _id: { $nin: alreadyOffered },
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    if (!entry.acceptsSlot({ ...slot, therapistId: toId(slot.therapistId) })) continue;
+
+    if (entry.patientId) {
+      const { hasConflicts } = await checkConflicts([
+        {
+          patientId: entry.patientId,
+          date: slot.date,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+        },
+      ]);
+      if (hasConflicts) continue;
+    }
+
+    return entry;
+  }
+  return null;
+};
+
+/**
+ * Email/WhatsApp the family a link to accept or decline their offer
+ */
+const sendOffer = async (entry, offer, token) => {
+  const [service, therapist] = await Promise.all([
+    Service.findById(offer.serviceId).select("name"),
+    User.findById(offer.therapistId).select("firstName lastName"),
+  ]);
+
+  return notify({
+    recipient: {
+      userId: entry.userId,
+      name: entry.fatherName || entry.patientName,
+      email: entry.email,
+      phone: entry.phone,
+    },
+    template: "waitlistOffer",
+    data: {
+      name: entry.fatherName || "Parent",
+      patientName: entry.patientName,
+      service: service?.name || "Therapy",
+      therapist: therapist?.fullName || "Therapist",
+      date: offer.date,
+      startTime: offer.startTime,
+      endTime: offer.endTime,
+      acceptUrl: `${clientUrl()}/waitlist/offers/${token}`,
+      holdUntil: formatHoldUntil(offer.expiresAt),
+    },
+    relatedTo: { kind: "WaitlistOffer", id: offer._id },
+  });
+};
+
+/**
+ * Hold a free slot (`{ serviceId, therapistId, date, startTime, endTime,
+ * sourceAppointmentId? }`) for the next matching family on the waitlist and
+ * send them the offer. Resolves to the offer, or null when the slot is not
+ * free, is too close, is already on hold or nobody is waiting for it.
+ */
+const offerSlot = async (slot) => {
+  const minutesUntil = getMinutesUntil(slot.date, slot.startTime);
+  if (minutesUntil === null || minutesUntil < MIN_NOTICE_MINUTES) return null;
+
+  if (await WaitlistOffer.exists({ ...sameSlot(slot), status: "pending" })) {
+    return null;
+  }
+
+  const { hasConflicts } = await checkConflicts([
+    {
+      therapistId: toId(slot.therapistId),
+      date: slot.date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    },
+  ]);
+  if (hasConflicts) return null;
+
+  const entry = await findNextEntry(slot);
+  if (!entry) return null;
+
+  // Claim the entry so one family is never holding two slots
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: "waiting" },
+    { status: "offered", $inc: { offersMade: 1 } },
+    { new: true }
+  );
+  if (!claimed) return offerSlot(slot);
+
+  const holdMs = Math.min(
+    HOLD_MINUTES,
+    minutesUntil - MIN_NOTICE_MINUTES / 2
+  ) * 60 * 1000;
+  const token = crypto.randomBytes(20).toString("hex");
+
+  const offer = await WaitlistOffer.create({
+    waitlistEntryId: claimed._id,
+    sourceAppointmentId: slot.sourceAppointmentId,
+    serviceId: toId(slot.serviceId),
+    therapistId: toId(slot.therapistId),
+    date: slot.date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    tokenHash: User.hashToken(token),
+    expiresAt: new Date(Date.now() + holdMs),
+  });
+
+  await sendOffer(claimed, offer, token);
+  return offer;
+};
+
+/**
+ * Cancellation hook: offer the slot a cancelled appointment freed up. Never
+ * throws, so it can run without holding up the cancellation.
+ */
+const offerFreedSlot = async (appointment) => {
+  try {
+    return await offerSlot({
+      serviceId: appointment.serviceId,
+      therapistId: appointment.therapistId,
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      sourceAppointmentId: appointment._id,
+    });
+  } catch (err) {
+    console.error(`❌ Waitlist offer for appointment ${appointment._id} failed:`, err.message);
+    return null;
+  }
+};
+
+const slotOf = (offer) => ({
+  serviceId: offer.serviceId,
+  therapistId: offer.therapistId,
+  date: offer.date,
+  startTime: offer.startTime,
+  endTime: offer.endTime,
+  sourceAppointmentId: offer.sourceAppointmentId,
+});
+
+/**
+ * Close a pending offer with `status`, put the family back in the queue
+ * (unless they booked or left) and pass the slot on to the next family.
+ */
+const closeOffer = async (offer, status, { passOn = true } = {}) => {
+  const closed = await WaitlistOffer.findOneAndUpdate(
+    { _id: offer._id, status: "pending" },
+    { status, respondedAt: new Date() },
+    { new: true }
+  );
+  if (!closed) return null;
+
+  await WaitlistEntry.updateOne(
+    { _id: closed.waitlistEntryId, status: "offered" },
+    { status: "waiting" }
+  );
+
+  if (passOn) await offerSlot(slotOf(closed));
+  return closed;
+};
+
+// Look up an offer by the token from the family's link
+const findOfferByToken = async (token) => {
+  const offer = await WaitlistOffer.findOne({
+    tokenHash: User.hashToken(token || ""),
+  })
+    .populate("waitlistEntryId")
+    .populate("serviceId", "name price")
+    .populate("therapistId", "firstName lastName");
+
+  if (!offer) throw new ErrorResponse("Offer not found", 404);
+  return offer;
+};
+
+const assertPending = (offer) => {
+  if (offer.status !== "pending") {
+    throw new ErrorResponse(`This offer has already been ${offer.status}`, 400);
+  }
+  if (offer.expiresAt <= new Date()) {
+    throw new ErrorResponse("This offer has expired", 400);
+  }
+};
+
+/**
+ * Book the offered slot for the family. Resolves to `{ offer, appointment }`.
+ */
+const acceptOffer = async (token) => {
+  const offer = await findOfferByToken(token);
+  assertPending(offer);
+  const entry = offer.waitlistEntryId;
+
+  // Families who joined the waitlist by name get their child's record now
+  if (!entry.patientId) {
+    const { patient } = await findOrCreatePatient({
+      childName: entry.patientName,
+      fatherName: entry.fatherName,
+      phone: entry.phone,
+      email: entry.email,
+      parentId: entry.userId,
+    });
+    entry.patientId = patient._id;
+    await WaitlistEntry.updateOne({ _id: entry._id }, { patientId: patient._id });
+  }
+
+  const claimed = await WaitlistOffer.findOneAndUpdate(
+    { _id: offer._id, status: "pending", expiresAt: { $gt: new Date() } },
+    { status: "accepted", respondedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) throw new ErrorResponse("This offer is no longer available", 400);
+
+  const { hasConflicts } = await checkConflicts([
+    {
+      therapistId: offer.therapistId._id,
+      patientId: entry.patientId,
+      date: offer.date,
+      startTime: offer.startTime,
+      endTime: offer.endTime,
+    },
+  ]);
+  if (hasConflicts) {
+    claimed.status = "withdrawn";
+    await claimed.save();
+    await WaitlistEntry.updateOne({ _id: entry._id }, { status: "waiting" });
+    throw new ErrorResponse("Sorry, this slot has just been taken", 400);
+  }
+
+  const appointment = await Appointment.create({
+    userId: entry.userId,
+    patientId: entry.patientId,
+    patientName: entry.patientName,
+    fatherName: entry.fatherName,
+    email: entry.email,
+    phone: entry.phone,
+    serviceId: offer.serviceId._id,
+    therapistId: offer.therapistId._id,
+    date: offer.date,
+    startTime: offer.startTime,
+    endTime: offer.endTime,
+    payment: {
+      amount: offer.serviceId.price || 0,
+      method: "not_specified",
+      status: "pending",
+    },
+    status: "scheduled",
+    notes: "Booked from the waitlist",
+    createdBy: entry.createdBy,
+  });
+
+  claimed.appointmentId = appointment._id;
+  await claimed.save();
+  await WaitlistEntry.updateOne(
+    { _id: entry._id },
+    { status: "booked", appointmentId: appointment._id }
+  );
+
+  await notify({
+    recipient: {
+      userId: entry.userId,
+      name: entry.fatherName || entry.patientName,
+      email: entry.email,
+      phone: entry.phone,
+    },
+    template: "appointmentConfirmation",
+    data: {
+      name: entry.fatherName || entry.patientName,
+      service: offer.serviceId.name,
+      date: offer.date,
+      startTime: offer.startTime,
+      endTime: offer.endTime,
+      therapist: offer.therapistId.fullName,
+      calendarEvent: familyEvent(appointment, {
+        service: offer.serviceId.name,
+        therapist: offer.therapistId.fullName,
+      }),
+    },
+    relatedTo: { kind: "Appointment", id: appointment._id },
+  });
+
+  return { offer: claimed, appointment };
+};
+
+/**
+ * Turn the offer down; the family keeps their place on the waitlist
+ */
+const declineOffer = async (token) => {
+  const offer = await findOfferByToken(token);
+  assertPending(offer);
+
+  const declined = await closeOffer(offer, "declined");
+  if (!declined) throw new ErrorResponse("This offer is no longer available", 400);
+  return declined;
+};
+
+/**
+ * Take a family off the waitlist, releasing any slot held for them
+ */
+const leaveWaitlist = async (entry) => {
+  const pending = await WaitlistOffer.findOne({
+    waitlistEntryId: entry._id,
+    status: "pending",
+  });
+
+  entry.status = "cancelled";
+  await entry.save();
+
+  if (pending) await closeOffer(pending, "withdrawn");
+  return entry;
+};
+
+/**
+ * Expire unanswered offers (passing their slots on) and waitlist entries
+ * whose window has closed. Resolves to `{ offersExpired, entriesExpired }`.
+ */
+const expireOffers = async () => {
+  const overdue = await WaitlistOffer.find({
+    status: "pending",
+    expiresAt: { $lte: new Date() },
+  });
+
+  let offersExpired = 0;
+  for (const offer of overdue) {
+    if (await closeOffer(offer, "expired")) offersExpired++;
+  }
+
+  const { modifiedCount: entriesExpired } = await WaitlistEntry.updateMany(
+    {
+      status: "waiting",
+      "window.toDate": { $lt: getDayRange(new Date()).start },
+    },
+    { status: "expired" }
+  );
+
+  return { offersExpired, entriesExpired };
+};
+
+module.exports = {
+  offerSlot,
+  offerFreedSlot,
+  findOfferByToken,
+  acceptOffer,
+  declineOffer,
+  leaveWaitlist,
+  expireOffers,
+};
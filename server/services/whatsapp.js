@@ -1,7 +1,7 @@
 const axios = require("axios");
-const Appointment = require("../models/Appointment");
+const WhatsAppMessage = require("../models/WhatsAppMessage");
 
-const HELTAR_API_KEY = process.env.HELTAR_API_KEY;
+const HELTAR_SEND_URL = "https://api.heltar.com/v1/messages/send";
 
 // helper to format Indian numbers
 function formatPhoneNumber(number) {
@@ -22,50 +22,67 @@ function formatPhoneNumber(number) {
   return cleaned; // no + (heltar expects without plus in clientWaNumber)
 }
 
-async function sendAppointmentReminder(appointmentId) {
-  try {
-    // ✅ populate serviceId to get service name
-    const appointment = await Appointment.findById(appointmentId).populate(
-      "serviceId",
-      "name"
-    );
-    if (!appointment) {
-      console.log("⚠️ Appointment not found");
-      return;
-    }
+// Heltar echoes the WhatsApp message id; accept the shapes its responses use
+function extractMessageId(data) {
+  const message = data?.messages?.[0] || data?.data?.messages?.[0] || data?.data?.[0];
+  return message?.id || message?.messageId || message?.wamid || null;
+}
 
-    const rawNumber = appointment.phone;
-    if (!rawNumber) {
-      console.log(`⚠️ No phone number for appointment ${appointment._id}`);
-      return;
-    }
+// Reminder buttons carry the appointment id so replies map back without guessing
+const REPLY_ACTIONS = ["confirm", "cancel", "reschedule"];
+
+function buildReplyPayload(action, appointmentId) {
+  return `${action}:${appointmentId}`;
+}
 
-    const recipient = formatPhoneNumber(rawNumber);
+/**
+ * Send a template message through Heltar and record it in the message log.
+ * Resolves to the WhatsAppMessage entry, with status "failed" if the send failed.
+ */
+async function sendTemplateMessage({
+  to,
+  templateName,
+  templateContent,
+  parameters = [],
+  buttonPayloads = [],
+  purpose = "other",
+  appointmentId,
+  reminderLeadHours,
+}) {
+  const recipient = formatPhoneNumber(to);
 
-    console.log("📤 Sending reminder to:", recipient);
+  const log = await WhatsAppMessage.create({
+    to: recipient,
+    templateName,
+    purpose,
+    appointmentId,
+    reminderLeadHours,
+    status: "queued",
+    statusHistory: [{ status: "queued" }],
+  });
 
-    await axios.post(
-      "https://api.heltar.com/v1/messages/send",
+  try {
+    const response = await axios.post(
+      HELTAR_SEND_URL,
       {
         messages: [
           {
             clientWaNumber: recipient,
-            templateName: "8sensesmessage",
-            templateContent:
-              "Dear Parent,\n\nYour appointment for {{1}} has been fixed at {{2}} on {{3}}.\nKindly confirm your availability.",
+            templateName,
+            templateContent,
             languageCode: "en",
             variables: [
               {
                 type: "body",
-                parameters: [
-                  {
-                    type: "text",
-                    text: appointment.serviceId?.name || "Therapy",
-                  },
-                  { type: "text", text: appointment.formattedDate },
-                  { type: "text", text: appointment.startTime },
-                ],
+                parameters: parameters.map((text) => ({ type: "text", text })),
               },
+              // Quick-reply buttons echo their payload back in the webhook
+              ...buttonPayloads.map((payload, index) => ({
+                type: "button",
+                subType: "quick_reply",
+                index,
+                parameters: [{ type: "payload", payload }],
+              })),
             ],
             messageType: "template",
           },
@@ -73,23 +90,32 @@ async function sendAppointmentReminder(appointmentId) {
       },
       {
         headers: {
-          Authorization: `Bearer ${HELTAR_API_KEY}`,
+          Authorization: `Bearer ${process.env.HELTAR_API_KEY}`,
           "Content-Type": "application/json",
         },
       }
     );
 
-    appointment.remindersSent = (appointment.remindersSent || 0) + 1;
-    appointment.lastReminderSent = new Date();
-    await appointment.save();
-
-    console.log(`✅ Reminder sent for appointment ${appointment._id}`);
+    log.providerMessageId = extractMessageId(response.data) || undefined;
+    log.status = "sent";
+    log.sentAt = new Date();
+    log.statusHistory.push({ status: "sent" });
+    if (!log.providerMessageId) {
+      console.log("⚠️ Heltar response had no message id:", JSON.stringify(response.data));
+    }
   } catch (error) {
-    console.error(
-      "❌ Failed to send reminder:",
-      error.response?.data || error.message
-    );
+    log.status = "failed";
+    log.failedAt = new Date();
+    log.error = JSON.stringify(error.response?.data || error.message);
+    log.statusHistory.push({ status: "failed" });
   }
+
+  return log.save();
 }
 
-module.exports = { sendAppointmentReminder };
+module.exports = {
+  REPLY_ACTIONS,
+  formatPhoneNumber,
+  buildReplyPayload,
+  sendTemplateMessage,
+};
@@ -0,0 +1,197 @@
+const Appointment = require("../models/Appointment");
+const WhatsAppMessage = require("../models/WhatsAppMessage");
+const { REPLY_ACTIONS, formatPhoneNumber } = require("./whatsapp");
+const { offerFreedSlot } = require("./waitlist");
+const { applyCancellationFee } = require("./cancellationFees");
+const { getChangePolicy } = require("./parentPortal");
+const { getMinutesUntil } = require("../utils/timeSlots");
+const { requestReschedule } = require("../utils/appointmentActions");
+
+// Replies can only change appointments that are still open
+const OPEN_STATUSES = ["scheduled", "confirmed"];
+
+// Typed answers accepted when the parent does not use the buttons
+const TEXT_INTENTS = {
+  yes: "confirm",
+  y: "confirm",
+  confirm: "confirm",
+  1: "confirm",
+  no: "cancel",
+  n: "cancel",
+  cancel: "cancel",
+  2: "cancel",
+  reschedule: "reschedule",
+  change: "reschedule",
+  3: "reschedule",
+};
+
+// A bare text reply (no quoted message) answers the latest reminder sent this recently
+const TEXT_REPLY_WINDOW_HOURS = 48;
+
+const PAYLOAD_PATTERN = new RegExp(`^(${REPLY_ACTIONS.join("|")}):([a-f0-9]{24})$`, "i");
+
+/**
+ * Read the parent's answer from a webhook message. Button payloads carry the
+ * appointment id ("confirm:<id>"); typed text only carries the intent.
+ */
+function parseReply(msg) {
+  const payload =
+    (msg.type === "button" && msg.button?.payload) ||
+    (msg.type === "interactive" && msg.interactive?.button_reply?.id) ||
+    "";
+  const match = payload.trim().match(PAYLOAD_PATTERN);
+  if (match) {
+    return {
+      body: payload,
+      intent: match[1].toLowerCase(),
+      appointmentId: match[2],
+    };
+  }
+
+  const body = (
+    (msg.type === "button" && (msg.button?.text || msg.button?.payload)) ||
+    (msg.type === "interactive" && msg.interactive?.button_reply?.title) ||
+    (msg.type === "text" && msg.text?.body) ||
+    ""
+  ).trim();
+
+  return {
+    body,
+    intent: TEXT_INTENTS[body.toLowerCase().replace(/[^a-z0-9]/g, "")] || "unknown",
+    appointmentId: null,
+  };
+}
+
+/**
+ * Find the reminder a reply answers: the quoted message when WhatsApp sends
+ * its context id, otherwise the latest reminder to that number.
+ */
+async function findRepliedMessage(msg, sender) {
+  if (msg.context?.id) {
+    return WhatsAppMessage.findOne({
+      providerMessageId: msg.context.id,
+      direction: "outbound",
+    });
+  }
+
+  const since = new Date(Date.now() - TEXT_REPLY_WINDOW_HOURS * 60 * 60 * 1000);
+  return WhatsAppMessage.findOne({
+    to: sender,
+    direction: "outbound",
+    purpose: "reminder",
+    createdAt: { $gte: since },
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Apply a parsed reply to its appointment. Cancelling and rescheduling follow
+ * the parent portal's cutoffs. Resolves to a short outcome string, which says
+ * when a late cancellation fee was charged.
+ */
+async function applyReply(appointment, intent) {
+  if (!OPEN_STATUSES.includes(appointment.status)) {
+    return `ignored: appointment is ${appointment.status}`;
+  }
+  const minutesUntil = getMinutesUntil(appointment.date, appointment.startTime);
+  if (minutesUntil !== null && minutesUntil <= 0) {
+    return "ignored: appointment has already started";
+  }
+
+  switch (intent) {
+    case "confirm":
+      if (appointment.status !== "confirmed") {
+        appointment.transitionTo("confirmed", {
+          source: "whatsapp",
+          reason: "Confirmed by parent via WhatsApp",
+        });
+        await appointment.save();
+      }
+      return "confirmed";
+    case "cancel": {
+      // Same cutoff as cancelling from the parent portal
+      const policy = getChangePolicy(appointment);
+      if (!policy.canCancel) {
+        return `ignored: cancellations close ${policy.cancelCutoffHours} hour(s) before the session`;
+      }
+      await appointment.cancel("Cancelled by parent via WhatsApp", { source: "whatsapp" });
+      offerFreedSlot(appointment);
+      const fee = await applyCancellationFee(appointment, { cancelledByFamily: true });
+      return fee ? `cancelled, ${fee.label} of ₹${fee.amount} charged` : "cancelled";
+    }
+    case "reschedule": {
+      const policy = getChangePolicy(appointment);
+      if (!policy.canRequestReschedule) {
+        return `ignored: reschedule requests close ${policy.rescheduleCutoffHours} hour(s) before the session`;
+      }
+      const form = await requestReschedule(appointment, { source: "whatsapp" });
+      return `reschedule requested (${form._id})`;
+    }
+    default:
+      return "ignored: reply not understood";
+  }
+}
+
+/**
+ * Handle one incoming WhatsApp message from the webhook: log it, tie it to the
+ * reminder and appointment it answers, and apply the parent's answer.
+ * Redelivered messages are ignored. Once the message is logged this never
+ * throws; a reply that could not be applied resolves to a "failed: ..." outcome.
+ * Resolves to `{ message, outcome }`.
+ */
+async function handleIncomingMessage(msg) {
+  if (msg.id && (await WhatsAppMessage.exists({ providerMessageId: msg.id }))) {
+    return { message: null, outcome: "ignored: duplicate delivery" };
+  }
+
+  const sender = formatPhoneNumber(msg.from);
+  const reply = parseReply(msg);
+  const repliedTo = await findRepliedMessage(msg, sender);
+
+  let appointment = null;
+  const appointmentId = reply.appointmentId || repliedTo?.appointmentId;
+  if (appointmentId) {
+    appointment = await Appointment.findById(appointmentId);
+
+    // Never let one number act on another family's appointment
+    if (appointment && formatPhoneNumber(appointment.phone) !== sender) {
+      appointment = null;
+    }
+  }
+
+  let message;
+  try {
+    message = await WhatsAppMessage.create({
+      providerMessageId: msg.id,
+      direction: "inbound",
+      from: sender,
+      purpose: "reply",
+      body: reply.body,
+      intent: reply.intent,
+      replyTo: repliedTo?._id,
+      appointmentId: appointment?._id,
+      status: "received",
+      statusHistory: [{ status: "received" }],
+    });
+  } catch (err) {
+    // The same message delivered twice at once: the other delivery handles it
+    if (err.code === 11000) {
+      return { message: null, outcome: "ignored: duplicate delivery" };
+    }
+    throw err;
+  }
+
+  if (!appointment) {
+    return { message, outcome: "ignored: no matching reminder" };
+  }
+
+  // The reply is logged now, so a redelivery would be skipped as a duplicate;
+  // report a failed answer instead of throwing
+  try {
+    return { message, outcome: await applyReply(appointment, reply.intent) };
+  } catch (err) {
+    console.error(`❌ Could not apply WhatsApp reply ${msg.id}:`, err.message);
+    return { message, outcome: `failed: ${err.message}` };
+  }
+}
+
+module.exports = { parseReply, handleIncomingMessage };
@@ -1,5 +1,5 @@
 /**
- * 8 Senses API Testing Script for Gallery and Diseases APIs
+ * 8 Senses API Testing Script for Gallery, Diseases and Appointment Reschedule APIs
  * 
  * This file contains code to test the Gallery and Diseases APIs in Postman.
  * It includes variables, test examples, and pre-request scripts.
@@ -248,6 +248,72 @@ pm.test("Delete disease successful", function () {
   pm.expect(jsonData.success).to.be.true;
 });
 
+/**
+ * =======================
+ * APPOINTMENT RESCHEDULE API TESTS
+ * =======================
+ */
+
+// 1. CANCEL AN APPOINTMENT (ADMIN, RECEPTIONIST)
+// PUT {{baseUrl}}/appointments/:id/status
+// Headers: Authorization: Bearer {{adminToken}}
+// Body:
+{
+  "status": "cancelled",
+  "reason": "Family unwell"
+}
+
+// Test Script:
+pm.test("Cancel appointment successful", function () {
+  pm.response.to.have.status(200);
+  var jsonData = pm.response.json();
+  pm.expect(jsonData.success).to.be.true;
+  pm.expect(jsonData.data.status).to.equal("cancelled");
+
+  // Save the cancelled appointment ID for the reschedule tests
+  pm.environment.set("cancelledAppointmentId", jsonData.data._id);
+});
+
+// 2. RESCHEDULE THE CANCELLED APPOINTMENT (ADMIN, RECEPTIONIST)
+// PUT {{baseUrl}}/appointments/{{cancelledAppointmentId}}/reschedule
+// Headers: Authorization: Bearer {{adminToken}}
+// Body (a free slot of the appointment's therapist):
+{
+  "date": "2030-01-15",
+  "startTime": "10:00",
+  "endTime": "10:45",
+  "reason": "Rebooked after cancellation",
+  "paymentStatus": "pending"
+}
+
+// Test Script:
+pm.test("Reschedule cancelled appointment successful", function () {
+  pm.response.to.have.status(200);
+  var jsonData = pm.response.json();
+  pm.expect(jsonData.success).to.be.true;
+  pm.expect(jsonData.data.status).to.equal("scheduled");
+  pm.expect(jsonData.data.startTime).to.equal("10:00");
+
+  // The reopening is recorded in the status history
+  var lastChange = jsonData.data.statusHistory[jsonData.data.statusHistory.length - 1];
+  pm.expect(lastChange.from).to.equal("cancelled");
+  pm.expect(lastChange.to).to.equal("scheduled");
+  pm.expect(lastChange.reason).to.equal("Rebooked after cancellation");
+});
+
+// 3. RESCHEDULE AN APPOINTMENT THAT IS NOT CANCELLED (ADMIN, RECEPTIONIST)
+// PUT {{baseUrl}}/appointments/{{cancelledAppointmentId}}/reschedule
+// Headers: Authorization: Bearer {{adminToken}}
+// Body: same as above (the appointment is scheduled again after test 2)
+
+// Test Script:
+pm.test("Reschedule of an appointment that is not cancelled is rejected", function () {
+  pm.response.to.have.status(400);
+  var jsonData = pm.response.json();
+  pm.expect(jsonData.success).to.be.false;
+  pm.expect(jsonData.error).to.include("Only cancelled appointments");
+});
+
 /**
  * =======================
  * POSTMAN COLLECTION VARIABLES
@@ -256,6 +322,7 @@ pm.test("Delete disease successful", function () {
  * Create these variables in your Postman collection for easy testing:
  * - galleryImageId: ID of a created gallery image
  * - diseaseId: ID of a created disease
+ * - cancelledAppointmentId: ID of the appointment cancelled for the reschedule tests
  */
 
 /**
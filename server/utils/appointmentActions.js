@@ -0,0 +1,225 @@
+const Appointment = require("../models/Appointment");
+const AppointmentForm = require("../models/AppointmentForm");
+const Patient = require("../models/Patient");
+const Service = require("../models/Service");
+const User = require("../models/User");
+const ErrorResponse = require("./errorResponse");
+const { checkConflicts } = require("./appointmentConflicts");
+const { familyEvent } = require("../services/calendarFeeds");
+const { notify } = require("../services/notifications");
+
+/**
+ * Move an appointment to a new date/time and/or therapist.
+ *
+ * Checks the new slot for conflicts, validates a changed therapist, appends the
+ * reason to the notes and emails the family. `status` and `paymentStatus` are
+ * only changed when provided; a status change is recorded in the history as
+ * made by `changedBy` from `source`. `rebook` lets a cancelled appointment be
+ * booked again as "scheduled", dropping its cancellation fee. Throws an
+ * ErrorResponse (with `conflicts` when the slot is taken) so callers can map
+ * it onto their own response.
+ */
+const rescheduleAppointmentRecord = async (
+  appointment,
+  {
+    date,
+    startTime,
+    endTime,
+    therapistId,
+    reason,
+    status,
+    paymentStatus,
+    changedBy,
+    source = "staff",
+    rebook = false,
+    notifyPatient = true,
+  }
+) => {
+  if (!date || !startTime || !endTime) {
+    throw new ErrorResponse("Date, startTime, and endTime are required", 400);
+  }
+
+  const newTherapistId = therapistId || appointment.therapistId;
+
+  const { hasConflicts, conflicts } = await checkConflicts(
+    [
+      {
+        therapistId: newTherapistId,
+        patientId: appointment.patientId,
+        date,
+        startTime,
+        endTime,
+        groupSessionId: appointment.groupSessionId,
+      },
+    ],
+    { excludeIds: [appointment._id] }
+  );
+
+  if (hasConflicts) {
+    const error = new ErrorResponse("Selected time slot is not available", 400);
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  // If changing therapist, validate therapist
+  if (therapistId && therapistId.toString() !== appointment.therapistId.toString()) {
+    const therapist = await User.findById(therapistId);
+    if (!therapist || therapist.role !== "therapist") {
+      throw new ErrorResponse("Therapist not found", 404);
+    }
+  }
+
+  // Update notes with reschedule reason
+  const rescheduleNote = `Rescheduled on ${new Date().toLocaleDateString()}: ${
+    reason || "No reason provided"
+  }`;
+
+  const updateData = {
+    date: new Date(date),
+    startTime,
+    endTime,
+    therapistId: newTherapistId,
+    notes: appointment.notes
+      ? `${appointment.notes}\n${rescheduleNote}`
+      : rescheduleNote,
+  };
+  // A new slot needs its own reminders, and the attendance sweep looks at it
+  // afresh
+  const slotChanged =
+    new Date(date).getTime() !== new Date(appointment.date).getTime() ||
+    startTime !== appointment.startTime;
+  const unset = {};
+  if (slotChanged) {
+    updateData.remindersSent = 0;
+    updateData.lastReminderSent = null;
+    unset.attendanceReview = 1;
+  }
+  if (status) {
+    updateData.status = status;
+  }
+  if (paymentStatus) {
+    updateData["payment.status"] = paymentStatus;
+  }
+  // A rebooked session is no longer a cancellation, so it owes no late fee
+  if (rebook && appointment.status === "cancelled") {
+    Object.assign(unset, { cancellationFee: 1, cancelledAt: 1 });
+  }
+  if (Object.keys(unset).length > 0) {
+    updateData.$unset = unset;
+  }
+
+  const updatedAppointment = await Appointment.findByIdAndUpdate(
+    appointment._id,
+    updateData,
+    {
+      new: true,
+      runValidators: true,
+      statusChange: { changedBy, source, reason, rebook },
+    }
+  ).populate("userId patientId therapistId serviceId assignedBy");
+
+  if (!updatedAppointment) {
+    throw new ErrorResponse("Failed to update appointment", 404);
+  }
+
+  if (notifyPatient && updatedAppointment.email) {
+    // Fetch related service and therapist data for email
+    const [service, therapist] = await Promise.all([
+      Service.findById(updatedAppointment.serviceId),
+      User.findById(updatedAppointment.therapistId),
+    ]);
+    const serviceName = service?.name || "Service";
+    const therapistName = therapist?.fullName || "Therapist";
+    const name =
+      updatedAppointment.patientName || updatedAppointment.fatherName || "User";
+
+    await notify({
+      recipient: { name, email: updatedAppointment.email },
+      template: "appointmentReschedule",
+      channels: ["email"],
+      data: {
+        name,
+        service: serviceName,
+        date: updatedAppointment.date,
+        startTime: updatedAppointment.startTime,
+        endTime: updatedAppointment.endTime,
+        therapist: therapistName,
+        reason,
+        paymentStatus: updatedAppointment.payment.status,
+        calendarEvent: familyEvent(updatedAppointment, {
+          service: serviceName,
+          therapist: therapistName,
+        }),
+      },
+      relatedTo: { kind: "Appointment", id: updatedAppointment._id },
+      createdBy: changedBy,
+    });
+  }
+
+  return updatedAppointment;
+};
+
+// How each source of a reschedule request is described to the front desk
+const REQUEST_CHANNELS = {
+  whatsapp: "on WhatsApp",
+  portal: "through the parent portal",
+};
+
+/**
+ * Raise a reschedule request for the front desk, once per appointment.
+ * The request joins the pending appointment requests queue; converting it
+ * moves the original appointment. `preferredDate`/`preferredTime` default to
+ * the current slot when the family did not suggest one.
+ */
+const requestReschedule = async (
+  appointment,
+  { source, preferredDate, preferredTime, reason, requestedBy }
+) => {
+  const existing = await AppointmentForm.findOne({
+    appointmentId: appointment._id,
+    status: "pending",
+  });
+  if (existing) return existing;
+
+  const [patient] = await Promise.all([
+    appointment.patientId ? Patient.findById(appointment.patientId) : null,
+    appointment.populate("serviceId", "name"),
+  ]);
+
+  const serviceName = appointment.serviceId?.name;
+  const serviceTypes = AppointmentForm.schema.path("serviceType").enumValues;
+  const channel = REQUEST_CHANNELS[source];
+
+  const form = await AppointmentForm.create({
+    source,
+    appointmentId: appointment._id,
+    childName: appointment.patientName,
+    fatherName:
+      appointment.fatherName || patient?.parentInfo?.name || appointment.patientName,
+    motherName: patient?.parentInfo?.motherName,
+    phone: appointment.phone || patient?.parentInfo?.phone,
+    email: appointment.email || patient?.parentInfo?.email,
+    serviceType: serviceTypes.includes(serviceName) ? serviceName : "Other",
+    preferredDate: preferredDate || appointment.date,
+    preferredTime: preferredTime || appointment.startTime,
+    notes: `Parent asked ${channel} to reschedule the ${
+      serviceName || "therapy"
+    } appointment on ${appointment.formattedDate} at ${appointment.startTime}${
+      reason ? `: ${reason}` : ""
+    }`,
+    createdBy: requestedBy || patient?.parentId || appointment.userId,
+    status: "pending",
+  });
+
+  appointment.notes = appointment.notes
+    ? `${appointment.notes}\nReschedule requested ${channel}`
+    : `Reschedule requested ${channel}`;
+  await appointment.save();
+
+  return form;
+};
+
+module.exports = {
+  rescheduleAppointmentRecord,
+  requestReschedule,
+};
@@ -0,0 +1,363 @@
+const Appointment = require("../models/Appointment");
+const AppointmentForm = require("../models/AppointmentForm");
+const Leave = require("../models/Leave");
+const WaitlistOffer = require("../models/WaitlistOffer");
+const { parseTime, rangesOverlap, getDayRange } = require("./timeSlots");
+
+// Appointments in these states no longer hold their slot
+const NON_BLOCKING_STATUSES = ["cancelled", "no-show", "rescheduled", "converted"];
+
+const toId = (value) => {
+  if (!value) return null;
+  return value._id ? value._id.toString() : value.toString();
+};
+
+const formatDate = (date) => new Date(date).toISOString().split("T")[0];
+
+/**
+ * Check that a proposed slot has a usable date and time range.
+ * Returns an error message, or null when the slot is valid.
+ */
+const validateSlot = ({ date, startTime, endTime }) => {
+  if (!date || Number.isNaN(new Date(date).getTime())) {
+    return "A valid date is required";
+  }
+
+  const start = parseTime(startTime);
+  const end = parseTime(endTime);
+
+  if (start === null || end === null) {
+    return "startTime and endTime must be in 'hh:mm AM/PM' format";
+  }
+  if (end <= start) {
+    return "endTime must be after startTime";
+  }
+
+  return null;
+};
+
+const describeAppointment = (apt) => ({
+  _id: apt._id,
+  patientId: apt.patientId,
+  patientName: apt.patientName,
+  therapistId: apt.therapistId,
+  date: apt.date,
+  startTime: apt.startTime,
+  endTime: apt.endTime,
+  status: apt.status,
+  isGroupSession: apt.isGroupSession || false,
+  groupSessionId: apt.groupSessionId || null,
+  groupSessionName: apt.groupSessionName || null,
+});
+
+// A slot held for an online booking, shaped like the appointment it will become
+const describeHold = (form) => ({
+  _id: form._id,
+  patientName: form.childName,
+  therapistId: form.therapistId,
+  date: form.preferredDate,
+  startTime: form.preferredTime,
+  endTime: form.endTime,
+  status: "held",
+  isHold: true,
+  heldFor: "an online booking",
+});
+
+// A slot held while a waitlisted family answers their offer
+const describeOfferHold = (offer) => ({
+  _id: offer._id,
+  therapistId: offer.therapistId,
+  date: offer.date,
+  startTime: offer.startTime,
+  endTime: offer.endTime,
+  status: "held",
+  isHold: true,
+  heldFor: "a waitlist offer",
+});
+
+/**
+ * Load the active appointments that could clash with the given slots,
+ * one query per distinct day in the batch. Slots held for online bookings
+ * and pending waitlist offers count as the therapist's appointments.
+ */
+const loadExistingAppointments = async (slots, excludeIds) => {
+  const days = new Map();
+
+  slots.forEach((slot) => {
+    const { start, end } = getDayRange(slot.date);
+    const key = start.getTime();
+    if (!days.has(key)) {
+      days.set(key, { start, end, therapistIds: new Set(), patientIds: new Set() });
+    }
+    const day = days.get(key);
+    if (slot.therapistId) day.therapistIds.add(toId(slot.therapistId));
+    if (slot.patientId) day.patientIds.add(toId(slot.patientId));
+  });
+
+  const results = await Promise.all(
+    Array.from(days.values()).map(async (day) => {
+      const participants = [];
+      if (day.therapistIds.size > 0) {
+        participants.push({ therapistId: { $in: Array.from(day.therapistIds) } });
+      }
+      if (day.patientIds.size > 0) {
+        participants.push({ patientId: { $in: Array.from(day.patientIds) } });
+      }
+      if (participants.length === 0) return [];
+
+      const therapistIds = Array.from(day.therapistIds);
+      const [appointments, holds, offers] = await Promise.all([
+        Appointment.find({
+          date: { $gte: day.start, $lte: day.end },
+          status: { $nin: NON_BLOCKING_STATUSES },
+          _id: { $nin: excludeIds },
+          $or: participants,
+        })
+          .select(
+            "patientId patientName therapistId date startTime endTime status isGroupSession groupSessionId groupSessionName maxCapacity"
+          )
+          .lean(),
+        therapistIds.length > 0
+          ? AppointmentForm.findActiveHolds(therapistIds, day.start, day.end)
+          : [],
+        therapistIds.length > 0
+          ? WaitlistOffer.findActiveHolds(therapistIds, day.start, day.end)
+          : [],
+      ]);
+
+      const excluded = excludeIds.map(toId);
+      const notExcluded = (hold) => !excluded.includes(toId(hold._id));
+      return appointments.concat(
+        holds.filter(notExcluded).map(describeHold),
+        offers.filter(notExcluded).map(describeOfferHold)
+      );
+    })
+  );
+
+  return results.flat();
+};
+
+/**
+ * Load therapist leave and clinic closures for every therapist/day pair in the batch
+ */
+const loadLeaves = async (slots) => {
+  const leaves = new Map();
+
+  await Promise.all(
+    slots.map(async (slot) => {
+      const key = `${slot.therapistKey}_${slot.dayKey}`;
+      if (leaves.has(key)) return;
+      leaves.set(key, []);
+
+      const { start, end } = getDayRange(slot.date);
+      leaves.set(key, await Leave.findOverlapping(slot.therapistKey, start, end));
+    })
+  );
+
+  return leaves;
+};
+
+/**
+ * Check a batch of proposed appointment slots against the stored calendar
+ * and against each other.
+ *
+ * Each slot is `{ therapistId, patientId, date, startTime, endTime }` and may
+ * carry `groupSessionId` / `maxCapacity` when it joins a group session.
+ * Participants of the same group session share the therapist's time, but the
+ * group may not grow beyond its capacity.
+ *
+ * Resolves to `{ hasConflicts, conflicts }`, where every conflict references the
+ * index of the slot it belongs to.
+ */
+const checkConflicts = async (slots, { excludeIds = [] } = {}) => {
+  const conflicts = [];
+
+  const prepared = slots.map((slot, index) => {
+    const error = validateSlot(slot);
+    if (error) {
+      conflicts.push({
+        slotIndex: index,
+        type: "invalid",
+        date: slot.date,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        message: error,
+      });
+      return null;
+    }
+
+    return {
+      ...slot,
+      index,
+      dayKey: getDayRange(slot.date).start.getTime(),
+      start: parseTime(slot.startTime),
+      end: parseTime(slot.endTime),
+      therapistKey: toId(slot.therapistId),
+      patientKey: toId(slot.patientId),
+      groupKey: toId(slot.groupSessionId),
+    };
+  });
+
+  const validSlots = prepared.filter(Boolean);
+  if (validSlots.length === 0) {
+    return { hasConflicts: conflicts.length > 0, conflicts };
+  }
+
+  const existing = (
+    await loadExistingAppointments(validSlots, excludeIds.filter(Boolean))
+  )
+    .map((apt) => ({
+      apt,
+      dayKey: getDayRange(apt.date).start.getTime(),
+      start: parseTime(apt.startTime),
+      end: parseTime(apt.endTime),
+      therapistKey: toId(apt.therapistId),
+      patientKey: toId(apt.patientId),
+      groupKey: toId(apt.groupSessionId),
+    }))
+    // Legacy records with unparseable times cannot be compared reliably
+    .filter((entry) => entry.start !== null && entry.end !== null);
+
+  const leaves = await loadLeaves(validSlots);
+
+  // Running head-count per group session, seeded from stored participants
+  const groupCounts = new Map();
+  existing.forEach((entry) => {
+    if (entry.groupKey) {
+      groupCounts.set(entry.groupKey, (groupCounts.get(entry.groupKey) || 0) + 1);
+    }
+  });
+
+  validSlots.forEach((slot) => {
+    const base = {
+      slotIndex: slot.index,
+      date: formatDate(slot.date),
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+    };
+
+    (leaves.get(`${slot.therapistKey}_${slot.dayKey}`) || []).forEach((leave) => {
+      const blocksSlot =
+        leave.isFullDay ||
+        rangesOverlap(
+          slot.start,
+          slot.end,
+          parseTime(leave.startTime),
+          parseTime(leave.endTime)
+        );
+      if (!blocksSlot) return;
+
+      conflicts.push({
+        ...base,
+        type: "leave",
+        message:
+          leave.scope === "clinic"
+            ? `Clinic is closed on ${base.date}${leave.reason ? ` (${leave.reason})` : ""}`
+            : `Therapist is on ${leave.type} on ${base.date}`,
+        leave: {
+          _id: leave._id,
+          scope: leave.scope,
+          type: leave.type,
+          startDate: leave.startDate,
+          endDate: leave.endDate,
+          startTime: leave.startTime,
+          endTime: leave.endTime,
+        },
+      });
+    });
+
+    existing.forEach((entry) => {
+      if (entry.dayKey !== slot.dayKey) return;
+      if (!rangesOverlap(slot.start, slot.end, entry.start, entry.end)) return;
+
+      const sameGroup = slot.groupKey && slot.groupKey === entry.groupKey;
+
+      if (slot.therapistKey && slot.therapistKey === entry.therapistKey && !sameGroup) {
+        conflicts.push({
+          ...base,
+          type: "therapist",
+          message: `Therapist already has ${
+            entry.apt.isHold
+              ? `a slot held for ${entry.apt.heldFor}`
+              : entry.apt.isGroupSession
+              ? "a group session"
+              : "an appointment"
+          } on ${base.date} from ${entry.apt.startTime} to ${entry.apt.endTime}`,
+          conflictingAppointment: describeAppointment(entry.apt),
+        });
+      }
+
+      if (slot.patientKey && slot.patientKey === entry.patientKey) {
+        conflicts.push({
+          ...base,
+          type: "patient",
+          message: `Patient already has an appointment on ${base.date} from ${entry.apt.startTime} to ${entry.apt.endTime}`,
+          conflictingAppointment: describeAppointment(entry.apt),
+        });
+      }
+    });
+
+    if (slot.groupKey) {
+      const storedCapacity = existing.find(
+        (entry) => entry.groupKey === slot.groupKey
+      )?.apt.maxCapacity;
+      const capacity = slot.maxCapacity || storedCapacity;
+      const count = (groupCounts.get(slot.groupKey) || 0) + 1;
+      groupCounts.set(slot.groupKey, count);
+
+      if (capacity && count > capacity) {
+        conflicts.push({
+          ...base,
+          type: "capacity",
+          message: `Group session is full (${capacity} participants maximum)`,
+        });
+      }
+    }
+  });
+
+  // Slots within the same batch must not clash with each other either
+  for (let i = 0; i < validSlots.length; i++) {
+    for (let j = i + 1; j < validSlots.length; j++) {
+      const earlier = validSlots[i];
+      const later = validSlots[j];
+
+      if (earlier.dayKey !== later.dayKey) continue;
+      if (!rangesOverlap(earlier.start, earlier.end, later.start, later.end)) continue;
+
+      const base = {
+        slotIndex: later.index,
+        conflictingSlotIndex: earlier.index,
+        date: formatDate(later.date),
+        startTime: later.startTime,
+        endTime: later.endTime,
+      };
+      const sameGroup = later.groupKey && later.groupKey === earlier.groupKey;
+
+      if (later.therapistKey && later.therapistKey === earlier.therapistKey && !sameGroup) {
+        conflicts.push({
+          ...base,
+          type: "therapist",
+          message: `Overlaps another requested slot for the same therapist on ${base.date} (${earlier.startTime} - ${earlier.endTime})`,
+        });
+      }
+
+      if (later.patientKey && later.patientKey === earlier.patientKey) {
+        conflicts.push({
+          ...base,
+          type: "patient",
+          message: `Overlaps another requested slot for the same patient on ${base.date} (${earlier.startTime} - ${earlier.endTime})`,
+        });
+      }
+    }
+  }
+
+  conflicts.sort((a, b) => a.slotIndex - b.slotIndex);
+
+  return { hasConflicts: conflicts.length > 0, conflicts };
+};
+
+module.exports = {
+  NON_BLOCKING_STATUSES,
+  validateSlot,
+  checkConflicts,
+};
@@ -0,0 +1,186 @@
+const Appointment = require("../models/Appointment");
+const AppointmentForm = require("../models/AppointmentForm");
+const Leave = require("../models/Leave");
+const Therapist = require("../models/Therapist");
+const User = require("../models/User");
+const WaitlistOffer = require("../models/WaitlistOffer");
+const ErrorResponse = require("./errorResponse");
+const { NON_BLOCKING_STATUSES } = require("./appointmentConflicts");
+const {
+  parseTime,
+  formatTime,
+  rangesOverlap,
+  getDayRange,
+  getWeekday,
+  getClinicNow,
+} = require("./timeSlots");
+
+// Standard session length used by the clinic calendar when no service is given
+const DEFAULT_SLOT_MINUTES = 45;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Build the bookable slots for a therapist on a given day.
+ *
+ * Candidate slots are laid out from the start of the therapist's working hours
+ * for that weekday, every `interval` minutes, each lasting `duration` minutes.
+ * A slot is unavailable when it falls in a break or a partial-day leave,
+ * overlaps an active appointment or a slot held for an online booking or a
+ * waitlist offer, or has already started. Whole-day leave and
+ * clinic closures produce no slots at all.
+ *
+ * `therapistId` is the therapist's User id, as stored on appointments.
+ * Resolves to `{ weekday, workingHours, duration, interval, slots, reason }`;
+ * `reason` explains an empty day (day off, no profile, etc).
+ */
+const getTherapistSlots = async ({
+  therapistId,
+  date,
+  duration = DEFAULT_SLOT_MINUTES,
+  interval,
+}) => {
+  if (!DATE_KEY_PATTERN.test(date || "")) {
+    throw new ErrorResponse("Date must be in YYYY-MM-DD format", 400);
+  }
+  if (!Number.isInteger(duration) || duration <= 0) {
+    throw new ErrorResponse("Duration must be a positive number of minutes", 400);
+  }
+
+  const step = interval || duration;
+  if (!Number.isInteger(step) || step <= 0) {
+    throw new ErrorResponse("Interval must be a positive number of minutes", 400);
+  }
+
+  const user = await User.findById(therapistId).select("firstName lastName role isActive");
+  if (!user || user.role !== "therapist") {
+    throw new ErrorResponse("Therapist not found", 404);
+  }
+
+  const weekday = getWeekday(date);
+  const result = {
+    therapist: {
+      _id: user._id,
+      name: `Dr. ${user.firstName} ${user.lastName}`,
+    },
+    date,
+    weekday,
+    workingHours: null,
+    duration,
+    interval: step,
+    slots: [],
+    reason: null,
+  };
+
+  if (!user.isActive) {
+    result.reason = "Therapist account is inactive";
+    return result;
+  }
+
+  const profile = await Therapist.findOne({ userId: user._id });
+  if (!profile) {
+    result.reason = "Therapist has no profile with working hours";
+    return result;
+  }
+  if (!profile.isAvailable) {
+    result.reason = "Therapist is currently unavailable";
+    return result;
+  }
+
+  const hours = profile.workingHours?.[weekday];
+  const dayStart = parseTime(hours?.start);
+  const dayEnd = parseTime(hours?.end);
+  if (dayStart === null || dayEnd === null || dayEnd <= dayStart) {
+    result.reason = `Therapist does not work on ${weekday}`;
+    return result;
+  }
+  result.workingHours = { start: hours.start, end: hours.end };
+
+  const breaks = (profile.breaks || [])
+    .filter((b) => b.day === "all" || b.day === weekday)
+    .map((b) => ({ label: b.label, start: parseTime(b.start), end: parseTime(b.end) }))
+    .filter((b) => b.start !== null && b.end !== null);
+
+  const { start, end } = getDayRange(date);
+
+  const leaves = await Leave.findOverlapping(user._id, start, end);
+  const fullDayLeave = leaves.find((leave) => leave.isFullDay);
+  if (fullDayLeave) {
+    result.reason =
+      fullDayLeave.scope === "clinic"
+        ? "Clinic is closed"
+        : `Therapist is on ${fullDayLeave.type}`;
+    result.leave = fullDayLeave;
+    return result;
+  }
+  const partialLeaves = leaves
+    .map((leave) => ({ start: parseTime(leave.startTime), end: parseTime(leave.endTime) }))
+    .filter((leave) => leave.start !== null && leave.end !== null);
+
+  const appointments = await Appointment.find({
+    therapistId: user._id,
+    date: { $gte: start, $lte: end },
+    status: { $nin: NON_BLOCKING_STATUSES },
+  })
+    .select("startTime endTime status isGroupSession groupSessionName")
+    .lean();
+
+  const booked = appointments
+    .map((apt) => ({ apt, start: parseTime(apt.startTime), end: parseTime(apt.endTime) }))
+    .filter((b) => b.start !== null && b.end !== null);
+
+  const [forms, offers] = await Promise.all([
+    AppointmentForm.findActiveHolds(user._id, start, end),
+    WaitlistOffer.findActiveHolds(user._id, start, end),
+  ]);
+  const holds = forms
+    .map((form) => ({ start: parseTime(form.preferredTime), end: parseTime(form.endTime) }))
+    .concat(
+      offers.map((offer) => ({ start: parseTime(offer.startTime), end: parseTime(offer.endTime) }))
+    )
+    .filter((h) => h.start !== null && h.end !== null);
+
+  const clinicNow = getClinicNow();
+  const isToday = clinicNow.dateKey === date;
+
+  for (let slotStart = dayStart; slotStart + duration <= dayEnd; slotStart += step) {
+    const slotEnd = slotStart + duration;
+    const slot = {
+      startTime: formatTime(slotStart),
+      endTime: formatTime(slotEnd),
+      available: true,
+      reason: null,
+    };
+
+    const inBreak = breaks.find((b) => rangesOverlap(slotStart, slotEnd, b.start, b.end));
+    const onLeave = partialLeaves.some((l) => rangesOverlap(slotStart, slotEnd, l.start, l.end));
+    const clash = booked.find((b) => rangesOverlap(slotStart, slotEnd, b.start, b.end));
+    const held = holds.some((h) => rangesOverlap(slotStart, slotEnd, h.start, h.end));
+
+    if (isToday && slotStart <= clinicNow.minutes) {
+      slot.available = false;
+      slot.reason = "past";
+    } else if (onLeave) {
+      slot.available = false;
+      slot.reason = "leave";
+    } else if (inBreak) {
+      slot.available = false;
+      slot.reason = inBreak.label || "break";
+    } else if (clash) {
+      slot.available = false;
+      slot.reason = clash.apt.isGroupSession ? "group session" : "booked";
+    } else if (held) {
+      slot.available = false;
+      slot.reason = "held";
+    }
+
+    result.slots.push(slot);
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  getTherapistSlots,
+};
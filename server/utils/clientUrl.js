@@ -0,0 +1,5 @@
+// Links in emails and messages point at the frontend, which calls back into this API
+const clientUrl = () =>
+  (process.env.CLIENT_URL || "https://mediclo-frontend.vercel.app").replace(/\/$/, "");
+
+module.exports = clientUrl;
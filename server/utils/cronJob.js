@@ -1,8 +1,7 @@
 const cron = require("node-cron");
 const ToyBorrowing = require("../models/ToyBorrowing");
 const User = require("../models/User");
-const sendEmail = require("../utils/mailer");
-const membershipReminder = require("../emails/membershipReminder");
+const { notify } = require("../services/notifications");
 
 /**
  * cron job to update overdue borrowings at midnight daily
@@ -54,7 +53,7 @@ const startRenewalReminderJob = () => {
         const nextDay = new Date(targetDate);
         nextDay.setDate(targetDate.getDate() + 1);
 
-        const usersToRemind = await user.find({
+        const usersToRemind = await User.find({
           subscriptionEnd: {
             $gte: targetDate,
             $lt: nextDay,
@@ -62,13 +61,14 @@ const startRenewalReminderJob = () => {
         });
 
         for (const user of usersToRemind) {
-          await sendEmail({
-            to: user.email,
-            subject: "Your membership Renewal Reminder",
-            html: membershipReminder(
-              user.firstName || user.fullName || "User",
-              user.subscriptionEnd.toDateString()
-            ),
+          await notify({
+            recipient: { userId: user._id },
+            template: "membershipReminder",
+            data: {
+              name: user.firstName || user.fullName || "User",
+              renewalDate: user.subscriptionEnd,
+            },
+            relatedTo: { kind: "User", id: user._id },
           });
 
           console.log(`Reminder sent to: ${user.email}`);
@@ -78,7 +78,7 @@ const startRenewalReminderJob = () => {
           `Sent renewal reminders to ${usersToRemind.length} user(s)`
         );
       } catch (error) {
-        console.error("Error sending renewal reminders:", err);
+        console.error("Error sending renewal reminders:", error);
       }
     },
     {
@@ -0,0 +1,26 @@
+const Counter = require("../models/Counter");
+const { CLINIC_TIMEZONE } = require("./timeSlots");
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2026-27"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const [year, month] = new Date(date)
+    .toLocaleDateString("en-CA", { timeZone: CLINIC_TIMEZONE })
+    .split("-")
+    .map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(-2)}`;
+};
+
+/**
+ * Next number in a series that restarts every financial year,
+ * e.g. nextDocumentNumber("RCPT") -> "RCPT/2026-27/00012"
+ */
+const nextDocumentNumber = async (prefix, date = new Date()) => {
+  const financialYear = getFinancialYear(date);
+  const seq = await Counter.next(`${prefix}/${financialYear}`);
+  return `${prefix}/${financialYear}/${String(seq).padStart(5, "0")}`;
+};
+
+module.exports = { getFinancialYear, nextDocumentNumber };
@@ -0,0 +1,97 @@
+const { CLINIC_DETAILS } = require("../config/clinic");
+
+// Calendar apps identify the product that wrote a feed by this id
+const PRODUCT_ID = "-//8 Senses//Appointments//EN";
+
+// Escape a TEXT value (RFC 5545 3.3.11)
+const escapeText = (value = "") =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTC DATE-TIME, e.g. 20261019T050000Z
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+/**
+ * VEVENT lines for an event:
+ * `{ uid, sequence, start, end, stamp, summary, description, location, cancelled }`.
+ * Events without a parseable start or end are skipped.
+ */
+const eventLines = (event, organizer) => {
+  if (!event.start || !event.end) return [];
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+    event.description && `DESCRIPTION:${escapeText(event.description)}`,
+    event.location && `LOCATION:${escapeText(event.location)}`,
+    organizer && `ORGANIZER;CN=${escapeText(organizer.name)}:mailto:${organizer.email}`,
+    `STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+};
+
+/**
+ * A VCALENDAR document holding `events`. Feeds are published without a
+ * method; invites sent by email use REQUEST, or CANCEL for a cancelled event.
+ */
+const buildCalendar = ({ name, method, events = [] }) => {
+  const organizer =
+    method && CLINIC_DETAILS.email
+      ? { name: CLINIC_DETAILS.name, email: CLINIC_DETAILS.email }
+      : null;
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    method && `METHOD:${method}`,
+    name && `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap((event) => eventLines(event, organizer)),
+    "END:VCALENDAR",
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join("\r\n")}\r\n`;
+};
+
+/**
+ * Email attachment inviting the recipient to one event (or cancelling it)
+ */
+const icsAttachment = (event) => {
+  const method = event.cancelled ? "CANCEL" : "REQUEST";
+  return {
+    filename: "invite.ics",
+    content: buildCalendar({ method, events: [event] }),
+    contentType: `text/calendar; charset=utf-8; method=${method}`,
+  };
+};
+
+module.exports = {
+  buildCalendar,
+  icsAttachment,
+};
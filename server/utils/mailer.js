@@ -1,24 +1,18 @@
-const nodemailer = require("nodemailer");
+const { getAdapter } = require("../services/notifications/adapters");
 require("dotenv").config();
 
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-const sendEmail = async ({ to, subject, html }) => {
-  console.log(process.env.EMAIL_USER)
+// Direct, unqueued email. Use services/notifications for anything that should
+// respect user preferences or be retried.
+const sendEmail = async ({ to, subject, html, attachments }) => {
   try {
-    const info = await transporter.sendMail({
-      from: `8 Senses" <${process.env.EMAIL_USER}>`,
+    const info = await getAdapter("email").send({
+      channel: "email",
       to,
       subject,
       html,
+      attachments,
     });
-    console.log("Email sent: %s", info.messageId);
+    console.log("Email sent: %s", info.providerMessageId);
     return info;
   } catch (error) {
     console.error("Error sending email:", error);
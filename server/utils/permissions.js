@@ -0,0 +1,47 @@
+const RolePermission = require("../models/RolePermission");
+const { ALL_PERMISSIONS, getDefaultPermissions } = require("../config/permissions");
+
+// Overrides are cached briefly so every request does not hit the database;
+// other instances pick up an edit once their copy expires
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cachedAt = 0;
+
+const loadOverrides = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) return cache;
+
+  const overrides = await RolePermission.find().lean();
+  cache = new Map(overrides.map((override) => [override.role, override]));
+  cachedAt = Date.now();
+  return cache;
+};
+
+// Drop the cached overrides after an edit
+const clearPermissionCache = () => {
+  cache = null;
+};
+
+/**
+ * Permissions a role currently holds: its defaults plus what an admin
+ * granted, minus what they revoked. Admins always hold every permission.
+ */
+const getRolePermissions = async (role) => {
+  if (role === "admin") return [...ALL_PERMISSIONS];
+
+  const overrides = await loadOverrides();
+  const override = overrides.get(role);
+  const held = new Set([...getDefaultPermissions(role), ...(override?.granted || [])]);
+  (override?.revoked || []).forEach((permission) => held.delete(permission));
+
+  return ALL_PERMISSIONS.filter((permission) => held.has(permission));
+};
+
+const hasPermission = async (role, permission) =>
+  (await getRolePermissions(role)).includes(permission);
+
+module.exports = {
+  getRolePermissions,
+  hasPermission,
+  clearPermissionCache,
+};
@@ -0,0 +1,80 @@
+const { WEEKDAYS } = require("./timeSlots");
+
+// Hard stop so a rule without an end cannot generate an unbounded series
+const MAX_OCCURRENCES = 104;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Expand a recurrence rule into "YYYY-MM-DD" dates.
+ *
+ * Rule: `{ frequency: "daily" | "weekly", interval, daysOfWeek, startDate,
+ * endDate, occurrences }`. Weekly rules repeat on `daysOfWeek` (e.g.
+ * ["monday", "wednesday"], defaulting to the start date's weekday) every
+ * `interval` weeks; daily rules every `interval` days. Generation stops at
+ * `occurrences` sessions or `endDate`, whichever comes first.
+ *
+ * `isSkipped(dateKey)` may return a reason string to leave a date out
+ * (holiday, leave); skipped dates do not count towards `occurrences`.
+ * Returns `{ dates, skipped }`.
+ */
+const generateOccurrences = (rule, { isSkipped = () => null } = {}) => {
+  const frequency = rule.frequency || "weekly";
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const limit = Math.min(Number(rule.occurrences) || MAX_OCCURRENCES, MAX_OCCURRENCES);
+
+  const start = new Date(`${toDateKey(new Date(rule.startDate))}T00:00:00Z`);
+  const end = rule.endDate
+    ? new Date(`${toDateKey(new Date(rule.endDate))}T00:00:00Z`)
+    : null;
+
+  // Without explicit days a weekly rule repeats on the start date's weekday
+  const days =
+    rule.daysOfWeek && rule.daysOfWeek.length > 0
+      ? rule.daysOfWeek.map((d) => d.toLowerCase())
+      : [WEEKDAYS[start.getUTCDay()]];
+
+  // Weeks are counted from the Sunday on or before the start date
+  const firstWeekStart = start.getTime() - start.getUTCDay() * DAY_MS;
+
+  const dates = [];
+  const skipped = [];
+  const cursor = new Date(start);
+
+  // Look at most a few years ahead even when skips keep the count short
+  const horizon = start.getTime() + 3 * 366 * DAY_MS;
+
+  while (dates.length < limit && cursor.getTime() <= horizon) {
+    if (end && cursor > end) break;
+
+    let matches;
+    if (frequency === "daily") {
+      matches = Math.round((cursor - start) / DAY_MS) % interval === 0;
+    } else {
+      const week = Math.floor((cursor.getTime() - firstWeekStart) / (7 * DAY_MS));
+      matches =
+        week % interval === 0 && days.includes(WEEKDAYS[cursor.getUTCDay()]);
+    }
+
+    if (matches) {
+      const key = toDateKey(cursor);
+      const reason = isSkipped(key);
+      if (reason) {
+        skipped.push({ date: key, reason });
+      } else {
+        dates.push(key);
+      }
+    }
+
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return { dates, skipped };
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  generateOccurrences,
+};
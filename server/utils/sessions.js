@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const User = require("../models/User");
+const ErrorResponse = require("./errorResponse");
+const { generateToken } = require("../config/jwt");
+const { numberSetting } = require("../config/settings");
+
+const REFRESH_TOKEN_TTL_MS =
+  numberSetting("REFRESH_TOKEN_EXPIRE_DAYS", 30) * 24 * 60 * 60 * 1000;
+
+const revokeFamily = (family, reason) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+/**
+ * Start a session (or continue a rotation `family`): store a new refresh token
+ * and sign an access token bound to it.
+ * Resolves to `{ token, refreshToken, refreshTokenExpiresAt, session }`.
+ */
+const issueTokens = async (user, req, { family } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+
+  const session = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: User.hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    createdByIp: req?.ip,
+    userAgent: req?.get?.("user-agent"),
+  });
+
+  return {
+    token: generateToken(user._id, {
+      version: user.tokenVersion || 0,
+      sessionId: session._id,
+    }),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token
+ * is revoked; presenting an already-rotated token again revokes its whole
+ * family, since only a stolen copy would be replayed.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const existing = await RefreshToken.findOne({ tokenHash: User.hashToken(refreshToken) });
+  if (!existing) {
+    throw new ErrorResponse("Invalid refresh token", 401);
+  }
+
+  if (existing.revokedAt) {
+    if (existing.revokedReason === "rotated") {
+      await revokeFamily(existing.family, "reuse detected");
+    }
+    throw new ErrorResponse("Refresh token has been revoked", 401);
+  }
+  if (existing.expiresAt <= new Date()) {
+    throw new ErrorResponse("Refresh token has expired", 401);
+  }
+
+  const user = await User.findById(existing.userId);
+  if (!user || !user.isActive) {
+    await revokeFamily(existing.family, "user inactive");
+    throw new ErrorResponse("User not found or inactive", 401);
+  }
+
+  // Only one caller may rotate a given token
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+  if (!claimed) {
+    throw new ErrorResponse("Refresh token has been revoked", 401);
+  }
+
+  const tokens = await issueTokens(user, req, { family: existing.family });
+  await RefreshToken.updateOne(
+    { _id: existing._id },
+    { replacedBy: tokens.session._id }
+  );
+
+  return { user, ...tokens };
+};
+
+/**
+ * Revoke one session, identified by its id or by the raw refresh token
+ */
+const revokeSession = ({ userId, sessionId, refreshToken }, reason = "logout") => {
+  const query = { userId, revokedAt: null };
+  if (sessionId) {
+    query._id = sessionId;
+  } else if (refreshToken) {
+    query.tokenHash = User.hashToken(refreshToken);
+  } else {
+    return Promise.resolve({ modifiedCount: 0 });
+  }
+
+  return RefreshToken.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+/**
+ * Log a user out everywhere: revoke every refresh token and bump tokenVersion
+ * so access tokens already handed out stop working at once.
+ * Resolves to the new tokenVersion.
+ */
+const revokeAllSessions = async (userId, reason) => {
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select("tokenVersion");
+
+  return user?.tokenVersion || 0;
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,165 @@
+// Helpers for the "hh:mm AM/PM" time strings stored on appointments
+
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i;
+
+const CLINIC_TIMEZONE = process.env.CLINIC_TIMEZONE || "Asia/Kolkata";
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * Convert "09:15 AM" (or 24h "14:30") to minutes since midnight.
+ * Returns null when the string cannot be parsed.
+ */
+const parseTime = (timeStr) => {
+  if (!timeStr || typeof timeStr !== "string") return null;
+
+  const match = timeStr.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3] ? match[3].toUpperCase() : null;
+
+  if (minutes > 59) return null;
+
+  if (period) {
+    if (hours < 1 || hours > 12) return null;
+    if (period === "PM" && hours !== 12) hours += 12;
+    if (period === "AM" && hours === 12) hours = 0;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight back to the "hh:mm AM/PM" format
+ */
+const formatTime = (totalMinutes) => {
+  const hours24 = Math.floor(totalMinutes / 60) % 24;
+  const minutes = totalMinutes % 60;
+  const period = hours24 >= 12 ? "PM" : "AM";
+  const hours12 = hours24 % 12 === 0 ? 12 : hours24 % 12;
+
+  return `${String(hours12).padStart(2, "0")}:${String(minutes).padStart(
+    2,
+    "0"
+  )} ${period}`;
+};
+
+// Half-open interval overlap: a session ending at 10:00 does not clash with one starting at 10:00
+const rangesOverlap = (startA, endA, startB, endB) =>
+  startA < endB && endA > startB;
+
+/**
+ * Current date ("YYYY-MM-DD") and minutes since midnight in the clinic's timezone
+ */
+const getClinicNow = () => {
+  const now = new Date(
+    new Date().toLocaleString("en-US", { timeZone: CLINIC_TIMEZONE })
+  );
+  const dateKey = [
+    now.getFullYear(),
+    String(now.getMonth() + 1).padStart(2, "0"),
+    String(now.getDate()).padStart(2, "0"),
+  ].join("-");
+
+  return { dateKey, minutes: now.getHours() * 60 + now.getMinutes() };
+};
+
+/**
+ * Calendar day ("YYYY-MM-DD") of a stored appointment date in the clinic's timezone
+ */
+const toClinicDateKey = (date) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: CLINIC_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+
+/**
+ * Minutes from now until an appointment starts, measured in clinic time.
+ * Negative once the appointment has started; null if the time is unparseable.
+ */
+const getMinutesUntil = (date, startTime) => {
+  const start = parseTime(startTime);
+  if (start === null) return null;
+
+  const now = getClinicNow();
+  const days =
+    (Date.parse(toClinicDateKey(date)) - Date.parse(now.dateKey)) /
+    (24 * 60 * 60 * 1000);
+
+  return days * 24 * 60 + start - now.minutes;
+};
+
+// Moment the clinic's clock shows `minutes` past midnight on day `dateKey`
+const fromClinicWallClock = (dateKey, minutes) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+
+  // How far the clinic's clock is ahead of UTC at that moment
+  const at = new Date(wallClock);
+  const offset =
+    Date.parse(at.toLocaleString("en-US", { timeZone: CLINIC_TIMEZONE })) -
+    Date.parse(at.toLocaleString("en-US", { timeZone: "UTC" }));
+
+  return new Date(wallClock - offset);
+};
+
+/**
+ * Moment an appointment time ("10:30 AM") happens on its clinic day, as a Date.
+ * Null if the time is unparseable.
+ */
+const toClinicDateTime = (date, time) => {
+  const minutes = parseTime(time);
+  if (minutes === null) return null;
+
+  return fromClinicWallClock(toClinicDateKey(date), minutes);
+};
+
+/**
+ * Start and end of the clinic's calendar day containing `date`
+ */
+const getDayRange = (date) => {
+  if (Number.isNaN(new Date(date).getTime())) {
+    return { start: new Date(NaN), end: new Date(NaN) };
+  }
+
+  const dateKey = toClinicDateKey(date);
+  const start = fromClinicWallClock(dateKey, 0);
+  const end = new Date(fromClinicWallClock(dateKey, 24 * 60).getTime() - 1);
+
+  return { start, end };
+};
+
+/**
+ * Lower-case weekday name ("monday") of the clinic day a date falls on,
+ * matching Therapist.workingHours keys
+ */
+const getWeekday = (date) =>
+  WEEKDAYS[new Date(Date.parse(toClinicDateKey(date))).getUTCDay()];
+
+module.exports = {
+  CLINIC_TIMEZONE,
+  WEEKDAYS,
+  parseTime,
+  formatTime,
+  rangesOverlap,
+  getDayRange,
+  getWeekday,
+  getClinicNow,
+  toClinicDateKey,
+  getMinutesUntil,
+  toClinicDateTime,
+};